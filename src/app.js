@@ -3,10 +3,40 @@ import { dirname, join } from 'node:path';
 import AutoLoad from '@fastify/autoload';
 import Swagger from '@fastify/swagger';
 import SwaggerUI from '@fastify/swagger-ui';
+import { DEFAULT_AUTHORIZATION_TTL_SECONDS } from './lib/connection-manager.js';
+import { DEFAULT_MAX_PAGE_SIZE } from './lib/pagination.js';
+import { DEFAULT_QUERY_TIMEOUT_MS } from './lib/query-timeout.js';
+import {
+  DEFAULT_CACHE_MAX_ENTRIES,
+  DEFAULT_CACHE_STALE_SECONDS,
+  DEFAULT_CACHE_TTL_SECONDS,
+} from './lib/result-cache.js';
+import {
+  DEFAULT_RETRY_ATTEMPTS,
+  DEFAULT_RETRY_BASE_DELAY_MS,
+  DEFAULT_RETRY_MAX_DELAY_MS,
+} from './lib/retry-policy.js';
+import { DEFAULT_SCHEMA_TTL_SECONDS } from './lib/schema-registry.js';
+import {
+  DEFAULT_SNAPSHOT_DIR,
+  DEFAULT_SNAPSHOT_RETENTION,
+} from './lib/metadata-snapshots.js';
+import { DEFAULT_DATA_SPACE } from './lib/data-cloud-query-service.js';
+import {
+  DEFAULT_ALLOWED_TABLES,
+  DEFAULT_QUERY_MAX_ROWS,
+  parseAllowedTables,
+} from './lib/sql/sql-guard.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Parse a non-negative integer environment variable, falling back to a default
+const parseIntegerEnv = (value, defaultValue) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : defaultValue;
+};
+
 // Validate and cache environment variables at startup
 const validateEnvironmentVariables = () => {
   const config = {
@@ -14,6 +44,64 @@ const validateEnvironmentVariables = () => {
     salesforceOrgName: process.env.SALESFORCE_ORG_NAME,
     dataCloudOrg: process.env.DATA_CLOUD_ORG,
     dataCloudQuery: process.env.DATA_CLOUD_QUERY,
+    maxPageSize:
+      parseIntegerEnv(process.env.DATA_CLOUD_MAX_PAGE_SIZE, 0) ||
+      DEFAULT_MAX_PAGE_SIZE,
+    cacheTtlSeconds: parseIntegerEnv(
+      process.env.DATA_CLOUD_CACHE_TTL_SECONDS,
+      DEFAULT_CACHE_TTL_SECONDS
+    ),
+    cacheStaleSeconds: parseIntegerEnv(
+      process.env.DATA_CLOUD_CACHE_STALE_SECONDS,
+      DEFAULT_CACHE_STALE_SECONDS
+    ),
+    cacheMaxEntries:
+      parseIntegerEnv(process.env.DATA_CLOUD_CACHE_MAX_ENTRIES, 0) ||
+      DEFAULT_CACHE_MAX_ENTRIES,
+    authorizationTtlSeconds: parseIntegerEnv(
+      process.env.APPLINK_AUTHORIZATION_TTL_SECONDS,
+      DEFAULT_AUTHORIZATION_TTL_SECONDS
+    ),
+    retryAttempts:
+      parseIntegerEnv(process.env.DATA_CLOUD_RETRY_ATTEMPTS, 0) ||
+      DEFAULT_RETRY_ATTEMPTS,
+    retryBaseDelayMs: parseIntegerEnv(
+      process.env.DATA_CLOUD_RETRY_BASE_DELAY_MS,
+      DEFAULT_RETRY_BASE_DELAY_MS
+    ),
+    retryMaxDelayMs: parseIntegerEnv(
+      process.env.DATA_CLOUD_RETRY_MAX_DELAY_MS,
+      DEFAULT_RETRY_MAX_DELAY_MS
+    ),
+    queryTimeoutMs: parseIntegerEnv(
+      process.env.DATA_CLOUD_QUERY_TIMEOUT_MS,
+      DEFAULT_QUERY_TIMEOUT_MS
+    ),
+    schemaTtlSeconds: parseIntegerEnv(
+      process.env.DATA_CLOUD_SCHEMA_TTL_SECONDS,
+      DEFAULT_SCHEMA_TTL_SECONDS
+    ),
+    queryMaxRows:
+      parseIntegerEnv(process.env.DATA_CLOUD_QUERY_MAX_ROWS, 0) ||
+      DEFAULT_QUERY_MAX_ROWS,
+    queryAllowedTables:
+      parseAllowedTables(process.env.DATA_CLOUD_QUERY_ALLOWED_TABLES) ??
+      DEFAULT_ALLOWED_TABLES,
+    snapshotDir: process.env.DATA_CLOUD_SNAPSHOT_DIR || DEFAULT_SNAPSHOT_DIR,
+    snapshotIntervalMinutes: parseIntegerEnv(
+      process.env.DATA_CLOUD_SNAPSHOT_INTERVAL_MINUTES,
+      0
+    ),
+    snapshotSpaces: (
+      process.env.DATA_CLOUD_SNAPSHOT_SPACES || DEFAULT_DATA_SPACE
+    )
+      .split(',')
+      .map(space => space.trim())
+      .filter(Boolean),
+    snapshotRetention:
+      parseIntegerEnv(process.env.DATA_CLOUD_SNAPSHOT_RETENTION, 0) ||
+      DEFAULT_SNAPSHOT_RETENTION,
+    debugErrors: process.env.DEBUG_ERRORS === 'true',
   };
 
   // Log configuration status
@@ -30,6 +118,27 @@ const validateEnvironmentVariables = () => {
   console.log(
     `  DATA_CLOUD_QUERY: ${config.dataCloudQuery ? '✓ Set' : '✗ Not set'}`
   );
+  console.log(`  DATA_CLOUD_MAX_PAGE_SIZE: ${config.maxPageSize}`);
+  console.log(
+    `  DATA_CLOUD_CACHE_TTL_SECONDS: ${config.cacheTtlSeconds}${config.cacheTtlSeconds === 0 ? ' (caching disabled)' : ''}`
+  );
+  console.log(`  DATA_CLOUD_RETRY_ATTEMPTS: ${config.retryAttempts}`);
+  console.log(
+    `  DATA_CLOUD_QUERY_TIMEOUT_MS: ${config.queryTimeoutMs}${config.queryTimeoutMs === 0 ? ' (no timeout)' : ''}`
+  );
+  console.log(
+    `  DATA_CLOUD_SCHEMA_TTL_SECONDS: ${config.schemaTtlSeconds}${config.schemaTtlSeconds === 0 ? ' (SQL validation disabled)' : ''}`
+  );
+  console.log(`  DATA_CLOUD_QUERY_MAX_ROWS: ${config.queryMaxRows}`);
+  console.log(
+    `  DATA_CLOUD_QUERY_ALLOWED_TABLES: ${config.queryAllowedTables.join(', ')}`
+  );
+  console.log(
+    `  DATA_CLOUD_SNAPSHOT_INTERVAL_MINUTES: ${config.snapshotIntervalMinutes}${config.snapshotIntervalMinutes === 0 ? ' (scheduled snapshots disabled)' : ` (spaces: ${config.snapshotSpaces.join(', ')})`}`
+  );
+  if (config.debugErrors) {
+    console.log('  DEBUG_ERRORS: enabled (error responses include SQL)');
+  }
 
   // Required environment variables - fail fast if missing
   const requiredVars = [
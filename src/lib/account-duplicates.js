@@ -0,0 +1,395 @@
+/**
+ * Unified Account Duplicate Detection
+ *
+ * Finds likely duplicates among unified B2B accounts with three match rules:
+ *   - normalizedName: the names are equal once lower-cased and stripped of
+ *     accents, punctuation and legal suffixes (Inc, LLC, GmbH...)
+ *   - similarName: the normalized names are close, by edit distance
+ *   - accountNumber: the account numbers are equal, ignoring case and
+ *     punctuation
+ *
+ * Only accounts sharing a normalized name, an account number or the first
+ * NAME_PREFIX_LENGTH characters of their normalized name are compared, and
+ * blocks of more than MAX_BLOCK_SIZE accounts are skipped (and reported), so
+ * the number of comparisons stays bounded. A pair's score combines the scores
+ * of the rules it matches as 1 - (1 - s1)(1 - s2)..., and pairs scoring at
+ * least the minimum score are matches. Accounts linked by matches form a
+ * duplicate group.
+ */
+import { editDistance } from './schema-registry.js';
+import { buildWhereClause } from './sql/filter-builder.js';
+import { unifiedB2BQuery } from './sql/queries.js';
+
+/**
+ * Match rules, in reporting order.
+ */
+export const DUPLICATE_RULES = [
+  'normalizedName',
+  'similarName',
+  'accountNumber',
+];
+
+/**
+ * Default smallest score of a match.
+ */
+export const DEFAULT_MIN_SCORE = 0.9;
+
+/**
+ * Default smallest similarity of names matched by the similarName rule.
+ */
+export const DEFAULT_MIN_NAME_SIMILARITY = 0.85;
+
+/**
+ * Score of a match by the accountNumber rule.
+ */
+export const ACCOUNT_NUMBER_SCORE = 0.95;
+
+/**
+ * Number of leading characters of the normalized names compared by the
+ * similarName rule; names differing there are not compared.
+ */
+export const NAME_PREFIX_LENGTH = 3;
+
+/**
+ * Largest number of accounts of a block compared pair by pair.
+ */
+export const MAX_BLOCK_SIZE = 200;
+
+/**
+ * Largest number of accounts scanned for one report. Accounts beyond it are
+ * not compared and the report is marked as truncated.
+ */
+export const MAX_DUPLICATE_SCAN_ACCOUNTS = 50000;
+
+/**
+ * Default and largest number of duplicate groups returned.
+ */
+export const DEFAULT_DUPLICATE_GROUPS = 50;
+export const MAX_DUPLICATE_GROUPS = 500;
+
+/**
+ * Legal suffixes stripped from the end of normalized names.
+ */
+const LEGAL_SUFFIXES = new Set([
+  'ab',
+  'ag',
+  'bv',
+  'co',
+  'company',
+  'corp',
+  'corporation',
+  'gmbh',
+  'inc',
+  'incorporated',
+  'kk',
+  'limited',
+  'llc',
+  'llp',
+  'lp',
+  'ltd',
+  'nv',
+  'oy',
+  'plc',
+  'pty',
+  'sa',
+  'sarl',
+  'sas',
+  'spa',
+  'srl',
+]);
+
+/**
+ * Normalizes an account name: lower-cased, without accents or punctuation
+ * (dots and apostrophes are dropped, so S.A. reads sa), & spelled and, and
+ * without trailing legal suffixes.
+ *
+ * @param {string} name - Account name
+ * @returns {string} Normalized name, empty when there is nothing left
+ */
+export function normalizeAccountName(name) {
+  const tokens = String(name ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['.]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  // "Acme Co Ltd" loses both suffixes; a name that is only a suffix keeps it
+  while (tokens.length > 1 && LEGAL_SUFFIXES.has(tokens[tokens.length - 1])) {
+    tokens.pop();
+  }
+  return tokens.join(' ');
+}
+
+/**
+ * Normalizes an account number: upper-cased, letters and digits only.
+ *
+ * @param {string} number - Account number
+ * @returns {string} Normalized number, empty when there is nothing left
+ */
+export function normalizeAccountNumber(number) {
+  return String(number ?? '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Measures how close two normalized names are.
+ *
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} 1 for equal names down to 0, rounded to three decimals
+ */
+export function nameSimilarity(a, b) {
+  const length = Math.max(a.length, b.length);
+  if (length === 0) {
+    return 0;
+  }
+  return Number((1 - editDistance(a, b) / length).toFixed(3));
+}
+
+/**
+ * Finds the groups of likely duplicate accounts. Accounts are added one at a
+ * time, and compared when the report is built.
+ */
+export class DuplicateDetector {
+  /**
+   * @param {Object} options - Match settings
+   * @param {string[]} options.rules - Match rules to apply (default: all)
+   * @param {number} options.minScore - Smallest score of a match
+   * @param {number} options.minNameSimilarity - Smallest similarity of names
+   *   matched by the similarName rule
+   */
+  constructor({
+    rules = DUPLICATE_RULES,
+    minScore = DEFAULT_MIN_SCORE,
+    minNameSimilarity = DEFAULT_MIN_NAME_SIMILARITY,
+  } = {}) {
+    this.rules = new Set(rules);
+    this.minScore = minScore;
+    this.minNameSimilarity = minNameSimilarity;
+    this.accounts = [];
+  }
+
+  /**
+   * Adds an account.
+   *
+   * @param {Object} account - Unified account record { id, name, number }
+   */
+  add(account) {
+    this.accounts.push({
+      account,
+      name: normalizeAccountName(account.name),
+      number: normalizeAccountNumber(account.number),
+    });
+  }
+
+  /**
+   * Lists the blocks of accounts to compare: the accounts sharing a value of
+   * a blocking key, for the keys of the enabled rules.
+   *
+   * @returns {Array} Blocks { rule, key, indexes }
+   */
+  getBlocks() {
+    const keys = [
+      ['normalizedName', ({ name }) => name],
+      ['similarName', ({ name }) => name.slice(0, NAME_PREFIX_LENGTH)],
+      ['accountNumber', ({ number }) => number],
+    ].filter(([rule]) => this.rules.has(rule));
+
+    return keys.flatMap(([rule, getKey]) => {
+      const blocks = new Map();
+      this.accounts.forEach((entry, index) => {
+        const key = getKey(entry);
+        if (key) {
+          if (!blocks.has(key)) {
+            blocks.set(key, []);
+          }
+          blocks.get(key).push(index);
+        }
+      });
+      return [...blocks]
+        .filter(([, indexes]) => indexes.length > 1)
+        .map(([key, indexes]) => ({ rule, key, indexes }));
+    });
+  }
+
+  /**
+   * Scores a pair of accounts with the enabled rules.
+   *
+   * @param {Object} a - First account entry
+   * @param {Object} b - Second account entry
+   * @returns {Object} { score, reasons } where reasons are the rules matched
+   *   { rule, score, value }
+   */
+  scorePair(a, b) {
+    const reasons = [];
+    if (this.rules.has('normalizedName') && a.name && a.name === b.name) {
+      reasons.push({ rule: 'normalizedName', score: 1, value: a.name });
+    } else if (this.rules.has('similarName') && a.name && b.name) {
+      const similarity = nameSimilarity(a.name, b.name);
+      if (similarity >= this.minNameSimilarity) {
+        reasons.push({
+          rule: 'similarName',
+          score: similarity,
+          value: [a.name, b.name],
+        });
+      }
+    }
+    if (this.rules.has('accountNumber') && a.number && a.number === b.number) {
+      reasons.push({
+        rule: 'accountNumber',
+        score: ACCOUNT_NUMBER_SCORE,
+        value: a.number,
+      });
+    }
+
+    const miss = reasons.reduce(
+      (product, { score }) => product * (1 - score),
+      1
+    );
+    return { score: Number((1 - miss).toFixed(3)), reasons };
+  }
+
+  /**
+   * Compares the accounts and reports the duplicate groups.
+   *
+   * @param {Object} options - Report settings
+   * @param {number} options.limit - Largest number of groups returned
+   * @returns {Object} { accountCount, groupCount, duplicateAccountCount,
+   *   groups, skippedBlocks } where groups, highest score first, are { score,
+   *   size, accounts, matches } with matches { accountIds, score, reasons },
+   *   and skippedBlocks the blocks { rule, key, size } too large to compare
+   */
+  finish({ limit = DEFAULT_DUPLICATE_GROUPS } = {}) {
+    const matches = new Map();
+    const skippedBlocks = [];
+
+    for (const { rule, key, indexes } of this.getBlocks()) {
+      if (indexes.length > MAX_BLOCK_SIZE) {
+        skippedBlocks.push({ rule, key, size: indexes.length });
+        continue;
+      }
+      for (let i = 0; i < indexes.length; i++) {
+        for (let j = i + 1; j < indexes.length; j++) {
+          // Pairs sharing several keys are compared once per block, and
+          // only kept once
+          const pair = `${indexes[i]},${indexes[j]}`;
+          if (matches.has(pair)) {
+            continue;
+          }
+          const match = this.scorePair(
+            this.accounts[indexes[i]],
+            this.accounts[indexes[j]]
+          );
+          if (match.reasons.length > 0 && match.score >= this.minScore) {
+            matches.set(pair, { indexes: [indexes[i], indexes[j]], ...match });
+          }
+        }
+      }
+    }
+
+    // Union-find over the matches; each root is a duplicate group
+    const parents = this.accounts.map((_, index) => index);
+    const find = index => {
+      while (parents[index] !== index) {
+        parents[index] = parents[parents[index]];
+        index = parents[index];
+      }
+      return index;
+    };
+    const found = [...matches.values()];
+    for (const { indexes } of found) {
+      parents[find(indexes[0])] = find(indexes[1]);
+    }
+
+    const groups = new Map();
+    for (const match of found) {
+      const root = find(match.indexes[0]);
+      if (!groups.has(root)) {
+        groups.set(root, { members: new Set(), matches: [] });
+      }
+      const group = groups.get(root);
+      match.indexes.forEach(index => group.members.add(index));
+      group.matches.push(match);
+    }
+
+    const report = [...groups.values()]
+      .map(({ members, matches: groupMatches }) => ({
+        score: Math.max(...groupMatches.map(({ score }) => score)),
+        size: members.size,
+        accounts: [...members]
+          .sort((a, b) => a - b)
+          .map(index => this.accounts[index].account),
+        matches: groupMatches
+          .sort((a, b) => b.score - a.score)
+          .map(({ indexes, score, reasons }) => ({
+            accountIds: indexes.map(index => this.accounts[index].account.id),
+            score,
+            reasons,
+          })),
+      }))
+      .sort((a, b) => b.score - a.score || b.size - a.size);
+
+    return {
+      accountCount: this.accounts.length,
+      groupCount: report.length,
+      duplicateAccountCount: report.reduce((sum, { size }) => sum + size, 0),
+      groups: report.slice(0, limit),
+      skippedBlocks,
+    };
+  }
+}
+
+/**
+ * Reports the groups of likely duplicate unified B2B accounts. Unified accounts
+ * are streamed page by page, and at most MAX_DUPLICATE_SCAN_ACCOUNTS accounts
+ * are compared.
+ *
+ * @param {DataCloudQueryService} queryService - Service the accounts are streamed from
+ * @param {Object} options - Report settings
+ * @param {Object} options.filter - Optional filter tree selecting the
+ *   accounts to compare
+ * @param {string[]} options.rules - Match rules to apply (default: all)
+ * @param {number} options.minScore - Smallest score of a match
+ * @param {number} options.minNameSimilarity - Smallest similarity of names
+ *   matched by the similarName rule
+ * @param {number} options.limit - Largest number of groups returned
+ * @returns {Promise<Object>} { accountCount, groupCount,
+ *   duplicateAccountCount, groups, skippedBlocks, truncated } where
+ *   truncated is set when the accounts were cut off at
+ *   MAX_DUPLICATE_SCAN_ACCOUNTS
+ * @throws {FilterValidationError} When the filter is invalid
+ * @throws {DataCloudError} Classified error when a page fails
+ */
+export async function findDuplicateAccounts(
+  queryService,
+  { filter: filterNode, rules, minScore, minNameSimilarity, limit } = {}
+) {
+  // Invalid filters are rejected before any query is attempted
+  buildWhereClause(filterNode, unifiedB2BQuery.filterFields);
+
+  const detector = new DuplicateDetector({
+    rules,
+    minScore,
+    minNameSimilarity,
+  });
+  let truncated = false;
+
+  for await (const accounts of queryService.streamQuery(unifiedB2BQuery, {
+    filter: filterNode,
+  })) {
+    const remaining = MAX_DUPLICATE_SCAN_ACCOUNTS - detector.accounts.length;
+    accounts.slice(0, remaining).forEach(account => detector.add(account));
+    if (accounts.length > remaining) {
+      truncated = true;
+      break;
+    }
+  }
+
+  return { ...detector.finish({ limit }), truncated };
+}
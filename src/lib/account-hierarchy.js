@@ -0,0 +1,299 @@
+/**
+ * Unified Account Hierarchies
+ *
+ * Builds the hierarchy of a unified B2B account from the parent account ids
+ * of UnifiedssotAccountB2b__dlm: the chain of its ancestors, nearest first,
+ * and the tree of its descendants. Both are read level by level, at most the
+ * depth limit of levels away from the account. Parent links pointing back to
+ * an account already in the hierarchy are reported as cycles and not
+ * followed, so a corrupt hierarchy can never be read forever.
+ */
+import { DataCloudError, ERROR_TYPES } from './data-cloud-errors.js';
+import { MAX_IN_VALUES, filter } from './sql/filter-builder.js';
+import { unifiedB2BQuery } from './sql/queries.js';
+
+/**
+ * Default number of levels read above and below the account.
+ */
+export const DEFAULT_HIERARCHY_DEPTH = 5;
+
+/**
+ * Largest number of levels that can be read above and below the account.
+ */
+export const MAX_HIERARCHY_DEPTH = 10;
+
+/**
+ * Largest number of accounts in a descendant tree. Descendants beyond it are
+ * left out and the hierarchy is reported as truncated.
+ */
+export const MAX_HIERARCHY_NODES = 1000;
+
+/**
+ * Why the ancestor chain ends: at an account without parent (root), at the
+ * depth limit, at a parent link closing a cycle, or at a parent account that
+ * does not exist.
+ */
+export const ANCESTOR_STATUSES = {
+  ROOT: 'root',
+  DEPTH_LIMIT: 'depth_limit',
+  CYCLE: 'cycle',
+  MISSING_PARENT: 'missing_parent',
+};
+
+/**
+ * Collects the hierarchy of an account as its levels are read. Ancestors are
+ * read one at a time (nextAncestorId, addAncestor), then descendants one
+ * level at a time (nextLevel, addChild).
+ */
+export class AccountHierarchy {
+  /**
+   * @param {Object} account - Unified account record (unifiedB2BQuery)
+   * @param {Object} options - Hierarchy settings
+   * @param {number} options.maxDepth - Largest number of levels read above
+   *   and below the account
+   * @param {number} options.maxNodes - Largest number of accounts in the
+   *   descendant tree, the account included
+   */
+  constructor(
+    account,
+    { maxDepth = DEFAULT_HIERARCHY_DEPTH, maxNodes = MAX_HIERARCHY_NODES } = {}
+  ) {
+    this.account = account;
+    this.maxDepth = maxDepth;
+    this.maxNodes = maxNodes;
+    this.visited = new Set([account.id]);
+    this.cycles = new Map();
+    this.ancestors = [];
+    this.ancestorStatus = null;
+    this.level = 0;
+    this.frontier = [account.id];
+    this.children = new Map();
+    this.expanded = new Set();
+    this.nodeCount = 1;
+    this.truncated = false;
+  }
+
+  /**
+   * Records a parent link closing a cycle.
+   *
+   * @param {string} accountId - Id of the account with the parent link
+   * @param {string} parentAccountId - Id of its parent
+   */
+  addCycle(accountId, parentAccountId) {
+    this.cycles.set(`${accountId}\n${parentAccountId}`, {
+      accountId,
+      parentAccountId,
+    });
+  }
+
+  /**
+   * Returns the id of the next ancestor to read, or null when the ancestor
+   * chain ends (see ancestorStatus).
+   *
+   * @returns {string|null} Parent account id
+   */
+  nextAncestorId() {
+    if (this.ancestorStatus) {
+      return null;
+    }
+
+    const current = this.ancestors.at(-1) ?? this.account;
+    const parentId = current.parentAccountId;
+    if (!parentId) {
+      this.ancestorStatus = ANCESTOR_STATUSES.ROOT;
+    } else if (this.visited.has(parentId)) {
+      this.addCycle(current.id, parentId);
+      this.ancestorStatus = ANCESTOR_STATUSES.CYCLE;
+    } else if (this.ancestors.length >= this.maxDepth) {
+      this.ancestorStatus = ANCESTOR_STATUSES.DEPTH_LIMIT;
+    }
+    return this.ancestorStatus ? null : parentId;
+  }
+
+  /**
+   * Adds the ancestor read for nextAncestorId.
+   *
+   * @param {Object|null} parent - Parent account record, or null when it
+   *   does not exist
+   */
+  addAncestor(parent) {
+    if (!parent) {
+      this.ancestorStatus = ANCESTOR_STATUSES.MISSING_PARENT;
+      return;
+    }
+    this.visited.add(parent.id);
+    this.ancestors.push(parent);
+  }
+
+  /**
+   * Returns the ids of the accounts whose children are read next, or an
+   * empty list when no more levels are read.
+   *
+   * @returns {string[]} Parent account ids of the next level
+   */
+  nextLevel() {
+    if (this.truncated || this.level >= this.maxDepth) {
+      return [];
+    }
+
+    const ids = this.frontier;
+    ids.forEach(id => this.expanded.add(id));
+    this.frontier = [];
+    this.level++;
+    return ids;
+  }
+
+  /**
+   * Adds a child read for nextLevel.
+   *
+   * @param {Object} child - Child account record
+   * @returns {boolean} False when the tree is full, so no more children
+   *   should be added
+   */
+  addChild(child) {
+    if (this.visited.has(child.id)) {
+      this.addCycle(child.id, child.parentAccountId);
+      return true;
+    }
+    if (this.nodeCount >= this.maxNodes) {
+      this.truncated = true;
+      return false;
+    }
+
+    this.visited.add(child.id);
+    this.nodeCount++;
+    this.frontier.push(child.id);
+    if (!this.children.has(child.parentAccountId)) {
+      this.children.set(child.parentAccountId, []);
+    }
+    this.children.get(child.parentAccountId).push(child);
+    return true;
+  }
+
+  /**
+   * Builds the node of an account and, recursively, of its descendants.
+   *
+   * @param {Object} account - Account record
+   * @param {number} level - Levels below the hierarchy's account
+   * @returns {Object} Tree node
+   */
+  buildNode(account, level) {
+    const children = (this.children.get(account.id) ?? []).map(child =>
+      this.buildNode(child, level + 1)
+    );
+
+    return {
+      account,
+      level,
+      expanded: this.expanded.has(account.id),
+      childCount: children.length,
+      descendantCount: children.reduce(
+        (count, child) => count + 1 + child.descendantCount,
+        0
+      ),
+      descendantDepth: children.reduce(
+        (depth, child) => Math.max(depth, child.descendantDepth + 1),
+        0
+      ),
+      children,
+    };
+  }
+
+  /**
+   * Reports the hierarchy.
+   *
+   * @returns {Object} { tree, ancestors, ancestorStatus, cycles, nodeCount,
+   *   truncated } where tree is the account's node { account, level,
+   *   expanded, childCount, descendantCount, descendantDepth, children },
+   *   expanded telling whether the node's children were read (not for the
+   *   nodes at the depth limit); ancestors are the ancestor account records,
+   *   nearest first; and cycles are the parent links { accountId,
+   *   parentAccountId } pointing back into the hierarchy
+   */
+  finish() {
+    return {
+      tree: this.buildNode(this.account, 0),
+      ancestors: this.ancestors,
+      ancestorStatus: this.ancestorStatus,
+      cycles: [...this.cycles.values()],
+      nodeCount: this.nodeCount,
+      truncated: this.truncated,
+    };
+  }
+}
+
+/**
+ * Reads the hierarchy of a unified B2B account level by level: its ancestors
+ * one parent at a time, then its descendants one level at a time, each level's
+ * children streamed for up to MAX_IN_VALUES parents per query.
+ *
+ * @param {DataCloudQueryService} queryService - Service the accounts are queried with
+ * @param {string} id - Unified record id (ssot__Id__c)
+ * @param {Object} options - Hierarchy settings
+ * @param {number} options.depth - Largest number of levels read above and
+ *   below the account
+ * @returns {Promise<Object>} { tree, ancestors, ancestorStatus, cycles,
+ *   nodeCount, truncated } where truncated is set when the descendants were
+ *   cut off at MAX_HIERARCHY_NODES accounts
+ * @throws {DataCloudError} unknown_object error when there is no such
+ *   unified account, or the classified error of a failed query
+ */
+export async function getUnifiedAccountHierarchy(
+  queryService,
+  id,
+  { depth = DEFAULT_HIERARCHY_DEPTH } = {}
+) {
+  const getAccount = async accountId => {
+    const result = await queryService.executeQuery(
+      unifiedB2BQuery,
+      { filter: filter.eq('id', accountId) },
+      { limit: 1 }
+    );
+    if (!result.success) {
+      throw DataCloudError.fromResult(result);
+    }
+    return result.records[0] ?? null;
+  };
+
+  const account = await getAccount(id);
+  if (!account) {
+    throw new DataCloudError(
+      ERROR_TYPES.UNKNOWN_OBJECT,
+      `Unified account '${id}' was not found in data space '${queryService.dataSpace}'`
+    );
+  }
+
+  const hierarchy = new AccountHierarchy(account, { maxDepth: depth });
+  for (
+    let parentId = hierarchy.nextAncestorId();
+    parentId;
+    parentId = hierarchy.nextAncestorId()
+  ) {
+    hierarchy.addAncestor(await getAccount(parentId));
+  }
+
+  for (
+    let parentIds = hierarchy.nextLevel();
+    parentIds.length > 0;
+    parentIds = hierarchy.nextLevel()
+  ) {
+    for (let i = 0; i < parentIds.length; i += MAX_IN_VALUES) {
+      const children = queryService.streamQuery(unifiedB2BQuery, {
+        filter: filter.in(
+          'parentAccountId',
+          parentIds.slice(i, i + MAX_IN_VALUES)
+        ),
+      });
+      for await (const page of children) {
+        if (!page.every(child => hierarchy.addChild(child))) {
+          break;
+        }
+      }
+      if (hierarchy.truncated) {
+        break;
+      }
+    }
+  }
+
+  return hierarchy.finish();
+}
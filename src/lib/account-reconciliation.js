@@ -0,0 +1,703 @@
+/**
+ * CRM Account Reconciliation
+ *
+ * Checks that the CRM Accounts of the org made it into the unified B2B
+ * accounts of Data Cloud (UnifiedssotAccountB2b__dlm), with matching values.
+ * Accounts are matched by one of two keys:
+ *   - id: the CRM Account Id is a source record id of the unified-link DMO
+ *     (UnifiedLinkssotAccountB2b__dlm), linked to a unified account; only
+ *     the links to Account records (ids with the 001 key prefix), of the
+ *     given data source if any, are reconciled
+ *   - accountNumber: the CRM AccountNumber equals the unified account's
+ *     number, ignoring case and punctuation
+ * and reported as missing in Data Cloud, missing in the CRM, or matched with
+ * field-level mismatches.
+ *
+ * Reconciliations read every account of both sources, so they run as
+ * background jobs (ReconciliationJobs) whose summary and details are read
+ * once they finish.
+ */
+import { randomUUID } from 'node:crypto';
+import { DataCloudError, ERROR_TYPES } from './data-cloud-errors.js';
+import { AppError, toProblemDetails } from './errors.js';
+import { raceAbort } from './query-timeout.js';
+import { unifiedAccountLinkQuery, unifiedB2BQuery } from './sql/queries.js';
+import {
+  normalizeAccountName,
+  normalizeAccountNumber,
+} from './account-duplicates.js';
+
+/**
+ * Keys CRM Accounts can be matched to unified accounts by.
+ */
+export const RECONCILIATION_MATCH_KEYS = ['id', 'accountNumber'];
+
+/**
+ * Kinds of reconciliation details.
+ */
+export const RECONCILIATION_DETAIL_TYPES = [
+  'missing_in_data_cloud',
+  'missing_in_crm',
+  'field_mismatch',
+];
+
+/**
+ * Columns of the reconciliation details, in CSV order.
+ */
+export const RECONCILIATION_DETAIL_COLUMNS = [
+  'type',
+  'reason',
+  'crmId',
+  'unifiedId',
+  'sourceRecordId',
+  'key',
+  'field',
+  'crmValue',
+  'dataCloudValue',
+  'normalizedMatch',
+];
+
+/**
+ * Largest number of accounts read from each source for one reconciliation.
+ * Accounts beyond it are not reconciled and the job is reported as
+ * truncated.
+ */
+export const MAX_RECONCILED_ACCOUNTS = 100000;
+
+/**
+ * Number of finished jobs kept; older ones are forgotten.
+ */
+export const MAX_RECONCILIATION_JOBS = 10;
+
+/**
+ * Number of jobs allowed to run at once, across orgs and data spaces.
+ */
+export const MAX_RUNNING_RECONCILIATION_JOBS = 3;
+
+/**
+ * CRM Account Ids: the 001 key prefix, then 12 characters (15-character
+ * ids) or 15 characters (18-character ids).
+ */
+export const CRM_ACCOUNT_ID_PATTERN = /^001[A-Za-z0-9]{12}(?:[A-Za-z0-9]{3})?$/;
+
+/**
+ * Error raised when the details of a job that has not succeeded are read.
+ * Reported as a 409 conflict.
+ */
+export class ReconciliationJobError extends AppError {
+  constructor(message) {
+    super(message, {
+      statusCode: 409,
+      type: 'reconciliation_not_ready',
+      title: 'Reconciliation not ready',
+    });
+    this.name = 'ReconciliationJobError';
+  }
+}
+
+/**
+ * Error raised when a job is started while one is already running for the
+ * same org and data space, or while MAX_RUNNING_RECONCILIATION_JOBS are
+ * running. Reported as a 409 conflict.
+ */
+export class ReconciliationRunningError extends AppError {
+  constructor(message, { jobId = null } = {}) {
+    super(message, {
+      statusCode: 409,
+      type: 'reconciliation_running',
+      title: 'Reconciliation already running',
+      details: { jobId },
+    });
+    this.name = 'ReconciliationRunningError';
+  }
+}
+
+/**
+ * Fields compared between CRM Accounts and unified accounts. The normalized
+ * comparison tells apart mismatches that are only differences in case,
+ * punctuation or legal suffixes.
+ */
+export const RECONCILED_FIELDS = [
+  { crmField: 'Name', property: 'name', normalize: normalizeAccountName },
+  {
+    crmField: 'AccountNumber',
+    property: 'number',
+    normalize: normalizeAccountNumber,
+  },
+  {
+    crmField: 'AccountSource',
+    property: 'accountSource',
+    normalize: value => String(value).trim().toLowerCase(),
+  },
+];
+
+/**
+ * SOQL reading the CRM Accounts to reconcile.
+ */
+export const CRM_ACCOUNT_QUERY = `SELECT Id, ${RECONCILED_FIELDS.map(
+  ({ crmField }) => crmField
+).join(', ')} FROM Account ORDER BY Id`;
+
+/**
+ * Reads the CRM Accounts page by page, following nextRecordsUrl.
+ *
+ * @param {Function} withOrg - Runs an operation with the AppLink org to
+ *   query: (org => Promise) => Promise
+ * @param {Object} options - Query settings
+ * @param {string} options.soql - SOQL query
+ * @param {AbortSignal} options.signal - Optional signal; the SDK cannot be
+ *   passed one, so an aborted signal stops waiting for the current page
+ * @returns {AsyncGenerator<Array>} Account fields of each page
+ */
+export async function* streamCrmAccounts(
+  withOrg,
+  { soql = CRM_ACCOUNT_QUERY, signal = null } = {}
+) {
+  let result = await raceAbort(
+    withOrg(org => org.dataApi.query(soql)),
+    signal
+  );
+  yield result.records.map(record => record.fields);
+
+  while (!result.done && result.nextRecordsUrl) {
+    const previous = result;
+    result = await raceAbort(
+      withOrg(org => org.dataApi.queryMore(previous)),
+      signal
+    );
+    yield result.records.map(record => record.fields);
+  }
+}
+
+/**
+ * Returns a field value, with empty strings read as null.
+ *
+ * @param {*} value - Field value
+ * @returns {*} Value, or null when empty
+ */
+function presentValue(value) {
+  return value === undefined || value === null || value === '' ? null : value;
+}
+
+/**
+ * Returns the case-sensitive 15-character form of a CRM record id, so
+ * 15-character and 18-character ids of the same record are equal.
+ *
+ * @param {string} id - 15-character or 18-character record id
+ * @returns {string} 15-character record id
+ */
+export function toCrmIdKey(id) {
+  return String(id).slice(0, 15);
+}
+
+/**
+ * Matches CRM Accounts with unified accounts and lists the differences.
+ * Both sources are added in full (and the unified links when matching by
+ * id) before the reconciliation is finished.
+ */
+export class AccountReconciliation {
+  /**
+   * @param {Object} options - Reconciliation settings
+   * @param {string} options.matchBy - id or accountNumber
+   * @param {string} options.dataSourceId - Optional data source of the links
+   *   reconciled when matching by id
+   */
+  constructor({ matchBy = 'id', dataSourceId = null } = {}) {
+    this.matchBy = matchBy;
+    this.dataSourceId = dataSourceId;
+    this.crmAccounts = [];
+    this.unifiedAccounts = new Map();
+    this.links = new Map();
+  }
+
+  /**
+   * Adds CRM Accounts { Id, Name, AccountNumber, AccountSource }.
+   *
+   * @param {Array} accounts - CRM Account fields
+   */
+  addCrmAccounts(accounts) {
+    this.crmAccounts.push(...accounts);
+  }
+
+  /**
+   * Adds unified accounts (unifiedB2BQuery records).
+   *
+   * @param {Array} accounts - Unified account records
+   */
+  addUnifiedAccounts(accounts) {
+    for (const account of accounts) {
+      this.unifiedAccounts.set(account.id, account);
+    }
+  }
+
+  /**
+   * Adds unified links (unifiedAccountLinkQuery records). Links to other
+   * records than CRM Accounts, or of another data source than the
+   * reconciliation's, are ignored.
+   *
+   * @param {Array} links - Unified link records
+   */
+  addLinks(links) {
+    for (const link of links) {
+      if (
+        CRM_ACCOUNT_ID_PATTERN.test(link.sourceRecordId ?? '') &&
+        (!this.dataSourceId || link.dataSourceId === this.dataSourceId)
+      ) {
+        this.links.set(toCrmIdKey(link.sourceRecordId), link);
+      }
+    }
+  }
+
+  /**
+   * Lists the field mismatches of a matched pair of accounts.
+   *
+   * @param {Object} crmAccount - CRM Account fields
+   * @param {Object} unifiedAccount - Unified account record
+   * @param {Object} detail - Detail columns identifying the pair
+   * @returns {Array} Field mismatch details
+   */
+  compareFields(crmAccount, unifiedAccount, detail) {
+    return RECONCILED_FIELDS.flatMap(({ crmField, property, normalize }) => {
+      const crmValue = presentValue(crmAccount[crmField]);
+      const dataCloudValue = presentValue(unifiedAccount[property]);
+      if (crmValue === dataCloudValue) {
+        return [];
+      }
+      return [
+        {
+          ...detail,
+          type: 'field_mismatch',
+          field: property,
+          crmValue,
+          dataCloudValue,
+          normalizedMatch:
+            crmValue !== null &&
+            dataCloudValue !== null &&
+            normalize(crmValue) === normalize(dataCloudValue),
+        },
+      ];
+    });
+  }
+
+  /**
+   * Finds the unified account of a CRM Account.
+   *
+   * @param {Object} crmAccount - CRM Account fields
+   * @param {Map} unifiedByNumber - Unified accounts by normalized number
+   * @returns {Object} { unifiedAccount, sourceRecordId, key, reason } where
+   *   reason tells why there is no unified account
+   */
+  findUnifiedAccount(crmAccount, unifiedByNumber) {
+    if (this.matchBy === 'accountNumber') {
+      const key = normalizeAccountNumber(crmAccount.AccountNumber ?? '');
+      if (!key) {
+        return { key: null, reason: 'no_account_number' };
+      }
+      const unifiedAccount = unifiedByNumber.get(key);
+      return unifiedAccount
+        ? { unifiedAccount, key }
+        : { key, reason: 'no_unified_account' };
+    }
+
+    const key = toCrmIdKey(crmAccount.Id);
+    const link = this.links.get(key);
+    if (!link) {
+      return { key, reason: 'not_linked' };
+    }
+    const { sourceRecordId, unifiedRecordId } = link;
+    const unifiedAccount = this.unifiedAccounts.get(unifiedRecordId);
+    return unifiedAccount
+      ? { unifiedAccount, key, sourceRecordId }
+      : {
+          key,
+          sourceRecordId,
+          unifiedId: unifiedRecordId,
+          reason: 'no_unified_account',
+        };
+  }
+
+  /**
+   * Lists the Data Cloud records without CRM Account: with id matching, the
+   * linked source records that are not a CRM Account Id; with account
+   * number matching, the unified accounts whose number no CRM Account has.
+   *
+   * @param {Set} matchedKeys - Keys of the CRM Accounts
+   * @returns {Array} Missing in CRM details
+   */
+  findMissingInCrm(matchedKeys) {
+    if (this.matchBy === 'accountNumber') {
+      return [...this.unifiedAccounts.values()]
+        .filter(account => {
+          const key = normalizeAccountNumber(account.number ?? '');
+          return key && !matchedKeys.has(key);
+        })
+        .map(account => ({
+          type: 'missing_in_crm',
+          reason: 'no_crm_account',
+          unifiedId: account.id,
+          key: normalizeAccountNumber(account.number),
+          dataCloudValue: account.name ?? null,
+        }));
+    }
+
+    return [...this.links]
+      .filter(([key]) => !matchedKeys.has(key))
+      .map(([key, link]) => ({
+        type: 'missing_in_crm',
+        reason: 'no_crm_account',
+        unifiedId: link.unifiedRecordId ?? null,
+        sourceRecordId: link.sourceRecordId,
+        key,
+        dataCloudValue:
+          this.unifiedAccounts.get(link.unifiedRecordId)?.name ?? null,
+      }));
+  }
+
+  /**
+   * Reconciles the accounts added.
+   *
+   * When a source was cut off, the accounts of the other source not found in
+   * it may be among the records that were not read, so they are not reported
+   * as missing: their count is null and they have no details.
+   *
+   * @param {Object} options - Sources cut off
+   * @param {boolean} options.crmTruncated - Whether the CRM Accounts were cut
+   *   off, leaving missing in CRM unknown
+   * @param {boolean} options.dataCloudTruncated - Whether the unified accounts
+   *   or links were cut off, leaving missing in Data Cloud unknown
+   * @returns {Object} { summary, details } where summary counts { crmCount,
+   *   dataCloudCount, matchedCount, mismatchedCount, missingInDataCloud,
+   *   missingInCrm, fieldMismatches } (fieldMismatches per field), and
+   *   details are rows of RECONCILIATION_DETAIL_COLUMNS, missing in Data
+   *   Cloud first
+   */
+  finish({ crmTruncated = false, dataCloudTruncated = false } = {}) {
+    const unifiedByNumber = new Map();
+    if (this.matchBy === 'accountNumber') {
+      for (const account of this.unifiedAccounts.values()) {
+        const key = normalizeAccountNumber(account.number ?? '');
+        if (key && !unifiedByNumber.has(key)) {
+          unifiedByNumber.set(key, account);
+        }
+      }
+    }
+
+    let missingInDataCloud = [];
+    const mismatches = [];
+    const matchedKeys = new Set();
+    let matchedCount = 0;
+    let mismatchedCount = 0;
+
+    for (const crmAccount of this.crmAccounts) {
+      const { unifiedAccount, key, sourceRecordId, unifiedId, reason } =
+        this.findUnifiedAccount(crmAccount, unifiedByNumber);
+      if (key) {
+        matchedKeys.add(key);
+      }
+      if (!unifiedAccount) {
+        missingInDataCloud.push({
+          type: 'missing_in_data_cloud',
+          reason,
+          crmId: crmAccount.Id,
+          unifiedId: unifiedId ?? null,
+          key,
+          crmValue: crmAccount.Name ?? null,
+        });
+        continue;
+      }
+
+      matchedCount++;
+      const fields = this.compareFields(crmAccount, unifiedAccount, {
+        crmId: crmAccount.Id,
+        unifiedId: unifiedAccount.id,
+        sourceRecordId: sourceRecordId ?? null,
+        key,
+      });
+      if (fields.length > 0) {
+        mismatchedCount++;
+        mismatches.push(...fields);
+      }
+    }
+
+    const missingInCrm = crmTruncated
+      ? null
+      : this.findMissingInCrm(matchedKeys);
+    if (dataCloudTruncated) {
+      missingInDataCloud = null;
+    }
+    const details = [
+      ...(missingInDataCloud ?? []),
+      ...(missingInCrm ?? []),
+      ...mismatches,
+    ].map(detail =>
+      Object.fromEntries(
+        RECONCILIATION_DETAIL_COLUMNS.map(column => [
+          column,
+          detail[column] ?? null,
+        ])
+      )
+    );
+
+    return {
+      summary: {
+        crmCount: this.crmAccounts.length,
+        dataCloudCount: this.unifiedAccounts.size,
+        matchedCount,
+        mismatchedCount,
+        missingInDataCloud: missingInDataCloud?.length ?? null,
+        missingInCrm: missingInCrm?.length ?? null,
+        fieldMismatches: Object.fromEntries(
+          RECONCILED_FIELDS.map(({ property }) => [
+            property,
+            mismatches.filter(({ field }) => field === property).length,
+          ])
+        ),
+      },
+      details,
+    };
+  }
+}
+
+/**
+ * Runs reconciliations in the background and keeps the last
+ * MAX_RECONCILIATION_JOBS finished ones in memory. One job runs at a time
+ * for an org and data space, and at most MAX_RUNNING_RECONCILIATION_JOBS
+ * in all.
+ */
+export class ReconciliationJobs {
+  /**
+   * @param {Object} options - Job settings
+   * @param {number} options.retention - Number of finished jobs kept
+   * @param {number} options.maxRunning - Number of jobs allowed to run at once
+   * @param {AbortSignal} options.signal - Optional signal; aborting it
+   *   cancels the running jobs
+   * @param {Object} options.logger - Optional logger
+   */
+  constructor({
+    retention = MAX_RECONCILIATION_JOBS,
+    maxRunning = MAX_RUNNING_RECONCILIATION_JOBS,
+    signal = null,
+    logger = null,
+  } = {}) {
+    this.retention = retention;
+    this.maxRunning = maxRunning;
+    this.signal = signal;
+    this.logger = logger;
+    this.jobs = new Map();
+  }
+
+  /**
+   * Starts a job. The job runs after this returns; its status is running
+   * until run settles, then succeeded (with its summary and details) or
+   * failed (with the problem details of the error).
+   *
+   * @param {Object} options - Job options reported with the job
+   * @param {Function} run - Runs the reconciliation: (signal) => Promise<{
+   *   summary, details, truncated }>, where signal is the jobs' signal
+   * @param {Object} settings - Job settings
+   * @param {string} settings.key - Org and data space of the job; only one
+   *   job runs at a time for a key
+   * @returns {Object} The job, without its details
+   * @throws {ReconciliationRunningError} When a job is running for the key,
+   *   or the maximum number of jobs are running
+   */
+  start(options, run, { key = null } = {}) {
+    const running = [...this.jobs.values()].filter(
+      job => job.status === 'running'
+    );
+    const conflict = running.find(job => key !== null && job.key === key);
+    if (conflict) {
+      throw new ReconciliationRunningError(
+        `Reconciliation job '${conflict.id}' is already running for this org and data space`,
+        { jobId: conflict.id }
+      );
+    }
+    if (running.length >= this.maxRunning) {
+      throw new ReconciliationRunningError(
+        `${running.length} reconciliation jobs are already running; start another once one finishes`
+      );
+    }
+
+    const job = {
+      id: randomUUID(),
+      status: 'running',
+      options,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      summary: null,
+      truncated: false,
+      error: null,
+      details: [],
+      key,
+    };
+    this.jobs.set(job.id, job);
+
+    job.done = Promise.resolve()
+      .then(() => run(this.signal))
+      .then(
+        ({ summary, details, truncated = false }) => {
+          Object.assign(job, {
+            status: 'succeeded',
+            summary,
+            details,
+            truncated,
+          });
+        },
+        err => {
+          job.status = 'failed';
+          job.error = toProblemDetails(err);
+          this.logger?.warn(
+            `Reconciliation job ${job.id} failed: ${err.message}`
+          );
+        }
+      )
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+        this.prune();
+      });
+
+    return ReconciliationJobs.describe(job);
+  }
+
+  /**
+   * Waits for the running jobs to finish.
+   *
+   * @returns {Promise<void>}
+   */
+  async settle() {
+    await Promise.all([...this.jobs.values()].map(job => job.done));
+  }
+
+  /**
+   * Forgets the oldest finished jobs beyond the retention.
+   */
+  prune() {
+    const finished = [...this.jobs.values()].filter(
+      job => job.status !== 'running'
+    );
+    for (const job of finished.slice(0, finished.length - this.retention)) {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  /**
+   * Returns a job.
+   *
+   * @param {string} id - Job id
+   * @returns {Object} The job, details included
+   * @throws {DataCloudError} unknown_object error when there is no such job
+   */
+  get(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw new DataCloudError(
+        ERROR_TYPES.UNKNOWN_OBJECT,
+        `Reconciliation job '${id}' was not found`
+      );
+    }
+    return job;
+  }
+
+  /**
+   * Returns the details of a succeeded job.
+   *
+   * @param {string} id - Job id
+   * @param {Object} options - Detail selection
+   * @param {string} options.type - Only details of this type
+   * @returns {Array} Details
+   * @throws {DataCloudError} unknown_object error when there is no such job
+   * @throws {ReconciliationJobError} When the job is running or failed
+   */
+  getDetails(id, { type } = {}) {
+    const job = this.get(id);
+    if (job.status !== 'succeeded') {
+      throw new ReconciliationJobError(
+        `Reconciliation job '${id}' is ${job.status}; details are available once it succeeds`
+      );
+    }
+    return type
+      ? job.details.filter(detail => detail.type === type)
+      : job.details;
+  }
+
+  /**
+   * Describes a job without its details.
+   *
+   * @param {Object} job - Job
+   * @returns {Object} { id, status, options, createdAt, finishedAt, summary,
+   *   truncated, error, detailCount }
+   */
+  static describe({ details, done: _done, key: _key, ...job }) {
+    return { ...job, detailCount: details.length };
+  }
+}
+
+/**
+ * Reconciles CRM Accounts with the unified B2B accounts. The CRM Accounts, the
+ * unified accounts and, when matching by id, the unified links are read page by
+ * page, at most maxAccounts records of each.
+ *
+ * @param {DataCloudQueryService} queryService - Service the unified accounts and links are streamed from
+ * @param {AsyncIterable<Array>} crmPages - Pages of CRM Account fields
+ *   (see streamCrmAccounts)
+ * @param {Object} options - Reconciliation settings
+ * @param {string} options.matchBy - id or accountNumber
+ * @param {string} options.dataSourceId - Optional data source of the links
+ *   reconciled when matching by id
+ * @param {number} options.maxAccounts - Records read from each source
+ *   (default MAX_RECONCILED_ACCOUNTS)
+ * @returns {Promise<Object>} { summary, details, truncated } where
+ *   truncated is set when a source was cut off at maxAccounts; the
+ *   accounts missing in the other source are then not reported
+ * @throws {DataCloudError} Classified error when a page fails
+ */
+export async function reconcileAccounts(
+  queryService,
+  crmPages,
+  { matchBy = 'id', dataSourceId, maxAccounts = MAX_RECONCILED_ACCOUNTS } = {}
+) {
+  const reconciliation = new AccountReconciliation({ matchBy, dataSourceId });
+
+  /**
+   * Adds pages of records until maxAccounts were added.
+   */
+  const read = async (pages, add) => {
+    let count = 0;
+    for await (const records of pages) {
+      const remaining = maxAccounts - count;
+      add(records.slice(0, remaining));
+      count += Math.min(records.length, remaining);
+      if (records.length > remaining) {
+        return { count, truncated: true };
+      }
+    }
+    return { count, truncated: false };
+  };
+
+  const crm = await read(crmPages, accounts =>
+    reconciliation.addCrmAccounts(accounts)
+  );
+  const unified = await read(
+    queryService.streamQuery(unifiedB2BQuery, {}),
+    accounts => reconciliation.addUnifiedAccounts(accounts)
+  );
+  const links =
+    matchBy === 'id'
+      ? await read(
+          queryService.streamQuery(unifiedAccountLinkQuery, {}),
+          records => reconciliation.addLinks(records)
+        )
+      : { truncated: false };
+  queryService.logger.info(
+    `Reconciling ${crm.count} CRM Accounts with ${unified.count} unified accounts by ${matchBy}`
+  );
+
+  const dataCloudTruncated = unified.truncated || links.truncated;
+  return {
+    ...reconciliation.finish({
+      crmTruncated: crm.truncated,
+      dataCloudTruncated,
+    }),
+    truncated: crm.truncated || dataCloudTruncated,
+  };
+}
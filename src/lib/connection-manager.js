@@ -0,0 +1,123 @@
+/**
+ * AppLink Connection Manager
+ *
+ * Caches AppLink authorizations per connection name so that requests share one
+ * authorization instead of calling getAuthorization on every request.
+ * Authorizations are refreshed when they reach their configured lifetime, or
+ * immediately when an API call made with them is rejected with a 401.
+ */
+
+/**
+ * Default time an authorization is reused before it is fetched again.
+ */
+export const DEFAULT_AUTHORIZATION_TTL_SECONDS = 900;
+
+/**
+ * Checks whether an error is an HTTP 401 returned by a Salesforce or
+ * Data Cloud API, meaning the authorization's access token is no longer valid.
+ *
+ * @param {Error} err - Error thrown by an SDK or API call
+ * @returns {boolean} True when the error is a 401 response
+ */
+export function isUnauthorizedError(err) {
+  return err?.response?.status === 401 || err?.statusCode === 401;
+}
+
+export class ConnectionManager {
+  /**
+   * @param {Object} options - Manager settings
+   * @param {Object} options.applink - AppLink add-on API with getAuthorization(name)
+   * @param {number} options.ttlSeconds - Time an authorization is reused
+   * @param {Object} options.logger - Logger with info/error methods
+   */
+  constructor({
+    applink,
+    ttlSeconds = DEFAULT_AUTHORIZATION_TTL_SECONDS,
+    logger,
+  }) {
+    this.applink = applink;
+    this.ttlSeconds = ttlSeconds;
+    this.logger = logger;
+    this.authorizations = new Map();
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Returns the cached authorization for a connection, fetching it from the
+   * AppLink add-on when it is missing or expired. Concurrent callers share a
+   * single fetch.
+   *
+   * @param {string} connectionName - AppLink connection name
+   * @returns {Promise<Object>} Authorized org with dataApi/dataCloudApi clients
+   */
+  async getAuthorization(connectionName) {
+    const cached = this.authorizations.get(connectionName);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.authorization;
+    }
+
+    if (!this.inFlight.has(connectionName)) {
+      this.logger.info(
+        `Getting '${connectionName}' connection from Heroku AppLink add-on...`
+      );
+      const promise = this.applink
+        .getAuthorization(connectionName)
+        .then(authorization => {
+          this.authorizations.set(connectionName, {
+            authorization,
+            expiresAt: Date.now() + this.ttlSeconds * 1000,
+          });
+          return authorization;
+        })
+        .finally(() => this.inFlight.delete(connectionName));
+      this.inFlight.set(connectionName, promise);
+    }
+
+    return this.inFlight.get(connectionName);
+  }
+
+  /**
+   * Drops a cached authorization so the next call fetches a new one.
+   * When the failed authorization is given, the cache is only cleared if it
+   * still holds that authorization, so concurrent 401s trigger one refresh.
+   *
+   * @param {string} connectionName - AppLink connection name
+   * @param {Object} failedAuthorization - Optional authorization that was rejected
+   */
+  invalidate(connectionName, failedAuthorization = null) {
+    const cached = this.authorizations.get(connectionName);
+    if (
+      cached &&
+      (!failedAuthorization || cached.authorization === failedAuthorization)
+    ) {
+      this.authorizations.delete(connectionName);
+    }
+  }
+
+  /**
+   * Runs an operation with a connection's authorization. If the operation is
+   * rejected with a 401, the authorization is refreshed and the operation is
+   * retried once.
+   *
+   * @param {string} connectionName - AppLink connection name
+   * @param {Function} operation - Async function receiving the authorization
+   * @returns {Promise<*>} Result of the operation
+   */
+  async withAuthorization(connectionName, operation) {
+    const authorization = await this.getAuthorization(connectionName);
+    try {
+      return await operation(authorization);
+    } catch (err) {
+      if (!isUnauthorizedError(err)) {
+        throw err;
+      }
+      this.logger.info(
+        `Authorization for '${connectionName}' was rejected, refreshing...`
+      );
+      this.invalidate(connectionName, authorization);
+      return await operation(await this.getAuthorization(connectionName));
+    }
+  }
+}
+
+export default ConnectionManager;
@@ -0,0 +1,326 @@
+/**
+ * Data Cloud Error Classification
+ *
+ * Turns errors thrown by AppLink SDK, Salesforce and Data Cloud API calls into
+ * DataCloudError instances that record what went wrong (authorization, rate
+ * limit, timeout, invalid SQL, unknown object or upstream failure), the HTTP
+ * status the API should answer with, and whether the call may be retried.
+ */
+import { AppError } from './errors.js';
+
+/**
+ * Error classes with the HTTP status they are reported as and whether a
+ * call failing with them may succeed when retried.
+ */
+export const ERROR_TYPES = {
+  UNAUTHORIZED: {
+    type: 'unauthorized',
+    title: 'Authorization rejected',
+    statusCode: 401,
+    retryable: false,
+  },
+  FORBIDDEN: {
+    type: 'forbidden',
+    title: 'Access denied',
+    statusCode: 403,
+    retryable: false,
+  },
+  UNKNOWN_OBJECT: {
+    type: 'unknown_object',
+    title: 'Unknown object',
+    statusCode: 404,
+    retryable: false,
+  },
+  INVALID_SQL: {
+    type: 'invalid_sql',
+    title: 'Invalid query',
+    statusCode: 400,
+    retryable: false,
+  },
+  RATE_LIMITED: {
+    type: 'rate_limited',
+    title: 'Rate limit exceeded',
+    statusCode: 429,
+    retryable: true,
+  },
+  TIMEOUT: {
+    type: 'timeout',
+    title: 'Upstream request timed out',
+    statusCode: 504,
+    retryable: true,
+  },
+  UPSTREAM: {
+    type: 'upstream',
+    title: 'Upstream service failed',
+    statusCode: 502,
+    retryable: true,
+  },
+  QUERY_TIMEOUT: {
+    type: 'query_timeout',
+    title: 'Query timed out',
+    statusCode: 504,
+    retryable: false,
+  },
+  CANCELLED: {
+    type: 'cancelled',
+    title: 'Request cancelled by the client',
+    statusCode: 499,
+    retryable: false,
+  },
+  INTERNAL: {
+    type: 'internal',
+    title: 'Internal Server Error',
+    statusCode: 500,
+    retryable: false,
+  },
+};
+
+/**
+ * Network error codes that mean Data Cloud could not be reached.
+ */
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'EPIPE',
+  'EAI_AGAIN',
+  'UND_ERR_SOCKET',
+]);
+
+/**
+ * Error codes and names that mean a call ran out of time.
+ */
+const TIMEOUT_ERROR_CODES = new Set([
+  'ETIMEDOUT',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT',
+  'UND_ERR_BODY_TIMEOUT',
+  'TimeoutError',
+]);
+
+/**
+ * Messages Data Cloud returns for a 400 caused by a table or object that
+ * does not exist, rather than by a syntax error.
+ */
+const UNKNOWN_OBJECT_PATTERN =
+  /\b(unknown|invalid) (table|object|entity)\b|\b(table|object|entity|relation)\b.*\b(does not exist|not found|cannot be resolved)\b/i;
+
+/**
+ * Longest upstream error detail kept on a DataCloudError.
+ */
+const MAX_DETAIL_LENGTH = 500;
+
+/**
+ * Error raised for a failed Data Cloud call.
+ * Carries the status code and type of its error class so the error handler
+ * reports it with the right HTTP status.
+ */
+export class DataCloudError extends AppError {
+  /**
+   * @param {Object} errorType - Entry of ERROR_TYPES
+   * @param {string} message - Error message
+   * @param {Object} options - Optional details
+   * @param {Error} options.cause - Original error
+   * @param {number} options.upstreamStatus - HTTP status returned by Data Cloud
+   * @param {number} options.retryAfterMs - Wait requested by a Retry-After header
+   * @param {string} options.sql - SQL that failed
+   * @param {Object} options.details - Extra problem details (e.g. elapsedMs)
+   */
+  constructor(
+    errorType,
+    message,
+    { cause, upstreamStatus, retryAfterMs, sql, details } = {}
+  ) {
+    super(message, {
+      statusCode: errorType.statusCode,
+      type: errorType.type,
+      title: errorType.title,
+      cause,
+      sql,
+      details,
+    });
+    this.name = 'DataCloudError';
+    this.retryable = errorType.retryable;
+    this.upstreamStatus = upstreamStatus ?? null;
+    this.retryAfterMs = retryAfterMs ?? null;
+  }
+
+  /**
+   * Seconds the caller should wait before retrying, for a Retry-After header.
+   *
+   * @returns {number|null} Whole seconds, or null when no wait was requested
+   */
+  get retryAfterSeconds() {
+    return this.retryAfterMs === null
+      ? null
+      : Math.max(1, Math.ceil(this.retryAfterMs / 1000));
+  }
+
+  /**
+   * Recreates the error of a failed DataCloudQueryService result
+   * ({ success: false, message, errorType, retryAfter, query, metadata }).
+   * The result's metadata (elapsed time and timeout) is kept as problem details.
+   *
+   * @param {Object} result - Failed query result
+   * @returns {DataCloudError} Error with the result's type, message and SQL
+   */
+  static fromResult(result) {
+    const errorType =
+      Object.values(ERROR_TYPES).find(
+        entry => entry.type === result.errorType
+      ) || ERROR_TYPES.INTERNAL;
+    return new DataCloudError(errorType, result.message, {
+      retryAfterMs: result.retryAfter ? result.retryAfter * 1000 : null,
+      sql: result.query,
+      details: result.metadata,
+    });
+  }
+}
+
+/**
+ * Parses a Retry-After header given either as seconds or as an HTTP date.
+ *
+ * @param {string} value - Retry-After header value
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} Milliseconds to wait, or null when absent or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return Number.parseInt(text, 10) * 1000;
+  }
+
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Reads a header from a fetch Response or a plain headers object.
+ */
+function getHeader(headers, name) {
+  if (!headers) {
+    return undefined;
+  }
+  if (typeof headers.get === 'function') {
+    return headers.get(name) ?? undefined;
+  }
+  return headers[name] ?? headers[name.toLowerCase()];
+}
+
+/**
+ * Reads the error message from an unread HTTP error response body.
+ * Data Cloud returns either a list of { errorCode, message } objects or a
+ * single object with a message or error property.
+ *
+ * @param {Object} response - fetch Response attached to an HttpResponseError
+ * @returns {Promise<string|null>} Error detail, or null when unavailable
+ */
+async function readErrorDetail(response) {
+  if (!response || response.bodyUsed || typeof response.text !== 'function') {
+    return null;
+  }
+
+  let text;
+  try {
+    text = await response.text();
+    // eslint-disable-next-line no-unused-vars
+  } catch (err) {
+    return null;
+  }
+  if (!text) {
+    return null;
+  }
+
+  let detail = text;
+  try {
+    const body = JSON.parse(text);
+    const first = Array.isArray(body) ? body[0] : body;
+    detail = first?.message || first?.error || text;
+    // eslint-disable-next-line no-unused-vars
+  } catch (err) {
+    // Not JSON, keep the raw text
+  }
+
+  return String(detail).slice(0, MAX_DETAIL_LENGTH);
+}
+
+/**
+ * Picks the error class for an HTTP status returned by Data Cloud.
+ *
+ * @param {number} status - HTTP status code
+ * @param {string} detail - Error message from the response body
+ * @returns {Object} Entry of ERROR_TYPES
+ */
+function classifyStatus(status, detail) {
+  if (status === 401) {
+    return ERROR_TYPES.UNAUTHORIZED;
+  }
+  if (status === 403) {
+    return ERROR_TYPES.FORBIDDEN;
+  }
+  if (status === 404) {
+    return ERROR_TYPES.UNKNOWN_OBJECT;
+  }
+  if (status === 408 || status === 504) {
+    return ERROR_TYPES.TIMEOUT;
+  }
+  if (status === 429) {
+    return ERROR_TYPES.RATE_LIMITED;
+  }
+  if (status >= 500) {
+    return ERROR_TYPES.UPSTREAM;
+  }
+  return UNKNOWN_OBJECT_PATTERN.test(detail)
+    ? ERROR_TYPES.UNKNOWN_OBJECT
+    : ERROR_TYPES.INVALID_SQL;
+}
+
+/**
+ * Classifies an error thrown by an AppLink SDK, Salesforce or Data Cloud API
+ * call.
+ * HTTP errors are classified by status and response body; network failures
+ * are upstream errors and timeouts are timeout errors. Anything else is an
+ * internal error, which is never retried.
+ *
+ * @param {Error} err - Error thrown by the call
+ * @returns {Promise<DataCloudError>} Classified error
+ */
+export async function classifyError(err) {
+  if (err instanceof DataCloudError) {
+    return err;
+  }
+
+  const response = err?.response;
+  const status = response?.status ?? null;
+
+  if (Number.isInteger(status)) {
+    const detail = (await readErrorDetail(response)) || err.message;
+    return new DataCloudError(classifyStatus(status, detail), detail, {
+      cause: err,
+      upstreamStatus: status,
+      retryAfterMs: parseRetryAfter(getHeader(response.headers, 'retry-after')),
+    });
+  }
+
+  const code = err?.code ?? err?.cause?.code;
+  if (TIMEOUT_ERROR_CODES.has(code) || TIMEOUT_ERROR_CODES.has(err?.name)) {
+    return new DataCloudError(ERROR_TYPES.TIMEOUT, err.message, { cause: err });
+  }
+  if (
+    NETWORK_ERROR_CODES.has(code) ||
+    (err instanceof TypeError && err.message === 'fetch failed')
+  ) {
+    return new DataCloudError(ERROR_TYPES.UPSTREAM, err.message, {
+      cause: err,
+    });
+  }
+
+  return new DataCloudError(ERROR_TYPES.INTERNAL, err?.message || String(err), {
+    cause: err,
+  });
+}
+
+export default classifyError;
@@ -1,3 +1,34 @@
+import {
+  defineGroupedQuery,
+  defineQuery,
+  getColumns,
+  isQueryDefinition,
+} from './sql/field-map.js';
+import {
+  DEFAULT_MAX_PAGE_SIZE,
+  DEFAULT_PAGE_SIZE,
+  decodeCursor,
+  encodeCursor,
+  fingerprintQuery,
+  resolvePageSize,
+} from './pagination.js';
+import { buildCacheKey } from './result-cache.js';
+import RetryPolicy from './retry-policy.js';
+import { DataCloudError, ERROR_TYPES } from './data-cloud-errors.js';
+import { ENTITY_TYPES, normalizeEntity } from './model-metadata.js';
+import { SqlReferenceError } from './schema-registry.js';
+import {
+  DEFAULT_QUERY_TIMEOUT_MS,
+  createQuerySignal,
+  raceAbort,
+  toAbortError,
+} from './query-timeout.js';
+
+/**
+ * Name of the data space used when no data space is requested.
+ */
+export const DEFAULT_DATA_SPACE = 'default';
+
 /**
  * Data Cloud Query Service
  *
@@ -6,20 +37,50 @@
  * It abstracts away the complexity of AppLink connection management and error handling.
  */
 export class DataCloudQueryService {
-  constructor(appLinkSdk, dcConnectionName, logger) {
+  /**
+   * @param {Object} appLinkSdk - AppLink SDK add-ons (request.sdk.addons)
+   * @param {string} dcConnectionName - Data Cloud connection name
+   * @param {Object} logger - Logger with info/error methods
+   * @param {Object} options - Optional service settings
+   * @param {number} options.maxPageSize - Largest page size a caller may request
+   * @param {string} options.dataSpace - Data space that queries and metadata calls are scoped to
+   * @param {ResultCache} options.cache - Optional result cache shared across requests
+   * @param {boolean} options.bypassCache - Skip cached results and store fresh ones
+   * @param {ConnectionManager} options.connectionManager - Optional app-level authorization cache
+   * @param {RetryPolicy} options.retryPolicy - Retry policy for transient Data Cloud errors
+   * @param {number} options.queryTimeoutMs - Default query timeout (0 disables it)
+   * @param {AbortSignal} options.signal - Caller's signal; aborting it cancels running queries
+   * @param {SchemaRegistry} options.schemaRegistry - Optional registry used to check SQL before it is sent
+   */
+  constructor(appLinkSdk, dcConnectionName, logger, options = {}) {
     this.appLinkSdk = appLinkSdk;
     this.dcConnectionName = dcConnectionName;
     this.logger = logger;
+    this.maxPageSize = options.maxPageSize || DEFAULT_MAX_PAGE_SIZE;
+    this.dataSpace = options.dataSpace || DEFAULT_DATA_SPACE;
+    this.cache = options.cache || null;
+    this.bypassCache = Boolean(options.bypassCache);
+    this.connectionManager = options.connectionManager || null;
+    this.retryPolicy = options.retryPolicy || new RetryPolicy();
+    this.queryTimeoutMs = options.queryTimeoutMs ?? DEFAULT_QUERY_TIMEOUT_MS;
+    this.signal = options.signal || null;
+    this.schemaRegistry = options.schemaRegistry || null;
     this._dataCloudContext = null;
   }
 
   /**
    * Gets or creates the Data Cloud connection context.
-   * Caches the connection for reuse within the same request lifecycle.
+   * Uses the app-level connection manager when one is configured; otherwise
+   * caches the connection for reuse within the same request lifecycle.
    *
    * @returns {Promise<Object>} Data Cloud context with authenticated API client
    */
   async getDataCloudContext() {
+    if (this.connectionManager) {
+      return await this.connectionManager.getAuthorization(
+        this.dcConnectionName
+      );
+    }
     if (!this._dataCloudContext) {
       this.logger.info(
         `Getting Data Cloud connection for '${this.dcConnectionName}'...`
@@ -31,22 +92,373 @@ export class DataCloudQueryService {
     return this._dataCloudContext;
   }
 
+  /**
+   * Runs an operation with the Data Cloud connection context. With a
+   * connection manager, an operation rejected with a 401 is retried once with
+   * a refreshed authorization.
+   *
+   * @param {Function} operation - Async function receiving the Data Cloud context
+   * @returns {Promise<*>} Result of the operation
+   */
+  async withDataCloudContext(operation) {
+    if (this.connectionManager) {
+      return await this.connectionManager.withAuthorization(
+        this.dcConnectionName,
+        operation
+      );
+    }
+    return await operation(await this.getDataCloudContext());
+  }
+
+  /**
+   * Calls Data Cloud with the connection context, retrying transient
+   * failures according to the retry policy.
+   *
+   * @param {string} description - Name of the call used in log messages
+   * @param {Function} operation - Async function receiving the Data Cloud context
+   * @param {AbortSignal} signal - Optional signal; no retry is made once it aborts
+   * @returns {Promise<*>} Result of the operation
+   * @throws {DataCloudError} Classified error when the call ultimately fails
+   */
+  async callDataCloud(description, operation, signal = null) {
+    return await this.retryPolicy.execute(
+      () => this.withDataCloudContext(operation),
+      description,
+      signal
+    );
+  }
+
+  /**
+   * Runs SQL against the Data Cloud query API in the service's data space.
+   * The SDK's dataCloudApi.query always targets the default data space, so
+   * other data spaces are queried through the authorized request client with
+   * the dataspace parameter.
+   *
+   * The SDK's query method cannot be passed a signal, so an aborted default
+   * data space query stops being waited on rather than being cancelled.
+   *
+   * @param {string} sql - SQL query string
+   * @param {AbortSignal} signal - Optional signal that aborts the query
+   * @returns {Promise<Object>} Raw query API response (data, metadata, ...)
+   * @throws {DataCloudError} Classified error when the query fails
+   */
+  async runQuery(sql, signal = null) {
+    return await this.callDataCloud(
+      'Data Cloud query',
+      async dataCloudContext => {
+        if (this.dataSpace === DEFAULT_DATA_SPACE) {
+          return await raceAbort(
+            dataCloudContext.dataCloudApi.query(sql),
+            signal
+          );
+        }
+
+        const queryString = DataCloudQueryService.buildQueryParams({
+          dataspace: this.dataSpace,
+        });
+        return await dataCloudContext.request(
+          `${dataCloudContext.domainUrl}/api/v2/query?${queryString}`,
+          {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ sql }),
+            signal: signal ?? undefined,
+          }
+        );
+      },
+      signal
+    );
+  }
+
+  /**
+   * Runs SQL through the result cache when one is configured.
+   * Results are keyed on connection, data space and SQL, so they are only
+   * shared between identical queries.
+   *
+   * A cached load may be shared with other requests, so it only runs under
+   * its own timeout; the caller's signal stops this caller waiting for it
+   * without cancelling it for the others.
+   *
+   * @param {string} sql - SQL query string
+   * @param {Object} options - Query options
+   * @param {number} options.ttlSeconds - Optional per-query TTL (defaults to the cache's TTL)
+   * @param {number} options.timeoutMs - Query timeout
+   * @param {AbortSignal} options.signal - Caller's query signal
+   * @returns {Promise<Object>} { response, cacheStatus } where cacheStatus is
+   *   hit, miss, stale or bypass (see ResultCache.getOrLoad), and bypass when
+   *   no cache is configured
+   */
+  async runCachedQuery(sql, { ttlSeconds, timeoutMs, signal = null } = {}) {
+    if (!this.cache) {
+      return {
+        response: await this.runQuery(sql, signal),
+        cacheStatus: 'bypass',
+      };
+    }
+
+    const key = buildCacheKey({
+      connectionName: this.dcConnectionName,
+      dataSpace: this.dataSpace,
+      sql,
+    });
+    const loader = async () => {
+      const load = createQuerySignal(timeoutMs);
+      try {
+        return await this.runQuery(sql, load.signal);
+      } finally {
+        load.clear();
+      }
+    };
+    const { value, status } = await raceAbort(
+      this.cache.getOrLoad(key, loader, {
+        ttlSeconds,
+        bypass: this.bypassCache,
+      }),
+      signal
+    );
+    return { response: value, cacheStatus: status };
+  }
+
+  /**
+   * Runs an operation under a query signal that aborts after the timeout or
+   * when the caller's signal aborts. An aborted operation fails with a
+   * query_timeout or cancelled error carrying the elapsed time.
+   *
+   * @param {number} timeoutMs - Query timeout (0 disables it)
+   * @param {Function} operation - Async function receiving the query signal
+   * @returns {Promise<*>} Result of the operation
+   * @throws {DataCloudError} Timeout or cancellation error when aborted
+   */
+  async withQueryTimeout(timeoutMs, operation) {
+    const startedAt = Date.now();
+    const query = createQuerySignal(timeoutMs, this.signal);
+    try {
+      return await operation(query.signal);
+    } catch (err) {
+      if (query.signal.aborted) {
+        throw toAbortError(query.signal, {
+          elapsedMs: Date.now() - startedAt,
+          timeoutMs,
+        });
+      }
+      throw err;
+    } finally {
+      query.clear();
+    }
+  }
+
+  /**
+   * Retrieves entity metadata from the Data Cloud metadata API in the
+   * service's data space.
+   *
+   * @param {Object} params - Metadata API filters
+   * @param {string} params.entityType - Entity type (e.g. DataModelObject)
+   * @param {string} params.entityCategory - Optional entity category
+   * @param {string} params.entityName - Optional entity name
+   * @returns {Promise<Array>} Metadata entries returned by the API
+   * @throws {DataCloudError} Classified error when the metadata call fails
+   */
+  async getMetadata({ entityType, entityCategory, entityName } = {}) {
+    const queryString = DataCloudQueryService.buildQueryParams({
+      entityType,
+      entityCategory,
+      entityName,
+      dataspace:
+        this.dataSpace === DEFAULT_DATA_SPACE ? undefined : this.dataSpace,
+    });
+
+    this.logger.info(
+      `Retrieving Data Cloud metadata in data space '${this.dataSpace}': ${queryString}`
+    );
+    const metadataResponse = await this.withQueryTimeout(
+      this.queryTimeoutMs,
+      signal =>
+        this.callDataCloud(
+          'Data Cloud metadata request',
+          async dataCloudContext =>
+            await dataCloudContext.request(
+              `${dataCloudContext.domainUrl}/api/v1/metadata?${queryString}`,
+              {
+                method: 'GET',
+                headers: {
+                  'Content-Type': 'application/json',
+                  Authorization: `Bearer ${dataCloudContext.accessToken}`,
+                },
+                signal,
+              }
+            ),
+          signal
+        )
+    );
+
+    return metadataResponse.metadata || [];
+  }
+
+  /**
+   * Lists the entities of one metadata entity type, normalized for that type
+   * (see lib/model-metadata.js).
+   *
+   * @param {string} entityType - Metadata entity type (a key of ENTITY_TYPES)
+   * @param {Object} params - Optional metadata API filters
+   * @param {string} params.entityCategory - Entity category
+   * @param {string} params.entityName - Entity name
+   * @returns {Promise<Array>} Normalized entities
+   * @throws {DataCloudError} Classified error when the metadata call fails
+   */
+  async listEntities(entityType, { entityCategory, entityName } = {}) {
+    const entities = await this.getMetadata({
+      entityType,
+      entityCategory,
+      entityName,
+    });
+    return entities.map(entity => normalizeEntity(entity, entityType));
+  }
+
+  /**
+   * Retrieves one entity from the metadata API, normalized for its type.
+   *
+   * @param {string} entityType - Metadata entity type (a key of ENTITY_TYPES)
+   * @param {string} name - API name of the entity (e.g. ssot__Individual__dlm)
+   * @returns {Promise<Object>} Normalized entity
+   * @throws {DataCloudError} unknown_object error when the data space has no such entity
+   */
+  async getEntity(entityType, name) {
+    const entities = await this.getMetadata({ entityType, entityName: name });
+    const entity = entities.find(
+      candidate => candidate.name?.toLowerCase() === name.toLowerCase()
+    );
+
+    if (!entity) {
+      throw new DataCloudError(
+        ERROR_TYPES.UNKNOWN_OBJECT,
+        `${ENTITY_TYPES[entityType].label} '${name}' was not found in data space '${this.dataSpace}'`
+      );
+    }
+    return normalizeEntity(entity, entityType);
+  }
+
+  /**
+   * Retrieves one Data Model Object from the metadata API and normalizes it.
+   *
+   * @param {string} name - API name of the DMO (e.g. ssot__Individual__dlm)
+   * @returns {Promise<Object>} Normalized DMO with fields, primary key and relationships
+   * @throws {DataCloudError} unknown_object error when the data space has no such DMO
+   */
+  async getModel(name) {
+    return await this.getEntity('DataModelObject', name);
+  }
+
+  /**
+   * Checks the tables and columns referenced by SQL against the data space's
+   * metadata before the SQL is sent (see lib/schema-registry.js). When the
+   * metadata cannot be loaded, the SQL is sent unchecked.
+   *
+   * @param {string} sql - SQL statement
+   * @throws {SqlReferenceError} When the SQL refers to unknown tables or columns
+   */
+  async validateSql(sql) {
+    if (!this.schemaRegistry) {
+      return;
+    }
+
+    try {
+      await this.schemaRegistry.validateSql(this, sql);
+    } catch (err) {
+      if (err instanceof SqlReferenceError) {
+        throw err;
+      }
+      this.logger.info(`Skipping SQL validation: ${err.message}`);
+    }
+  }
+
+  /**
+   * Resolves a query object into one with sql/buildQuery and transform.
+   * Field map definitions ({ table, fields }) are accepted directly and have
+   * their SELECT clause and transform generated.
+   *
+   * @param {Object} queryObject - Query object or field map definition
+   * @returns {Object} Query object with sql/buildQuery and transform
+   */
+  static resolveQueryObject(queryObject) {
+    if (
+      isQueryDefinition(queryObject) &&
+      typeof queryObject.transform !== 'function'
+    ) {
+      return defineQuery(queryObject);
+    }
+    return queryObject;
+  }
+
+  /**
+   * Resolves the page to fetch for a query object.
+   * Only field map query objects with a buildQuery method can be paged; other
+   * query objects run as-is and are reported as a single page.
+   *
+   * @param {Object} queryObject - Resolved query object
+   * @param {Object} filters - Filters the cursor must have been issued for
+   * @param {Object} pageOptions - Requested page
+   * @param {number} pageOptions.limit - Requested page size, capped at maxPageSize
+   * @param {string} pageOptions.cursor - nextCursor returned by the previous page
+   * @returns {Object|null} Page { limit, offset, fingerprint }, or null when not pageable
+   * @throws {InvalidCursorError} When the cursor is malformed or for another query
+   */
+  resolvePage(queryObject, filters, { limit, cursor } = {}) {
+    if (
+      !isQueryDefinition(queryObject) ||
+      typeof queryObject.buildQuery !== 'function'
+    ) {
+      return null;
+    }
+
+    const fingerprint = fingerprintQuery(
+      `${this.dataSpace}:${queryObject.baseSql}`,
+      filters
+    );
+    return {
+      limit: resolvePageSize(
+        limit,
+        queryObject.limit || DEFAULT_PAGE_SIZE,
+        this.maxPageSize
+      ),
+      offset: cursor ? decodeCursor(cursor, fingerprint) : 0,
+      fingerprint,
+    };
+  }
+
   /**
    * Executes a query object against Data Cloud.
-   * Handles connection management, query execution, response transformation, and error handling.
+   * Handles connection management, query execution, pagination, response transformation,
+   * and error handling. An invalid cursor or a query referring to unknown tables or
+   * columns is thrown rather than returned as a failure; failed Data Cloud calls are
+   * returned with their error type and HTTP status.
    *
-   * @param {Object} queryObject - Query object with sql/buildQuery method and transform method
+   * The query is aborted after the query object's timeoutMs (or the service's
+   * default timeout), or when the caller's signal aborts.
+   *
+   * @param {Object} queryObject - Query object with sql/buildQuery method and transform method,
+   *   or a field map definition with table and fields
    * @param {Object} filters - Optional filters for dynamic queries
-   * @returns {Promise<Object>} Standardized response with records and metadata
+   * @param {Object} pageOptions - Optional page size (limit) and cursor
+   * @returns {Promise<Object>} Standardized response with records and metadata,
+   *   including hasMore, nextCursor and elapsedMs
    */
-  async executeQuery(queryObject, filters = {}) {
-    try {
-      const dataCloudContext = await this.getDataCloudContext();
+  async executeQuery(queryObject, filters = {}, pageOptions = {}) {
+    queryObject = DataCloudQueryService.resolveQueryObject(queryObject);
+    const page = this.resolvePage(queryObject, filters, pageOptions);
+    const timeoutMs = queryObject.timeoutMs ?? this.queryTimeoutMs;
+    const startedAt = Date.now();
 
-      // Build the SQL query - handle both static sql and dynamic buildQuery
+    try {
+      // Build the SQL query - handle both static sql and dynamic buildQuery.
+      // One extra row is fetched to find out whether another page follows.
       let query;
       if (typeof queryObject.buildQuery === 'function') {
-        query = queryObject.buildQuery(filters);
+        query = page
+          ? queryObject.buildQuery(filters, {
+              limit: page.limit + 1,
+              offset: page.offset,
+            })
+          : queryObject.buildQuery(filters);
       } else if (queryObject.sql) {
         query = queryObject.sql;
       } else {
@@ -55,11 +467,30 @@ export class DataCloudQueryService {
         );
       }
 
-      this.logger.info(`Executing Data Cloud query: ${query}`);
-      const response = await dataCloudContext.dataCloudApi.query(query);
+      await this.validateSql(query);
+
+      this.logger.info(
+        `Executing Data Cloud query in data space '${this.dataSpace}': ${query}`
+      );
+      const { response, cacheStatus } = await this.withQueryTimeout(
+        timeoutMs,
+        signal =>
+          this.runCachedQuery(query, {
+            ttlSeconds: queryObject.cacheTtlSeconds,
+            timeoutMs,
+            signal,
+          })
+      );
+
+      let rows = response.data || [];
+      const hasMore = Boolean(page) && rows.length > page.limit;
+      if (hasMore) {
+        rows = rows.slice(0, page.limit);
+      }
 
-      // Transform the response using the query object's transform method
-      const transformedRecords = queryObject.transform(response.data || []);
+      // Transform the response using the query object's transform method,
+      // passing column metadata so field maps can match values by column name
+      const transformedRecords = queryObject.transform(rows, response.metadata);
 
       return {
         success: true,
@@ -68,10 +499,21 @@ export class DataCloudQueryService {
           totalRecords: transformedRecords.length,
           query: query,
           filters: filters,
+          dataSpace: this.dataSpace,
+          limit: page ? page.limit : null,
+          hasMore,
+          nextCursor: hasMore
+            ? encodeCursor(page.offset + page.limit, page.fingerprint)
+            : null,
+          cache: cacheStatus,
+          elapsedMs: Date.now() - startedAt,
           executedAt: new Date().toISOString(),
         },
       };
     } catch (err) {
+      if (err instanceof SqlReferenceError) {
+        throw err;
+      }
       this.logger.error(`Error executing Data Cloud query: ${err.message}`);
 
       // Build fallback query for error response
@@ -91,30 +533,88 @@ export class DataCloudQueryService {
         success: false,
         error: 'Failed to execute Data Cloud query',
         message: err.message,
+        ...DataCloudQueryService.describeError(err),
         query: fallbackQuery,
         filters: filters,
+        metadata: { elapsedMs: Date.now() - startedAt, timeoutMs },
       };
     }
   }
 
+  /**
+   * Counts the records of a query object per value of one of its groupable
+   * fields, with the same filters as executeQuery applied. Groups are
+   * returned largest first as { [groupBy]: value, count } records.
+   *
+   * @param {Object} queryObject - Query object or field map definition
+   * @param {string} groupBy - Output property of a groupable field
+   * @param {Object} filters - Optional filters, applied through the query
+   *   object's buildFilter method when it has one, else as filters.filter
+   * @param {Object} options - Optional settings
+   * @param {number} options.limit - Largest number of groups to return,
+   *   capped at maxPageSize
+   * @returns {Promise<Object>} Standardized response with records and metadata
+   * @throws {Error} When the field is not groupable
+   */
+  async executeGroupedQuery(
+    queryObject,
+    groupBy,
+    filters = {},
+    { limit } = {}
+  ) {
+    queryObject = DataCloudQueryService.resolveQueryObject(queryObject);
+    const filterNode =
+      typeof queryObject.buildFilter === 'function'
+        ? queryObject.buildFilter(filters)
+        : filters.filter;
+    const groupedQuery = defineGroupedQuery(
+      queryObject,
+      groupBy,
+      filterNode,
+      resolvePageSize(
+        limit,
+        queryObject.limit || DEFAULT_PAGE_SIZE,
+        this.maxPageSize
+      )
+    );
+
+    const result = await this.executeQuery(groupedQuery, filters);
+    if (result.success) {
+      result.metadata.groupBy = groupBy;
+    }
+    return result;
+  }
+
   /**
    * Executes a raw SQL query against Data Cloud.
    * For cases where you need direct SQL execution without a query object.
    *
    * @param {string} sql - Raw SQL query string
-   * @param {Function} transformFn - Optional transformation function for results
-   * @returns {Promise<Object>} Standardized response with records and metadata
+   * @param {Function} transformFn - Optional transformation function for
+   *   results, called with the records and the response's column metadata
+   * @param {Object} options - Optional query settings
+   * @param {number} options.timeoutMs - Query timeout (defaults to the service's timeout)
+   * @returns {Promise<Object>} Standardized response with records and
+   *   metadata, including the result columns ({ name, type } in result order)
+   * @throws {SqlReferenceError} When the SQL refers to unknown tables or columns
    */
-  async executeRawQuery(sql, transformFn = null) {
-    try {
-      const dataCloudContext = await this.getDataCloudContext();
+  async executeRawQuery(sql, transformFn = null, { timeoutMs } = {}) {
+    timeoutMs = timeoutMs ?? this.queryTimeoutMs;
+    await this.validateSql(sql);
+    const startedAt = Date.now();
 
-      this.logger.info(`Executing raw Data Cloud query: ${sql}`);
-      const response = await dataCloudContext.dataCloudApi.query(sql);
+    try {
+      this.logger.info(
+        `Executing raw Data Cloud query in data space '${this.dataSpace}': ${sql}`
+      );
+      const { response, cacheStatus } = await this.withQueryTimeout(
+        timeoutMs,
+        signal => this.runCachedQuery(sql, { timeoutMs, signal })
+      );
 
       // Apply transformation if provided, otherwise return raw data
       const records = transformFn
-        ? transformFn(response.data || [])
+        ? transformFn(response.data || [], response.metadata)
         : response.data || [];
 
       return {
@@ -122,7 +622,11 @@ export class DataCloudQueryService {
         records: records,
         metadata: {
           totalRecords: records.length,
+          columns: getColumns(response.metadata),
           query: sql,
+          dataSpace: this.dataSpace,
+          cache: cacheStatus,
+          elapsedMs: Date.now() - startedAt,
           executedAt: new Date().toISOString(),
         },
       };
@@ -133,11 +637,28 @@ export class DataCloudQueryService {
         success: false,
         error: 'Failed to execute raw Data Cloud query',
         message: err.message,
+        ...DataCloudQueryService.describeError(err),
         query: sql,
+        metadata: { elapsedMs: Date.now() - startedAt, timeoutMs },
       };
     }
   }
 
+  /**
+   * Describes a failed call for a success: false result: the error class,
+   * the HTTP status to report and, for rate limits, the Retry-After wait.
+   *
+   * @param {Error} err - Error thrown while executing the query
+   * @returns {Object} { errorType, statusCode, retryAfter }
+   */
+  static describeError(err) {
+    return {
+      errorType: err.type || 'internal',
+      statusCode: err.statusCode || 500,
+      retryAfter: err.retryAfterSeconds ?? null,
+    };
+  }
+
   /**
    * Cleans filter object by removing null, undefined, and empty string values.
    * This ensures only meaningful filter conditions are passed to queries.
@@ -164,11 +685,49 @@ export class DataCloudQueryService {
    *
    * @param {Object} queryObject - Query object with sql/buildQuery method and transform method
    * @param {Object} rawFilters - Raw filter object that may contain null/undefined values
+   * @param {Object} pageOptions - Optional page size (limit) and cursor
    * @returns {Promise<Object>} Standardized response with records and metadata
    */
-  async executeQueryWithFilters(queryObject, rawFilters = {}) {
+  async executeQueryWithFilters(
+    queryObject,
+    rawFilters = {},
+    pageOptions = {}
+  ) {
     const cleanedFilters = this.cleanFilters(rawFilters);
-    return await this.executeQuery(queryObject, cleanedFilters);
+    return await this.executeQuery(queryObject, cleanedFilters, pageOptions);
+  }
+
+  /**
+   * Streams every record of a query, one page at a time.
+   * Pages are fetched with the same cursors as executeQuery, starting at the
+   * given cursor, and the next page is only fetched once the previous one has
+   * been consumed. Streamed pages are not cached, so exporting a large result
+   * does not fill the result cache.
+   *
+   * @param {Object} queryObject - Query object or field map definition
+   * @param {Object} filters - Optional filters for dynamic queries
+   * @param {Object} pageOptions - Optional page size (limit) and starting cursor
+   * @returns {AsyncGenerator<Array>} Transformed records of each page
+   * @throws {DataCloudError} Classified error when a page fails
+   */
+  async *streamQuery(queryObject, filters = {}, { limit, cursor } = {}) {
+    const streamedQuery = {
+      ...DataCloudQueryService.resolveQueryObject(queryObject),
+      cacheTtlSeconds: 0,
+    };
+
+    do {
+      const result = await this.executeQuery(streamedQuery, filters, {
+        limit: limit ?? this.maxPageSize,
+        cursor,
+      });
+      if (!result.success) {
+        throw DataCloudError.fromResult(result);
+      }
+
+      yield result.records;
+      cursor = result.metadata.nextCursor;
+    } while (cursor);
   }
 
   /**
@@ -192,19 +751,48 @@ export class DataCloudQueryService {
     return queryParams.join('&');
   }
 
+  /**
+   * Checks whether the caller asked to skip cached results, either with
+   * `Cache-Control: no-cache` or `X-Cache-Bypass: true`.
+   *
+   * @param {Object} request - Fastify request object
+   * @returns {boolean} True when cached results must not be served
+   */
+  static isCacheBypassed(request) {
+    const cacheControl = request.headers['cache-control'] || '';
+    return (
+      /\bno-cache\b/i.test(cacheControl) ||
+      String(request.headers['x-cache-bypass']).toLowerCase() === 'true'
+    );
+  }
+
   /**
    * Factory method to create a DataCloudQueryService instance from a Fastify request.
-   * Extracts the necessary dependencies from the request context.
+   * Extracts the necessary dependencies from the request context, including the
+   * app-level connection manager, result cache and retry policy, the
+   * configured query timeout, the request's abort signal and the caller's
+   * cache bypass header.
    *
    * @param {Object} request - Fastify request object
    * @param {string} dcConnectionName - Data Cloud connection name from config
+   * @param {Object} options - Optional service settings (see constructor)
    * @returns {DataCloudQueryService} Configured service instance
    */
-  static fromRequest(request, dcConnectionName) {
+  static fromRequest(request, dcConnectionName, options = {}) {
     return new DataCloudQueryService(
       request.sdk.addons,
       dcConnectionName,
-      request.sdk.logger
+      request.sdk.logger,
+      {
+        connectionManager: request.server.connectionManager,
+        cache: request.server.resultCache,
+        retryPolicy: request.server.retryPolicy,
+        queryTimeoutMs: request.server.envConfig?.queryTimeoutMs,
+        signal: request.abortSignal,
+        schemaRegistry: request.server.schemaRegistry,
+        bypassCache: DataCloudQueryService.isCacheBypassed(request),
+        ...options,
+      }
     );
   }
 }
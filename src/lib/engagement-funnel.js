@@ -0,0 +1,289 @@
+/**
+ * Engagement Funnel Analysis
+ *
+ * Counts how many client sessions go through an ordered list of event names
+ * (the funnel steps), from the events of UserEngagement__dlm read in session
+ * order. A session reaches a step when it has that step's event after the
+ * event of the previous step and, with a maximum step gap, no later than the
+ * gap after it. Each event of the first step starts an attempt in which the
+ * following steps are matched to their earliest events; the attempt reaching
+ * the most steps (then the fastest one) counts for the session.
+ */
+import { buildWhereClause, filter } from './sql/filter-builder.js';
+import { engagementFunnelEventQuery } from './sql/queries.js';
+
+/**
+ * Smallest number of funnel steps.
+ */
+export const MIN_FUNNEL_STEPS = 2;
+
+/**
+ * Largest number of funnel steps.
+ */
+export const MAX_FUNNEL_STEPS = 10;
+
+/**
+ * Largest number of events read for one funnel. Sessions beyond it are not
+ * counted and the result is reported as truncated.
+ */
+export const MAX_FUNNEL_EVENTS = 100000;
+
+/**
+ * Builds the filter tree selecting the events of a funnel: the events of its
+ * steps, of sessions that have a client session, within the time window.
+ *
+ * @param {Object} options - Funnel settings
+ * @param {string[]} options.steps - Event names of the steps, in order
+ * @param {string} options.createdFrom - Only events created at or after this date-time
+ * @param {string} options.createdTo - Only events created before this date-time
+ * @returns {Object} Filter tree over engagementFunnelEventQuery's fields
+ */
+export function buildFunnelFilter({ steps, createdFrom, createdTo }) {
+  return filter.and(
+    filter.in('eventName', [...new Set(steps)]),
+    filter.isNotNull('clientSession'),
+    createdFrom && filter.gte('createdDate', createdFrom),
+    createdTo && filter.lt('createdDate', createdTo)
+  );
+}
+
+/**
+ * Matches the events of one session to the funnel steps.
+ *
+ * @param {Array} events - Events of the session { eventName, createdDate },
+ *   in creation order
+ * @param {string[]} steps - Event names of the steps, in order
+ * @param {number|null} maxStepGapMs - Longest time allowed between two steps
+ * @returns {Array} Times (ms since epoch) the session reached each step it
+ *   reached, in step order; empty when it never reached the first step
+ */
+export function matchSession(events, steps, maxStepGapMs = null) {
+  const times = events.map(event => Date.parse(event.createdDate));
+
+  // next[step][i] is the index of the first event of the step at or after i
+  const next = steps.map(eventName => {
+    const indexes = new Array(events.length + 1).fill(-1);
+    for (let i = events.length - 1; i >= 0; i--) {
+      indexes[i] =
+        events[i].eventName === eventName && !Number.isNaN(times[i])
+          ? i
+          : indexes[i + 1];
+    }
+    return indexes;
+  });
+
+  let best = [];
+  for (let start = 0; start < events.length; start++) {
+    if (next[0][start] !== start) {
+      continue;
+    }
+
+    const reached = [times[start]];
+    let index = start;
+    for (let step = 1; step < steps.length; step++) {
+      const candidate = next[step][index + 1];
+      if (
+        candidate === -1 ||
+        (maxStepGapMs !== null &&
+          times[candidate] - reached[reached.length - 1] > maxStepGapMs)
+      ) {
+        break;
+      }
+      reached.push(times[candidate]);
+      index = candidate;
+    }
+
+    const duration = reached[reached.length - 1] - reached[0];
+    const bestDuration = best[best.length - 1] - best[0];
+    if (
+      reached.length > best.length ||
+      (reached.length === best.length && duration < bestDuration)
+    ) {
+      best = reached;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Returns the median of a list of numbers.
+ *
+ * @param {number[]} values - Numbers
+ * @returns {number|null} Median, or null for an empty list
+ */
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Returns a share as a percentage rounded to two decimals.
+ *
+ * @param {number} part - Part
+ * @param {number} total - Total
+ * @returns {number|null} Percentage, or null when the total is zero
+ */
+function percentage(part, total) {
+  return total > 0 ? Number(((part / total) * 100).toFixed(2)) : null;
+}
+
+/**
+ * Counts sessions through the funnel steps. Events are added in session
+ * order, and the events of a session are matched once the next session
+ * starts (or the analysis finishes).
+ */
+export class FunnelAnalysis {
+  /**
+   * @param {string[]} steps - Event names of the steps, in order
+   * @param {Object} options - Funnel settings
+   * @param {number} options.maxStepGapSeconds - Longest time allowed between
+   *   two steps (no limit by default)
+   */
+  constructor(steps, { maxStepGapSeconds = null } = {}) {
+    this.steps = steps;
+    this.maxStepGapMs =
+      maxStepGapSeconds === null || maxStepGapSeconds === undefined
+        ? null
+        : maxStepGapSeconds * 1000;
+    this.sessionCount = 0;
+    this.stepSessions = steps.map(() => 0);
+    this.stepGaps = steps.map(() => []);
+    this.session = null;
+    this.events = [];
+  }
+
+  /**
+   * Adds the next event, in session order.
+   *
+   * @param {Object} event - Event { clientSession, eventName, createdDate }
+   */
+  add(event) {
+    if (event.clientSession !== this.session) {
+      this.flush();
+      this.session = event.clientSession;
+    }
+    this.events.push(event);
+  }
+
+  /**
+   * Matches the events of the current session and counts it.
+   */
+  flush() {
+    if (this.events.length === 0) {
+      return;
+    }
+
+    const reached = matchSession(this.events, this.steps, this.maxStepGapMs);
+    this.sessionCount++;
+    reached.forEach((time, step) => {
+      this.stepSessions[step]++;
+      if (step > 0) {
+        this.stepGaps[step].push((time - reached[step - 1]) / 1000);
+      }
+    });
+    this.events = [];
+  }
+
+  /**
+   * Matches the last session and reports the funnel.
+   *
+   * @param {Object} options - Finish settings
+   * @param {boolean} options.complete - Whether every event was added; when
+   *   not, the last session, whose events may be cut off, is left out
+   * @returns {Object} { sessionCount, steps } where sessionCount is the number
+   *   of sessions with an event of any step, and steps are { step, eventName,
+   *   sessions, conversionRate, overallConversionRate, dropOffRate,
+   *   medianSecondsFromPrevious }. Rates are percentages of the sessions of
+   *   the previous step (overall: of the first step), or null when there are
+   *   no sessions to compare with; the first step has no conversion and
+   *   drop-off rates.
+   */
+  finish({ complete = true } = {}) {
+    if (complete) {
+      this.flush();
+    }
+    this.events = [];
+    const [firstSessions] = this.stepSessions;
+
+    return {
+      sessionCount: this.sessionCount,
+      steps: this.steps.map((eventName, index) => {
+        const sessions = this.stepSessions[index];
+        const previous = index > 0 ? this.stepSessions[index - 1] : null;
+        const conversionRate =
+          previous === null ? null : percentage(sessions, previous);
+
+        return {
+          step: index + 1,
+          eventName,
+          sessions,
+          conversionRate,
+          overallConversionRate: percentage(sessions, firstSessions),
+          dropOffRate:
+            conversionRate === null
+              ? null
+              : Number((100 - conversionRate).toFixed(2)),
+          medianSecondsFromPrevious: median(this.stepGaps[index]),
+        };
+      }),
+    };
+  }
+}
+
+/**
+ * Analyzes how many client sessions go through an ordered list of engagement
+ * events. The events of the steps are streamed in session order, and at most
+ * MAX_FUNNEL_EVENTS events are read.
+ *
+ * @param {DataCloudQueryService} queryService - Service the events are streamed from
+ * @param {Object} options - Funnel settings
+ * @param {string[]} options.steps - Event names of the steps, in order
+ * @param {string} options.createdFrom - Only events created at or after this date-time
+ * @param {string} options.createdTo - Only events created before this date-time
+ * @param {number} options.maxStepGapSeconds - Longest time allowed between two steps
+ * @returns {Promise<Object>} { sessionCount, steps, eventCount, truncated }
+ *   where truncated is set when the events were cut off at
+ *   MAX_FUNNEL_EVENTS
+ * @throws {FilterValidationError} When the time window is invalid
+ * @throws {DataCloudError} Classified error when a page fails
+ */
+export async function analyzeEngagementFunnel(
+  queryService,
+  { steps, createdFrom, createdTo, maxStepGapSeconds }
+) {
+  const filterNode = buildFunnelFilter({ steps, createdFrom, createdTo });
+  // Invalid time windows are rejected before any query is attempted
+  buildWhereClause(filterNode, engagementFunnelEventQuery.filterFields);
+
+  const analysis = new FunnelAnalysis(steps, { maxStepGapSeconds });
+  let eventCount = 0;
+  let truncated = false;
+
+  for await (const events of queryService.streamQuery(
+    engagementFunnelEventQuery,
+    {
+      filter: filterNode,
+    }
+  )) {
+    const remaining = MAX_FUNNEL_EVENTS - eventCount;
+    events.slice(0, remaining).forEach(event => analysis.add(event));
+    eventCount += Math.min(events.length, remaining);
+    if (events.length > remaining) {
+      truncated = true;
+      break;
+    }
+  }
+
+  return {
+    ...analysis.finish({ complete: !truncated }),
+    eventCount,
+    truncated,
+  };
+}
@@ -0,0 +1,102 @@
+/**
+ * Application Errors
+ *
+ * Base error class for errors the API reports to callers, and the conversion
+ * of errors into RFC 7807 problem details (application/problem+json). Every
+ * error carries the HTTP status it is reported with and a short error type
+ * that identifies the problem independently of its message.
+ */
+import { STATUS_CODES } from 'node:http';
+
+/**
+ * Content type of error responses.
+ */
+export const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/**
+ * Prefix of the problem type URI; the error type is appended to it.
+ */
+export const PROBLEM_TYPE_PREFIX = 'urn:data-cloud-inspector:problem:';
+
+/**
+ * Error reported to callers with a specific HTTP status and error type.
+ */
+export class AppError extends Error {
+  /**
+   * @param {string} message - Error message, reported as the problem detail
+   * @param {Object} options - Error details
+   * @param {number} options.statusCode - HTTP status the error is reported with
+   * @param {string} options.type - Short error type (e.g. invalid_filter)
+   * @param {string} options.title - Summary of the error type
+   * @param {Error} options.cause - Original error
+   * @param {string} options.sql - SQL that failed, only reported in debug mode
+   * @param {Object} options.details - Extra members added to the problem details
+   */
+  constructor(
+    message,
+    { statusCode = 500, type = 'internal', title, cause, sql, details } = {}
+  ) {
+    super(message, { cause });
+    this.name = 'AppError';
+    this.statusCode = statusCode;
+    this.type = type;
+    this.title = title || STATUS_CODES[statusCode] || 'Error';
+    this.sql = sql ?? null;
+    this.details = details ?? null;
+  }
+}
+
+/**
+ * Converts an error into an RFC 7807 problem details object.
+ *
+ * Errors that are not AppErrors (Fastify errors, for example) are reported
+ * with their own status code when they have one, and as internal errors
+ * otherwise. SQL attached to an error is only included in debug mode, so
+ * generated queries are never shown to agent users by default.
+ *
+ * @param {Error} err - Error to report
+ * @param {Object} options - Request details
+ * @param {string} options.instance - Request path the error occurred on
+ * @param {string} options.correlationId - Request id used to correlate logs
+ * @param {boolean} options.debug - Include SQL in the problem details
+ * @returns {Object} Problem details
+ */
+export function toProblemDetails(
+  err,
+  { instance, correlationId, debug = false } = {}
+) {
+  const status =
+    Number.isInteger(err.statusCode) && err.statusCode >= 400
+      ? err.statusCode
+      : 500;
+
+  let type = err.type;
+  let title = err.title;
+  if (!(err instanceof AppError)) {
+    type = err.validation
+      ? 'invalid_request'
+      : status >= 500
+        ? 'internal'
+        : 'request_error';
+    title = STATUS_CODES[status] || 'Error';
+  }
+
+  const problem = {
+    type: `${PROBLEM_TYPE_PREFIX}${type}`,
+    title,
+    status,
+    detail: err.message,
+    instance,
+    correlationId,
+    errorType: type,
+    ...(err instanceof AppError ? err.details : null),
+  };
+
+  if (debug && err.sql) {
+    problem.sql = err.sql;
+  }
+
+  return problem;
+}
+
+export default AppError;
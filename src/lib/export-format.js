@@ -0,0 +1,179 @@
+/**
+ * Streaming Export Formats
+ *
+ * Serializes query results as newline-delimited JSON or CSV and streams them
+ * page by page, so large result sets are never held in memory at once and
+ * the first rows are sent while later pages are still being fetched.
+ */
+import { Readable } from 'node:stream';
+
+/**
+ * Content types of the streaming formats, keyed by format name.
+ */
+export const EXPORT_FORMATS = {
+  ndjson: 'application/x-ndjson',
+  csv: 'text/csv',
+};
+
+/**
+ * Picks the response format from the format query parameter or, when it is
+ * not given, from the Accept header. Anything else is answered as JSON.
+ *
+ * @param {string} format - Value of the format query parameter
+ * @param {string} accept - Value of the Accept header
+ * @returns {string} json, ndjson or csv
+ */
+export function resolveExportFormat(format, accept = '') {
+  if (format) {
+    return format;
+  }
+
+  const mediaTypes = String(accept)
+    .split(',')
+    .map(part => part.split(';')[0].trim().toLowerCase());
+
+  for (const mediaType of mediaTypes) {
+    const match = Object.entries(EXPORT_FORMATS).find(
+      ([, contentType]) => contentType === mediaType
+    );
+    if (match) {
+      return match[0];
+    }
+    if (mediaType === 'application/json') {
+      return 'json';
+    }
+  }
+
+  return 'json';
+}
+
+/**
+ * Characters that make a spreadsheet read a cell as a formula.
+ */
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Formats a value as a CSV field, quoting it when it contains a delimiter,
+ * quote or line break. Null values become empty fields and objects are
+ * written as JSON. Text starting like a formula (=, +, -, @, tab or carriage
+ * return) is prefixed with ' and quoted, so spreadsheets show it as text
+ * instead of evaluating it.
+ *
+ * @param {*} value - Value to format
+ * @returns {string} CSV field
+ */
+export function toCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (typeof value === 'string' && FORMULA_PREFIX.test(value)) {
+    return `"'${value.replace(/"/g, '""')}"`;
+  }
+  const text =
+    typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes pages of records as lines of the given format.
+ *
+ * @param {AsyncIterable<Array>} pages - Pages of records
+ * @param {string} format - ndjson or csv
+ * @param {string[]} columns - Record properties written as CSV columns
+ * @returns {AsyncGenerator<string>} Serialized lines
+ */
+async function* serializePages(pages, format, columns) {
+  if (format === 'csv') {
+    yield `${columns.map(toCsvField).join(',')}\r\n`;
+  }
+
+  for await (const records of pages) {
+    for (const record of records) {
+      yield format === 'csv'
+        ? `${columns.map(column => toCsvField(record[column])).join(',')}\r\n`
+        : `${JSON.stringify(record)}\n`;
+    }
+  }
+}
+
+/**
+ * Creates a readable stream of query results in a streaming format.
+ *
+ * The first page is fetched before the stream is returned, so a query that
+ * fails straight away is reported as an error response. A failure on a
+ * later page ends the stream early, as the response has already started.
+ *
+ * @param {AsyncIterator<Array>} pages - Async iterator of record pages
+ * @param {string} format - ndjson or csv
+ * @param {string[]} columns - Record properties written as CSV columns
+ * @returns {Promise<Readable>} Stream of serialized records
+ */
+export async function createExportStream(pages, format, columns) {
+  const first = await pages.next();
+
+  async function* allPages() {
+    if (!first.done) {
+      yield first.value;
+      yield* pages;
+    }
+  }
+
+  return Readable.from(serializePages(allPages(), format, columns), {
+    objectMode: false,
+  });
+}
+
+/**
+ * Streams every record of a query as NDJSON or CSV, page by page.
+ * The limit sets the size of the pages fetched from Data Cloud (the
+ * configured maximum page size by default) and the cursor the first record.
+ *
+ * @param {Object} reply - Fastify reply object
+ * @param {DataCloudQueryService} queryService - Query service of the request
+ * @param {Object} queryObject - Field map query object
+ * @param {Object} filters - Query filters
+ * @param {Object} options - Export options
+ * @param {string} options.format - ndjson or csv
+ * @param {number} options.limit - Page size
+ * @param {string} options.cursor - Cursor of the first record
+ * @param {string} options.name - Base name of the CSV attachment
+ * @returns {Promise<Object>} The reply, sending the export stream
+ */
+export async function sendExport(
+  reply,
+  queryService,
+  queryObject,
+  filters,
+  { format, limit, cursor, name }
+) {
+  const pages = queryService.streamQuery(queryObject, filters, {
+    limit,
+    cursor,
+  });
+  return sendStream(reply, pages, {
+    format,
+    columns: queryObject.fields.map(field => field.property),
+    name,
+  });
+}
+
+/**
+ * Sends pages of records as NDJSON or CSV.
+ *
+ * @param {Object} reply - Fastify reply object
+ * @param {Iterator<Array>} pages - Iterator of record pages
+ * @param {Object} options - Export options
+ * @param {string} options.format - ndjson or csv
+ * @param {string[]} options.columns - Record properties written as CSV columns
+ * @param {string} options.name - Base name of the CSV attachment
+ * @returns {Promise<Object>} The reply, sending the export stream
+ */
+export async function sendStream(reply, pages, { format, columns, name }) {
+  const stream = await createExportStream(pages, format, columns);
+
+  if (format === 'csv') {
+    reply.header('Content-Disposition', `attachment; filename="${name}.csv"`);
+  }
+  return reply.type(`${EXPORT_FORMATS[format]}; charset=utf-8`).send(stream);
+}
@@ -0,0 +1,259 @@
+/**
+ * Identity Resolution Sources
+ *
+ * Traces a unified account back to the source records identity resolution
+ * merged into it. The unified-link DMO maps the unified record id to every
+ * contributing source record id and the data source and data stream object
+ * it was ingested from; the source records are then read from the source
+ * account DMO and their values compared with the unified record's to report,
+ * per field, which source records hold the surviving value.
+ *
+ * Data Cloud does not report which reconciliation rule picked a value, so
+ * provenance is inferred by value: a field is only traced when the source
+ * DMO has the same column, and several sources holding the surviving value
+ * are all reported.
+ */
+import { DataCloudError, ERROR_TYPES } from './data-cloud-errors.js';
+import { defineQuery } from './sql/field-map.js';
+import { filter } from './sql/filter-builder.js';
+import { unifiedAccountLinkQuery, unifiedB2BQuery } from './sql/queries.js';
+
+/**
+ * Source DMO the records merged into unified accounts are read from.
+ */
+export const SOURCE_ACCOUNT_DMO = 'ssot__Account__dlm';
+
+/**
+ * Largest number of source records traced for one unified account.
+ */
+export const MAX_TRACED_SOURCES = 100;
+
+/**
+ * Provenance status of a unified field:
+ *   matched     - exactly one source record holds the surviving value
+ *   ambiguous   - several source records hold the surviving value
+ *   unmatched   - no source record holds the surviving value
+ *   empty       - the unified field has no value
+ *   unavailable - the source DMO has no such column, so it cannot be traced
+ */
+export const PROVENANCE_STATUSES = [
+  'matched',
+  'ambiguous',
+  'unmatched',
+  'empty',
+  'unavailable',
+];
+
+/**
+ * Unified fields that can be traced: every field of the unified account
+ * except its id, which identity resolution generates.
+ */
+const TRACED_FIELDS = unifiedB2BQuery.fields.filter(
+  field => field.property !== 'id'
+);
+
+/**
+ * Returns the unified fields whose columns the source DMO has.
+ *
+ * @param {Array} sourceFields - Normalized fields of the source DMO
+ *   (see lib/model-metadata.js)
+ * @returns {Array} Field map entries of the traceable unified fields
+ */
+export function getTraceableFields(sourceFields) {
+  const columns = new Set(sourceFields.map(field => field.name.toLowerCase()));
+  return TRACED_FIELDS.filter(field => columns.has(field.column.toLowerCase()));
+}
+
+/**
+ * Defines the query reading source accounts, with their data source and data
+ * stream object and the traceable fields. Its id is filterable, so the
+ * records of a unified account are read with an IN filter on their ids.
+ *
+ * @param {Array} fields - Traceable unified fields (see getTraceableFields)
+ * @returns {Object} Query object usable by DataCloudQueryService
+ */
+export function defineSourceAccountQuery(fields) {
+  return defineQuery({
+    table: SOURCE_ACCOUNT_DMO,
+    fields: [
+      { column: 'ssot__Id__c', property: 'id', filterable: true },
+      { column: 'ssot__DataSourceId__c', property: 'dataSourceId' },
+      {
+        column: 'ssot__DataSourceObjectId__c',
+        property: 'dataSourceObjectId',
+      },
+      ...fields.map(({ column, property, type }) => ({
+        column,
+        property,
+        type,
+      })),
+    ],
+    orderBy: 'ssot__Id__c',
+    limit: MAX_TRACED_SOURCES,
+    cacheTtlSeconds: 300,
+  });
+}
+
+/**
+ * Groups the links of a unified account by data source and data stream
+ * object.
+ *
+ * @param {Array} links - Records of the unified-link DMO
+ * @returns {Array} Data streams of { dataSourceId, dataSourceObjectId,
+ *   sourceRecordCount }, in order of first appearance
+ */
+export function summarizeDataStreams(links) {
+  const streams = new Map();
+  for (const { dataSourceId, dataSourceObjectId } of links) {
+    const key = `${dataSourceId}\u0000${dataSourceObjectId}`;
+    if (!streams.has(key)) {
+      streams.set(key, {
+        dataSourceId,
+        dataSourceObjectId,
+        sourceRecordCount: 0,
+      });
+    }
+    streams.get(key).sourceRecordCount++;
+  }
+  return [...streams.values()];
+}
+
+/**
+ * Reports, for every traced field of a unified account, which source records
+ * hold its surviving value.
+ *
+ * @param {Object} unifiedRecord - Unified account record
+ * @param {Array} sourceRecords - Source account records (see
+ *   defineSourceAccountQuery)
+ * @param {Array} traceableFields - Fields the source DMO has (see
+ *   getTraceableFields)
+ * @returns {Array} Fields of { name, column, value, status, sourceRecordIds }
+ */
+export function traceFieldSources(
+  unifiedRecord,
+  sourceRecords,
+  traceableFields
+) {
+  const traceable = new Set(traceableFields.map(field => field.property));
+
+  return TRACED_FIELDS.map(({ column, property }) => {
+    const value = unifiedRecord[property] ?? null;
+    const field = { name: property, column, value };
+
+    if (!traceable.has(property)) {
+      return { ...field, status: 'unavailable', sourceRecordIds: [] };
+    }
+    if (value === null) {
+      return { ...field, status: 'empty', sourceRecordIds: [] };
+    }
+
+    const sourceRecordIds = sourceRecords
+      .filter(record => record[property] === value)
+      .map(record => record.id);
+    const status =
+      sourceRecordIds.length === 0
+        ? 'unmatched'
+        : sourceRecordIds.length === 1
+          ? 'matched'
+          : 'ambiguous';
+    return { ...field, status, sourceRecordIds };
+  });
+}
+
+/**
+ * Combines the links of a unified account with the source records read for
+ * them. Links whose source record could not be read keep a null record.
+ *
+ * @param {Array} links - Records of the unified-link DMO
+ * @param {Array} sourceRecords - Source account records
+ * @returns {Array} Sources of { sourceRecordId, dataSourceId,
+ *   dataSourceObjectId, record }
+ */
+export function joinSources(links, sourceRecords) {
+  const recordsById = new Map(sourceRecords.map(record => [record.id, record]));
+
+  return links.map(({ sourceRecordId, dataSourceId, dataSourceObjectId }) => ({
+    sourceRecordId,
+    dataSourceId,
+    dataSourceObjectId,
+    record: recordsById.get(sourceRecordId) ?? null,
+  }));
+}
+
+/**
+ * Traces a unified B2B account back to the source records merged into it: the
+ * source records and data streams listed by the unified-link DMO and, per
+ * field, the source records holding the surviving value. Fields are only traced
+ * when the source DMO's metadata has their column.
+ *
+ * @param {DataCloudQueryService} queryService - Service the unified and source accounts are queried with
+ * @param {string} id - Unified record id (ssot__Id__c)
+ * @returns {Promise<Object>} { unifiedAccount, sources, dataStreams, fields,
+ *   truncated } where truncated is set when more than MAX_TRACED_SOURCES
+ *   source records are linked
+ * @throws {DataCloudError} unknown_object error when there is no such
+ *   unified account, or the classified error of a failed query
+ */
+export async function getUnifiedAccountSources(queryService, id) {
+  const run = async (queryObject, filterNode, limit) => {
+    const result = await queryService.executeQuery(
+      queryObject,
+      { filter: filterNode },
+      { limit }
+    );
+    if (!result.success) {
+      throw DataCloudError.fromResult(result);
+    }
+    return result;
+  };
+
+  const unified = await run(unifiedB2BQuery, filter.eq('id', id), 1);
+  const [unifiedAccount] = unified.records;
+  if (!unifiedAccount) {
+    throw new DataCloudError(
+      ERROR_TYPES.UNKNOWN_OBJECT,
+      `Unified account '${id}' was not found in data space '${queryService.dataSpace}'`
+    );
+  }
+
+  const linked = await run(
+    unifiedAccountLinkQuery,
+    filter.eq('unifiedRecordId', id),
+    MAX_TRACED_SOURCES
+  );
+  const links = linked.records;
+
+  let sourceFields = [];
+  try {
+    sourceFields = (await queryService.getModel(SOURCE_ACCOUNT_DMO)).fields;
+  } catch (err) {
+    if (err.type !== ERROR_TYPES.UNKNOWN_OBJECT.type) {
+      throw err;
+    }
+    queryService.logger.info(
+      `Source DMO '${SOURCE_ACCOUNT_DMO}' was not found; field sources are unavailable`
+    );
+  }
+  const traceableFields = getTraceableFields(sourceFields);
+
+  const sourceRecordIds = links
+    .map(link => link.sourceRecordId)
+    .filter(Boolean);
+  let sourceRecords = [];
+  if (sourceFields.length > 0 && sourceRecordIds.length > 0) {
+    const sourced = await run(
+      defineSourceAccountQuery(traceableFields),
+      filter.in('id', sourceRecordIds),
+      MAX_TRACED_SOURCES
+    );
+    sourceRecords = sourced.records;
+  }
+
+  return {
+    unifiedAccount,
+    sources: joinSources(links, sourceRecords),
+    dataStreams: summarizeDataStreams(links),
+    fields: traceFieldSources(unifiedAccount, sourceRecords, traceableFields),
+    truncated: linked.metadata.hasMore,
+  };
+}
@@ -0,0 +1,294 @@
+/**
+ * Data Cloud Metadata Snapshots
+ *
+ * Saves snapshots of the normalized DMO metadata of a data space (see
+ * lib/model-metadata.js) and reports the schema drift between two snapshots,
+ * or between a snapshot and the live metadata: DMOs added and removed, and
+ * fields added, removed or changed in the DMOs present in both.
+ *
+ * Storage is pluggable. A store is any object implementing:
+ *   save(snapshot)  → Promise<void>
+ *   get(id)         → Promise<snapshot | undefined>
+ *   list()          → Promise<Array> of snapshots without their entities
+ *   delete(id)      → Promise<void>
+ * Snapshots are JSON-serializable objects ({ id, createdAt, dataSpace,
+ * entityType, entities }). FileSnapshotStore, keeping one JSON file per
+ * snapshot in a local directory, is used by default.
+ */
+import { randomUUID } from 'node:crypto';
+import { mkdir, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { DataCloudError, ERROR_TYPES } from './data-cloud-errors.js';
+
+/**
+ * Default directory snapshots are saved in.
+ */
+export const DEFAULT_SNAPSHOT_DIR = '.snapshots';
+
+/**
+ * Default number of snapshots kept per data space.
+ */
+export const DEFAULT_SNAPSHOT_RETENTION = 50;
+
+/**
+ * Pattern of snapshot ids, which are also file names.
+ */
+export const SNAPSHOT_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Entity attributes compared when diffing DMOs.
+ */
+const ENTITY_ATTRIBUTES = ['label', 'category', 'primaryKey'];
+
+/**
+ * Field attributes compared when diffing fields.
+ */
+const FIELD_ATTRIBUTES = ['label', 'type', 'businessType', 'isPrimaryKey'];
+
+/**
+ * Snapshot store keeping one JSON file per snapshot in a directory.
+ */
+export class FileSnapshotStore {
+  constructor({ directory = DEFAULT_SNAPSHOT_DIR } = {}) {
+    this.directory = directory;
+  }
+
+  pathOf(id) {
+    if (!SNAPSHOT_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid snapshot id '${id}'`);
+    }
+    return join(this.directory, `${id}.json`);
+  }
+
+  async save(snapshot) {
+    await mkdir(this.directory, { recursive: true });
+    await writeFile(this.pathOf(snapshot.id), JSON.stringify(snapshot));
+  }
+
+  async get(id) {
+    try {
+      return JSON.parse(await readFile(this.pathOf(id), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return undefined;
+      }
+      throw err;
+    }
+  }
+
+  async list() {
+    let files;
+    try {
+      files = await readdir(this.directory);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return [];
+      }
+      throw err;
+    }
+
+    const snapshots = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const snapshot = await this.get(file.slice(0, -'.json'.length));
+      if (snapshot) {
+        const { entities, ...summary } = snapshot;
+        snapshots.push({ ...summary, entityCount: entities.length });
+      }
+    }
+    return snapshots;
+  }
+
+  async delete(id) {
+    await rm(this.pathOf(id), { force: true });
+  }
+}
+
+/**
+ * Compares the listed attributes of two objects.
+ *
+ * @param {Object} from - Earlier version
+ * @param {Object} to - Later version
+ * @param {string[]} attributes - Attributes to compare
+ * @returns {Object} { attribute: { from, to } } of the attributes that differ
+ */
+function compareAttributes(from, to, attributes) {
+  const changes = {};
+  for (const attribute of attributes) {
+    if (JSON.stringify(from[attribute]) !== JSON.stringify(to[attribute])) {
+      changes[attribute] = { from: from[attribute], to: to[attribute] };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Reports the differences between two lists of named items.
+ *
+ * @param {Array} fromItems - Earlier items
+ * @param {Array} toItems - Later items
+ * @returns {Object} { added, removed, common } where common holds
+ *   [fromItem, toItem] pairs of the items present in both
+ */
+function matchByName(fromItems, toItems) {
+  const fromByName = new Map(fromItems.map(item => [item.name, item]));
+  const toByName = new Map(toItems.map(item => [item.name, item]));
+
+  return {
+    added: toItems.filter(item => !fromByName.has(item.name)),
+    removed: fromItems.filter(item => !toByName.has(item.name)),
+    common: fromItems
+      .filter(item => toByName.has(item.name))
+      .map(item => [item, toByName.get(item.name)]),
+  };
+}
+
+/**
+ * Reports the schema drift between two versions of a data space's DMOs.
+ *
+ * @param {Array} fromEntities - Earlier normalized DMOs
+ * @param {Array} toEntities - Later normalized DMOs
+ * @returns {Object} { summary, added, removed, changed } where added and
+ *   removed list DMOs as { name, label }, and changed lists the DMOs present
+ *   in both versions that differ as { name, changes, addedFields,
+ *   removedFields, changedFields }
+ */
+export function diffEntities(fromEntities, toEntities) {
+  const entities = matchByName(fromEntities, toEntities);
+  const changed = [];
+
+  for (const [from, to] of entities.common) {
+    const fields = matchByName(from.fields || [], to.fields || []);
+    const changedFields = fields.common
+      .map(([fromField, toField]) => ({
+        name: fromField.name,
+        changes: compareAttributes(fromField, toField, FIELD_ATTRIBUTES),
+      }))
+      .filter(field => Object.keys(field.changes).length > 0);
+    const changes = compareAttributes(from, to, ENTITY_ATTRIBUTES);
+
+    if (
+      Object.keys(changes).length > 0 ||
+      fields.added.length > 0 ||
+      fields.removed.length > 0 ||
+      changedFields.length > 0
+    ) {
+      changed.push({
+        name: from.name,
+        changes,
+        addedFields: fields.added,
+        removedFields: fields.removed,
+        changedFields,
+      });
+    }
+  }
+
+  const describe = ({ name, label }) => ({ name, label });
+  return {
+    summary: {
+      added: entities.added.length,
+      removed: entities.removed.length,
+      changed: changed.length,
+    },
+    added: entities.added.map(describe),
+    removed: entities.removed.map(describe),
+    changed,
+  };
+}
+
+/**
+ * Takes, keeps and looks up metadata snapshots.
+ */
+export class MetadataSnapshots {
+  /**
+   * @param {Object} options - Snapshot settings
+   * @param {Object} options.store - Snapshot store (defaults to FileSnapshotStore)
+   * @param {number} options.retention - Snapshots kept per data space
+   * @param {Object} options.logger - Logger with info/warn methods
+   */
+  constructor({
+    store = new FileSnapshotStore(),
+    retention = DEFAULT_SNAPSHOT_RETENTION,
+    logger = null,
+  } = {}) {
+    this.store = store;
+    this.retention = retention;
+    this.logger = logger;
+  }
+
+  /**
+   * Saves a snapshot of the DMOs of the query service's data space, then
+   * deletes the oldest snapshots of the data space beyond the retention.
+   *
+   * @param {DataCloudQueryService} queryService - Service used for metadata calls
+   * @returns {Promise<Object>} Summary of the snapshot { id, createdAt,
+   *   dataSpace, entityType, entityCount }
+   * @throws {DataCloudError} Classified error when the metadata call fails
+   */
+  async capture(queryService) {
+    const entities = await queryService.listEntities('DataModelObject');
+    const createdAt = new Date().toISOString();
+    const snapshot = {
+      id: `${queryService.dataSpace}-${createdAt.replace(/[-:.]/g, '')}-${randomUUID().slice(0, 8)}`,
+      createdAt,
+      dataSpace: queryService.dataSpace,
+      entityType: 'DataModelObject',
+      entities,
+    };
+
+    await this.store.save(snapshot);
+    this.logger?.info(
+      `Saved metadata snapshot '${snapshot.id}' with ${entities.length} DMOs`
+    );
+
+    const expired = (await this.list({ dataSpace: snapshot.dataSpace })).slice(
+      this.retention
+    );
+    for (const { id } of expired) {
+      await this.store.delete(id);
+    }
+
+    return {
+      id: snapshot.id,
+      createdAt,
+      dataSpace: snapshot.dataSpace,
+      entityType: snapshot.entityType,
+      entityCount: entities.length,
+    };
+  }
+
+  /**
+   * Lists the saved snapshots, newest first.
+   *
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.dataSpace - Only list snapshots of this data space
+   * @returns {Promise<Array>} Snapshot summaries
+   */
+  async list({ dataSpace } = {}) {
+    const snapshots = await this.store.list();
+    return snapshots
+      .filter(snapshot => !dataSpace || snapshot.dataSpace === dataSpace)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Returns a saved snapshot.
+   *
+   * @param {string} id - Snapshot id
+   * @returns {Promise<Object>} Snapshot with its entities
+   * @throws {DataCloudError} unknown_object error when there is no such snapshot
+   */
+  async get(id) {
+    const snapshot = SNAPSHOT_ID_PATTERN.test(id)
+      ? await this.store.get(id)
+      : undefined;
+    if (!snapshot) {
+      throw new DataCloudError(
+        ERROR_TYPES.UNKNOWN_OBJECT,
+        `Metadata snapshot '${id}' was not found`
+      );
+    }
+    return snapshot;
+  }
+}
+
+export default MetadataSnapshots;
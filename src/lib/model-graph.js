@@ -0,0 +1,281 @@
+/**
+ * Data Model Object Relationship Graph
+ *
+ * Builds a graph of Data Model Objects (nodes) and their relationships
+ * (edges) from normalized metadata (see lib/model-metadata.js), and renders
+ * it as a Mermaid erDiagram or a Graphviz DOT digraph. Graphs can be limited
+ * to a category, or to the DMOs within a number of relationships of a root
+ * DMO.
+ */
+import { DataCloudError, ERROR_TYPES } from './data-cloud-errors.js';
+import { ENTITY_TYPES } from './model-metadata.js';
+
+/**
+ * Text formats a graph can be rendered in, with their content types.
+ */
+export const GRAPH_FORMATS = {
+  mermaid: 'text/vnd.mermaid',
+  dot: 'text/vnd.graphviz',
+};
+
+/**
+ * Default number of relationships followed from a root DMO.
+ */
+export const DEFAULT_GRAPH_DEPTH = 1;
+
+/**
+ * Largest number of relationships followed from a root DMO.
+ */
+export const MAX_GRAPH_DEPTH = 5;
+
+/**
+ * Mermaid relationship notation of each metadata cardinality, read from the
+ * edge's source DMO to its target DMO.
+ */
+const MERMAID_CARDINALITIES = {
+  onetoone: '||--||',
+  onetomany: '||--o{',
+  manytoone: '}o--||',
+  manytomany: '}o--o{',
+};
+
+/**
+ * Returns the edges of the relationships between the given DMOs. Relationships
+ * reported by both of their DMOs are only included once.
+ *
+ * @param {Array} models - Normalized DMOs
+ * @returns {Array} Edges { from, fromField, to, toField, cardinality }
+ */
+function getEdges(models) {
+  const names = new Set(models.map(model => model.name));
+  const edges = new Map();
+
+  for (const model of models) {
+    for (const relationship of model.relationships) {
+      const { fromModel, fromField, toModel, toField, cardinality } =
+        relationship;
+      if (!names.has(fromModel) || !names.has(toModel)) {
+        continue;
+      }
+      const key = `${fromModel}.${fromField}->${toModel}.${toField}`;
+      if (!edges.has(key)) {
+        edges.set(key, {
+          from: fromModel,
+          fromField,
+          to: toModel,
+          toField,
+          cardinality,
+        });
+      }
+    }
+  }
+
+  return [...edges.values()];
+}
+
+/**
+ * Returns the DMOs within depth relationships of the root, following
+ * relationships in both directions.
+ *
+ * @param {Array} models - Normalized DMOs
+ * @param {Object} root - Root DMO
+ * @param {number} depth - Number of relationships to follow
+ * @returns {Array} Reachable DMOs, including the root
+ */
+function getReachableModels(models, root, depth) {
+  const neighbours = new Map(models.map(model => [model.name, new Set()]));
+  for (const edge of getEdges(models)) {
+    neighbours.get(edge.from).add(edge.to);
+    neighbours.get(edge.to).add(edge.from);
+  }
+
+  const reached = new Set([root.name]);
+  let frontier = [root.name];
+  for (let level = 0; level < depth && frontier.length > 0; level++) {
+    frontier = frontier
+      .flatMap(name => [...neighbours.get(name)])
+      .filter(name => !reached.has(name));
+    frontier.forEach(name => reached.add(name));
+  }
+
+  return models.filter(model => reached.has(model.name));
+}
+
+/**
+ * Finds a DMO by name, ignoring case.
+ *
+ * @param {Array} models - Normalized DMOs
+ * @param {string} name - API name of the DMO
+ * @returns {Object|undefined} The DMO, if any
+ */
+export function findModel(models, name) {
+  return models.find(model => model.name.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Builds the relationship graph of DMOs.
+ *
+ * @param {Array} models - Normalized DMOs
+ * @param {Object} options - Graph filters
+ * @param {string} options.category - Only include DMOs of this category
+ *   (and the root, when given)
+ * @param {string} options.root - Only include DMOs related to this DMO
+ * @param {number} options.depth - Number of relationships followed from the root
+ * @returns {Object} { nodes, edges } where nodes are { name, label, category,
+ *   primaryKey } and edges { from, fromField, to, toField, cardinality }
+ * @throws {Error} When the root is not one of the models
+ */
+export function buildModelGraph(
+  models,
+  { category, root, depth = DEFAULT_GRAPH_DEPTH } = {}
+) {
+  const rootModel = root ? findModel(models, root) : null;
+  if (root && !rootModel) {
+    throw new Error(`Root DMO '${root}' is not one of the models`);
+  }
+
+  let included = models;
+  if (category) {
+    included = included.filter(
+      model =>
+        model === rootModel ||
+        model.category?.toLowerCase() === category.toLowerCase()
+    );
+  }
+  if (rootModel) {
+    included = getReachableModels(included, rootModel, depth);
+  }
+
+  return {
+    nodes: included.map(({ name, label, category, primaryKey }) => ({
+      name,
+      label,
+      category,
+      primaryKey,
+    })),
+    edges: getEdges(included),
+  };
+}
+
+/**
+ * Renders a relationship graph as a Mermaid erDiagram. Each entity lists its
+ * primary key fields (PK) and the fields used by its relationships (FK).
+ *
+ * @param {Object} graph - Graph built by buildModelGraph
+ * @returns {string} Mermaid diagram
+ */
+export function toMermaid(graph) {
+  const lines = ['erDiagram'];
+
+  for (const node of graph.nodes) {
+    const keys = new Map(node.primaryKey.map(field => [field, 'PK']));
+    for (const edge of graph.edges) {
+      if (
+        edge.from === node.name &&
+        edge.fromField &&
+        !keys.has(edge.fromField)
+      ) {
+        keys.set(edge.fromField, 'FK');
+      }
+    }
+
+    if (keys.size === 0) {
+      lines.push(`  ${node.name}`);
+      continue;
+    }
+    lines.push(`  ${node.name} {`);
+    for (const [field, key] of keys) {
+      lines.push(`    string ${field} ${key}`);
+    }
+    lines.push('  }');
+  }
+
+  for (const edge of graph.edges) {
+    const notation =
+      MERMAID_CARDINALITIES[edge.cardinality?.toLowerCase()] ?? '}o--o{';
+    const label = `${edge.fromField ?? ''} = ${edge.toField ?? ''}`.replace(
+      /"/g,
+      "'"
+    );
+    lines.push(`  ${edge.from} ${notation} ${edge.to} : "${label}"`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Quotes a Graphviz DOT identifier, escaping quotes and line breaks.
+ *
+ * @param {string} value - Identifier
+ * @returns {string} Quoted identifier
+ */
+function quoteDot(value) {
+  const escaped = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+  return `"${escaped}"`;
+}
+
+/**
+ * Renders a relationship graph as a Graphviz DOT digraph, with an edge from
+ * the DMO holding each relationship to the DMO it refers to.
+ *
+ * @param {Object} graph - Graph built by buildModelGraph
+ * @returns {string} DOT graph
+ */
+export function toDot(graph) {
+  const lines = [
+    'digraph DataModelObjects {',
+    '  rankdir=LR;',
+    '  node [shape=box];',
+  ];
+
+  for (const node of graph.nodes) {
+    const label =
+      node.label && node.label !== node.name
+        ? `${node.label}\n${node.name}`
+        : node.name;
+    lines.push(`  ${quoteDot(node.name)} [label=${quoteDot(label)}];`);
+  }
+  for (const edge of graph.edges) {
+    const label = [
+      `${edge.fromField ?? ''} = ${edge.toField ?? ''}`,
+      edge.cardinality,
+    ]
+      .filter(Boolean)
+      .join('\n');
+    lines.push(
+      `  ${quoteDot(edge.from)} -> ${quoteDot(edge.to)} [label=${quoteDot(label)}];`
+    );
+  }
+  lines.push('}');
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Builds the relationship graph of the data space's DMOs.
+ *
+ * @param {DataCloudQueryService} queryService - Service the DMO metadata is read with
+ * @param {Object} options - Graph filters
+ * @param {string} options.category - Only include DMOs of this category
+ * @param {string} options.root - Only include DMOs related to this DMO
+ * @param {number} options.depth - Number of relationships followed from the root
+ * @returns {Promise<Object>} Graph of { nodes, edges }
+ * @throws {DataCloudError} unknown_object error when the data space has no such root DMO
+ */
+export async function getModelGraph(
+  queryService,
+  { category, root, depth } = {}
+) {
+  const models = await queryService.listEntities('DataModelObject');
+
+  if (root && !findModel(models, root)) {
+    throw new DataCloudError(
+      ERROR_TYPES.UNKNOWN_OBJECT,
+      `${ENTITY_TYPES.DataModelObject.label} '${root}' was not found in data space '${queryService.dataSpace}'`
+    );
+  }
+  return buildModelGraph(models, { category, root, depth });
+}
@@ -0,0 +1,185 @@
+/**
+ * Data Cloud Entity Metadata
+ *
+ * Normalizes entities returned by the Data Cloud metadata API
+ * (/api/v1/metadata) into a stable shape per entity type: fields with their
+ * data types, the primary key, the category and, for data model and data
+ * lake objects, the relationships to other objects. Missing attributes are
+ * reported as null or empty arrays rather than being left out, so callers
+ * can rely on every property being present.
+ */
+
+/**
+ * Normalizes a field of a metadata entity.
+ *
+ * @param {Object} field - Field as returned by the metadata API
+ * @param {Set<string>} primaryKeyNames - Names of the primary key fields
+ * @returns {Object} { name, label, type, businessType, isPrimaryKey }
+ */
+export function normalizeField(field, primaryKeyNames = new Set()) {
+  return {
+    name: field.name,
+    label: field.displayName ?? field.label ?? field.name,
+    type: field.type ?? null,
+    businessType: field.businessType ?? null,
+    isPrimaryKey: primaryKeyNames.has(field.name),
+  };
+}
+
+/**
+ * Normalizes a relationship of a metadata entity.
+ *
+ * @param {Object} relationship - Relationship as returned by the metadata API
+ * @returns {Object} { fromModel, fromField, toModel, toField, cardinality }
+ */
+export function normalizeRelationship(relationship) {
+  return {
+    fromModel: relationship.fromEntity ?? null,
+    fromField: relationship.fromEntityAttribute ?? null,
+    toModel: relationship.toEntity ?? null,
+    toField: relationship.toEntityAttribute ?? null,
+    cardinality: relationship.cardinality ?? null,
+  };
+}
+
+/**
+ * Returns the primary key field names of a metadata entity, in key order.
+ *
+ * @param {Object} entity - Entity as returned by the metadata API
+ * @returns {string[]} Primary key field names
+ */
+export function getPrimaryKey(entity) {
+  return [...(entity.primaryKeys || [])]
+    .sort((a, b) => Number(a.indexOrder ?? 0) - Number(b.indexOrder ?? 0))
+    .map(key => key.name);
+}
+
+/**
+ * Normalizes a data model or data lake object returned by the metadata API.
+ *
+ * @param {Object} entity - Entity as returned by the metadata API
+ * @param {string} entityType - Metadata entity type of the entity
+ * @returns {Object} { entityType, name, label, category, primaryKey, fields, relationships }
+ */
+function normalizeObject(entity, entityType) {
+  const primaryKey = getPrimaryKey(entity);
+  const primaryKeyNames = new Set(primaryKey);
+
+  return {
+    entityType,
+    name: entity.name,
+    label: entity.displayName ?? entity.label ?? entity.name,
+    category: entity.category ?? null,
+    primaryKey,
+    fields: (entity.fields || []).map(field =>
+      normalizeField(field, primaryKeyNames)
+    ),
+    relationships: (entity.relationships || []).map(normalizeRelationship),
+  };
+}
+
+/**
+ * Normalizes a Data Model Object (DMO) returned by the metadata API.
+ *
+ * @param {Object} entity - Entity as returned by the metadata API
+ * @returns {Object} { entityType, name, label, category, primaryKey, fields, relationships }
+ */
+export function normalizeModel(entity) {
+  return normalizeObject(entity, 'DataModelObject');
+}
+
+/**
+ * Normalizes a Data Lake Object (DLO) returned by the metadata API.
+ *
+ * @param {Object} entity - Entity as returned by the metadata API
+ * @returns {Object} { entityType, name, label, category, primaryKey, fields, relationships }
+ */
+export function normalizeLakeObject(entity) {
+  return normalizeObject(entity, 'DataLakeObject');
+}
+
+/**
+ * Normalizes a Calculated Insight returned by the metadata API.
+ * A calculated insight has one row per combination of its dimensions, so
+ * the dimensions are reported as its primary key.
+ *
+ * @param {Object} entity - Entity as returned by the metadata API
+ * @returns {Object} { entityType, name, label, category, primaryKey, dimensions, measures }
+ */
+export function normalizeCalculatedInsight(entity) {
+  const dimensions = entity.dimensions || [];
+  const primaryKey = dimensions.map(dimension => dimension.name);
+  const primaryKeyNames = new Set(primaryKey);
+
+  return {
+    entityType: 'CalculatedInsight',
+    name: entity.name,
+    label: entity.displayName ?? entity.label ?? entity.name,
+    category: entity.category ?? null,
+    primaryKey,
+    dimensions: dimensions.map(field => normalizeField(field, primaryKeyNames)),
+    measures: (entity.measures || []).map(field => normalizeField(field)),
+  };
+}
+
+/**
+ * Normalizes a data stream returned by the Connect REST API
+ * (/ssot/data-streams). Data streams are not metadata API entities; they
+ * are listed from the Salesforce org, like data spaces.
+ *
+ * @param {Object} stream - Data stream as returned by the Connect REST API
+ * @returns {Object} { entityType, name, label, status, connectorType,
+ *   dataSource, dataLakeObject, refreshMode, lastRefreshDate,
+ *   lastProcessedRecords }
+ */
+export function normalizeDataStream(stream) {
+  const lakeObject = stream.dataLakeObjectInfo ?? null;
+  return {
+    entityType: 'DataStream',
+    name: stream.name,
+    label: stream.label ?? stream.name,
+    status: stream.dataStreamStatus ?? stream.status ?? null,
+    connectorType:
+      stream.connectorInfo?.connectorType ?? stream.connectorType ?? null,
+    dataSource: stream.dataSource ?? stream.connectorInfo?.sourceName ?? null,
+    dataLakeObject: lakeObject
+      ? {
+          name: lakeObject.name ?? null,
+          label: lakeObject.label ?? lakeObject.name ?? null,
+          category: lakeObject.category ?? null,
+        }
+      : null,
+    refreshMode:
+      stream.refreshConfig?.refreshMode ?? stream.refreshMode ?? null,
+    lastRefreshDate: stream.lastRefreshDate ?? null,
+    lastProcessedRecords: stream.lastNumberOfRowsAddedCount ?? null,
+  };
+}
+
+/**
+ * Metadata entity types that can be inspected, with a label used in
+ * messages and the normalizer of their metadata API entries.
+ */
+export const ENTITY_TYPES = {
+  DataModelObject: { label: 'Data model object', normalize: normalizeModel },
+  DataLakeObject: { label: 'Data lake object', normalize: normalizeLakeObject },
+  CalculatedInsight: {
+    label: 'Calculated insight',
+    normalize: normalizeCalculatedInsight,
+  },
+};
+
+/**
+ * Normalizes a metadata API entry of the given entity type.
+ *
+ * @param {Object} entity - Entity as returned by the metadata API
+ * @param {string} entityType - Metadata entity type (a key of ENTITY_TYPES)
+ * @returns {Object} Normalized entity
+ */
+export function normalizeEntity(entity, entityType) {
+  const definition = ENTITY_TYPES[entityType];
+  if (!definition) {
+    throw new Error(`Unsupported metadata entity type '${entityType}'`);
+  }
+  return definition.normalize(entity);
+}
@@ -0,0 +1,111 @@
+/**
+ * Cursor Pagination
+ *
+ * Pages through query results with LIMIT/OFFSET behind an opaque cursor.
+ * A cursor records the offset of the next page together with a fingerprint of
+ * the query it was issued for, so a cursor cannot be replayed against a
+ * different query or a different set of filters.
+ */
+import { createHash } from 'node:crypto';
+import { AppError } from './errors.js';
+
+/**
+ * Page size used when the query object does not define a limit.
+ */
+export const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * Maximum page size used when none is configured.
+ */
+export const DEFAULT_MAX_PAGE_SIZE = 1000;
+
+/**
+ * Error raised for a malformed cursor or one issued for another query.
+ * Reported as a 400 bad request.
+ */
+export class InvalidCursorError extends AppError {
+  constructor(message) {
+    super(message, {
+      statusCode: 400,
+      type: 'invalid_cursor',
+      title: 'Invalid cursor',
+    });
+    this.name = 'InvalidCursorError';
+  }
+}
+
+/**
+ * Computes a short fingerprint identifying a query and its filters.
+ *
+ * @param {string} source - Query identity (e.g. table or base SQL)
+ * @param {Object} filters - Filters applied to the query
+ * @returns {string} Fingerprint stored in cursors
+ */
+export function fingerprintQuery(source, filters = {}) {
+  return createHash('sha256')
+    .update(`${source}\n${JSON.stringify(filters)}`)
+    .digest('base64url')
+    .slice(0, 16);
+}
+
+/**
+ * Encodes the position of the next page as an opaque cursor.
+ *
+ * @param {number} offset - Offset of the first row of the next page
+ * @param {string} fingerprint - Fingerprint of the query being paged
+ * @returns {string} Opaque, URL-safe cursor
+ */
+export function encodeCursor(offset, fingerprint) {
+  return Buffer.from(JSON.stringify({ o: offset, f: fingerprint })).toString(
+    'base64url'
+  );
+}
+
+/**
+ * Decodes a cursor and checks that it belongs to the query being paged.
+ *
+ * @param {string} cursor - Cursor returned as nextCursor by a previous page
+ * @param {string} fingerprint - Fingerprint of the query being paged
+ * @returns {number} Offset of the first row of the requested page
+ * @throws {InvalidCursorError} When the cursor is malformed or for another query
+ */
+export function decodeCursor(cursor, fingerprint) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    // eslint-disable-next-line no-unused-vars
+  } catch (err) {
+    throw new InvalidCursorError('Cursor is malformed');
+  }
+
+  if (!decoded || !Number.isInteger(decoded.o) || decoded.o < 0) {
+    throw new InvalidCursorError('Cursor is malformed');
+  }
+  if (decoded.f !== fingerprint) {
+    throw new InvalidCursorError(
+      'Cursor was issued for a different query or filters'
+    );
+  }
+
+  return decoded.o;
+}
+
+/**
+ * Resolves the requested page size, falling back to the default and capping
+ * it at the configured maximum.
+ *
+ * @param {number|string} limit - Requested page size
+ * @param {number} defaultPageSize - Page size used when none is requested
+ * @param {number} maxPageSize - Largest page size allowed
+ * @returns {number} Page size to use
+ */
+export function resolvePageSize(
+  limit,
+  defaultPageSize = DEFAULT_PAGE_SIZE,
+  maxPageSize = DEFAULT_MAX_PAGE_SIZE
+) {
+  const requested = Number.parseInt(limit, 10);
+  const pageSize =
+    Number.isInteger(requested) && requested > 0 ? requested : defaultPageSize;
+  return Math.min(pageSize, maxPageSize);
+}
@@ -0,0 +1,131 @@
+/**
+ * Query Timeouts and Cancellation
+ *
+ * Data Cloud calls run under an AbortSignal that fires when the query's
+ * timeout elapses or when the caller goes away (the request's connection is
+ * closed). Calls made through fetch are aborted outright; SDK calls that do
+ * not accept a signal stop being waited on.
+ */
+import { DataCloudError, ERROR_TYPES } from './data-cloud-errors.js';
+
+/**
+ * Default time a Data Cloud query may run before it is aborted.
+ */
+export const DEFAULT_QUERY_TIMEOUT_MS = 30000;
+
+/**
+ * Abort reason used when the caller disconnects before the query completes.
+ */
+export class ClientDisconnectedError extends Error {
+  constructor() {
+    super('Client disconnected before the request completed');
+    this.name = 'ClientDisconnectedError';
+  }
+}
+
+/**
+ * Abort reason used when a query exceeds its timeout.
+ */
+export class QueryTimeoutReason extends Error {
+  constructor(timeoutMs) {
+    super(`Query exceeded its ${timeoutMs}ms timeout`);
+    this.name = 'QueryTimeoutReason';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Creates the signal a query runs under: it aborts after timeoutMs, or as
+ * soon as the parent signal (usually the request's signal) aborts.
+ *
+ * @param {number} timeoutMs - Query timeout (0 or less disables the timeout)
+ * @param {AbortSignal} parentSignal - Optional signal of the caller
+ * @returns {Object} { signal, clear } where clear() stops the timer
+ */
+export function createQuerySignal(timeoutMs, parentSignal = null) {
+  const controller = new AbortController();
+  const abortFromParent = () => controller.abort(parentSignal.reason);
+
+  if (parentSignal?.aborted) {
+    abortFromParent();
+  } else {
+    parentSignal?.addEventListener('abort', abortFromParent, { once: true });
+  }
+
+  const timer =
+    timeoutMs > 0
+      ? setTimeout(
+          () => controller.abort(new QueryTimeoutReason(timeoutMs)),
+          timeoutMs
+        )
+      : null;
+
+  return {
+    signal: controller.signal,
+    clear() {
+      clearTimeout(timer);
+      parentSignal?.removeEventListener('abort', abortFromParent);
+    },
+  };
+}
+
+/**
+ * Waits for a promise, rejecting with the signal's reason as soon as the
+ * signal aborts. Used for SDK calls that cannot be passed a signal.
+ *
+ * @param {Promise} promise - Promise to wait for
+ * @param {AbortSignal} signal - Optional signal
+ * @returns {Promise<*>} Result of the promise
+ */
+export function raceAbort(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      value => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      err => {
+        signal.removeEventListener('abort', onAbort);
+        reject(err);
+      }
+    );
+  });
+}
+
+/**
+ * Converts an aborted query signal into the error reported to the caller:
+ * a query_timeout error when the timeout elapsed, or a cancelled error when
+ * the caller went away.
+ *
+ * @param {AbortSignal} signal - Aborted query signal
+ * @param {Object} timing - Query timing
+ * @param {number} timing.elapsedMs - Time the query ran before it was aborted
+ * @param {number} timing.timeoutMs - Timeout the query ran under
+ * @returns {DataCloudError} Timeout or cancellation error
+ */
+export function toAbortError(signal, { elapsedMs, timeoutMs }) {
+  const details = { elapsedMs, timeoutMs };
+
+  if (signal.reason instanceof QueryTimeoutReason) {
+    return new DataCloudError(
+      ERROR_TYPES.QUERY_TIMEOUT,
+      `Data Cloud query timed out after ${elapsedMs}ms (timeout ${timeoutMs}ms)`,
+      { cause: signal.reason, details }
+    );
+  }
+
+  return new DataCloudError(
+    ERROR_TYPES.CANCELLED,
+    `Data Cloud query cancelled after ${elapsedMs}ms: ${signal.reason?.message || 'aborted'}`,
+    { cause: signal.reason, details }
+  );
+}
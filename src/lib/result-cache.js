@@ -0,0 +1,223 @@
+/**
+ * Data Cloud Result Cache
+ *
+ * Caches Data Cloud query responses for a configurable time so that repeated
+ * agent turns do not re-run the same queries. Concurrent requests for the same
+ * key share one in-flight query, and entries that have just expired can be
+ * served as stale while they are refreshed in the background.
+ *
+ * Storage is pluggable. A store is any object implementing:
+ *   get(key)                 → Promise<entry | undefined>
+ *   set(key, entry, ttlMs)   → Promise<void>, keeping the entry for at least ttlMs
+ *   delete(key)              → Promise<void>
+ * Entries are JSON-serializable objects ({ value, storedAt, expiresAt,
+ * staleUntil }), so an external store such as Redis only needs to serialize
+ * them. MemoryCacheStore, an in-process LRU, is used by default.
+ */
+import { createHash } from 'node:crypto';
+
+/**
+ * Default time a cached result is served as fresh.
+ */
+export const DEFAULT_CACHE_TTL_SECONDS = 60;
+
+/**
+ * Default time an expired result may still be served while it is refreshed.
+ */
+export const DEFAULT_CACHE_STALE_SECONDS = 30;
+
+/**
+ * Default number of results kept by the in-memory store.
+ */
+export const DEFAULT_CACHE_MAX_ENTRIES = 500;
+
+/**
+ * In-memory least-recently-used cache store.
+ * Relies on Map preserving insertion order: reads move an entry to the end,
+ * and the first entry is evicted when the store is full.
+ */
+export class MemoryCacheStore {
+  constructor({ maxEntries = DEFAULT_CACHE_MAX_ENTRIES } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const item = this.entries.get(key);
+    if (!item) {
+      return undefined;
+    }
+    if (item.evictAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, item);
+    return item.entry;
+  }
+
+  async set(key, entry, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { entry, evictAt: Date.now() + ttlMs });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Builds a cache key for a query. Results are only shared between requests
+ * that use the same connection, data space and SQL.
+ *
+ * @param {Object} params - Key components
+ * @param {string} params.connectionName - Data Cloud connection name
+ * @param {string} params.dataSpace - Data space the query runs in
+ * @param {string} params.sql - Generated SQL
+ * @returns {string} Cache key
+ */
+export function buildCacheKey({ connectionName, dataSpace, sql }) {
+  const digest = createHash('sha256')
+    .update(`${connectionName}\n${dataSpace}\n${sql}`)
+    .digest('hex');
+  return `dc-query:${digest}`;
+}
+
+/**
+ * TTL result cache with request coalescing and stale-while-revalidate.
+ */
+export class ResultCache {
+  /**
+   * @param {Object} options - Cache settings
+   * @param {Object} options.store - Cache store (defaults to MemoryCacheStore)
+   * @param {number} options.ttlSeconds - Default time results are fresh
+   * @param {number} options.staleSeconds - Time expired results may be served while refreshing
+   * @param {Object} options.logger - Logger with info/warn/error methods
+   */
+  constructor({
+    store = new MemoryCacheStore(),
+    ttlSeconds = DEFAULT_CACHE_TTL_SECONDS,
+    staleSeconds = DEFAULT_CACHE_STALE_SECONDS,
+    logger = null,
+  } = {}) {
+    this.store = store;
+    this.ttlSeconds = ttlSeconds;
+    this.staleSeconds = staleSeconds;
+    this.logger = logger;
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Returns the cached value for a key, or loads and caches it.
+   *
+   * @param {string} key - Cache key (see buildCacheKey)
+   * @param {Function} loader - Async function producing the value on a miss
+   * @param {Object} options - Lookup options
+   * @param {number} options.ttlSeconds - Time the value is fresh (0 disables caching)
+   * @param {boolean} options.bypass - Skip the cached value and store a fresh one
+   * @returns {Promise<Object>} { value, status } where status is hit, miss,
+   *   stale, or bypass when the value was loaded without reading the cache
+   *   (bypassed, or a TTL of 0)
+   */
+  async getOrLoad(key, loader, { ttlSeconds = this.ttlSeconds, bypass } = {}) {
+    if (bypass || ttlSeconds <= 0) {
+      const value = await this.load(key, loader, ttlSeconds);
+      return { value, status: 'bypass' };
+    }
+
+    const entry = await this.readEntry(key);
+    const now = Date.now();
+
+    if (entry && entry.expiresAt > now) {
+      return { value: entry.value, status: 'hit' };
+    }
+
+    if (entry && entry.staleUntil > now) {
+      // Serve the stale value now and refresh it for the next caller
+      this.load(key, loader, ttlSeconds).catch(err => {
+        this.logger?.warn(`Background cache refresh failed: ${err.message}`);
+      });
+      return { value: entry.value, status: 'stale' };
+    }
+
+    const value = await this.load(key, loader, ttlSeconds);
+    return { value, status: 'miss' };
+  }
+
+  /**
+   * Runs the loader and stores its result, sharing one in-flight load
+   * between concurrent callers of the same key. Failed loads are not cached.
+   *
+   * @param {string} key - Cache key
+   * @param {Function} loader - Async function producing the value
+   * @param {number} ttlSeconds - Time the value is fresh
+   * @returns {Promise<*>} Loaded value
+   */
+  load(key, loader, ttlSeconds) {
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const promise = (async () => {
+      const value = await loader();
+      if (ttlSeconds > 0) {
+        await this.writeEntry(key, value, ttlSeconds);
+      }
+      return value;
+    })().finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Removes a key from the cache.
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async invalidate(key) {
+    await this.store.delete(key);
+  }
+
+  /**
+   * Reads an entry, treating store failures as a miss so an unavailable
+   * external store never fails a query.
+   */
+  async readEntry(key) {
+    try {
+      return await this.store.get(key);
+    } catch (err) {
+      this.logger?.warn(`Cache read failed: ${err.message}`);
+      return undefined;
+    }
+  }
+
+  /**
+   * Writes an entry, logging rather than throwing on store failures.
+   */
+  async writeEntry(key, value, ttlSeconds) {
+    const storedAt = Date.now();
+    const entry = {
+      value,
+      storedAt,
+      expiresAt: storedAt + ttlSeconds * 1000,
+      staleUntil: storedAt + (ttlSeconds + this.staleSeconds) * 1000,
+    };
+
+    try {
+      await this.store.set(key, entry, (ttlSeconds + this.staleSeconds) * 1000);
+    } catch (err) {
+      this.logger?.warn(`Cache write failed: ${err.message}`);
+    }
+  }
+}
+
+export default ResultCache;
@@ -0,0 +1,371 @@
+/**
+ * Cohort Retention Analysis
+ *
+ * Groups entities (such as client sessions) into cohorts by the period (day,
+ * week or month) they were first seen in, and counts how many entities of
+ * each cohort are active in each period after it. An entity is first seen in
+ * the first period it has an activation event in (any event without an
+ * activation event name), and is active in a period when it has any event in
+ * it. Only events within the time window are read, so entities are first seen
+ * no earlier than the window's first period.
+ *
+ * Periods are handled in UTC, as the milliseconds of their start; the week
+ * starts on Monday.
+ */
+import { DataCloudError } from './data-cloud-errors.js';
+import { AppError } from './errors.js';
+import { filter } from './sql/filter-builder.js';
+import { userEngagementQuery } from './sql/queries.js';
+import { defineRetentionQuery } from './sql/retention-queries.js';
+import { parseBucket } from './time-series.js';
+
+/**
+ * Number of cohorts of each period covered when no time window is given.
+ */
+export const DEFAULT_COHORT_COUNTS = {
+  day: 30,
+  week: 12,
+  month: 12,
+};
+
+/**
+ * Largest number of cohorts of a retention analysis.
+ */
+export const MAX_RETENTION_COHORTS = 366;
+
+/**
+ * Largest number of entity periods read for one retention analysis. Entities
+ * beyond it are not counted and the result is reported as truncated.
+ */
+export const MAX_RETENTION_ROWS = 100000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error raised when a retention analysis cannot be run for the requested
+ * window. Reported as a 400 bad request.
+ */
+export class RetentionError extends AppError {
+  constructor(message) {
+    super(message, {
+      statusCode: 400,
+      type: 'invalid_retention',
+      title: 'Invalid retention analysis',
+    });
+    this.name = 'RetentionError';
+  }
+}
+
+/**
+ * Truncates a time to the start of its period.
+ *
+ * @param {number} time - Milliseconds since epoch
+ * @param {string} period - day, week or month
+ * @returns {number} Start of the period
+ */
+export function truncatePeriod(time, period) {
+  const date = new Date(time);
+  if (period === 'month') {
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+  }
+  const day = Date.UTC(
+    date.getUTCFullYear(),
+    date.getUTCMonth(),
+    date.getUTCDate()
+  );
+  return period === 'week' ? day - ((date.getUTCDay() + 6) % 7) * DAY_MS : day;
+}
+
+/**
+ * Adds a number of periods to the start of a period.
+ *
+ * @param {number} start - Start of a period
+ * @param {string} period - day, week or month
+ * @param {number} count - Number of periods (may be negative)
+ * @returns {number} Start of the resulting period
+ */
+export function addPeriods(start, period, count) {
+  if (period === 'month') {
+    const date = new Date(start);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + count, 1);
+  }
+  return start + count * (period === 'week' ? 7 : 1) * DAY_MS;
+}
+
+/**
+ * Counts the periods from the start of one period to the start of another.
+ *
+ * @param {number} from - Start of the first period
+ * @param {number} to - Start of the second period
+ * @param {string} period - day, week or month
+ * @returns {number} Number of periods (negative when to is before from)
+ */
+export function periodsBetween(from, to, period) {
+  if (period === 'month') {
+    const a = new Date(from);
+    const b = new Date(to);
+    return (
+      (b.getUTCFullYear() - a.getUTCFullYear()) * 12 +
+      b.getUTCMonth() -
+      a.getUTCMonth()
+    );
+  }
+  return Math.round((to - from) / ((period === 'week' ? 7 : 1) * DAY_MS));
+}
+
+/**
+ * Parses a window bound given as an ISO 8601 date or date-time.
+ *
+ * @param {string} value - Window bound
+ * @param {string} name - Parameter name used in error messages
+ * @returns {number} Milliseconds since epoch
+ * @throws {RetentionError} When the value is not a date or date-time
+ */
+function parseBound(value, name) {
+  const instant = /^\d{4}-\d{2}-\d{2}/.test(value) ? Date.parse(value) : NaN;
+  if (Number.isNaN(instant)) {
+    throw new RetentionError(`${name} must be an ISO 8601 date or date-time`);
+  }
+  return instant;
+}
+
+/**
+ * Resolves the time window of a retention analysis and lists its cohorts.
+ * The window starts at the start of the period of createdFrom, so the first
+ * cohort is a whole period. Without createdTo the window ends now; without
+ * createdFrom it covers the default number of periods, ending with the
+ * period of its end.
+ *
+ * @param {Object} options - Window settings
+ * @param {string} options.period - day, week or month
+ * @param {string} options.createdFrom - Start of the window (inclusive)
+ * @param {string} options.createdTo - End of the window (exclusive)
+ * @param {number} options.now - Current time in milliseconds
+ * @returns {Object} { from, to, cohorts } where from and to are ISO 8601
+ *   instants and cohorts the starts of the window's periods
+ * @throws {RetentionError} When the window is invalid or has more than
+ *   MAX_RETENTION_COHORTS periods
+ */
+export function resolveCohortWindow({
+  period,
+  createdFrom,
+  createdTo,
+  now = Date.now(),
+}) {
+  const to = createdTo ? parseBound(createdTo, 'createdTo') : now;
+  const last = truncatePeriod(to - 1, period);
+  const from = createdFrom
+    ? truncatePeriod(parseBound(createdFrom, 'createdFrom'), period)
+    : addPeriods(last, period, 1 - DEFAULT_COHORT_COUNTS[period]);
+  if (from >= to) {
+    throw new RetentionError('createdFrom must be before createdTo');
+  }
+
+  const count = periodsBetween(from, last, period) + 1;
+  if (count > MAX_RETENTION_COHORTS) {
+    throw new RetentionError(
+      `Time window has more than ${MAX_RETENTION_COHORTS} ${period} cohorts; use a shorter window or a longer period`
+    );
+  }
+
+  return {
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    cohorts: Array.from({ length: count }, (_, index) =>
+      addPeriods(from, period, index)
+    ),
+  };
+}
+
+/**
+ * Returns a share as a percentage rounded to two decimals.
+ *
+ * @param {number} part - Part
+ * @param {number} total - Total
+ * @returns {number|null} Percentage, or null when the total is zero
+ */
+function percentage(part, total) {
+  return total > 0 ? Number(((part / total) * 100).toFixed(2)) : null;
+}
+
+/**
+ * Counts the entities of each cohort active in each period after it.
+ * Records are added in entity order, and the periods of an entity are
+ * counted once the next entity starts (or the analysis finishes).
+ */
+export class CohortRetention {
+  /**
+   * @param {number[]} cohorts - Starts of the cohort periods, in order
+   * @param {string} period - day, week or month
+   */
+  constructor(cohorts, period) {
+    this.cohorts = cohorts;
+    this.period = period;
+    this.positions = new Map(cohorts.map((start, index) => [start, index]));
+    // active[cohort][offset] counts the cohort's entities active offset
+    // periods after it; later periods than the window's are never counted
+    this.active = cohorts.map((_, index) =>
+      new Array(cohorts.length - index).fill(0)
+    );
+    this.entityCount = 0;
+    this.entity = undefined;
+    this.periods = [];
+  }
+
+  /**
+   * Adds the next record, in entity order. Each entity has one record per
+   * period.
+   *
+   * @param {Object} record - Record { entity, periodStart, eventCount,
+   *   activationCount } of a retention query
+   */
+  add(record) {
+    if (record.entity !== this.entity) {
+      this.flush();
+      this.entity = record.entity;
+    }
+    const start = parseBucket(record.periodStart);
+    if (this.positions.has(start)) {
+      this.periods.push({
+        position: this.positions.get(start),
+        activated: record.activationCount > 0,
+      });
+    }
+  }
+
+  /**
+   * Counts the periods of the current entity.
+   */
+  flush() {
+    if (this.periods.length === 0) {
+      return;
+    }
+
+    this.entityCount++;
+    const periods = this.periods.sort((a, b) => a.position - b.position);
+    const first = periods.find(({ activated }) => activated);
+    if (first) {
+      for (const { position } of periods) {
+        if (position >= first.position) {
+          this.active[first.position][position - first.position]++;
+        }
+      }
+    }
+    this.periods = [];
+  }
+
+  /**
+   * Counts the last entity and reports the retention matrix.
+   *
+   * @param {Object} options - Finish settings
+   * @param {boolean} options.complete - Whether every record was added; when
+   *   not, the last entity, whose periods may be cut off, is left out
+   * @returns {Object} { entityCount, cohorts, averageRetention } where
+   *   entityCount is the number of entities with an event in the window,
+   *   cohorts are { cohort, size, active, retention } with active the number
+   *   of the cohort's entities active in each period since its own (the first
+   *   being its size) and retention those numbers as percentages of the size,
+   *   and averageRetention the retention of each period since the cohort's,
+   *   weighted by cohort size. Percentages are null when there are no
+   *   entities to compare with.
+   */
+  finish({ complete = true } = {}) {
+    if (complete) {
+      this.flush();
+    }
+    this.periods = [];
+
+    const cohorts = this.cohorts.map((start, index) => {
+      const active = this.active[index];
+      const [size] = active;
+      return {
+        cohort: new Date(start).toISOString().slice(0, 10),
+        size,
+        active,
+        retention: active.map(count => percentage(count, size)),
+      };
+    });
+
+    const averageRetention = this.cohorts.map((_, offset) => {
+      let retained = 0;
+      let eligible = 0;
+      for (const { size, active } of cohorts.slice(
+        0,
+        cohorts.length - offset
+      )) {
+        retained += active[offset];
+        eligible += size;
+      }
+      return percentage(retained, eligible);
+    });
+
+    return { entityCount: this.entityCount, cohorts, averageRetention };
+  }
+}
+
+/**
+ * Builds a cohort retention matrix of engagement entities: entities are grouped
+ * by the period they were first seen in, and counted in each later period they
+ * have events in. The active periods of each entity are counted in Data Cloud,
+ * and at most MAX_RETENTION_ROWS of them are read.
+ *
+ * @param {DataCloudQueryService} queryService - Service the active periods are queried with
+ * @param {Object} options - Retention settings
+ * @param {string} options.period - day, week or month
+ * @param {string} options.entityKey - Groupable engagement field
+ *   identifying an entity (default: clientSession)
+ * @param {string} options.activationEvent - Optional event name an entity
+ *   is first seen with; without it any event counts
+ * @param {string} options.createdFrom - Start of the window (inclusive)
+ * @param {string} options.createdTo - End of the window (exclusive)
+ * @returns {Promise<Object>} { entityCount, cohorts, averageRetention, from,
+ *   to, query, truncated } where truncated is set when the entity periods
+ *   were cut off at MAX_RETENTION_ROWS rows
+ * @throws {RetentionError} When the window is invalid
+ * @throws {DataCloudError} Classified error when the query fails
+ */
+export async function analyzeEngagementRetention(
+  queryService,
+  {
+    period,
+    entityKey = 'clientSession',
+    activationEvent = null,
+    createdFrom,
+    createdTo,
+  }
+) {
+  const window = resolveCohortWindow({ period, createdFrom, createdTo });
+  const query = defineRetentionQuery(userEngagementQuery, {
+    entityProperty: entityKey,
+    dateProperty: 'createdDate',
+    period,
+    activationFilter: activationEvent
+      ? filter.eq('eventName', activationEvent)
+      : null,
+    filterNode: filter.and(
+      filter.isNotNull(entityKey),
+      filter.gte('createdDate', window.from),
+      filter.lt('createdDate', window.to)
+    ),
+    limit: MAX_RETENTION_ROWS + 1,
+  });
+
+  const result = await queryService.executeQuery(query);
+  if (!result.success) {
+    throw DataCloudError.fromResult(result);
+  }
+
+  const truncated = result.records.length > MAX_RETENTION_ROWS;
+  const retention = new CohortRetention(window.cohorts, period);
+  result.records
+    .slice(0, MAX_RETENTION_ROWS)
+    .forEach(record => retention.add(record));
+
+  return {
+    ...retention.finish({ complete: !truncated }),
+    from: window.from,
+    to: window.to,
+    query: result.metadata.query,
+    truncated,
+  };
+}
@@ -0,0 +1,114 @@
+/**
+ * Data Cloud Retry Policy
+ *
+ * Retries Data Cloud calls that fail with a transient error (rate limit,
+ * timeout or upstream failure) using exponential backoff with full jitter.
+ * A Retry-After header sent by Data Cloud is honored instead of the computed
+ * delay, unless it asks for a longer wait than the policy allows, in which
+ * case the error is returned to the caller straight away.
+ */
+import { setTimeout as delay } from 'node:timers/promises';
+import { classifyError } from './data-cloud-errors.js';
+
+/**
+ * Default number of attempts, including the first call.
+ */
+export const DEFAULT_RETRY_ATTEMPTS = 3;
+
+/**
+ * Default delay before the first retry, doubled for every further retry.
+ */
+export const DEFAULT_RETRY_BASE_DELAY_MS = 200;
+
+/**
+ * Default longest delay between two attempts.
+ */
+export const DEFAULT_RETRY_MAX_DELAY_MS = 5000;
+
+const sleep = (ms, signal) =>
+  delay(ms, undefined, { signal: signal ?? undefined });
+
+export class RetryPolicy {
+  /**
+   * @param {Object} options - Policy settings
+   * @param {number} options.maxAttempts - Attempts including the first call (1 disables retries)
+   * @param {number} options.baseDelayMs - Delay before the first retry
+   * @param {number} options.maxDelayMs - Longest delay, including Retry-After waits
+   * @param {Object} options.logger - Logger with info/warn methods
+   * @param {Function} options.sleep - Async delay function taking (ms, signal) (for tests)
+   * @param {Function} options.random - Random number source in [0, 1) (for tests)
+   */
+  constructor({
+    maxAttempts = DEFAULT_RETRY_ATTEMPTS,
+    baseDelayMs = DEFAULT_RETRY_BASE_DELAY_MS,
+    maxDelayMs = DEFAULT_RETRY_MAX_DELAY_MS,
+    logger = null,
+    sleep: sleepFn = sleep,
+    random = Math.random,
+  } = {}) {
+    this.maxAttempts = Math.max(1, maxAttempts);
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.logger = logger;
+    this.sleep = sleepFn;
+    this.random = random;
+  }
+
+  /**
+   * Computes the delay before a retry.
+   *
+   * @param {number} attempt - Number of the attempt that just failed (1-based)
+   * @param {DataCloudError} error - Classified error of that attempt
+   * @returns {number|null} Milliseconds to wait, or null when the requested
+   *   Retry-After wait is longer than maxDelayMs
+   */
+  getDelay(attempt, error) {
+    if (error.retryAfterMs !== null) {
+      return error.retryAfterMs <= this.maxDelayMs ? error.retryAfterMs : null;
+    }
+    const ceiling = Math.min(
+      this.maxDelayMs,
+      this.baseDelayMs * 2 ** (attempt - 1)
+    );
+    return Math.round(this.random() * ceiling);
+  }
+
+  /**
+   * Runs an operation, retrying it on transient errors.
+   *
+   * @param {Function} operation - Async function to run
+   * @param {string} description - Name of the call used in log messages
+   * @param {AbortSignal} signal - Optional signal; no retry is made once it aborts
+   * @returns {Promise<*>} Result of the operation
+   * @throws {DataCloudError} Classified error of the last attempt
+   */
+  async execute(operation, description = 'Data Cloud call', signal = null) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await operation();
+      } catch (err) {
+        const error = await classifyError(err);
+        const wait =
+          error.retryable && attempt < this.maxAttempts && !signal?.aborted
+            ? this.getDelay(attempt, error)
+            : null;
+
+        if (wait === null) {
+          throw error;
+        }
+
+        this.logger?.warn(
+          `${description} failed (${error.type}: ${error.message}), retrying in ${wait}ms (attempt ${attempt + 1} of ${this.maxAttempts})`
+        );
+        try {
+          await this.sleep(wait, signal);
+          // eslint-disable-next-line no-unused-vars
+        } catch (abortErr) {
+          throw error;
+        }
+      }
+    }
+  }
+}
+
+export default RetryPolicy;
@@ -0,0 +1,38 @@
+/**
+ * Route Schemas
+ *
+ * Query string schemas shared by the routes of several areas (see
+ * src/routes), spread into each route's querystring properties.
+ */
+import { DEFAULT_DATA_SPACE } from './data-cloud-query-service.js';
+
+/**
+ * Query string schema for the data space parameter shared by all Data Cloud
+ * endpoints. Data space names are API names, so anything else is rejected.
+ */
+export const spaceQuerystring = {
+  space: {
+    type: 'string',
+    pattern: '^[A-Za-z][A-Za-z0-9_]*$',
+    default: DEFAULT_DATA_SPACE,
+  },
+};
+
+/**
+ * Query string schema for metadata listing endpoints.
+ */
+export const metadataQuerystring = {
+  ...spaceQuerystring,
+  entityCategory: { type: 'string' },
+  entityName: { type: 'string' },
+};
+
+/**
+ * Query string schema for paged endpoints.
+ * The page size is capped at DATA_CLOUD_MAX_PAGE_SIZE by the query service.
+ */
+export const pageQuerystring = {
+  limit: { type: 'integer', minimum: 1 },
+  cursor: { type: 'string' },
+  format: { type: 'string', enum: ['json', 'ndjson', 'csv'] },
+};
@@ -0,0 +1,355 @@
+/**
+ * Data Cloud Schema Registry
+ *
+ * Loads the objects and fields of a data space from the metadata API and
+ * caches them, so SQL can be checked for unknown tables and columns before
+ * it is sent to Data Cloud. Unknown names are rejected with "did you mean"
+ * suggestions taken from the metadata.
+ *
+ * Schemas are cached per connection and data space for ttlSeconds, and
+ * concurrent loads of the same schema share a single set of metadata calls.
+ */
+import { AppError } from './errors.js';
+import { ENTITY_TYPES } from './model-metadata.js';
+import {
+  extractReferences,
+  getObjectEntityType,
+} from './sql/sql-references.js';
+
+/**
+ * Default time a loaded schema is reused before it is loaded again.
+ */
+export const DEFAULT_SCHEMA_TTL_SECONDS = 600;
+
+/**
+ * Largest number of suggestions reported for an unknown name.
+ */
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Error raised when SQL refers to tables or columns that do not exist in the
+ * data space. Reported as a 400 bad request listing every unknown reference.
+ */
+export class SqlReferenceError extends AppError {
+  /**
+   * @param {Array} unknownReferences - Unknown references { kind, name, table, suggestions }
+   * @param {string} sql - SQL that was rejected
+   */
+  constructor(unknownReferences, sql) {
+    super(unknownReferences.map(describeReference).join('; '), {
+      statusCode: 400,
+      type: 'unknown_reference',
+      title: 'Unknown table or column',
+      sql,
+      details: { unknownReferences },
+    });
+    this.name = 'SqlReferenceError';
+  }
+}
+
+function describeReference({ kind, name, table, suggestions }) {
+  const where = table ? ` in ${table}` : '';
+  const hint = suggestions.length
+    ? ` (did you mean ${suggestions.join(', ')}?)`
+    : '';
+  return `Unknown ${kind} '${name}'${where}${hint}`;
+}
+
+/**
+ * Computes the Levenshtein distance between two strings.
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single character edits between the strings
+ */
+export function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Suggests the known names closest to an unknown one, ignoring case.
+ *
+ * @param {string} name - Unknown name
+ * @param {Iterable<string>} candidates - Known names
+ * @returns {string[]} Up to three close names, closest first
+ */
+export function suggestNames(name, candidates) {
+  const target = name.toLowerCase();
+  const maxDistance = Math.max(2, Math.floor(name.length / 4));
+
+  return [...candidates]
+    .map(candidate => ({
+      candidate,
+      distance: editDistance(target, candidate.toLowerCase()),
+    }))
+    .filter(({ distance }) => distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, MAX_SUGGESTIONS)
+    .map(({ candidate }) => candidate);
+}
+
+/**
+ * Builds a schema from normalized metadata entities.
+ *
+ * @param {Object} entitiesByType - Normalized entities keyed by entity type;
+ *   entity types whose metadata could not be loaded are left out
+ * @returns {Object} { entityTypes, tables } where tables maps lower-cased
+ *   object names to { name, entityType, columns } and columns maps lower-cased
+ *   field names to field names
+ */
+export function buildSchema(entitiesByType) {
+  const tables = new Map();
+
+  for (const [entityType, entities] of Object.entries(entitiesByType)) {
+    for (const entity of entities) {
+      const fields = [
+        ...(entity.fields || []),
+        ...(entity.dimensions || []),
+        ...(entity.measures || []),
+      ];
+      tables.set(entity.name.toLowerCase(), {
+        name: entity.name,
+        entityType,
+        columns: new Map(
+          fields.map(field => [field.name.toLowerCase(), field.name])
+        ),
+      });
+    }
+  }
+
+  return { entityTypes: new Set(Object.keys(entitiesByType)), tables };
+}
+
+/**
+ * Finds the tables and columns of a SQL statement that the schema does not
+ * know. Only objects of entity types whose metadata was loaded are checked.
+ * Columns are checked against the tables the statement reads from, and only
+ * when all of them are known Data Cloud objects; columns qualified with an
+ * unknown alias (a subquery, for example) are skipped.
+ *
+ * @param {string} sql - SQL statement
+ * @param {Object} schema - Schema built by buildSchema
+ * @returns {Array} Unknown references { kind, name, table, suggestions }
+ */
+export function findUnknownReferences(sql, schema) {
+  const { tables, columns, aliases } = extractReferences(sql);
+  const unknown = [];
+  const knownTables = [];
+  const tablesByQualifier = new Map();
+
+  for (const table of tables) {
+    if (!schema.entityTypes.has(getObjectEntityType(table.name))) {
+      continue;
+    }
+    const known = schema.tables.get(table.name.toLowerCase());
+    if (!known) {
+      unknown.push({
+        kind: 'table',
+        name: table.name,
+        table: null,
+        suggestions: suggestNames(
+          table.name,
+          [...schema.tables.values()].map(entry => entry.name)
+        ),
+      });
+      continue;
+    }
+    knownTables.push(known);
+    tablesByQualifier.set(table.name.toLowerCase(), known);
+    if (table.alias) {
+      tablesByQualifier.set(table.alias.toLowerCase(), known);
+    }
+  }
+
+  // Columns are only checked when every table read from is known
+  if (knownTables.length === 0 || knownTables.length < tables.length) {
+    return unknown;
+  }
+
+  const aliasNames = new Set(aliases.map(alias => alias.toLowerCase()));
+  const reported = new Set();
+
+  for (const column of columns) {
+    const name = column.name.toLowerCase();
+    if (aliasNames.has(name)) {
+      continue;
+    }
+
+    let candidates = knownTables;
+    if (column.qualifier) {
+      const qualified = tablesByQualifier.get(column.qualifier.toLowerCase());
+      if (!qualified) {
+        continue;
+      }
+      candidates = [qualified];
+    }
+
+    if (candidates.some(table => table.columns.has(name))) {
+      continue;
+    }
+
+    const tableNames = candidates.map(table => table.name).join(', ');
+    const key = `${tableNames}.${name}`;
+    if (reported.has(key)) {
+      continue;
+    }
+    reported.add(key);
+    unknown.push({
+      kind: 'column',
+      name: column.name,
+      table: tableNames,
+      suggestions: suggestNames(
+        column.name,
+        candidates.flatMap(table => [...table.columns.values()])
+      ),
+    });
+  }
+
+  return unknown;
+}
+
+export class SchemaRegistry {
+  /**
+   * @param {Object} options - Registry settings
+   * @param {number} options.ttlSeconds - Time a loaded schema is reused
+   * @param {Object} options.logger - Logger with info/warn methods
+   */
+  constructor({ ttlSeconds = DEFAULT_SCHEMA_TTL_SECONDS, logger = null } = {}) {
+    this.ttlSeconds = ttlSeconds;
+    this.logger = logger;
+    this.schemas = new Map();
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Returns the schema of the query service's connection and data space,
+   * loading it from the metadata API when it is missing or expired.
+   *
+   * @param {DataCloudQueryService} queryService - Service used for metadata calls
+   * @returns {Promise<Object>} Schema (see buildSchema)
+   */
+  async getSchema(queryService) {
+    const key = `${queryService.dcConnectionName}:${queryService.dataSpace}`;
+    const cached = this.schemas.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.schema;
+    }
+
+    if (!this.inFlight.has(key)) {
+      const load = this.loadSchema(queryService)
+        .then(schema => {
+          this.schemas.set(key, {
+            schema,
+            expiresAt: Date.now() + this.ttlSeconds * 1000,
+          });
+          return schema;
+        })
+        .finally(() => this.inFlight.delete(key));
+      this.inFlight.set(key, load);
+    }
+    return await this.inFlight.get(key);
+  }
+
+  /**
+   * Loads the objects and fields of every entity type from the metadata API.
+   * Entity types whose metadata cannot be loaded (for example because the
+   * connection may not read them) are left out of the schema and their
+   * objects are not checked; the load fails only when no type could be loaded.
+   *
+   * @param {DataCloudQueryService} queryService - Service used for metadata calls
+   * @returns {Promise<Object>} Schema (see buildSchema)
+   */
+  async loadSchema(queryService) {
+    const entityTypes = Object.keys(ENTITY_TYPES);
+    const results = await Promise.allSettled(
+      entityTypes.map(entityType => queryService.listEntities(entityType))
+    );
+
+    const entitiesByType = {};
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        entitiesByType[entityTypes[index]] = result.value;
+      } else {
+        this.logger?.warn(
+          `Could not load ${entityTypes[index]} metadata for SQL validation: ${result.reason.message}`
+        );
+      }
+    });
+
+    if (Object.keys(entitiesByType).length === 0) {
+      throw results[0].reason;
+    }
+
+    const schema = buildSchema(entitiesByType);
+    this.logger?.info(
+      `Loaded schema of data space '${queryService.dataSpace}': ${schema.tables.size} objects`
+    );
+    return schema;
+  }
+
+  /**
+   * Checks the tables and columns referenced by SQL against the schema of the
+   * query service's connection and data space.
+   *
+   * @param {DataCloudQueryService} queryService - Service the SQL runs on
+   * @param {string} sql - SQL statement
+   * @throws {SqlReferenceError} When the SQL refers to unknown tables or columns
+   */
+  async validateSql(queryService, sql) {
+    const schema = await this.getSchema(queryService);
+    const unknownReferences = findUnknownReferences(sql, schema);
+    if (unknownReferences.length > 0) {
+      throw new SqlReferenceError(unknownReferences, sql);
+    }
+  }
+
+  /**
+   * Checks the SQL of several query objects, collecting the problems found
+   * rather than stopping at the first one.
+   *
+   * @param {DataCloudQueryService} queryService - Service the queries run on
+   * @param {Object} queries - SQL strings or query objects with sql, keyed by name
+   * @returns {Promise<Array>} Problems { name, error } of the invalid queries
+   * @throws {Error} When the schema cannot be loaded
+   */
+  async validateQueries(queryService, queries) {
+    const schema = await this.getSchema(queryService);
+    const problems = [];
+
+    for (const [name, query] of Object.entries(queries)) {
+      const sql = typeof query === 'string' ? query : query.sql;
+      const unknownReferences = findUnknownReferences(sql, schema);
+      if (unknownReferences.length > 0) {
+        problems.push({
+          name,
+          error: new SqlReferenceError(unknownReferences, sql),
+        });
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Drops every cached schema, so the next validation reloads the metadata.
+   */
+  clear() {
+    this.schemas.clear();
+  }
+}
+
+export default SchemaRegistry;
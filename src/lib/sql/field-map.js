@@ -0,0 +1,322 @@
+/**
+ * Field Map Query Definitions
+ *
+ * Query definitions describe a Data Cloud object as a table name plus an
+ * ordered field map (Data Cloud column → output property, optional type).
+ * Both the SELECT clause and the record transform are generated from the same
+ * field map, so adding or reordering a column can never shift values into the
+ * wrong property.
+ */
+
+import { buildWhereClause } from './filter-builder.js';
+
+/**
+ * Value coercions applied to each column according to its declared type.
+ * Null and undefined values are passed through as null for every type.
+ */
+export const FIELD_TYPES = {
+  string: value => String(value),
+  number: value => {
+    const number = Number(value);
+    return Number.isNaN(number) ? null : number;
+  },
+  boolean: value =>
+    typeof value === 'boolean' ? value : String(value).toLowerCase() === 'true',
+  datetime: value => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? String(value) : date.toISOString();
+  },
+  date: value => {
+    const match = /^\d{4}-\d{2}-\d{2}/.exec(String(value));
+    return match ? match[0] : String(value);
+  },
+};
+
+/**
+ * Checks whether an object is a field map query definition.
+ *
+ * @param {Object} queryObject - Candidate query object
+ * @returns {boolean} True when the object declares a table and a field map
+ */
+export function isQueryDefinition(queryObject) {
+  return Boolean(
+    queryObject &&
+    typeof queryObject.table === 'string' &&
+    Array.isArray(queryObject.fields)
+  );
+}
+
+/**
+ * Validates a query definition, failing fast on mistakes that would
+ * otherwise only show up as wrong output at runtime.
+ *
+ * @param {Object} definition - Query definition to validate
+ * @throws {Error} When the table, field map or a field type is invalid
+ */
+function validateDefinition(definition) {
+  if (!isQueryDefinition(definition) || definition.fields.length === 0) {
+    throw new Error(
+      'Query definition must have a table name and a non-empty fields array'
+    );
+  }
+
+  const columns = new Set();
+  const properties = new Set();
+
+  for (const field of definition.fields) {
+    if (!field.column || !field.property) {
+      throw new Error(
+        `Field in '${definition.table}' must have both column and property`
+      );
+    }
+    if (field.type && !FIELD_TYPES[field.type]) {
+      throw new Error(
+        `Unknown type '${field.type}' for field '${field.column}' in '${definition.table}'`
+      );
+    }
+    if (columns.has(field.column)) {
+      throw new Error(
+        `Duplicate column '${field.column}' in '${definition.table}'`
+      );
+    }
+    if (properties.has(field.property)) {
+      throw new Error(
+        `Duplicate property '${field.property}' in '${definition.table}'`
+      );
+    }
+    columns.add(field.column);
+    properties.add(field.property);
+  }
+}
+
+/**
+ * Builds the SELECT ... FROM clause for a query definition.
+ *
+ * @param {Object} definition - Query definition with table and fields
+ * @returns {string} SQL selecting every mapped column in field map order
+ */
+export function buildSelectClause(definition) {
+  const columns = definition.fields.map(field => field.column).join(', ');
+  return `SELECT ${columns} FROM ${definition.table}`;
+}
+
+/**
+ * Transforms array-based records to named properties using a field map.
+ *
+ * Data Cloud returns records as arrays. When the response includes column
+ * metadata (column name → placeInOrder), values are looked up by column name;
+ * otherwise they are read in field map order, which matches the generated
+ * SELECT clause.
+ *
+ * @param {Array} fields - Ordered field map
+ * @param {Array} records - Array of records from Data Cloud API
+ * @param {Object} columnMetadata - Optional column metadata from the response
+ * @returns {Array} Array of objects with clean property names
+ */
+export function transformRecords(fields, records, columnMetadata = null) {
+  const positions = fields.map((field, index) => {
+    const placeInOrder = columnMetadata?.[field.column]?.placeInOrder;
+    return Number.isInteger(placeInOrder) ? placeInOrder : index;
+  });
+
+  return records.map(record => {
+    const transformed = {};
+    fields.forEach((field, index) => {
+      const value = record[positions[index]];
+      transformed[field.property] =
+        value === undefined || value === null
+          ? null
+          : field.type
+            ? FIELD_TYPES[field.type](value)
+            : value;
+    });
+    return transformed;
+  });
+}
+
+/**
+ * Lists the columns of a query response in result order.
+ *
+ * @param {Object} columnMetadata - Column metadata from the response
+ *   (column name → { placeInOrder, type })
+ * @returns {Array} Columns of { name, type }
+ */
+export function getColumns(columnMetadata) {
+  return Object.entries(columnMetadata || {})
+    .sort(
+      ([, a], [, b]) =>
+        Number(a?.placeInOrder ?? 0) - Number(b?.placeInOrder ?? 0)
+    )
+    .map(([name, column]) => ({ name, type: column?.type ?? null }));
+}
+
+/**
+ * Builds the filter allow-list for a field map from the fields flagged as
+ * filterable, keyed by output property.
+ *
+ * @param {Array} fields - Ordered field map
+ * @returns {Object} Allow-list of property → { column, type }
+ */
+export function getFilterFields(fields) {
+  const filterFields = {};
+  for (const field of fields) {
+    if (field.filterable) {
+      filterFields[field.property] = {
+        column: field.column,
+        type: field.type || 'string',
+      };
+    }
+  }
+  return filterFields;
+}
+
+/**
+ * Builds the group-by allow-list for a field map from the fields flagged as
+ * groupable, keyed by output property.
+ *
+ * @param {Array} fields - Ordered field map
+ * @returns {Object} Allow-list of property → { column, type }
+ */
+export function getGroupFields(fields) {
+  const groupFields = {};
+  for (const field of fields) {
+    if (field.groupable) {
+      groupFields[field.property] = {
+        column: field.column,
+        type: field.type || 'string',
+      };
+    }
+  }
+  return groupFields;
+}
+
+/**
+ * Defines the query counting the rows of a query object per value of one of
+ * its groupable fields, with an optional filter tree applied. Groups are
+ * returned largest first, and records are transformed to
+ * { [property]: value, count }.
+ *
+ * @param {Object} queryObject - Query object created by defineQuery
+ * @param {string} property - Output property of a groupable field
+ * @param {Object} filterNode - Optional filter tree (see filter-builder.js)
+ * @param {number} limit - Largest number of groups to return
+ * @returns {Object} Query object with sql and transform, usable by
+ *   DataCloudQueryService
+ * @throws {Error} When the field is not groupable
+ */
+export function defineGroupedQuery(queryObject, property, filterNode, limit) {
+  const spec = Object.hasOwn(queryObject.groupFields ?? {}, property)
+    ? queryObject.groupFields[property]
+    : null;
+  if (!spec) {
+    throw new Error(
+      `Field '${property}' of '${queryObject.table}' cannot be grouped by`
+    );
+  }
+
+  const whereClause = buildWhereClause(filterNode, queryObject.filterFields);
+  let sql =
+    `SELECT ${spec.column} AS group_value, COUNT(*) AS record_count ` +
+    `FROM ${queryObject.table}`;
+  if (whereClause) {
+    sql += ` WHERE ${whereClause}`;
+  }
+  sql +=
+    ` GROUP BY ${spec.column} ORDER BY record_count DESC, ${spec.column}` +
+    ` LIMIT ${limit}`;
+
+  const fields = [
+    { column: 'group_value', property, type: spec.type },
+    { column: 'record_count', property: 'count', type: 'number' },
+  ];
+  return {
+    sql,
+    fields,
+    cacheTtlSeconds: queryObject.cacheTtlSeconds,
+    timeoutMs: queryObject.timeoutMs,
+    transform: (records, columnMetadata) =>
+      transformRecords(fields, records, columnMetadata),
+  };
+}
+
+/**
+ * Builds the SQL for a query object with an optional filter tree applied.
+ *
+ * Without a page the query object's own limit is used. With a page, rows are
+ * ordered by the query object's orderBy columns so that consecutive pages
+ * never overlap or skip rows.
+ *
+ * @param {Object} queryObject - Query object created by defineQuery
+ * @param {Object} filterNode - Optional filter tree (see filter-builder.js)
+ * @param {Object} page - Optional page to fetch
+ * @param {number} page.limit - Number of rows to fetch
+ * @param {number} page.offset - Number of rows to skip
+ * @returns {string} SQL query with WHERE, ORDER BY and LIMIT clauses as needed
+ */
+export function buildFilteredQuery(queryObject, filterNode, page = null) {
+  const whereClause = buildWhereClause(filterNode, queryObject.filterFields);
+
+  let query = queryObject.baseSql;
+  if (whereClause) {
+    query += ` WHERE ${whereClause}`;
+  }
+  if (queryObject.orderBy) {
+    query += ` ORDER BY ${[].concat(queryObject.orderBy).join(', ')}`;
+  }
+  if (page) {
+    query += ` LIMIT ${page.limit}`;
+    if (page.offset) {
+      query += ` OFFSET ${page.offset}`;
+    }
+  } else if (queryObject.limit) {
+    query += ` LIMIT ${queryObject.limit}`;
+  }
+
+  return query;
+}
+
+/**
+ * Creates a query object from a field map definition.
+ *
+ * The returned object keeps every property of the definition (including
+ * custom methods such as buildQuery) and adds the generated baseSql, sql,
+ * filter and group-by allow-lists, buildQuery and transform unless the
+ * definition already provides them. The generated buildQuery(filters, page)
+ * applies filters.filter, a filter tree over the fields flagged as
+ * filterable, and the optional page; custom buildQuery methods should accept
+ * the same arguments, and may be paired with a buildFilter(filters) method
+ * returning the filter tree they apply.
+ *
+ * @param {Object} definition - Query definition
+ * @param {string} definition.table - Data Cloud object to query
+ * @param {Array} definition.fields - Ordered field map of { column, property, type?, filterable?, groupable? }
+ * @param {string|string[]} definition.orderBy - Optional ORDER BY columns giving a stable row order
+ * @param {number} definition.limit - Optional row limit, also the default page size
+ * @returns {Object} Query object usable by DataCloudQueryService
+ */
+export function defineQuery(definition) {
+  validateDefinition(definition);
+
+  const queryObject = {
+    ...definition,
+    baseSql: buildSelectClause(definition),
+    filterFields: getFilterFields(definition.fields),
+    groupFields: getGroupFields(definition.fields),
+    buildQuery:
+      definition.buildQuery ??
+      (definition.sql
+        ? undefined
+        : function (filters = {}, page = null) {
+            return buildFilteredQuery(this, filters.filter, page);
+          }),
+    transform:
+      definition.transform ??
+      ((records, columnMetadata) =>
+        transformRecords(definition.fields, records, columnMetadata)),
+  };
+  queryObject.sql = definition.sql ?? buildFilteredQuery(queryObject);
+
+  return queryObject;
+}
+
+export default defineQuery;
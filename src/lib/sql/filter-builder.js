@@ -0,0 +1,448 @@
+/**
+ * Data Cloud Filter Builder
+ *
+ * Builds WHERE clauses from a small, composable filter tree instead of
+ * concatenating strings in each query object. Every condition is validated
+ * against an allow-list of filterable fields (output property → column and
+ * type) before any SQL is generated, and every value is rendered as a typed,
+ * escaped literal.
+ *
+ * Filter tree nodes:
+ *   { field, op, value }      - a single condition on an allow-listed field
+ *   { and: [node, ...] }      - all child nodes must match
+ *   { or: [node, ...] }       - at least one child node must match
+ */
+import { AppError } from '../errors.js';
+
+/**
+ * Maximum nesting depth of and/or groups.
+ */
+export const MAX_FILTER_DEPTH = 5;
+
+/**
+ * Maximum number of conditions in a single filter tree.
+ */
+export const MAX_FILTER_CONDITIONS = 50;
+
+/**
+ * Maximum number of values in an IN list.
+ */
+export const MAX_IN_VALUES = 100;
+
+/**
+ * Operators supported by each field type.
+ */
+const OPERATORS_BY_TYPE = {
+  string: [
+    'eq',
+    'neq',
+    'in',
+    'like',
+    'contains',
+    'startsWith',
+    'isNull',
+    'isNotNull',
+  ],
+  number: [
+    'eq',
+    'neq',
+    'in',
+    'gt',
+    'gte',
+    'lt',
+    'lte',
+    'between',
+    'isNull',
+    'isNotNull',
+  ],
+  date: [
+    'eq',
+    'neq',
+    'gt',
+    'gte',
+    'lt',
+    'lte',
+    'between',
+    'isNull',
+    'isNotNull',
+  ],
+  datetime: [
+    'eq',
+    'neq',
+    'gt',
+    'gte',
+    'lt',
+    'lte',
+    'between',
+    'isNull',
+    'isNotNull',
+  ],
+  boolean: ['eq', 'neq', 'isNull', 'isNotNull'],
+};
+
+const COMPARISON_SQL = {
+  eq: '=',
+  neq: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+};
+
+/**
+ * Error raised when a filter is malformed or references a field, operator or
+ * value that is not allowed. Reported as a 400 bad request.
+ */
+export class FilterValidationError extends AppError {
+  constructor(message) {
+    super(message, {
+      statusCode: 400,
+      type: 'invalid_filter',
+      title: 'Invalid filter',
+    });
+    this.name = 'FilterValidationError';
+  }
+}
+
+/**
+ * Escapes SQL string values to prevent injection attacks.
+ * Replaces single quotes with double single quotes and removes/escapes dangerous characters.
+ *
+ * @param {string} value - String value to escape
+ * @returns {string} Escaped string safe for SQL queries
+ */
+export function escapeSqlString(value) {
+  if (typeof value !== 'string') {
+    return String(value);
+  }
+
+  // Replace single quotes with double single quotes (SQL standard escaping)
+  // Remove or escape other potentially dangerous characters
+  return value
+    .replace(/'/g, "''") // Escape single quotes
+    .replace(/\\/g, '\\\\') // Escape backslashes
+    .replace(/\x00/g, '') // Remove null bytes
+    .replace(/\n/g, '\\n') // Escape newlines
+    .replace(/\r/g, '\\r') // Escape carriage returns
+    .replace(/\x1a/g, '\\Z'); // Escape ctrl+Z
+}
+
+/**
+ * Composable helpers for building filter trees in code.
+ */
+export const filter = {
+  eq: (field, value) => ({ field, op: 'eq', value }),
+  neq: (field, value) => ({ field, op: 'neq', value }),
+  in: (field, values) => ({ field, op: 'in', value: values }),
+  like: (field, pattern) => ({ field, op: 'like', value: pattern }),
+  contains: (field, value) => ({ field, op: 'contains', value }),
+  startsWith: (field, value) => ({ field, op: 'startsWith', value }),
+  gt: (field, value) => ({ field, op: 'gt', value }),
+  gte: (field, value) => ({ field, op: 'gte', value }),
+  lt: (field, value) => ({ field, op: 'lt', value }),
+  lte: (field, value) => ({ field, op: 'lte', value }),
+  between: (field, min, max) => ({ field, op: 'between', value: [min, max] }),
+  isNull: field => ({ field, op: 'isNull' }),
+  isNotNull: field => ({ field, op: 'isNotNull' }),
+  and: (...nodes) => ({ and: nodes.filter(Boolean) }),
+  or: (...nodes) => ({ or: nodes.filter(Boolean) }),
+};
+
+/**
+ * Converts a single value to a SQL literal for the given field type,
+ * rejecting values that do not match the type.
+ *
+ * @param {*} value - Value to convert
+ * @param {string} type - Field type (string, number, date, datetime, boolean)
+ * @param {string} field - Field name used in error messages
+ * @returns {string} SQL literal
+ */
+function toSqlLiteral(value, type, field) {
+  switch (type) {
+    case 'number': {
+      const number = typeof value === 'string' ? Number(value) : value;
+      if (
+        typeof number !== 'number' ||
+        value === '' ||
+        !Number.isFinite(number)
+      ) {
+        throw new FilterValidationError(
+          `Filter value for '${field}' must be a number`
+        );
+      }
+      return String(number);
+    }
+    case 'boolean': {
+      if (value === true || value === 'true') {
+        return 'TRUE';
+      }
+      if (value === false || value === 'false') {
+        return 'FALSE';
+      }
+      throw new FilterValidationError(
+        `Filter value for '${field}' must be a boolean`
+      );
+    }
+    case 'date': {
+      if (
+        typeof value !== 'string' ||
+        !/^\d{4}-\d{2}-\d{2}$/.test(value) ||
+        Number.isNaN(Date.parse(value))
+      ) {
+        throw new FilterValidationError(
+          `Filter value for '${field}' must be a date (YYYY-MM-DD)`
+        );
+      }
+      return `'${value}'`;
+    }
+    case 'datetime': {
+      const timestamp =
+        typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)
+          ? Date.parse(value)
+          : NaN;
+      if (Number.isNaN(timestamp)) {
+        throw new FilterValidationError(
+          `Filter value for '${field}' must be an ISO 8601 date or date-time`
+        );
+      }
+      return `'${new Date(timestamp).toISOString()}'`;
+    }
+    default: {
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        throw new FilterValidationError(
+          `Filter value for '${field}' must be a string`
+        );
+      }
+      return `'${escapeSqlString(String(value))}'`;
+    }
+  }
+}
+
+/**
+ * Renders a single condition node as SQL.
+ *
+ * @param {Object} node - Condition node { field, op, value }
+ * @param {Object} filterFields - Allow-list of property → { column, type }
+ * @returns {string} SQL condition
+ */
+function compileCondition(node, filterFields) {
+  const { field, op, value } = node;
+  const spec = Object.hasOwn(filterFields, field) ? filterFields[field] : null;
+
+  if (!spec) {
+    const allowed = Object.keys(filterFields).join(', ') || 'none';
+    throw new FilterValidationError(
+      `Field '${field}' cannot be filtered. Filterable fields: ${allowed}`
+    );
+  }
+
+  const type = spec.type || 'string';
+  if (!OPERATORS_BY_TYPE[type].includes(op)) {
+    throw new FilterValidationError(
+      `Operator '${op}' is not supported for ${type} field '${field}'`
+    );
+  }
+
+  const column = spec.column;
+
+  switch (op) {
+    case 'isNull':
+      return `${column} IS NULL`;
+    case 'isNotNull':
+      return `${column} IS NOT NULL`;
+    case 'in': {
+      if (
+        !Array.isArray(value) ||
+        value.length === 0 ||
+        value.length > MAX_IN_VALUES
+      ) {
+        throw new FilterValidationError(
+          `Filter value for '${field}' must be a list of 1 to ${MAX_IN_VALUES} values`
+        );
+      }
+      const literals = value.map(item => toSqlLiteral(item, type, field));
+      return `${column} IN (${literals.join(', ')})`;
+    }
+    case 'between': {
+      if (!Array.isArray(value) || value.length !== 2) {
+        throw new FilterValidationError(
+          `Filter value for '${field}' must be a [min, max] pair`
+        );
+      }
+      const [min, max] = value.map(item => toSqlLiteral(item, type, field));
+      return `${column} BETWEEN ${min} AND ${max}`;
+    }
+    case 'like':
+      return `${column} LIKE ${toSqlLiteral(value, type, field)}`;
+    case 'contains':
+      return `${column} LIKE '%${toLikePattern(value, type, field)}%' ESCAPE '\\'`;
+    case 'startsWith':
+      return `${column} LIKE '${toLikePattern(value, type, field)}%' ESCAPE '\\'`;
+    default:
+      return `${column} ${COMPARISON_SQL[op]} ${toSqlLiteral(value, type, field)}`;
+  }
+}
+
+/**
+ * Converts a value to the body of a LIKE pattern matching it literally, for
+ * a LIKE ... ESCAPE '\' clause. The string literal already doubles
+ * backslashes, so they match themselves; % and _ are escaped the same way.
+ *
+ * @param {*} value - Value to match
+ * @param {string} type - Field type
+ * @param {string} field - Field name used in error messages
+ * @returns {string} Pattern body, without quotes
+ */
+function toLikePattern(value, type, field) {
+  return toSqlLiteral(value, type, field).slice(1, -1).replace(/[%_]/g, '\\$&');
+}
+
+/**
+ * Recursively renders a filter tree node as SQL.
+ *
+ * @param {Object} node - Filter tree node
+ * @param {Object} filterFields - Allow-list of property → { column, type }
+ * @param {Object} state - Depth and condition counters
+ * @param {boolean} isRoot - Whether the node is the root of the tree
+ * @returns {string} SQL expression, or '' for an empty group
+ */
+function compileNode(node, filterFields, state, isRoot) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    throw new FilterValidationError('Filter must be an object');
+  }
+
+  const groupOperator = 'and' in node ? 'and' : 'or' in node ? 'or' : null;
+
+  if (!groupOperator) {
+    if (typeof node.field !== 'string' || typeof node.op !== 'string') {
+      throw new FilterValidationError(
+        'Filter conditions must have a field and an op'
+      );
+    }
+    state.conditions += 1;
+    if (state.conditions > MAX_FILTER_CONDITIONS) {
+      throw new FilterValidationError(
+        `Filter must not have more than ${MAX_FILTER_CONDITIONS} conditions`
+      );
+    }
+    return compileCondition(node, filterFields);
+  }
+
+  const children = node[groupOperator];
+  if (!Array.isArray(children)) {
+    throw new FilterValidationError(
+      `Filter '${groupOperator}' group must be a list of filters`
+    );
+  }
+  if (state.depth >= MAX_FILTER_DEPTH) {
+    throw new FilterValidationError(
+      `Filter groups must not be nested more than ${MAX_FILTER_DEPTH} levels deep`
+    );
+  }
+
+  state.depth += 1;
+  const parts = children
+    .map(child => compileNode(child, filterFields, state, false))
+    .filter(Boolean);
+  state.depth -= 1;
+
+  if (parts.length === 0) {
+    return '';
+  }
+  const expression = parts.join(` ${groupOperator.toUpperCase()} `);
+  return isRoot || parts.length === 1 ? expression : `(${expression})`;
+}
+
+/**
+ * Builds a WHERE clause body (without the WHERE keyword) from a filter tree.
+ *
+ * @param {Object} filterNode - Filter tree, or null/undefined for no filter
+ * @param {Object} filterFields - Allow-list of property → { column, type }
+ * @returns {string} SQL expression, or '' when there is nothing to filter on
+ * @throws {FilterValidationError} When the filter is not allowed
+ */
+export function buildWhereClause(filterNode, filterFields = {}) {
+  if (!filterNode) {
+    return '';
+  }
+  return compileNode(
+    filterNode,
+    filterFields,
+    { depth: 0, conditions: 0 },
+    true
+  );
+}
+
+/**
+ * Reads a filter tree from a JSON query parameter, without validating it.
+ *
+ * @param {string|Object} input - JSON filter string or filter tree
+ * @returns {Object|null} Filter tree, or null when input is empty
+ * @throws {FilterValidationError} When the input is not valid JSON
+ */
+function readFilter(input) {
+  if (input === undefined || input === null || input === '') {
+    return null;
+  }
+  if (typeof input !== 'string') {
+    return input;
+  }
+  try {
+    return JSON.parse(input);
+  } catch (err) {
+    throw new FilterValidationError(
+      `Filter must be valid JSON: ${err.message}`
+    );
+  }
+}
+
+/**
+ * Parses a filter from a JSON query parameter and validates it against the
+ * allow-list, so invalid filters are rejected before a query is attempted.
+ *
+ * @param {string|Object} input - JSON filter string or filter tree
+ * @param {Object} filterFields - Allow-list of property → { column, type }
+ * @returns {Object|null} Validated filter tree, or null when input is empty
+ * @throws {FilterValidationError} When the filter is malformed or not allowed
+ */
+export function parseFilter(input, filterFields = {}) {
+  const filterNode = readFilter(input);
+  buildWhereClause(filterNode, filterFields);
+  return filterNode;
+}
+
+/**
+ * Builds the filters a request runs a query object with. Empty values are
+ * dropped, the filter parameter (filters.filter) is read from JSON, and the
+ * complete filter tree the query runs with - the query object's
+ * buildFilter(filters) when it has one, else the filter parameter - is
+ * validated once against its filterable fields. Invalid filters, including
+ * bad values of the named filters, are therefore rejected with a 400 before
+ * any query is attempted.
+ *
+ * @param {Object} queryObject - Query object with filterFields and an
+ *   optional buildFilter method
+ * @param {Object} filters - Named filters and the JSON filter parameter
+ * @returns {Object} Filters without empty values, with the filter tree parsed
+ * @throws {FilterValidationError} When a filter is malformed or not allowed
+ */
+export function parseRequestFilters(queryObject, filters = {}) {
+  const present = Object.fromEntries(
+    Object.entries(filters).filter(
+      ([, value]) => value !== undefined && value !== null && value !== ''
+    )
+  );
+  if ('filter' in present) {
+    present.filter = readFilter(present.filter);
+  }
+
+  buildWhereClause(
+    typeof queryObject.buildFilter === 'function'
+      ? queryObject.buildFilter(present)
+      : present.filter,
+    queryObject.filterFields
+  );
+  return present;
+}
+
+export default filter;
@@ -0,0 +1,317 @@
+/**
+ * Column Profile Queries
+ *
+ * Generates the aggregate SQL used to profile the fields of a Data Cloud
+ * object: row and null counts and distinct counts for every field, min/max
+ * for numbers and dates, and the most frequent values of text fields. Fields
+ * are summarized in batches, one query per batch, and the most frequent
+ * values of each text field are read with a query of their own.
+ */
+import { DataCloudError } from '../data-cloud-errors.js';
+import { transformRecords } from './field-map.js';
+
+/**
+ * Default number of most frequent values reported per text field.
+ */
+export const DEFAULT_PROFILE_TOP_N = 5;
+
+/**
+ * Largest number of most frequent values that can be requested.
+ */
+export const MAX_PROFILE_TOP_N = 50;
+
+/**
+ * Number of fields summarized by one query.
+ */
+export const PROFILE_BATCH_SIZE = 10;
+
+/**
+ * Number of profile queries run at the same time.
+ */
+export const PROFILE_CONCURRENCY = 4;
+
+/**
+ * Profile kind of each metadata data type. Types not listed are profiled
+ * with counts only.
+ */
+const PROFILE_KINDS = {
+  NUMBER: 'number',
+  INTEGER: 'number',
+  DOUBLE: 'number',
+  DECIMAL: 'number',
+  CURRENCY: 'number',
+  PERCENT: 'number',
+  DATE: 'date',
+  DATE_TIME: 'date',
+  DATETIME: 'date',
+  TIMESTAMP: 'date',
+  STRING: 'text',
+  TEXT: 'text',
+  EMAIL: 'text',
+  PHONE: 'text',
+  URL: 'text',
+  PICKLIST: 'text',
+};
+
+const COLUMN_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+/**
+ * Returns how a field is profiled according to its metadata data type.
+ *
+ * @param {string} type - Metadata data type (e.g. STRING, NUMBER, DATE_TIME)
+ * @returns {string} number, date, text or other
+ */
+export function getProfileKind(type) {
+  return PROFILE_KINDS[String(type ?? '').toUpperCase()] ?? 'other';
+}
+
+/**
+ * Returns the fields of a normalized entity that can be profiled, with their
+ * profile kind. Fields whose names are not plain identifiers are left out,
+ * since they cannot be put into generated SQL safely.
+ *
+ * @param {Array} fields - Normalized fields (see lib/model-metadata.js)
+ * @returns {Array} Fields of { name, label, type, kind }
+ */
+export function getProfileFields(fields) {
+  return fields
+    .filter(field => COLUMN_NAME_PATTERN.test(field.name))
+    .map(({ name, label, type }) => ({
+      name,
+      label,
+      type,
+      kind: getProfileKind(type),
+    }));
+}
+
+/**
+ * Returns the result columns of a summary query, in select list order.
+ *
+ * @param {Array} fields - Profile fields of the batch
+ * @returns {Array} Columns of { column, property, type }
+ */
+function getSummaryColumns(fields) {
+  const columns = [
+    { column: 'row_count', property: 'rowCount', type: 'number' },
+  ];
+
+  fields.forEach((field, index) => {
+    columns.push(
+      {
+        column: `c${index}_non_null`,
+        property: `${index}.nonNull`,
+        type: 'number',
+      },
+      {
+        column: `c${index}_distinct`,
+        property: `${index}.distinct`,
+        type: 'number',
+      }
+    );
+    if (field.kind === 'number' || field.kind === 'date') {
+      columns.push(
+        { column: `c${index}_min`, property: `${index}.min` },
+        { column: `c${index}_max`, property: `${index}.max` }
+      );
+    }
+  });
+
+  return columns;
+}
+
+/**
+ * Builds the query summarizing a batch of fields: the row count plus, for
+ * every field, its non-null and distinct counts and, for numbers and dates,
+ * its min and max.
+ *
+ * @param {string} table - Data Cloud object to profile
+ * @param {Array} fields - Profile fields of the batch
+ * @returns {string} SQL returning a single row
+ */
+export function buildSummaryQuery(table, fields) {
+  const expressions = ['COUNT(*) AS row_count'];
+
+  fields.forEach((field, index) => {
+    expressions.push(
+      `COUNT(${field.name}) AS c${index}_non_null`,
+      `COUNT(DISTINCT ${field.name}) AS c${index}_distinct`
+    );
+    if (field.kind === 'number' || field.kind === 'date') {
+      expressions.push(
+        `MIN(${field.name}) AS c${index}_min`,
+        `MAX(${field.name}) AS c${index}_max`
+      );
+    }
+  });
+
+  return `SELECT ${expressions.join(', ')} FROM ${table}`;
+}
+
+/**
+ * Builds the query returning the most frequent values of a field.
+ *
+ * @param {string} table - Data Cloud object to profile
+ * @param {Object} field - Profile field
+ * @param {number} topN - Number of values to return
+ * @returns {string} SQL returning up to topN rows of value and frequency
+ */
+export function buildTopValuesQuery(table, field, topN) {
+  return (
+    `SELECT ${field.name} AS value, COUNT(*) AS frequency FROM ${table} ` +
+    `WHERE ${field.name} IS NOT NULL GROUP BY ${field.name} ` +
+    `ORDER BY frequency DESC, value LIMIT ${topN}`
+  );
+}
+
+/**
+ * Reads the row of a summary query into per-field statistics.
+ *
+ * @param {Array} fields - Profile fields of the batch
+ * @param {Array} records - Records returned by the summary query
+ * @param {Object} columnMetadata - Column metadata of the response
+ * @returns {Object} { rowCount, stats } where stats holds { nonNull, distinct,
+ *   min, max } for every field of the batch, in order
+ */
+export function readSummary(fields, records, columnMetadata = null) {
+  const [row = {}] = transformRecords(
+    getSummaryColumns(fields),
+    records,
+    columnMetadata
+  );
+
+  return {
+    rowCount: row.rowCount ?? 0,
+    stats: fields.map((field, index) => ({
+      nonNull: row[`${index}.nonNull`] ?? 0,
+      distinct: row[`${index}.distinct`] ?? 0,
+      min: row[`${index}.min`] ?? null,
+      max: row[`${index}.max`] ?? null,
+    })),
+  };
+}
+
+/**
+ * Reads the records of a top values query.
+ *
+ * @param {Array} records - Records returned by the top values query
+ * @param {Object} columnMetadata - Column metadata of the response
+ * @returns {Array} Values of { value, count }, most frequent first
+ */
+export function readTopValues(records, columnMetadata = null) {
+  return transformRecords(
+    [
+      { column: 'value', property: 'value' },
+      { column: 'frequency', property: 'count', type: 'number' },
+    ],
+    records,
+    columnMetadata
+  );
+}
+
+/**
+ * Combines the statistics of a field into its profile.
+ *
+ * @param {Object} field - Profile field
+ * @param {number} rowCount - Number of rows of the object
+ * @param {Object} stats - Statistics read by readSummary
+ * @param {Array|null} topValues - Most frequent values, for text fields
+ * @returns {Object} { name, label, type, kind, nullCount, nullRate,
+ *   distinctCount, min, max, topValues }
+ */
+export function buildColumnProfile(field, rowCount, stats, topValues = null) {
+  const nullCount = rowCount - stats.nonNull;
+  const ranged = field.kind === 'number' || field.kind === 'date';
+
+  return {
+    name: field.name,
+    label: field.label,
+    type: field.type,
+    kind: field.kind,
+    nullCount,
+    nullRate: rowCount > 0 ? Number((nullCount / rowCount).toFixed(4)) : null,
+    distinctCount: stats.distinct,
+    min: ranged ? stats.min : null,
+    max: ranged ? stats.max : null,
+    topValues: field.kind === 'text' ? (topValues ?? []) : null,
+  };
+}
+
+/**
+ * Profiles the fields of a DMO: null and distinct counts for every field,
+ * min/max for numbers and dates and the most frequent values of text fields.
+ * Fields are summarized in batches of PROFILE_BATCH_SIZE per query, and at most
+ * PROFILE_CONCURRENCY queries run at the same time.
+ *
+ * @param {DataCloudQueryService} queryService - Service the profile queries run on
+ * @param {string} name - API name of the DMO (e.g. ssot__Individual__dlm)
+ * @param {Object} options - Profile settings
+ * @param {number} options.topN - Number of most frequent values per text field
+ * @returns {Promise<Object>} { model, rowCount, columns, queryCount }
+ * @throws {DataCloudError} unknown_object error when the data space has no
+ *   such DMO, or the classified error of a failed profile query
+ */
+export async function profileModel(
+  queryService,
+  name,
+  { topN = DEFAULT_PROFILE_TOP_N } = {}
+) {
+  const model = await queryService.getModel(name);
+  const fields = getProfileFields(model.fields);
+
+  // A DMO without fields still gets a batch, which counts its rows
+  const batches = fields.length === 0 ? [[]] : [];
+  for (let i = 0; i < fields.length; i += PROFILE_BATCH_SIZE) {
+    batches.push(fields.slice(i, i + PROFILE_BATCH_SIZE));
+  }
+  const textFields = fields.filter(field => field.kind === 'text');
+
+  const queries = [
+    ...batches.map(batch => ({
+      sql: buildSummaryQuery(model.name, batch),
+      read: (records, columnMetadata) =>
+        readSummary(batch, records, columnMetadata),
+    })),
+    ...textFields.map(field => ({
+      sql: buildTopValuesQuery(model.name, field, topN),
+      read: readTopValues,
+    })),
+  ];
+
+  const results = [];
+  for (let i = 0; i < queries.length; i += PROFILE_CONCURRENCY) {
+    const group = queries.slice(i, i + PROFILE_CONCURRENCY);
+    const groupResults = await Promise.all(
+      group.map(query => queryService.executeRawQuery(query.sql, query.read))
+    );
+    for (const result of groupResults) {
+      if (!result.success) {
+        throw DataCloudError.fromResult(result);
+      }
+      results.push(result.records);
+    }
+  }
+
+  const summaries = results.slice(0, batches.length);
+  const topValues = new Map(
+    textFields.map((field, index) => [
+      field.name,
+      results[batches.length + index],
+    ])
+  );
+  const rowCount = summaries[0]?.rowCount ?? 0;
+  const stats = summaries.flatMap(summary => summary.stats);
+
+  return {
+    model: model.name,
+    rowCount,
+    columns: fields.map((field, index) =>
+      buildColumnProfile(
+        field,
+        rowCount,
+        stats[index],
+        topValues.get(field.name)
+      )
+    ),
+    queryCount: queries.length,
+  };
+}
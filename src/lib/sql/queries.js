@@ -1,141 +1,240 @@
 /**
  * Data Cloud SQL Queries
  *
- * This module contains SQL queries and their associated field transformation logic
- * for querying Data Cloud data. Each query object encapsulates both the SQL and
- * the logic to transform the array-based response to clean property names.
+ * This module contains the query objects used for querying Data Cloud data.
+ * Each query object is defined as a table plus an ordered field map, from which
+ * both the SELECT clause and the transform of the array-based response to clean
+ * property names are generated (see field-map.js).
  */
 
+import { buildFilteredQuery, defineQuery } from './field-map.js';
+import { escapeSqlString, filter } from './filter-builder.js';
+
 /**
  * User Engagement Query Object
  * Handles querying and transforming user engagement data from the UserEngagement__dlm table.
  */
-export const userEngagementQuery = {
+export const userEngagementQuery = defineQuery({
+  table: 'UserEngagement__dlm',
+  fields: [
+    {
+      column: 'ClientSession__c',
+      property: 'clientSession',
+      filterable: true,
+      groupable: true,
+    },
+    {
+      column: 'CreatedDate__c',
+      property: 'createdDate',
+      type: 'datetime',
+      filterable: true,
+    },
+    {
+      column: 'EntityType__c',
+      property: 'entityType',
+      filterable: true,
+      groupable: true,
+    },
+    {
+      column: 'EventIdentifier__c',
+      property: 'eventIdentifier',
+      filterable: true,
+    },
+    {
+      column: 'EventName__c',
+      property: 'eventName',
+      filterable: true,
+      groupable: true,
+    },
+  ],
+  orderBy: 'EventIdentifier__c',
+  limit: 100,
+  cacheTtlSeconds: 60,
+
   /**
-   * Base SQL query for user engagement data
+   * Builds the filter tree of the named engagement filters, combined (AND)
+   * with the optional filter tree.
+   *
+   * @param {Object} filters - Optional filters to apply
+   * @param {string} filters.createdFrom - Only events created at or after this date-time
+   * @param {string} filters.createdTo - Only events created before this date-time
+   * @param {string} filters.eventName - Filter by event name (exact match)
+   * @param {string} filters.entityType - Filter by entity type (exact match)
+   * @param {string} filters.clientSession - Filter by client session (exact match)
+   * @param {Object} filters.filter - Filter tree over the filterable fields
+   * @returns {Object} Filter tree
    */
-  sql: `SELECT 
-    ClientSession__c, 
-    CreatedDate__c, 
-    EntityType__c, 
-    EventIdentifier__c, 
-    EventName__c
-  FROM UserEngagement__dlm 
-  LIMIT 100`,
+  buildFilter(filters = {}) {
+    return filter.and(
+      filters.createdFrom && filter.gte('createdDate', filters.createdFrom),
+      filters.createdTo && filter.lt('createdDate', filters.createdTo),
+      filters.eventName && filter.eq('eventName', filters.eventName),
+      filters.entityType && filter.eq('entityType', filters.entityType),
+      filters.clientSession &&
+        filter.eq('clientSession', filters.clientSession),
+      filters.filter
+    );
+  },
 
   /**
-   * Transforms array-based records to named properties.
-   * Data Cloud returns records as arrays in SELECT field order.
+   * Builds a dynamic query with the optional engagement filters applied
+   * (see buildFilter).
    *
-   * @param {Array} records - Array of engagement records from Data Cloud API
-   * @returns {Array} Array of objects with clean property names
+   * @param {Object} filters - Optional filters to apply
+   * @param {Object} page - Optional page ({ limit, offset }) to fetch
+   * @returns {string} SQL query with appropriate WHERE clauses
    */
-  transform(records) {
-    // Array order matches SELECT: ClientSession__c, CreatedDate__c, EntityType__c, EventIdentifier__c, EventName__c
-    return records.map(record => ({
-      clientSession: record[0],
-      createdDate: record[1],
-      entityType: record[2],
-      eventIdentifier: record[3],
-      eventName: record[4],
-    }));
+  buildQuery(filters = {}, page = null) {
+    return buildFilteredQuery(this, this.buildFilter(filters), page);
   },
-};
+});
+
+/**
+ * Engagement Funnel Events Query Object
+ * Reads the events of UserEngagement__dlm in session order (client session,
+ * then creation date) for funnel analysis, so that the events of a session
+ * are read one after the other.
+ */
+export const engagementFunnelEventQuery = defineQuery({
+  table: 'UserEngagement__dlm',
+  fields: [
+    {
+      column: 'ClientSession__c',
+      property: 'clientSession',
+      filterable: true,
+    },
+    {
+      column: 'CreatedDate__c',
+      property: 'createdDate',
+      type: 'datetime',
+      filterable: true,
+    },
+    { column: 'EventName__c', property: 'eventName', filterable: true },
+  ],
+  orderBy: ['ClientSession__c', 'CreatedDate__c', 'EventIdentifier__c'],
+  limit: 1000,
+});
 
 /**
  * Unified B2B Query Object
  * Handles querying and transforming unified B2B account data from the UnifiedssotAccountB2b__dlm table.
  */
-export const unifiedB2BQuery = {
-  /**
-   * Base SQL query for unified B2B account data
-   */
-  baseSql: `SELECT ssot__Name__c, ssot__Number__c, ssot__AccountSource__c, ssot__AccountTypeId__c, ssot__CreatedDate__c, ssot__LastModifiedDate__c, ssot__ParentAccountId__c, ssot__Id__c FROM UnifiedssotAccountB2b__dlm`,
+export const unifiedB2BQuery = defineQuery({
+  table: 'UnifiedssotAccountB2b__dlm',
+  fields: [
+    { column: 'ssot__Name__c', property: 'name', filterable: true },
+    { column: 'ssot__Number__c', property: 'number', filterable: true },
+    {
+      column: 'ssot__AccountSource__c',
+      property: 'accountSource',
+      filterable: true,
+    },
+    {
+      column: 'ssot__AccountTypeId__c',
+      property: 'accountTypeId',
+      filterable: true,
+    },
+    {
+      column: 'ssot__CreatedDate__c',
+      property: 'createdDate',
+      type: 'datetime',
+      filterable: true,
+    },
+    {
+      column: 'ssot__LastModifiedDate__c',
+      property: 'lastModifiedDate',
+      type: 'datetime',
+      filterable: true,
+    },
+    {
+      column: 'ssot__ParentAccountId__c',
+      property: 'parentAccountId',
+      filterable: true,
+    },
+    { column: 'ssot__Id__c', property: 'id', filterable: true },
+  ],
+  orderBy: 'ssot__Id__c',
+  limit: 100,
+  cacheTtlSeconds: 300,
 
   /**
-   * Builds a dynamic query with optional filtering parameters.
-   * Uses proper SQL escaping to prevent injection attacks.
+   * Builds the filter tree of the named filters, shorthands combined (AND)
+   * with the optional filter tree.
    *
    * @param {Object} filters - Optional filters to apply
    * @param {string} filters.accountName - Filter by account name (partial match)
    * @param {string} filters.accountSource - Filter by account source (exact match)
    * @param {string} filters.segment - Filter by account type/segment (exact match)
-   * @returns {string} SQL query with appropriate WHERE clauses
+   * @param {Object} filters.filter - Filter tree over the filterable fields
+   * @returns {Object} Filter tree
    */
-  buildQuery(filters = {}) {
-    const whereConditions = [];
-
-    if (filters.accountName) {
-      const escapedAccountName = this.escapeSqlString(filters.accountName);
-      whereConditions.push(`ssot__Name__c LIKE '%${escapedAccountName}%'`);
-    }
-
-    if (filters.accountSource) {
-      const escapedAccountSource = this.escapeSqlString(filters.accountSource);
-      whereConditions.push(
-        `ssot__AccountSource__c = '${escapedAccountSource}'`
-      );
-    }
-
-    if (filters.segment) {
-      const escapedSegment = this.escapeSqlString(filters.segment);
-      whereConditions.push(`ssot__AccountTypeId__c = '${escapedSegment}'`);
-    }
-
-    let query = this.baseSql;
-    if (whereConditions.length > 0) {
-      query += ` WHERE ${whereConditions.join(' AND ')}`;
-    }
-
-    query += ` LIMIT 100`;
+  buildFilter(filters = {}) {
+    return filter.and(
+      filters.accountName && filter.contains('name', filters.accountName),
+      filters.accountSource &&
+        filter.eq('accountSource', filters.accountSource),
+      filters.segment && filter.eq('accountTypeId', filters.segment),
+      filters.filter
+    );
+  },
 
-    return query;
+  /**
+   * Builds a dynamic query with optional filtering parameters (see
+   * buildFilter), all compiled by the filter builder with typed, escaped
+   * values.
+   *
+   * @param {Object} filters - Optional filters to apply
+   * @param {Object} page - Optional page ({ limit, offset }) to fetch
+   * @returns {string} SQL query with appropriate WHERE clauses
+   */
+  buildQuery(filters = {}, page = null) {
+    return buildFilteredQuery(this, this.buildFilter(filters), page);
   },
 
   /**
    * Escapes SQL string values to prevent injection attacks.
-   * Replaces single quotes with double single quotes and removes/escapes dangerous characters.
+   * @see escapeSqlString in filter-builder.js
    *
    * @param {string} value - String value to escape
    * @returns {string} Escaped string safe for SQL queries
    */
   escapeSqlString(value) {
-    if (typeof value !== 'string') {
-      return String(value);
-    }
-
-    // Replace single quotes with double single quotes (SQL standard escaping)
-    // Remove or escape other potentially dangerous characters
-    return value
-      .replace(/'/g, "''") // Escape single quotes
-      .replace(/\\/g, '\\\\') // Escape backslashes
-      .replace(/\x00/g, '') // Remove null bytes
-      .replace(/\n/g, '\\n') // Escape newlines
-      .replace(/\r/g, '\\r') // Escape carriage returns
-      .replace(/\x1a/g, '\\Z'); // Escape ctrl+Z
+    return escapeSqlString(value);
   },
+});
 
-  /**
-   * Transforms array-based records to named properties.
-   * Data Cloud returns records as arrays in SELECT field order.
-   *
-   * @param {Array} records - Array of unified B2B records from Data Cloud API
-   * @returns {Array} Array of objects with clean property names
-   */
-  transform(records) {
-    // Array order matches SELECT: ssot__Name__c, ssot__Number__c, ssot__AccountSource__c, ssot__AccountTypeId__c,
-    // ssot__CreatedDate__c, ssot__LastModifiedDate__c, ssot__ParentAccountId__c, ssot__Id__c
-    return records.map(record => ({
-      name: record[0],
-      number: record[1],
-      accountSource: record[2],
-      accountTypeId: record[3],
-      createdDate: record[4],
-      lastModifiedDate: record[5],
-      parentAccountId: record[6],
-      id: record[7],
-    }));
-  },
+/**
+ * Unified Account Link Query Object
+ * Handles querying the UnifiedLinkssotAccountB2b__dlm table, which links each
+ * unified B2B account to the source account records merged into it and the
+ * data source and data stream object each of them came from.
+ */
+export const unifiedAccountLinkQuery = defineQuery({
+  table: 'UnifiedLinkssotAccountB2b__dlm',
+  fields: [
+    { column: 'SourceRecordId__c', property: 'sourceRecordId' },
+    {
+      column: 'UnifiedRecordId__c',
+      property: 'unifiedRecordId',
+      filterable: true,
+    },
+    { column: 'ssot__DataSourceId__c', property: 'dataSourceId' },
+    { column: 'ssot__DataSourceObjectId__c', property: 'dataSourceObjectId' },
+  ],
+  orderBy: 'SourceRecordId__c',
+  limit: 100,
+  cacheTtlSeconds: 300,
+});
+
+/**
+ * Query objects by name, checked against the data space's metadata when the
+ * app starts.
+ */
+export const queryObjects = {
+  userEngagement: userEngagementQuery,
+  engagementFunnelEvent: engagementFunnelEventQuery,
+  unifiedB2B: unifiedB2BQuery,
+  unifiedAccountLink: unifiedAccountLinkQuery,
 };
 
 /**
@@ -147,7 +246,7 @@ export const queries = {
     userEngagement: userEngagementQuery.sql,
   },
   unified: {
-    b2b: unifiedB2BQuery.baseSql + ' LIMIT 100',
+    b2b: unifiedB2BQuery.sql,
   },
 };
 
@@ -0,0 +1,109 @@
+/**
+ * Retention Queries
+ *
+ * Generates the aggregate SQL listing, for each entity (the values of one of
+ * a query object's groupable fields), the periods (day, week or month) of one
+ * of its date-time fields in which the entity has rows, with the number of
+ * rows and of activation rows of each period. Periods are truncated in UTC;
+ * the week starts on Monday.
+ */
+import { buildWhereClause } from './filter-builder.js';
+import { transformRecords } from './field-map.js';
+
+/**
+ * Periods cohorts and retention can be measured in.
+ */
+export const RETENTION_PERIODS = ['day', 'week', 'month'];
+
+/**
+ * Defines the query listing the active periods of each entity.
+ *
+ * @param {Object} queryObject - Query object created by defineQuery
+ * @param {Object} options - Retention settings
+ * @param {string} options.entityProperty - Output property of the groupable
+ *   field identifying an entity
+ * @param {string} options.dateProperty - Output property of the date-time
+ *   field to measure periods by; it must be filterable
+ * @param {string} options.period - day, week or month
+ * @param {Object} options.activationFilter - Optional filter tree of the rows
+ *   that activate an entity; without it every row does
+ * @param {Object} options.filterNode - Optional filter tree (see filter-builder.js)
+ * @param {number} options.limit - Largest number of rows to return
+ * @returns {Object} Query object with sql and transform, usable by
+ *   DataCloudQueryService; records are { entity, periodStart, eventCount,
+ *   activationCount }, ordered by entity then period
+ * @throws {Error} When the period or a field is not allowed
+ */
+export function defineRetentionQuery(
+  queryObject,
+  {
+    entityProperty,
+    dateProperty,
+    period,
+    activationFilter = null,
+    filterNode,
+    limit,
+  }
+) {
+  const entitySpec = queryObject.groupFields?.[entityProperty];
+  if (!entitySpec) {
+    throw new Error(
+      `Field '${entityProperty}' of '${queryObject.table}' cannot be grouped by`
+    );
+  }
+  const dateSpec = queryObject.filterFields?.[dateProperty];
+  if (!dateSpec || !['date', 'datetime'].includes(dateSpec.type)) {
+    throw new Error(
+      `Field '${dateProperty}' of '${queryObject.table}' cannot be bucketed by`
+    );
+  }
+  if (!RETENTION_PERIODS.includes(period)) {
+    throw new Error(`Unknown retention period '${period}'`);
+  }
+
+  const periodStart = `DATE_TRUNC('${period}', ${dateSpec.column})`;
+  const groups = `${entitySpec.column}, ${periodStart}`;
+  const activation = buildWhereClause(
+    activationFilter,
+    queryObject.filterFields
+  );
+  const whereClause = buildWhereClause(filterNode, queryObject.filterFields);
+
+  let sql =
+    `SELECT ${entitySpec.column} AS entity_key, ${periodStart} AS period_start, ` +
+    'COUNT(*) AS event_count';
+  if (activation) {
+    sql += `, SUM(CASE WHEN ${activation} THEN 1 ELSE 0 END) AS activation_count`;
+  }
+  sql += ` FROM ${queryObject.table}`;
+  if (whereClause) {
+    sql += ` WHERE ${whereClause}`;
+  }
+  sql += ` GROUP BY ${groups} ORDER BY ${groups} LIMIT ${limit}`;
+
+  const fields = [
+    { column: 'entity_key', property: 'entity', type: entitySpec.type },
+    { column: 'period_start', property: 'periodStart', type: 'string' },
+    { column: 'event_count', property: 'eventCount', type: 'number' },
+    ...(activation
+      ? [
+          {
+            column: 'activation_count',
+            property: 'activationCount',
+            type: 'number',
+          },
+        ]
+      : []),
+  ];
+  return {
+    sql,
+    fields,
+    cacheTtlSeconds: queryObject.cacheTtlSeconds,
+    timeoutMs: queryObject.timeoutMs,
+    transform: (records, columnMetadata) =>
+      transformRecords(fields, records, columnMetadata).map(record => ({
+        activationCount: record.eventCount,
+        ...record,
+      })),
+  };
+}
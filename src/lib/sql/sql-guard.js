@@ -0,0 +1,249 @@
+/**
+ * Read-only SQL Guard
+ *
+ * Checks ad-hoc SQL before it is run against Data Cloud. Only a single
+ * SELECT statement (optionally with common table expressions) is accepted:
+ * DML, DDL and multiple statements are rejected, every table read from must
+ * match the table allow-list, and the number of rows is capped by injecting
+ * or lowering the statement's LIMIT.
+ */
+import { AppError } from '../errors.js';
+import { extractReferences, isKeyword, tokenize } from './sql-references.js';
+
+/**
+ * Default largest number of rows an ad-hoc query returns.
+ */
+export const DEFAULT_QUERY_MAX_ROWS = 1000;
+
+/**
+ * Default table allow-list: data model objects and calculated insights.
+ */
+export const DEFAULT_ALLOWED_TABLES = ['*__dlm', '*__cio'];
+
+/**
+ * Keywords that only appear in statements that change data or metadata, or
+ * that write query results somewhere (SELECT ... INTO).
+ */
+const FORBIDDEN_KEYWORDS = new Set([
+  'INSERT',
+  'UPDATE',
+  'DELETE',
+  'MERGE',
+  'UPSERT',
+  'INTO',
+  'CREATE',
+  'ALTER',
+  'DROP',
+  'TRUNCATE',
+  'GRANT',
+  'REVOKE',
+  'COPY',
+  'CALL',
+  'EXEC',
+  'EXECUTE',
+]);
+
+/**
+ * Error raised when ad-hoc SQL is not a single read-only SELECT, reads from a
+ * table outside the allow-list or cannot be limited. Reported as a 400 bad
+ * request.
+ */
+export class SqlGuardError extends AppError {
+  constructor(message) {
+    super(message, {
+      statusCode: 400,
+      type: 'rejected_sql',
+      title: 'Rejected SQL',
+    });
+    this.name = 'SqlGuardError';
+  }
+}
+
+/**
+ * Parses a comma separated table allow-list such as "*__dlm, Orders__dll".
+ *
+ * @param {string} value - Comma separated table names or * patterns
+ * @returns {string[]|null} Patterns, or null when the value is empty
+ */
+export function parseAllowedTables(value) {
+  const patterns = String(value ?? '')
+    .split(',')
+    .map(pattern => pattern.trim())
+    .filter(Boolean);
+  return patterns.length > 0 ? patterns : null;
+}
+
+/**
+ * Checks a table name against allow-list patterns, ignoring case. A * in a
+ * pattern matches any characters but a dot, so a dotted (qualified) name is
+ * only allowed by a pattern that spells out its dots.
+ *
+ * @param {string} table - Table name
+ * @param {string[]} patterns - Table names or * patterns
+ * @returns {boolean} True when the table is allowed
+ */
+export function isTableAllowed(table, patterns) {
+  return patterns.some(pattern => {
+    const source = pattern
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[^.]*');
+    return new RegExp(`^${source}$`, 'i').test(table);
+  });
+}
+
+/**
+ * Returns the names of the common table expressions defined by a WITH
+ * clause, which may be read from like tables.
+ *
+ * @param {Array} tokens - Tokens of the statement
+ * @returns {Set<string>} Lower-cased CTE names
+ */
+function getCteNames(tokens) {
+  const names = new Set();
+  if (!isKeyword(tokens[0], 'WITH')) {
+    return names;
+  }
+
+  let depth = 0;
+  for (let i = 1; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.value === '(') depth += 1;
+    if (token.value === ')') depth -= 1;
+    if (
+      depth === 0 &&
+      token.type === 'word' &&
+      isKeyword(tokens[i + 1], 'AS') &&
+      tokens[i + 2]?.value === '('
+    ) {
+      names.add(token.value.toLowerCase());
+    }
+  }
+  return names;
+}
+
+/**
+ * Checks that SQL is a single read-only SELECT reading only allowed tables,
+ * and caps the number of rows it returns.
+ *
+ * A LIMIT at the top level of the statement is kept when it is within
+ * maxRows and lowered to maxRows otherwise; without one, LIMIT maxRows is
+ * appended. LIMITs of subqueries are left as they are.
+ *
+ * @param {string} sql - Ad-hoc SQL
+ * @param {Object} options - Guard settings
+ * @param {number} options.maxRows - Largest number of rows returned
+ * @param {string[]} options.allowedTables - Table names or * patterns that may be read
+ * @returns {Object} { sql, tables, limit, limitApplied } where limitApplied
+ *   is kept, capped or injected
+ * @throws {SqlGuardError} When the SQL is rejected
+ */
+export function guardSelect(
+  sql,
+  {
+    maxRows = DEFAULT_QUERY_MAX_ROWS,
+    allowedTables = DEFAULT_ALLOWED_TABLES,
+  } = {}
+) {
+  let tokens = tokenize(sql);
+
+  const unterminated = tokens.find(
+    token => token.type === 'punct' && ["'", '"'].includes(token.value)
+  );
+  if (unterminated) {
+    throw new SqlGuardError('SQL contains an unterminated quote');
+  }
+  const unterminatedComment = tokens.find(
+    token => token.value === '/' && sql[token.end] === '*'
+  );
+  if (unterminatedComment) {
+    throw new SqlGuardError('SQL contains an unterminated comment');
+  }
+
+  // A single trailing semicolon is allowed and dropped
+  let end = sql.length;
+  if (tokens.at(-1)?.value === ';') {
+    end = tokens.at(-1).start;
+    tokens = tokens.slice(0, -1);
+  }
+  if (tokens.some(token => token.value === ';')) {
+    throw new SqlGuardError('Only a single SQL statement is allowed');
+  }
+  if (tokens.length === 0) {
+    throw new SqlGuardError('SQL is empty');
+  }
+
+  if (!isKeyword(tokens[0], 'SELECT') && !isKeyword(tokens[0], 'WITH')) {
+    throw new SqlGuardError('Only SELECT statements are allowed');
+  }
+  const forbidden = tokens.find(
+    token =>
+      token.type === 'word' &&
+      !token.quoted &&
+      FORBIDDEN_KEYWORDS.has(token.value.toUpperCase())
+  );
+  if (forbidden) {
+    throw new SqlGuardError(
+      `Only read-only SELECT statements are allowed (found ${forbidden.value.toUpperCase()})`
+    );
+  }
+
+  const cteNames = getCteNames(tokens);
+  const tables = [
+    ...new Set(
+      extractReferences(sql.slice(0, end))
+        .tables.map(table => table.name)
+        .filter(name => !cteNames.has(name.toLowerCase()))
+    ),
+  ];
+  const disallowed = tables.filter(
+    table => !isTableAllowed(table, allowedTables)
+  );
+  if (disallowed.length > 0) {
+    throw new SqlGuardError(
+      `Querying ${disallowed.join(', ')} is not allowed; allowed tables: ${allowedTables.join(', ')}`
+    );
+  }
+
+  // Find the LIMIT and FETCH clauses of the outer statement
+  let depth = 0;
+  let limitIndex = -1;
+  tokens.forEach((token, index) => {
+    if (token.value === '(') depth += 1;
+    if (token.value === ')') depth -= 1;
+    if (depth === 0 && isKeyword(token, 'FETCH')) {
+      throw new SqlGuardError('Use LIMIT rather than FETCH to limit rows');
+    }
+    if (depth === 0 && isKeyword(token, 'LIMIT')) {
+      limitIndex = index;
+    }
+  });
+
+  const statement = sql.slice(0, end).trimEnd();
+  if (limitIndex === -1) {
+    // Start a new line when the statement may end in a line comment, which
+    // would otherwise hide the LIMIT
+    const separator = /--[^\n]*$/.test(statement) ? '\n' : ' ';
+    return {
+      sql: `${statement}${separator}LIMIT ${maxRows}`,
+      tables,
+      limit: maxRows,
+      limitApplied: 'injected',
+    };
+  }
+
+  const limitToken = tokens[limitIndex + 1];
+  if (!limitToken || !/^\d+$/.test(limitToken.value)) {
+    throw new SqlGuardError('LIMIT must be a whole number');
+  }
+  const requested = Number(limitToken.value);
+  if (requested <= maxRows) {
+    return { sql: statement, tables, limit: requested, limitApplied: 'kept' };
+  }
+  return {
+    sql: `${sql.slice(0, limitToken.start)}${maxRows}${sql.slice(limitToken.end, end)}`.trimEnd(),
+    tables,
+    limit: maxRows,
+    limitApplied: 'capped',
+  };
+}
@@ -0,0 +1,219 @@
+/**
+ * SQL Table and Column References
+ *
+ * Finds the Data Cloud objects and fields a SQL statement refers to, so they
+ * can be checked against the data space's metadata before the statement is
+ * sent. This is a tokenizer rather than a full SQL parser: it only reports
+ * fields with Data Cloud API names (ending in __c), which keeps keywords,
+ * functions and aliases from being mistaken for columns. Data Cloud objects
+ * are recognized by their suffix (__dlm, __dll or __cio).
+ */
+
+/**
+ * Metadata entity type of each Data Cloud object name suffix.
+ */
+export const OBJECT_SUFFIXES = {
+  __dlm: 'DataModelObject',
+  __dll: 'DataLakeObject',
+  __cio: 'CalculatedInsight',
+};
+
+const OBJECT_NAME_PATTERN = /__(dlm|dll|cio)$/i;
+const FIELD_NAME_PATTERN = /__c$/i;
+
+const TOKEN_PATTERN =
+  /\s+|--[^\n]*|\/\*[\s\S]*?\*\/|'(?:[^']|'')*'|"(?:[^"]|"")*"|[A-Za-z_][A-Za-z0-9_]*|\d+(?:\.\d+)?|./gy;
+
+/**
+ * Keywords that can follow a table name, so they are never read as its alias.
+ */
+const CLAUSE_KEYWORDS = new Set([
+  'WHERE',
+  'JOIN',
+  'INNER',
+  'LEFT',
+  'RIGHT',
+  'FULL',
+  'OUTER',
+  'CROSS',
+  'ON',
+  'USING',
+  'GROUP',
+  'ORDER',
+  'HAVING',
+  'LIMIT',
+  'OFFSET',
+  'UNION',
+  'INTERSECT',
+  'EXCEPT',
+  'WINDOW',
+]);
+
+/**
+ * Splits SQL into word and punctuation tokens, dropping whitespace, comments
+ * and string literals. Tokens keep their position in the SQL, and quoted
+ * identifiers are marked so they are never read as keywords.
+ *
+ * @param {string} sql - SQL statement
+ * @returns {Array} Tokens { type: 'word'|'punct', value, quoted, start, end }
+ */
+export function tokenize(sql) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  let match;
+  while ((match = TOKEN_PATTERN.exec(sql)) !== null) {
+    const [text] = match;
+    const position = { start: match.index, end: TOKEN_PATTERN.lastIndex };
+    if (/^\s|^--|^\/\*|^'./s.test(text)) {
+      continue;
+    }
+    if (/^"./s.test(text)) {
+      tokens.push({
+        type: 'word',
+        value: text.slice(1, -1).replace(/""/g, '"'),
+        quoted: true,
+        ...position,
+      });
+    } else if (/^[A-Za-z_]/.test(text)) {
+      tokens.push({ type: 'word', value: text, quoted: false, ...position });
+    } else {
+      tokens.push({ type: 'punct', value: text, quoted: false, ...position });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Checks whether a token is the given keyword (quoted identifiers never are).
+ *
+ * @param {Object} token - Token from tokenize
+ * @param {string} keyword - Upper-case keyword
+ * @returns {boolean} True when the token is the keyword
+ */
+export const isKeyword = (token, keyword) =>
+  token?.type === 'word' &&
+  !token.quoted &&
+  token.value.toUpperCase() === keyword;
+
+/**
+ * Functions whose arguments may contain FROM without it starting a FROM
+ * clause, e.g. EXTRACT(YEAR FROM date).
+ */
+const FROM_ARGUMENT_FUNCTIONS = new Set([
+  'EXTRACT',
+  'TRIM',
+  'SUBSTRING',
+  'POSITION',
+  'OVERLAY',
+]);
+
+/**
+ * Finds the tables and Data Cloud fields referenced by a SQL statement.
+ *
+ * Tables are read from FROM and JOIN clauses together with their alias.
+ * Dotted names such as schema.table are read whole, so a qualified name is
+ * never reported as its first part alone. Tables include names that are not Data Cloud objects, such as common table
+ * expressions, so callers can tell when a statement reads from anything
+ * else (see getObjectEntityType). Fields are reported with their qualifier
+ * (alias or object name) when they are written as qualifier.field. Names
+ * given to expressions with AS are reported as aliases, so they are not
+ * mistaken for unknown columns.
+ *
+ * @param {string} sql - SQL statement
+ * @returns {Object} { tables: [{ name, alias }], columns: [{ name, qualifier }], aliases: [] }
+ */
+export function extractReferences(sql) {
+  const tokens = tokenize(sql);
+  const tables = [];
+  const columns = [];
+  const aliases = [];
+  // Function name (or null) of each open parenthesis
+  const openParens = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.value === '(' && token.type === 'punct') {
+      const previous = tokens[i - 1];
+      openParens.push(
+        previous?.type === 'word' && !previous.quoted
+          ? previous.value.toUpperCase()
+          : null
+      );
+      continue;
+    }
+    if (token.value === ')' && token.type === 'punct') {
+      openParens.pop();
+      continue;
+    }
+    if (token.type !== 'word') {
+      continue;
+    }
+
+    const inFromArgument = FROM_ARGUMENT_FUNCTIONS.has(openParens.at(-1));
+    if (
+      (isKeyword(token, 'FROM') && !inFromArgument) ||
+      isKeyword(token, 'JOIN')
+    ) {
+      // Read a comma separated list of tables, each with an optional alias
+      let next = i + 1;
+      while (tokens[next]?.type === 'word') {
+        const table = { name: tokens[next].value, alias: null };
+        next += 1;
+        while (
+          tokens[next]?.type === 'punct' &&
+          tokens[next].value === '.' &&
+          tokens[next + 1]?.type === 'word'
+        ) {
+          table.name += `.${tokens[next + 1].value}`;
+          next += 2;
+        }
+        if (isKeyword(tokens[next], 'AS')) {
+          next += 1;
+        }
+        if (
+          tokens[next]?.type === 'word' &&
+          !CLAUSE_KEYWORDS.has(tokens[next].value.toUpperCase())
+        ) {
+          table.alias = tokens[next].value;
+          next += 1;
+        }
+        tables.push(table);
+        if (!isKeyword(token, 'FROM') || tokens[next]?.value !== ',') {
+          break;
+        }
+        next += 1;
+      }
+      i = next - 1;
+      continue;
+    }
+
+    if (isKeyword(tokens[i - 1], 'AS')) {
+      aliases.push(token.value);
+      continue;
+    }
+
+    if (FIELD_NAME_PATTERN.test(token.value)) {
+      const qualified =
+        tokens[i - 1]?.value === '.' && tokens[i - 2]?.type === 'word';
+      columns.push({
+        name: token.value,
+        qualifier: qualified ? tokens[i - 2].value : null,
+      });
+    }
+  }
+
+  return { tables, columns, aliases };
+}
+
+/**
+ * Returns the metadata entity type of a Data Cloud object name.
+ *
+ * @param {string} name - Object API name
+ * @returns {string|null} Entity type, or null for other names
+ */
+export function getObjectEntityType(name) {
+  const match = OBJECT_NAME_PATTERN.exec(name);
+  return match ? OBJECT_SUFFIXES[`__${match[1].toLowerCase()}`] : null;
+}
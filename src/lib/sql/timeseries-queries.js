@@ -0,0 +1,98 @@
+/**
+ * Time Series Queries
+ *
+ * Generates the aggregate SQL counting the rows of a query object per time
+ * bucket (minute, hour, day or week) of one of its date-time fields,
+ * optionally split by the values of one of its groupable fields. Buckets are
+ * truncated in the requested time zone, so the bucket of each row is its
+ * local wall-clock time; the week starts on Monday.
+ */
+import { buildWhereClause } from './filter-builder.js';
+import { transformRecords } from './field-map.js';
+
+/**
+ * Intervals rows can be bucketed by.
+ */
+export const TIME_SERIES_INTERVALS = ['minute', 'hour', 'day', 'week'];
+
+/**
+ * Pattern of the time zone names that can be put into generated SQL
+ * (IANA names such as UTC, Europe/Paris or America/Argentina/Buenos_Aires).
+ */
+const TIME_ZONE_PATTERN = /^[A-Za-z][A-Za-z0-9_+-]*(\/[A-Za-z0-9_+-]+)*$/;
+
+/**
+ * Defines the query counting the rows of a query object per time bucket.
+ *
+ * @param {Object} queryObject - Query object created by defineQuery
+ * @param {Object} options - Time series settings
+ * @param {string} options.dateProperty - Output property of the date-time
+ *   field to bucket by; it must be filterable
+ * @param {string} options.interval - minute, hour, day or week
+ * @param {string} options.timeZone - IANA time zone the buckets are truncated in
+ * @param {string} options.splitBy - Optional output property of a groupable
+ *   field to split the counts by
+ * @param {Object} options.filterNode - Optional filter tree (see filter-builder.js)
+ * @param {number} options.limit - Largest number of rows to return
+ * @returns {Object} Query object with sql and transform, usable by
+ *   DataCloudQueryService; records are { bucket, series, count } where bucket
+ *   is the bucket's local wall-clock time and series the split value (null
+ *   without splitBy)
+ * @throws {Error} When the interval, time zone or a field is not allowed
+ */
+export function defineTimeSeriesQuery(
+  queryObject,
+  { dateProperty, interval, timeZone, splitBy = null, filterNode, limit }
+) {
+  const dateSpec = queryObject.filterFields?.[dateProperty];
+  if (!dateSpec || !['date', 'datetime'].includes(dateSpec.type)) {
+    throw new Error(
+      `Field '${dateProperty}' of '${queryObject.table}' cannot be bucketed by`
+    );
+  }
+  if (!TIME_SERIES_INTERVALS.includes(interval)) {
+    throw new Error(`Unknown time series interval '${interval}'`);
+  }
+  if (!TIME_ZONE_PATTERN.test(timeZone)) {
+    throw new Error(`Invalid time zone '${timeZone}'`);
+  }
+  const splitSpec = splitBy ? queryObject.groupFields?.[splitBy] : null;
+  if (splitBy && !splitSpec) {
+    throw new Error(
+      `Field '${splitBy}' of '${queryObject.table}' cannot be grouped by`
+    );
+  }
+
+  const bucket = `DATE_TRUNC('${interval}', ${dateSpec.column} AT TIME ZONE '${timeZone}')`;
+  const groups = splitSpec ? [bucket, splitSpec.column] : [bucket];
+  const whereClause = buildWhereClause(filterNode, queryObject.filterFields);
+
+  let sql = `SELECT ${bucket} AS bucket, `;
+  if (splitSpec) {
+    sql += `${splitSpec.column} AS series, `;
+  }
+  sql += `COUNT(*) AS record_count FROM ${queryObject.table}`;
+  if (whereClause) {
+    sql += ` WHERE ${whereClause}`;
+  }
+  sql += ` GROUP BY ${groups.join(', ')} ORDER BY ${groups.join(', ')} LIMIT ${limit}`;
+
+  const fields = [
+    { column: 'bucket', property: 'bucket', type: 'string' },
+    ...(splitSpec
+      ? [{ column: 'series', property: 'series', type: splitSpec.type }]
+      : []),
+    { column: 'record_count', property: 'count', type: 'number' },
+  ];
+  return {
+    sql,
+    fields,
+    cacheTtlSeconds: queryObject.cacheTtlSeconds,
+    timeoutMs: queryObject.timeoutMs,
+    transform: (records, columnMetadata) =>
+      transformRecords(fields, records, columnMetadata).map(record => ({
+        series: null,
+        ...record,
+      })),
+  };
+}
@@ -0,0 +1,412 @@
+/**
+ * Time Series Buckets
+ *
+ * Turns the per-bucket counts of a time series query (see
+ * lib/sql/timeseries-queries.js) into a chart-ready series: one label per
+ * bucket of the time window, missing buckets filled with zero, and one list
+ * of values per series, aligned with the labels.
+ *
+ * Buckets are handled as local wall-clock times of the requested time zone,
+ * stored as milliseconds as if the wall-clock time were UTC, so bucket
+ * arithmetic never has to deal with daylight saving time. Labels are ISO 8601
+ * local times with the zone's UTC offset at the start of the bucket.
+ */
+import { DataCloudError } from './data-cloud-errors.js';
+import { AppError } from './errors.js';
+import { userEngagementQuery } from './sql/queries.js';
+import { defineTimeSeriesQuery } from './sql/timeseries-queries.js';
+
+/**
+ * Number of buckets of each interval covered when no time window is given.
+ */
+export const DEFAULT_BUCKET_COUNTS = {
+  minute: 60,
+  hour: 48,
+  day: 30,
+  week: 12,
+};
+
+/**
+ * Largest number of buckets of a time series.
+ */
+export const MAX_TIME_SERIES_BUCKETS = 1000;
+
+/**
+ * Largest number of bucket counts read for one time series. Counts beyond it
+ * are left out and the result is reported as truncated.
+ */
+export const MAX_TIME_SERIES_ROWS = 50000;
+
+/**
+ * Default number of series returned when splitting; smaller series are
+ * combined into one.
+ */
+export const DEFAULT_MAX_SERIES = 10;
+
+/**
+ * Largest number of series that can be requested.
+ */
+export const MAX_SERIES = 50;
+
+/**
+ * Name of the series combining the series beyond the requested number.
+ */
+export const OTHER_SERIES = '(other)';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const INTERVAL_MS = {
+  minute: MINUTE_MS,
+  hour: 60 * MINUTE_MS,
+  day: DAY_MS,
+  week: 7 * DAY_MS,
+};
+
+/**
+ * Error raised when a time series cannot be built for the requested time
+ * zone or window. Reported as a 400 bad request.
+ */
+export class TimeSeriesError extends AppError {
+  constructor(message) {
+    super(message, {
+      statusCode: 400,
+      type: 'invalid_time_series',
+      title: 'Invalid time series',
+    });
+    this.name = 'TimeSeriesError';
+  }
+}
+
+/**
+ * Checks whether a time zone is a known IANA time zone.
+ *
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean} True when the time zone can be used
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+    // eslint-disable-next-line no-unused-vars
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Returns the UTC offset of a time zone at an instant.
+ *
+ * @param {string} timeZone - IANA time zone
+ * @param {number} instant - Milliseconds since epoch
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function getOffset(timeZone, instant) {
+  const name = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    timeZoneName: 'longOffset',
+  })
+    .formatToParts(new Date(instant))
+    .find(part => part.type === 'timeZoneName').value;
+  const match = /([+-])(\d{2}):(\d{2})/.exec(name);
+  if (!match) {
+    return 0;
+  }
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return (match[1] === '-' ? -minutes : minutes) * MINUTE_MS;
+}
+
+/**
+ * Converts an instant to its wall-clock time in a time zone.
+ *
+ * @param {number} instant - Milliseconds since epoch
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Wall-clock time, as milliseconds of the same UTC time
+ */
+export function toWallTime(instant, timeZone) {
+  return instant + getOffset(timeZone, instant);
+}
+
+/**
+ * Converts a wall-clock time in a time zone to an instant. Wall-clock times
+ * skipped by a daylight saving change resolve to the instant after the gap.
+ *
+ * @param {number} wallTime - Wall-clock time, as milliseconds of the same UTC time
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Milliseconds since epoch
+ */
+export function fromWallTime(wallTime, timeZone) {
+  const guess = wallTime - getOffset(timeZone, wallTime);
+  return wallTime - getOffset(timeZone, guess);
+}
+
+/**
+ * Truncates a wall-clock time to the start of its bucket. Weeks start on
+ * Monday.
+ *
+ * @param {number} wallTime - Wall-clock time
+ * @param {string} interval - minute, hour, day or week
+ * @returns {number} Wall-clock time of the bucket start
+ */
+export function truncateWallTime(wallTime, interval) {
+  if (interval === 'week') {
+    const day = wallTime - (((wallTime % DAY_MS) + DAY_MS) % DAY_MS);
+    const weekday = (new Date(day).getUTCDay() + 6) % 7;
+    return day - weekday * DAY_MS;
+  }
+  const size = INTERVAL_MS[interval];
+  return wallTime - (((wallTime % size) + size) % size);
+}
+
+/**
+ * Adds a number of intervals to a wall-clock time.
+ *
+ * @param {number} wallTime - Wall-clock time
+ * @param {string} interval - minute, hour, day or week
+ * @param {number} count - Number of intervals (may be negative)
+ * @returns {number} Wall-clock time
+ */
+function addIntervals(wallTime, interval, count) {
+  return wallTime + count * INTERVAL_MS[interval];
+}
+
+/**
+ * Parses a bucket returned by a time series query, a wall-clock timestamp
+ * such as 2024-01-01 10:00:00 or 2024-01-01T10:00:00.000Z.
+ *
+ * @param {string} value - Bucket value
+ * @returns {number} Wall-clock time, or NaN when the value is not a timestamp
+ */
+export function parseBucket(value) {
+  const match =
+    /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/.exec(
+      String(value ?? '')
+    );
+  if (!match) {
+    return NaN;
+  }
+  const [, date, hours = '00', minutes = '00', seconds = '00'] = match;
+  return Date.parse(`${date}T${hours}:${minutes}:${seconds}Z`);
+}
+
+/**
+ * Formats the start of a bucket as an ISO 8601 local time with its offset.
+ *
+ * @param {number} wallTime - Wall-clock time of the bucket start
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} e.g. 2024-03-31T00:00:00+01:00
+ */
+export function formatBucket(wallTime, timeZone) {
+  const offset = wallTime - fromWallTime(wallTime, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  const minutes = Math.abs(offset) / MINUTE_MS;
+  const hh = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const mm = String(minutes % 60).padStart(2, '0');
+  return `${new Date(wallTime).toISOString().slice(0, 19)}${sign}${hh}:${mm}`;
+}
+
+/**
+ * Parses a window bound given as an ISO 8601 date or date-time.
+ *
+ * @param {string} value - Window bound
+ * @param {string} name - Parameter name used in error messages
+ * @returns {number} Milliseconds since epoch
+ * @throws {TimeSeriesError} When the value is not a date or date-time
+ */
+function parseBound(value, name) {
+  const instant = /^\d{4}-\d{2}-\d{2}/.test(value) ? Date.parse(value) : NaN;
+  if (Number.isNaN(instant)) {
+    throw new TimeSeriesError(`${name} must be an ISO 8601 date or date-time`);
+  }
+  return instant;
+}
+
+/**
+ * Resolves the time window of a time series and lists its buckets. Without
+ * createdTo the window ends now; without createdFrom it covers the default
+ * number of buckets of the interval, ending with the bucket of its end.
+ *
+ * @param {Object} options - Window settings
+ * @param {string} options.interval - minute, hour, day or week
+ * @param {string} options.timeZone - IANA time zone
+ * @param {string} options.createdFrom - Start of the window (inclusive)
+ * @param {string} options.createdTo - End of the window (exclusive)
+ * @param {number} options.now - Current time in milliseconds
+ * @returns {Object} { from, to, buckets } where from and to are ISO 8601
+ *   instants and buckets the wall-clock times of the window's buckets
+ * @throws {TimeSeriesError} When the time zone or window is invalid, or the
+ *   window has more than MAX_TIME_SERIES_BUCKETS buckets
+ */
+export function resolveWindow({
+  interval,
+  timeZone,
+  createdFrom,
+  createdTo,
+  now = Date.now(),
+}) {
+  if (!isValidTimeZone(timeZone)) {
+    throw new TimeSeriesError(`Unknown time zone '${timeZone}'`);
+  }
+
+  const to = createdTo ? parseBound(createdTo, 'createdTo') : now;
+  const last = truncateWallTime(toWallTime(to - 1, timeZone), interval);
+  const from = createdFrom
+    ? parseBound(createdFrom, 'createdFrom')
+    : fromWallTime(
+        addIntervals(last, interval, 1 - DEFAULT_BUCKET_COUNTS[interval]),
+        timeZone
+      );
+  if (from >= to) {
+    throw new TimeSeriesError('createdFrom must be before createdTo');
+  }
+
+  const buckets = [];
+  let bucket = truncateWallTime(toWallTime(from, timeZone), interval);
+  while (bucket <= last) {
+    if (buckets.length === MAX_TIME_SERIES_BUCKETS) {
+      throw new TimeSeriesError(
+        `Time window has more than ${MAX_TIME_SERIES_BUCKETS} ${interval} buckets; use a shorter window or a longer interval`
+      );
+    }
+    buckets.push(bucket);
+    bucket = addIntervals(bucket, interval, 1);
+  }
+
+  return {
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    buckets,
+  };
+}
+
+/**
+ * Builds the chart-ready series of a time series query's records.
+ *
+ * Without splitting there is one series, named total. With splitting, the
+ * largest maxSeries series (by total) are returned, largest first, and the
+ * others are combined into a series named OTHER_SERIES.
+ *
+ * @param {Array} records - Records { bucket, series, count } of the query
+ * @param {Object} options - Series settings
+ * @param {Array} options.buckets - Wall-clock times of the window's buckets
+ * @param {string} options.timeZone - IANA time zone
+ * @param {boolean} options.split - Whether the records are split by a field
+ * @param {number} options.maxSeries - Largest number of series returned
+ * @returns {Object} { buckets, series, total } where buckets are the bucket
+ *   labels and series are { name, total, values }
+ */
+export function buildTimeSeries(
+  records,
+  { buckets, timeZone, split = false, maxSeries = DEFAULT_MAX_SERIES }
+) {
+  const positions = new Map(buckets.map((bucket, index) => [bucket, index]));
+  const counts = new Map();
+
+  for (const record of records) {
+    const position = positions.get(parseBucket(record.bucket));
+    if (position === undefined) {
+      continue;
+    }
+    const name = split ? record.series : 'total';
+    if (!counts.has(name)) {
+      counts.set(name, new Array(buckets.length).fill(0));
+    }
+    counts.get(name)[position] += record.count ?? 0;
+  }
+
+  let series = [...counts].map(([name, values]) => ({
+    name,
+    total: values.reduce((sum, value) => sum + value, 0),
+    values,
+  }));
+  if (!split && series.length === 0) {
+    series = [{ name: 'total', total: 0, values: buckets.map(() => 0) }];
+  }
+  series.sort((a, b) => b.total - a.total);
+
+  if (series.length > maxSeries) {
+    const other = {
+      name: OTHER_SERIES,
+      total: 0,
+      values: buckets.map(() => 0),
+    };
+    for (const { total, values } of series.slice(maxSeries)) {
+      other.total += total;
+      values.forEach((value, index) => (other.values[index] += value));
+    }
+    series = [...series.slice(0, maxSeries), other];
+  }
+
+  return {
+    buckets: buckets.map(bucket => formatBucket(bucket, timeZone)),
+    series,
+    total: series.reduce((sum, { total }) => sum + total, 0),
+  };
+}
+
+/**
+ * Counts engagement events per time bucket, optionally split by event name or
+ * entity type. Every bucket of the time window is returned, with zero for the
+ * buckets without events.
+ *
+ * @param {DataCloudQueryService} queryService - Service the counts are queried with
+ * @param {Object} options - Time series settings
+ * @param {string} options.interval - minute, hour, day or week
+ * @param {string} options.timeZone - IANA time zone buckets are truncated in
+ * @param {string} options.splitBy - Optional eventName or entityType
+ * @param {string} options.createdFrom - Start of the window (inclusive)
+ * @param {string} options.createdTo - End of the window (exclusive)
+ * @param {number} options.maxSeries - Largest number of series returned
+ * @returns {Promise<Object>} { buckets, series, total, from, to, query,
+ *   truncated } where truncated is set when the counts were cut off at
+ *   MAX_TIME_SERIES_ROWS rows
+ * @throws {TimeSeriesError} When the time zone or window is invalid
+ * @throws {DataCloudError} Classified error when the query fails
+ */
+export async function getEngagementTimeSeries(
+  queryService,
+  {
+    interval,
+    timeZone = 'UTC',
+    splitBy = null,
+    createdFrom,
+    createdTo,
+    maxSeries = DEFAULT_MAX_SERIES,
+  }
+) {
+  const window = resolveWindow({
+    interval,
+    timeZone,
+    createdFrom,
+    createdTo,
+  });
+  const query = defineTimeSeriesQuery(userEngagementQuery, {
+    dateProperty: 'createdDate',
+    interval,
+    timeZone,
+    splitBy,
+    filterNode: userEngagementQuery.buildFilter({
+      createdFrom: window.from,
+      createdTo: window.to,
+    }),
+    limit: MAX_TIME_SERIES_ROWS + 1,
+  });
+
+  const result = await queryService.executeQuery(query);
+  if (!result.success) {
+    throw DataCloudError.fromResult(result);
+  }
+
+  const truncated = result.records.length > MAX_TIME_SERIES_ROWS;
+  return {
+    ...buildTimeSeries(result.records.slice(0, MAX_TIME_SERIES_ROWS), {
+      buckets: window.buckets,
+      timeZone,
+      split: Boolean(splitBy),
+      maxSeries,
+    }),
+    from: window.from,
+    to: window.to,
+    query: result.metadata.query,
+    truncated,
+  };
+}
@@ -0,0 +1,20 @@
+import fp from 'fastify-plugin';
+import salesforceSdk from '@heroku/applink';
+import ConnectionManager from '../lib/connection-manager.js';
+
+export default fp(async function (fastify, _opts) {
+  /**
+   * App-level AppLink connection manager shared by all routes.
+   *
+   * Authorizations are cached per connection name and refreshed after
+   * APPLINK_AUTHORIZATION_TTL_SECONDS or when an API call returns a 401.
+   */
+  fastify.decorate(
+    'connectionManager',
+    new ConnectionManager({
+      applink: salesforceSdk.init().addons.applink,
+      ttlSeconds: fastify.envConfig.authorizationTtlSeconds,
+      logger: fastify.log,
+    })
+  );
+});
@@ -0,0 +1,55 @@
+import fp from 'fastify-plugin';
+import {
+  AppError,
+  PROBLEM_CONTENT_TYPE,
+  toProblemDetails,
+} from '../lib/errors.js';
+import { classifyError } from '../lib/data-cloud-errors.js';
+
+export default fp(async function (fastify, _opts) {
+  /**
+   * App-level error handler reporting every error as RFC 7807 problem
+   * details (application/problem+json).
+   *
+   * Errors thrown by AppLink, Salesforce and Data Cloud calls are classified
+   * (see lib/data-cloud-errors.js) so they are reported with the right status.
+   * The correlation id is the x-request-id header, or Fastify's request id
+   * when the header is missing. SQL is only included when DEBUG_ERRORS is on.
+   */
+  fastify.setErrorHandler(async function (err, request, reply) {
+    // Fastify's own errors (e.g. schema validation) keep their status code
+    const error =
+      err instanceof AppError || (err.statusCode >= 400 && !err.response)
+        ? err
+        : await classifyError(err);
+
+    const correlationId = request.headers['x-request-id'] || request.id;
+    const problem = toProblemDetails(error, {
+      instance: request.url,
+      correlationId,
+      debug: fastify.envConfig.debugErrors,
+    });
+
+    if (problem.status >= 500) {
+      request.log.error(
+        { err, correlationId },
+        `${request.method} ${request.url} failed: ${error.message}`
+      );
+    } else {
+      request.log.info(
+        { correlationId },
+        `${request.method} ${request.url} rejected: ${error.message}`
+      );
+    }
+
+    if (error.retryAfterSeconds) {
+      reply.header('Retry-After', String(error.retryAfterSeconds));
+    }
+
+    return reply
+      .code(problem.status)
+      .header('x-request-id', correlationId)
+      .type(PROBLEM_CONTENT_TYPE)
+      .send(problem);
+  });
+});
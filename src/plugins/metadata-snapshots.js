@@ -0,0 +1,72 @@
+import fp from 'fastify-plugin';
+import MetadataSnapshots, {
+  FileSnapshotStore,
+} from '../lib/metadata-snapshots.js';
+import DataCloudQueryService from '../lib/data-cloud-query-service.js';
+
+export default fp(async function (fastify, opts) {
+  /**
+   * App-level metadata snapshots shared by all requests.
+   *
+   * Snapshots are saved as JSON files in DATA_CLOUD_SNAPSHOT_DIR unless an
+   * external store implementing the snapshot store interface (see
+   * lib/metadata-snapshots.js) is passed as the snapshotStore option.
+   */
+  const {
+    dcConnectionName,
+    snapshotDir,
+    snapshotIntervalMinutes,
+    snapshotSpaces,
+    snapshotRetention,
+    queryTimeoutMs,
+  } = fastify.envConfig;
+
+  const metadataSnapshots = new MetadataSnapshots({
+    store:
+      opts.snapshotStore || new FileSnapshotStore({ directory: snapshotDir }),
+    retention: snapshotRetention,
+    logger: fastify.log,
+  });
+
+  fastify.decorate('metadataSnapshots', metadataSnapshots);
+
+  if (snapshotIntervalMinutes === 0 || !dcConnectionName) {
+    return;
+  }
+
+  /**
+   * Snapshots the DMOs of every data space in DATA_CLOUD_SNAPSHOT_SPACES.
+   * Failures are logged and the next run tries again.
+   */
+  const captureAll = async () => {
+    for (const dataSpace of snapshotSpaces) {
+      const queryService = new DataCloudQueryService(
+        null,
+        dcConnectionName,
+        fastify.log,
+        {
+          connectionManager: fastify.connectionManager,
+          retryPolicy: fastify.retryPolicy,
+          queryTimeoutMs,
+          dataSpace,
+        }
+      );
+      try {
+        await metadataSnapshots.capture(queryService);
+      } catch (err) {
+        fastify.log.warn(
+          `Scheduled metadata snapshot of data space '${dataSpace}' failed: ${err.message}`
+        );
+      }
+    }
+  };
+
+  let timer = null;
+  fastify.addHook('onReady', async function () {
+    timer = setInterval(captureAll, snapshotIntervalMinutes * 60 * 1000);
+    timer.unref();
+  });
+  fastify.addHook('onClose', async function () {
+    clearInterval(timer);
+  });
+});
@@ -0,0 +1,24 @@
+import fp from 'fastify-plugin';
+import { ReconciliationJobs } from '../lib/account-reconciliation.js';
+
+export default fp(async function (fastify, _opts) {
+  /**
+   * App-level registry of the CRM account reconciliation jobs.
+   *
+   * Jobs run in the background of the request starting them and are kept in
+   * memory, so they are lost when the app restarts. They run under this
+   * plugin's signal, which is aborted when the app closes so no job keeps
+   * paging through accounts past shutdown.
+   */
+  const shutdown = new AbortController();
+  const reconciliationJobs = new ReconciliationJobs({
+    logger: fastify.log,
+    signal: shutdown.signal,
+  });
+  fastify.decorate('reconciliationJobs', reconciliationJobs);
+
+  fastify.addHook('onClose', async () => {
+    shutdown.abort();
+    await reconciliationJobs.settle();
+  });
+});
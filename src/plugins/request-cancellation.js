@@ -0,0 +1,23 @@
+import fp from 'fastify-plugin';
+import { ClientDisconnectedError } from '../lib/query-timeout.js';
+
+export default fp(async function (fastify, _opts) {
+  /**
+   * Gives every request an AbortSignal (request.abortSignal) that aborts
+   * when the caller closes the connection before the response is sent, so
+   * Data Cloud queries started for a caller that has given up are cancelled.
+   */
+  fastify.decorateRequest('abortSignal', null);
+
+  fastify.addHook('onRequest', async (request, reply) => {
+    const controller = new AbortController();
+    request.abortSignal = controller.signal;
+
+    // The response closing before it finished means the client went away
+    reply.raw.once('close', () => {
+      if (!reply.raw.writableFinished) {
+        controller.abort(new ClientDisconnectedError());
+      }
+    });
+  });
+});
@@ -0,0 +1,28 @@
+import fp from 'fastify-plugin';
+import ResultCache, { MemoryCacheStore } from '../lib/result-cache.js';
+
+export default fp(async function (fastify, opts) {
+  /**
+   * App-level Data Cloud result cache shared by all requests.
+   *
+   * Results are kept in an in-memory LRU unless an external store
+   * implementing the cache store interface (see lib/result-cache.js) is
+   * passed as the resultCacheStore option. A TTL of 0 disables caching.
+   */
+  const { cacheTtlSeconds, cacheStaleSeconds, cacheMaxEntries } =
+    fastify.envConfig;
+
+  const resultCache =
+    cacheTtlSeconds > 0
+      ? new ResultCache({
+          store:
+            opts.resultCacheStore ||
+            new MemoryCacheStore({ maxEntries: cacheMaxEntries }),
+          ttlSeconds: cacheTtlSeconds,
+          staleSeconds: cacheStaleSeconds,
+          logger: fastify.log,
+        })
+      : null;
+
+  fastify.decorate('resultCache', resultCache);
+});
@@ -0,0 +1,24 @@
+import fp from 'fastify-plugin';
+import RetryPolicy from '../lib/retry-policy.js';
+
+export default fp(async function (fastify, _opts) {
+  /**
+   * App-level retry policy for Data Cloud calls.
+   *
+   * Transient failures (rate limits, timeouts and upstream 5xx errors) are
+   * retried up to DATA_CLOUD_RETRY_ATTEMPTS times in total with jittered
+   * exponential backoff, honoring Retry-After headers.
+   */
+  const { retryAttempts, retryBaseDelayMs, retryMaxDelayMs } =
+    fastify.envConfig;
+
+  fastify.decorate(
+    'retryPolicy',
+    new RetryPolicy({
+      maxAttempts: retryAttempts,
+      baseDelayMs: retryBaseDelayMs,
+      maxDelayMs: retryMaxDelayMs,
+      logger: fastify.log,
+    })
+  );
+});
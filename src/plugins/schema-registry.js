@@ -0,0 +1,91 @@
+import fp from 'fastify-plugin';
+import SchemaRegistry from '../lib/schema-registry.js';
+import DataCloudQueryService from '../lib/data-cloud-query-service.js';
+import { queryObjects } from '../lib/sql/queries.js';
+
+export default fp(async function (fastify, _opts) {
+  /**
+   * App-level Data Cloud schema registry shared by all requests.
+   *
+   * Query services check their SQL against it before sending it. A TTL of 0
+   * (DATA_CLOUD_SCHEMA_TTL_SECONDS) disables SQL validation.
+   */
+  const {
+    schemaTtlSeconds,
+    dcConnectionName,
+    dataCloudOrg,
+    dataCloudQuery,
+    queryTimeoutMs,
+  } = fastify.envConfig;
+
+  const schemaRegistry =
+    schemaTtlSeconds > 0
+      ? new SchemaRegistry({
+          ttlSeconds: schemaTtlSeconds,
+          logger: fastify.log,
+        })
+      : null;
+
+  fastify.decorate('schemaRegistry', schemaRegistry);
+
+  if (!schemaRegistry) {
+    return;
+  }
+
+  /**
+   * Validates the query objects in queries.js, and DATA_CLOUD_QUERY against
+   * the DATA_CLOUD_ORG connection, once the app is ready. Problems are
+   * logged rather than stopping the app, as they depend on the org's data
+   * model; the metadata being unavailable only skips the check. The check
+   * is cancelled when the app closes.
+   */
+  const startupCheck = new AbortController();
+  const validateAtStartup = async (connectionName, queries) => {
+    const queryService = new DataCloudQueryService(
+      null,
+      connectionName,
+      fastify.log,
+      {
+        connectionManager: fastify.connectionManager,
+        retryPolicy: fastify.retryPolicy,
+        queryTimeoutMs,
+        signal: startupCheck.signal,
+      }
+    );
+
+    try {
+      const problems = await schemaRegistry.validateQueries(
+        queryService,
+        queries
+      );
+      for (const { name, error } of problems) {
+        fastify.log.error(`Query '${name}' is invalid: ${error.message}`);
+      }
+    } catch (err) {
+      fastify.log.warn(
+        `Skipping startup SQL validation for connection '${connectionName}': ${err.message}`
+      );
+    }
+  };
+
+  let validation = null;
+  fastify.addHook('onReady', async function () {
+    // Not awaited: the metadata calls run with the full retry and timeout
+    // policy, and an unreachable Data Cloud must not hold up listening past
+    // the platform's boot timeout when the result is only logged
+    validation = (async () => {
+      await validateAtStartup(dcConnectionName, queryObjects);
+      if (dataCloudOrg && dataCloudQuery) {
+        await validateAtStartup(dataCloudOrg, {
+          DATA_CLOUD_QUERY: dataCloudQuery,
+        });
+      }
+    })().catch(err => {
+      fastify.log.warn(`Startup SQL validation failed: ${err.message}`);
+    });
+  });
+  fastify.addHook('onClose', async function () {
+    startupCheck.abort();
+    await validation;
+  });
+});
@@ -0,0 +1,714 @@
+import { unifiedB2BQuery, userEngagementQuery } from '../lib/sql/queries.js';
+import { parseRequestFilters } from '../lib/sql/filter-builder.js';
+import DataCloudQueryService from '../lib/data-cloud-query-service.js';
+import { DataCloudError } from '../lib/data-cloud-errors.js';
+import {
+  resolveExportFormat,
+  sendExport,
+  sendStream,
+} from '../lib/export-format.js';
+import {
+  MAX_FUNNEL_STEPS,
+  MIN_FUNNEL_STEPS,
+  analyzeEngagementFunnel,
+} from '../lib/engagement-funnel.js';
+import { TIME_SERIES_INTERVALS } from '../lib/sql/timeseries-queries.js';
+import {
+  DEFAULT_MAX_SERIES,
+  MAX_SERIES,
+  getEngagementTimeSeries,
+} from '../lib/time-series.js';
+import { RETENTION_PERIODS } from '../lib/sql/retention-queries.js';
+import { analyzeEngagementRetention } from '../lib/retention.js';
+import {
+  DEFAULT_DUPLICATE_GROUPS,
+  DEFAULT_MIN_NAME_SIMILARITY,
+  DEFAULT_MIN_SCORE,
+  DUPLICATE_RULES,
+  MAX_DUPLICATE_GROUPS,
+  findDuplicateAccounts,
+} from '../lib/account-duplicates.js';
+import {
+  DEFAULT_HIERARCHY_DEPTH,
+  MAX_HIERARCHY_DEPTH,
+  getUnifiedAccountHierarchy,
+} from '../lib/account-hierarchy.js';
+import { pageQuerystring, spaceQuerystring } from '../lib/route-schemas.js';
+
+export default async function (fastify, _opts) {
+  /**
+   * Returns user engagement data from Data Cloud.
+   *
+   * This endpoint queries the UserEngagement__dlm table to retrieve
+   * engagement analytics data including client sessions, events, and features.
+   * Supports optional filtering by creation date range, event name, entity
+   * type and client session, plus a JSON filter tree over the query's
+   * filterable fields. With groupBy, the matching events are counted per
+   * event name, entity type or client session instead of being returned.
+   *
+   * @param request - Fastify request object with optional query parameters:
+   *   - space: Data Cloud space (default: 'default')
+   *   - createdFrom: Only events created at or after this date or date-time
+   *   - createdTo: Only events created before this date or date-time
+   *   - eventName: Filter by event name (exact match)
+   *   - entityType: Filter by entity type (exact match)
+   *   - clientSession: Filter by client session (exact match)
+   *   - filter: JSON filter tree, e.g. {"field":"eventName","op":"in","value":["login","logout"]}
+   *   - groupBy: eventName, entityType or clientSession; returns
+   *     { [groupBy], count } records, largest groups first
+   *   - limit: Page size, or number of groups (capped at the configured maximum)
+   *   - cursor: nextCursor from the previous page's metadata
+   *   - format: json (default), ndjson or csv; defaults to the Accept header.
+   *     ndjson and csv stream every record from the cursor onwards, fetched
+   *     in pages of limit records
+   * @param reply - Fastify reply object
+   * @returns {Promise<Object>} Object containing user engagement records or
+   *   counts
+   */
+  fastify.get(
+    '/datacloud/analysis/engagement',
+    {
+      schema: {
+        querystring: {
+          type: 'object',
+          properties: {
+            ...spaceQuerystring,
+            ...pageQuerystring,
+            createdFrom: { type: 'string' },
+            createdTo: { type: 'string' },
+            eventName: { type: 'string' },
+            entityType: { type: 'string' },
+            clientSession: { type: 'string' },
+            groupBy: {
+              type: 'string',
+              enum: Object.keys(userEngagementQuery.groupFields),
+            },
+          },
+        },
+      },
+    },
+    async function (request, reply) {
+      const {
+        space,
+        limit,
+        cursor,
+        createdFrom,
+        createdTo,
+        eventName,
+        entityType,
+        clientSession,
+        groupBy,
+      } = request.query;
+      const format = resolveExportFormat(
+        request.query.format,
+        request.headers.accept
+      );
+
+      const dcConnectionName = fastify.envConfig.dcConnectionName;
+      const queryService = DataCloudQueryService.fromRequest(
+        request,
+        dcConnectionName,
+        { maxPageSize: fastify.envConfig.maxPageSize, dataSpace: space }
+      );
+
+      const filters = parseRequestFilters(userEngagementQuery, {
+        createdFrom,
+        createdTo,
+        eventName,
+        entityType,
+        clientSession,
+        filter: request.query.filter,
+      });
+
+      if (groupBy) {
+        const result = await queryService.executeGroupedQuery(
+          userEngagementQuery,
+          groupBy,
+          filters,
+          { limit }
+        );
+
+        if (!result.success) {
+          throw DataCloudError.fromResult(result);
+        }
+
+        if (format !== 'json') {
+          return sendStream(reply, [result.records].values(), {
+            format,
+            columns: [groupBy, 'count'],
+            name: `engagement-by-${groupBy}`,
+          });
+        }
+
+        return {
+          records: result.records,
+          metadata: result.metadata,
+        };
+      }
+
+      if (format !== 'json') {
+        return sendExport(reply, queryService, userEngagementQuery, filters, {
+          format,
+          limit,
+          cursor,
+          name: 'engagement',
+        });
+      }
+
+      const result = await queryService.executeQuery(
+        userEngagementQuery,
+        filters,
+        { limit, cursor }
+      );
+
+      if (!result.success) {
+        throw DataCloudError.fromResult(result);
+      }
+
+      return {
+        records: result.records,
+        metadata: result.metadata,
+      };
+    }
+  );
+
+  /**
+   * Returns a session funnel over user engagement events.
+   *
+   * The events of the steps are read from UserEngagement__dlm grouped by
+   * client session, and each session is matched to the ordered steps (see
+   * lib/engagement-funnel.js). Per step, the sessions reaching it, the
+   * conversion and drop-off percentages from the previous step and the
+   * median time from the previous step are returned.
+   *
+   * @param request - Fastify request object with query parameters:
+   *   - steps: Event names of the steps, in order (repeat the parameter, 2 to 10 steps)
+   *   - space: Data Cloud space (default: 'default')
+   *   - createdFrom: Only events created at or after this date or date-time
+   *   - createdTo: Only events created before this date or date-time
+   *   - maxStepGapSeconds: Longest time allowed between two steps
+   * @param reply - Fastify reply object
+   * @returns {Promise<Object>} Object containing the funnel steps
+   */
+  fastify.get(
+    '/datacloud/analysis/engagement/funnel',
+    {
+      schema: {
+        querystring: {
+          type: 'object',
+          required: ['steps'],
+          properties: {
+            ...spaceQuerystring,
+            steps: {
+              type: 'array',
+              items: { type: 'string', minLength: 1, maxLength: 255 },
+              minItems: MIN_FUNNEL_STEPS,
+              maxItems: MAX_FUNNEL_STEPS,
+            },
+            createdFrom: { type: 'string' },
+            createdTo: { type: 'string' },
+            maxStepGapSeconds: { type: 'integer', minimum: 1 },
+          },
+        },
+      },
+    },
+    async function (request, _reply) {
+      const { logger } = request.sdk;
+      const { space, steps, createdFrom, createdTo, maxStepGapSeconds } =
+        request.query;
+      const startedAt = Date.now();
+
+      const dcConnectionName = fastify.envConfig.dcConnectionName;
+      const queryService = DataCloudQueryService.fromRequest(
+        request,
+        dcConnectionName,
+        { maxPageSize: fastify.envConfig.maxPageSize, dataSpace: space }
+      );
+      logger.info(
+        `Analyzing engagement funnel ${steps.join(' > ')} in space '${space}'`
+      );
+
+      const { eventCount, truncated, ...funnel } =
+        await analyzeEngagementFunnel(queryService, {
+          steps,
+          createdFrom,
+          createdTo,
+          maxStepGapSeconds,
+        });
+
+      logger.info(
+        `Funnel read ${eventCount} events of ${funnel.sessionCount} sessions`
+      );
+      return {
+        ...funnel,
+        metadata: {
+          dataSpace: space,
+          createdFrom: createdFrom ?? null,
+          createdTo: createdTo ?? null,
+          maxStepGapSeconds: maxStepGapSeconds ?? null,
+          eventCount,
+          truncated,
+          elapsedMs: Date.now() - startedAt,
+        },
+      };
+    }
+  );
+
+  /**
+   * Returns engagement event counts per time bucket.
+   *
+   * Events of UserEngagement__dlm are counted per minute, hour, day or week
+   * in the requested time zone, optionally split by event name or entity
+   * type. Every bucket of the time window is returned, with zero for the
+   * buckets without events, so the buckets and the values of each series
+   * can be charted directly.
+   *
+   * @param request - Fastify request object with optional query parameters:
+   *   - space: Data Cloud space (default: 'default')
+   *   - interval: minute, hour, day (default) or week
+   *   - timezone: IANA time zone buckets are truncated in (default: 'UTC')
+   *   - splitBy: eventName or entityType; returns one series per value
+   *   - maxSeries: Largest number of series; smaller series are combined (default: 10)
+   *   - createdFrom: Start of the window (default: the interval's default number of buckets)
+   *   - createdTo: End of the window, exclusive (default: now)
+   * @param reply - Fastify reply object
+   * @returns {Promise<Object>} Object containing the bucket labels and series
+   */
+  fastify.get(
+    '/datacloud/analysis/engagement/timeseries',
+    {
+      schema: {
+        querystring: {
+          type: 'object',
+          properties: {
+            ...spaceQuerystring,
+            interval: {
+              type: 'string',
+              enum: TIME_SERIES_INTERVALS,
+              default: 'day',
+            },
+            timezone: { type: 'string', maxLength: 64, default: 'UTC' },
+            splitBy: { type: 'string', enum: ['eventName', 'entityType'] },
+            maxSeries: {
+              type: 'integer',
+              minimum: 1,
+              maximum: MAX_SERIES,
+              default: DEFAULT_MAX_SERIES,
+            },
+            createdFrom: { type: 'string' },
+            createdTo: { type: 'string' },
+          },
+        },
+      },
+    },
+    async function (request, _reply) {
+      const { logger } = request.sdk;
+      const {
+        space,
+        interval,
+        timezone,
+        splitBy,
+        maxSeries,
+        createdFrom,
+        createdTo,
+      } = request.query;
+      const startedAt = Date.now();
+
+      const dcConnectionName = fastify.envConfig.dcConnectionName;
+      const queryService = DataCloudQueryService.fromRequest(
+        request,
+        dcConnectionName,
+        { dataSpace: space }
+      );
+      logger.info(
+        `Counting engagement events per ${interval} (${timezone}) in space '${space}'`
+      );
+
+      const { from, to, query, truncated, ...timeSeries } =
+        await getEngagementTimeSeries(queryService, {
+          interval,
+          timeZone: timezone,
+          splitBy,
+          maxSeries,
+          createdFrom,
+          createdTo,
+        });
+
+      return {
+        interval,
+        timezone,
+        ...timeSeries,
+        metadata: {
+          dataSpace: space,
+          splitBy: splitBy ?? null,
+          from,
+          to,
+          bucketCount: timeSeries.buckets.length,
+          truncated,
+          query,
+          elapsedMs: Date.now() - startedAt,
+        },
+      };
+    }
+  );
+
+  /**
+   * Returns a cohort retention matrix of engagement entities.
+   *
+   * Entities of UserEngagement__dlm (client sessions by default) are grouped
+   * into cohorts by the day, week or month they were first seen in (with
+   * their first activation event, when one is given), and the entities of
+   * each cohort active in each later period are counted. Periods are in UTC.
+   *
+   * @param request - Fastify request object with optional query parameters:
+   *   - space: Data Cloud space (default: 'default')
+   *   - period: day, week (default) or month
+   *   - entityKey: Field identifying an entity (default: 'clientSession')
+   *   - activationEvent: Event name an entity is first seen with (default: any event)
+   *   - createdFrom: Start of the window (default: the period's default number of cohorts)
+   *   - createdTo: End of the window, exclusive (default: now)
+   * @param reply - Fastify reply object
+   * @returns {Promise<Object>} Object containing the cohorts and their retention
+   */
+  fastify.get(
+    '/datacloud/analysis/engagement/retention',
+    {
+      schema: {
+        querystring: {
+          type: 'object',
+          properties: {
+            ...spaceQuerystring,
+            period: {
+              type: 'string',
+              enum: RETENTION_PERIODS,
+              default: 'week',
+            },
+            entityKey: {
+              type: 'string',
+              enum: Object.keys(userEngagementQuery.groupFields),
+              default: 'clientSession',
+            },
+            activationEvent: { type: 'string', minLength: 1, maxLength: 255 },
+            createdFrom: { type: 'string' },
+            createdTo: { type: 'string' },
+          },
+        },
+      },
+    },
+    async function (request, _reply) {
+      const { logger } = request.sdk;
+      const {
+        space,
+        period,
+        entityKey,
+        activationEvent,
+        createdFrom,
+        createdTo,
+      } = request.query;
+      const startedAt = Date.now();
+
+      const dcConnectionName = fastify.envConfig.dcConnectionName;
+      const queryService = DataCloudQueryService.fromRequest(
+        request,
+        dcConnectionName,
+        { dataSpace: space }
+      );
+      logger.info(
+        `Analyzing retention of ${entityKey} per ${period} in space '${space}'`
+      );
+
+      const { from, to, query, truncated, ...retention } =
+        await analyzeEngagementRetention(queryService, {
+          period,
+          entityKey,
+          activationEvent,
+          createdFrom,
+          createdTo,
+        });
+
+      return {
+        period,
+        entityKey,
+        ...retention,
+        metadata: {
+          dataSpace: space,
+          activationEvent: activationEvent ?? null,
+          from,
+          to,
+          cohortCount: retention.cohorts.length,
+          truncated,
+          query,
+          elapsedMs: Date.now() - startedAt,
+        },
+      };
+    }
+  );
+
+  /**
+   * Returns unified B2B account data from Data Cloud.
+   *
+   * This endpoint queries the UnifiedssotAccountB2b__dlm table to retrieve
+   * unified B2B account information including names, numbers, sources, types, and dates.
+   * Supports optional filtering by account name, account source, and segment (account type),
+   * plus a JSON filter tree over the query's filterable fields.
+   *
+   * @param request - Fastify request object with optional query parameters:
+   *   - space: Data Cloud space (default: 'default')
+   *   - accountName: Filter by account name (partial match)
+   *   - accountSource: Filter by account source (exact match)
+   *   - segment: Filter by account type/segment (exact match)
+   *   - filter: JSON filter tree, e.g. {"and":[{"field":"createdDate","op":"gte","value":"2024-01-01"}]}
+   *   - limit: Page size (capped at the configured maximum)
+   *   - cursor: nextCursor from the previous page's metadata
+   *   - format: json (default), ndjson or csv; defaults to the Accept header.
+   *     ndjson and csv stream every record from the cursor onwards, fetched
+   *     in pages of limit records
+   * @param reply - Fastify reply object
+   * @returns {Promise<Object>} Object containing unified B2B account records
+   */
+  fastify.get(
+    '/datacloud/analysis/unified-b2b',
+    {
+      schema: {
+        querystring: {
+          type: 'object',
+          properties: { ...spaceQuerystring, ...pageQuerystring },
+        },
+      },
+    },
+    async function (request, reply) {
+      const { space, accountName, accountSource, segment, limit, cursor } =
+        request.query;
+      const format = resolveExportFormat(
+        request.query.format,
+        request.headers.accept
+      );
+
+      const filters = parseRequestFilters(unifiedB2BQuery, {
+        accountName,
+        accountSource,
+        segment,
+        filter: request.query.filter,
+      });
+
+      const dcConnectionName = fastify.envConfig.dcConnectionName;
+      const queryService = DataCloudQueryService.fromRequest(
+        request,
+        dcConnectionName,
+        { maxPageSize: fastify.envConfig.maxPageSize, dataSpace: space }
+      );
+
+      if (format !== 'json') {
+        return sendExport(reply, queryService, unifiedB2BQuery, filters, {
+          format,
+          limit,
+          cursor,
+          name: 'unified-b2b',
+        });
+      }
+
+      const result = await queryService.executeQuery(unifiedB2BQuery, filters, {
+        limit,
+        cursor,
+      });
+
+      if (!result.success) {
+        throw DataCloudError.fromResult(result);
+      }
+
+      return {
+        records: result.records,
+        metadata: result.metadata,
+      };
+    }
+  );
+
+  /**
+   * Returns a duplicate detection report of unified B2B accounts.
+   *
+   * Unified accounts are paged through and compared by normalized name
+   * (lower-cased, without punctuation and legal suffixes), name similarity
+   * and account number. Accounts linked by matches are grouped, and each
+   * match lists its score and the rules it matched, so match rules can be
+   * tuned with the rules, minScore and minNameSimilarity parameters.
+   *
+   * @param request - Fastify request object with optional query parameters:
+   *   - space: Data Cloud space (default: 'default')
+   *   - filter: JSON filter tree selecting the accounts to compare
+   *   - rules: Match rules to apply, repeated (default: all)
+   *   - minScore: Smallest score of a match (default: 0.9)
+   *   - minNameSimilarity: Smallest similarity of similar names (default: 0.85)
+   *   - limit: Largest number of groups returned (default: 50)
+   * @param reply - Fastify reply object
+   * @returns {Promise<Object>} Object containing the duplicate groups
+   */
+  fastify.get(
+    '/datacloud/analysis/unified-b2b/duplicates',
+    {
+      schema: {
+        querystring: {
+          type: 'object',
+          properties: {
+            ...spaceQuerystring,
+            filter: { type: 'string' },
+            rules: {
+              type: 'array',
+              items: { type: 'string', enum: DUPLICATE_RULES },
+              minItems: 1,
+              uniqueItems: true,
+              default: DUPLICATE_RULES,
+            },
+            minScore: {
+              type: 'number',
+              exclusiveMinimum: 0,
+              maximum: 1,
+              default: DEFAULT_MIN_SCORE,
+            },
+            minNameSimilarity: {
+              type: 'number',
+              exclusiveMinimum: 0,
+              maximum: 1,
+              default: DEFAULT_MIN_NAME_SIMILARITY,
+            },
+            limit: {
+              type: 'integer',
+              minimum: 1,
+              maximum: MAX_DUPLICATE_GROUPS,
+              default: DEFAULT_DUPLICATE_GROUPS,
+            },
+          },
+        },
+      },
+    },
+    async function (request, _reply) {
+      const { logger } = request.sdk;
+      const { space, rules, minScore, minNameSimilarity, limit } =
+        request.query;
+      const startedAt = Date.now();
+
+      const { filter } = parseRequestFilters(unifiedB2BQuery, {
+        filter: request.query.filter,
+      });
+
+      const dcConnectionName = fastify.envConfig.dcConnectionName;
+      const queryService = DataCloudQueryService.fromRequest(
+        request,
+        dcConnectionName,
+        { maxPageSize: fastify.envConfig.maxPageSize, dataSpace: space }
+      );
+      logger.info(
+        `Finding duplicate unified accounts by ${rules.join(', ')} in space '${space}'`
+      );
+
+      const { accountCount, groupCount, truncated, ...report } =
+        await findDuplicateAccounts(queryService, {
+          filter,
+          rules,
+          minScore,
+          minNameSimilarity,
+          limit,
+        });
+
+      logger.info(
+        `Found ${groupCount} duplicate groups among ${accountCount} unified accounts`
+      );
+      return {
+        ...report,
+        metadata: {
+          dataSpace: space,
+          rules,
+          minScore,
+          minNameSimilarity,
+          accountCount,
+          groupCount,
+          truncated,
+          elapsedMs: Date.now() - startedAt,
+        },
+      };
+    }
+  );
+
+  /**
+   * Returns the hierarchy of a unified B2B account.
+   *
+   * The parent account ids of UnifiedssotAccountB2b__dlm are followed level
+   * by level, up to the account's ancestors and down to its descendants, at
+   * most depth levels away. Each node of the descendant tree rolls up its
+   * child and descendant counts. Parent links pointing back into the
+   * hierarchy are reported as cycles and not followed. A unified account
+   * that does not exist is reported as a 404.
+   *
+   * @param request - Fastify request object with:
+   *   - id: Unified record id (ssot__Id__c)
+   *   - space: Data Cloud space (default: 'default')
+   *   - depth: Levels read above and below the account (default: 5)
+   * @param reply - Fastify reply object
+   * @returns {Promise<Object>} Object containing the descendant tree and the
+   *   ancestor chain
+   */
+  fastify.get(
+    '/datacloud/analysis/unified-b2b/:id/hierarchy',
+    {
+      schema: {
+        params: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              pattern: '^[A-Za-z0-9_.:-]+$',
+              maxLength: 255,
+            },
+          },
+        },
+        querystring: {
+          type: 'object',
+          properties: {
+            ...spaceQuerystring,
+            depth: {
+              type: 'integer',
+              minimum: 1,
+              maximum: MAX_HIERARCHY_DEPTH,
+              default: DEFAULT_HIERARCHY_DEPTH,
+            },
+          },
+        },
+      },
+    },
+    async function (request, _reply) {
+      const { logger } = request.sdk;
+      const { id } = request.params;
+      const { space, depth } = request.query;
+      const startedAt = Date.now();
+
+      const dcConnectionName = fastify.envConfig.dcConnectionName;
+      const queryService = DataCloudQueryService.fromRequest(
+        request,
+        dcConnectionName,
+        { maxPageSize: fastify.envConfig.maxPageSize, dataSpace: space }
+      );
+      logger.info(
+        `Reading hierarchy of unified account '${id}' in space '${space}'`
+      );
+
+      const { ancestorStatus, cycles, nodeCount, truncated, ...hierarchy } =
+        await getUnifiedAccountHierarchy(queryService, id, { depth });
+
+      logger.info(
+        `Unified account '${id}' has ${hierarchy.ancestors.length} ancestors and ${nodeCount - 1} descendants`
+      );
+      return {
+        ...hierarchy,
+        cycles,
+        metadata: {
+          dataSpace: space,
+          depth,
+          ancestorStatus,
+          nodeCount,
+          cycleCount: cycles.length,
+          truncated,
+          elapsedMs: Date.now() - startedAt,
+        },
+      };
+    }
+  );
+}
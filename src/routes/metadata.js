@@ -0,0 +1,160 @@
+import DataCloudQueryService from '../lib/data-cloud-query-service.js';
+import { normalizeDataStream } from '../lib/model-metadata.js';
+import { metadataQuerystring } from '../lib/route-schemas.js';
+
+export default async function (fastify, _opts) {
+  /**
+   * Returns the data spaces available in the invoking org.
+   *
+   * Data spaces are listed by the Connect REST API of the Salesforce org,
+   * so this endpoint queries the invoking org rather than the Data Cloud
+   * connection.
+   *
+   * @param request - Fastify request object
+   * @param reply - Fastify reply object
+   * @returns {Promise<Object>} Object containing the org's data spaces
+   */
+  fastify.get('/datacloud/spaces', async function (request, _reply) {
+    const { context, logger } = request.sdk;
+    const org = context.org;
+
+    logger.info(`Listing Data Cloud data spaces for org (${org.id})`);
+    const response = await org.request(
+      `services/data/v${org.apiVersion}/ssot/data-spaces`,
+      { method: 'GET' }
+    );
+
+    const spaces = (response.dataSpaces || []).map(space => ({
+      id: space.id ?? null,
+      name: space.name ?? space.apiName ?? null,
+      label: space.label ?? space.name ?? null,
+      description: space.description ?? null,
+      status: space.status ?? null,
+    }));
+
+    logger.info(`Found ${spaces.length} data spaces`);
+    return { spaces };
+  });
+
+  /**
+   * Returns the data streams of the invoking org's Data Cloud.
+   *
+   * Data streams are not metadata API entities, so, like data spaces, they
+   * are listed by the Connect REST API of the Salesforce org. Each data
+   * stream is normalized into its status, connector, target DLO and refresh
+   * settings.
+   *
+   * @param request - Fastify request object
+   * @param reply - Fastify reply object
+   * @returns {Promise<Object>} Object containing the normalized data streams
+   */
+  fastify.get('/datacloud/data-streams', async function (request, _reply) {
+    const { context, logger } = request.sdk;
+    const org = context.org;
+
+    logger.info(`Listing Data Cloud data streams for org (${org.id})`);
+    const response = await org.request(
+      `services/data/v${org.apiVersion}/ssot/data-streams`,
+      { method: 'GET' }
+    );
+
+    const dataStreams = (response.dataStreams || []).map(normalizeDataStream);
+
+    logger.info(`Found ${dataStreams.length} data streams`);
+    return { dataStreams, metadata: { entityType: 'DataStream' } };
+  });
+
+  /**
+   * Returns the Data Cloud's DLOs (Data Lake Objects).
+   *
+   * Each DLO is normalized into its fields (with data types), primary key,
+   * category and relationships.
+   *
+   * @param request - Contains query parameters including:
+   *   - space: Data Cloud space (default: 'default')
+   *   - entityCategory: Filter by entity category
+   *   - entityName: Filter by specific entity name
+   * @param reply - Fastify reply object
+   * @returns {Promise<Object>} Object containing the normalized DLOs
+   */
+  fastify.get(
+    '/datacloud/dlos',
+    {
+      schema: {
+        querystring: { type: 'object', properties: metadataQuerystring },
+      },
+    },
+    async function (request, _reply) {
+      const { logger } = request.sdk;
+      const { space, entityCategory, entityName } = request.query;
+
+      const dcConnectionName = fastify.envConfig.dcConnectionName;
+      const queryService = DataCloudQueryService.fromRequest(
+        request,
+        dcConnectionName,
+        { dataSpace: space }
+      );
+      logger.info(`Querying Data Cloud DLOs in space '${space}'`);
+
+      const dlos = await queryService.listEntities('DataLakeObject', {
+        entityCategory,
+        entityName,
+      });
+
+      logger.info(`Metadata API response: ${dlos.length} DLOs found`);
+      return {
+        dlos,
+        metadata: { dataSpace: space, entityType: 'DataLakeObject' },
+      };
+    }
+  );
+
+  /**
+   * Returns the Data Cloud's Calculated Insights.
+   *
+   * Each calculated insight is normalized into its dimensions and measures
+   * (with data types); the dimensions make up its primary key.
+   *
+   * @param request - Contains query parameters including:
+   *   - space: Data Cloud space (default: 'default')
+   *   - entityCategory: Filter by entity category
+   *   - entityName: Filter by specific entity name
+   * @param reply - Fastify reply object
+   * @returns {Promise<Object>} Object containing the normalized calculated insights
+   */
+  fastify.get(
+    '/datacloud/calculated-insights',
+    {
+      schema: {
+        querystring: { type: 'object', properties: metadataQuerystring },
+      },
+    },
+    async function (request, _reply) {
+      const { logger } = request.sdk;
+      const { space, entityCategory, entityName } = request.query;
+
+      const dcConnectionName = fastify.envConfig.dcConnectionName;
+      const queryService = DataCloudQueryService.fromRequest(
+        request,
+        dcConnectionName,
+        { dataSpace: space }
+      );
+      logger.info(
+        `Querying Data Cloud calculated insights in space '${space}'`
+      );
+
+      const calculatedInsights = await queryService.listEntities(
+        'CalculatedInsight',
+        { entityCategory, entityName }
+      );
+
+      logger.info(
+        `Metadata API response: ${calculatedInsights.length} calculated insights found`
+      );
+      return {
+        calculatedInsights,
+        metadata: { dataSpace: space, entityType: 'CalculatedInsight' },
+      };
+    }
+  );
+}
@@ -0,0 +1,440 @@
+import DataCloudQueryService from '../lib/data-cloud-query-service.js';
+import { ENTITY_TYPES } from '../lib/model-metadata.js';
+import {
+  DEFAULT_GRAPH_DEPTH,
+  GRAPH_FORMATS,
+  MAX_GRAPH_DEPTH,
+  getModelGraph,
+  toDot,
+  toMermaid,
+} from '../lib/model-graph.js';
+import {
+  DEFAULT_PROFILE_TOP_N,
+  MAX_PROFILE_TOP_N,
+  profileModel,
+} from '../lib/sql/profile-queries.js';
+import { diffEntities } from '../lib/metadata-snapshots.js';
+import { metadataQuerystring, spaceQuerystring } from '../lib/route-schemas.js';
+
+export default async function (fastify, _opts) {
+  /**
+   * Returns information on the Data Cloud's DMOs (Data Model Objects).
+   *
+   * This endpoint queries Data Cloud to retrieve available data models
+   * and their metadata, filtering for DataModelObject entities unless
+   * another metadata entity type is requested.
+   *
+   * @param request - Contains query parameters including:
+   *   - space: Data Cloud space (default: 'default')
+   *   - entityType: Metadata entity type (default: 'DataModelObject')
+   *   - entityCategory: Filter by entity category (Profile, Engagement, Related)
+   *   - entityName: Filter by specific entity name
+   * @param reply - Fastify reply object
+   * @returns {Promise<Object>} Object containing DataModelObject metadata and Data Cloud models
+   */
+  fastify.get(
+    '/datacloud/models',
+    {
+      schema: {
+        querystring: {
+          type: 'object',
+          properties: {
+            ...metadataQuerystring,
+            entityType: {
+              type: 'string',
+              enum: Object.keys(ENTITY_TYPES),
+              default: 'DataModelObject',
+            },
+          },
+        },
+      },
+    },
+    async function (request, _reply) {
+      const { event, context, logger } = request.sdk;
+      const { space, entityType, entityCategory, entityName } = request.query;
+      const org = context.org;
+
+      const dcConnectionName = fastify.envConfig.dcConnectionName;
+      const queryService = DataCloudQueryService.fromRequest(
+        request,
+        dcConnectionName,
+        { dataSpace: space }
+      );
+      logger.info(
+        `Querying Data Cloud models for org (${org.id}) in space '${space}'. Event data: ${JSON.stringify(event.data || {})}`
+      );
+
+      // Entities are normalized for their type, as on /datacloud/dlos and
+      // /datacloud/calculated-insights
+      const models = await queryService.listEntities(entityType, {
+        entityCategory,
+        entityName,
+      });
+
+      logger.info(
+        `Metadata API response: ${models.length} ${entityType} entities found`
+      );
+
+      return {
+        models,
+        metadata: { dataSpace: space, entityType },
+      };
+    }
+  );
+
+  /**
+   * Saves a snapshot of the normalized DMO metadata of a data space.
+   *
+   * Snapshots are also taken on a schedule when
+   * DATA_CLOUD_SNAPSHOT_INTERVAL_MINUTES is set, and can be compared with
+   * /datacloud/models/diff.
+   *
+   * @param request - Fastify request object with optional query parameters:
+   *   - space: Data Cloud space (default: 'default')
+   * @param reply - Fastify reply object
+   * @returns {Promise<Object>} Object containing the snapshot's summary
+   */
+  fastify.post(
+    '/datacloud/models/snapshots',
+    {
+      schema: {
+        querystring: { type: 'object', properties: spaceQuerystring },
+      },
+    },
+    async function (request, reply) {
+      const { logger } = request.sdk;
+      const { space } = request.query;
+
+      const dcConnectionName = fastify.envConfig.dcConnectionName;
+      const queryService = DataCloudQueryService.fromRequest(
+        request,
+        dcConnectionName,
+        { dataSpace: space }
+      );
+      logger.info(`Saving a metadata snapshot of space '${space}'`);
+
+      const snapshot = await fastify.metadataSnapshots.capture(queryService);
+      return reply.code(201).send({ snapshot });
+    }
+  );
+
+  /**
+   * Lists the saved metadata snapshots, newest first.
+   *
+   * @param request - Fastify request object with optional query parameters:
+   *   - space: Only list snapshots of this Data Cloud space
+   * @param reply - Fastify reply object
+   * @returns {Promise<Object>} Object containing the snapshot summaries
+   */
+  fastify.get(
+    '/datacloud/models/snapshots',
+    {
+      schema: {
+        querystring: {
+          type: 'object',
+          properties: {
+            space: { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9_]*$' },
+          },
+        },
+      },
+    },
+    async function (request, _reply) {
+      const { space } = request.query;
+
+      const snapshots = await fastify.metadataSnapshots.list({
+        dataSpace: space,
+      });
+      return { snapshots };
+    }
+  );
+
+  /**
+   * Reports the schema drift between two metadata snapshots, or between a
+   * snapshot and the live metadata of its data space: DMOs added and
+   * removed, and fields added, removed or changed (type, business type,
+   * label, primary key) in the DMOs present in both.
+   *
+   * @param request - Fastify request object with query parameters:
+   *   - from: Id of the earlier snapshot
+   *   - to: Id of the later snapshot, or live (default) for the live metadata
+   * @param reply - Fastify reply object
+   * @returns {Promise<Object>} Object containing the differences
+   */
+  fastify.get(
+    '/datacloud/models/diff',
+    {
+      schema: {
+        querystring: {
+          type: 'object',
+          properties: {
+            from: { type: 'string', pattern: '^[A-Za-z0-9_-]+$' },
+            to: {
+              type: 'string',
+              pattern: '^[A-Za-z0-9_-]+$',
+              default: 'live',
+            },
+          },
+          required: ['from'],
+        },
+      },
+    },
+    async function (request, _reply) {
+      const { logger } = request.sdk;
+      const { from, to } = request.query;
+
+      const fromSnapshot = await fastify.metadataSnapshots.get(from);
+      let toEntities;
+      let toCreatedAt;
+      let toDataSpace = fromSnapshot.dataSpace;
+      if (to === 'live') {
+        const dcConnectionName = fastify.envConfig.dcConnectionName;
+        const queryService = DataCloudQueryService.fromRequest(
+          request,
+          dcConnectionName,
+          { dataSpace: fromSnapshot.dataSpace }
+        );
+        toEntities = await queryService.listEntities('DataModelObject');
+        toCreatedAt = new Date().toISOString();
+      } else {
+        const toSnapshot = await fastify.metadataSnapshots.get(to);
+        toEntities = toSnapshot.entities;
+        toCreatedAt = toSnapshot.createdAt;
+        toDataSpace = toSnapshot.dataSpace;
+      }
+
+      const diff = diffEntities(fromSnapshot.entities, toEntities);
+      logger.info(
+        `Metadata diff ${from}..${to}: ${diff.summary.added} added, ${diff.summary.removed} removed, ${diff.summary.changed} changed DMOs`
+      );
+
+      return {
+        ...diff,
+        metadata: {
+          from: {
+            id: from,
+            createdAt: fromSnapshot.createdAt,
+            dataSpace: fromSnapshot.dataSpace,
+          },
+          to: { id: to, createdAt: toCreatedAt, dataSpace: toDataSpace },
+        },
+      };
+    }
+  );
+
+  /**
+   * Returns the relationship graph of the Data Cloud's DMOs.
+   *
+   * Nodes are DMOs and edges their relationships, built from the metadata
+   * API. The graph can be limited to a category and/or to the DMOs within
+   * depth relationships of a root DMO. A root that does not exist in the
+   * data space is reported as a 404.
+   *
+   * @param request - Fastify request object with optional query parameters:
+   *   - space: Data Cloud space (default: 'default')
+   *   - category: Only include DMOs of this category (e.g. Profile)
+   *   - root: API name of the DMO to start from
+   *   - depth: Relationships followed from the root (default: 1)
+   *   - format: json (default), mermaid (erDiagram) or dot (Graphviz)
+   * @param reply - Fastify reply object
+   * @returns {Promise<Object>} Object containing the graph's nodes and edges,
+   *   or the graph as Mermaid or DOT text
+   */
+  fastify.get(
+    '/datacloud/models/graph',
+    {
+      schema: {
+        querystring: {
+          type: 'object',
+          properties: {
+            ...spaceQuerystring,
+            category: { type: 'string' },
+            root: {
+              type: 'string',
+              pattern: '^[A-Za-z][A-Za-z0-9_]*$',
+              maxLength: 255,
+            },
+            depth: {
+              type: 'integer',
+              minimum: 1,
+              maximum: MAX_GRAPH_DEPTH,
+              default: DEFAULT_GRAPH_DEPTH,
+            },
+            format: {
+              type: 'string',
+              enum: ['json', ...Object.keys(GRAPH_FORMATS)],
+              default: 'json',
+            },
+          },
+        },
+      },
+    },
+    async function (request, reply) {
+      const { logger } = request.sdk;
+      const { space, category, root, depth, format } = request.query;
+
+      const dcConnectionName = fastify.envConfig.dcConnectionName;
+      const queryService = DataCloudQueryService.fromRequest(
+        request,
+        dcConnectionName,
+        { dataSpace: space }
+      );
+
+      const graph = await getModelGraph(queryService, {
+        category,
+        root,
+        depth,
+      });
+      logger.info(
+        `Model graph of space '${space}' has ${graph.nodes.length} DMOs and ${graph.edges.length} relationships`
+      );
+
+      if (format !== 'json') {
+        const render = format === 'mermaid' ? toMermaid : toDot;
+        return reply
+          .type(`${GRAPH_FORMATS[format]}; charset=utf-8`)
+          .send(render(graph));
+      }
+
+      return {
+        ...graph,
+        metadata: {
+          dataSpace: space,
+          category: category ?? null,
+          root: root ?? null,
+          depth: root ? depth : null,
+        },
+      };
+    }
+  );
+
+  /**
+   * Returns the details of one Data Cloud DMO (Data Model Object).
+   *
+   * The metadata API entry of the DMO is normalized into its fields (with
+   * data types), primary key, category and relationships to other DMOs.
+   * A DMO that does not exist in the data space is reported as a 404.
+   *
+   * @param request - Fastify request object with:
+   *   - name: API name of the DMO (e.g. ssot__Individual__dlm)
+   *   - space: Data Cloud space (default: 'default')
+   * @param reply - Fastify reply object
+   * @returns {Promise<Object>} Object containing the normalized DMO
+   */
+  fastify.get(
+    '/datacloud/models/:name',
+    {
+      schema: {
+        params: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              pattern: '^[A-Za-z][A-Za-z0-9_]*$',
+              maxLength: 255,
+            },
+          },
+        },
+        querystring: { type: 'object', properties: spaceQuerystring },
+      },
+    },
+    async function (request, _reply) {
+      const { logger } = request.sdk;
+      const { name } = request.params;
+      const { space } = request.query;
+
+      const dcConnectionName = fastify.envConfig.dcConnectionName;
+      const queryService = DataCloudQueryService.fromRequest(
+        request,
+        dcConnectionName,
+        { dataSpace: space }
+      );
+      logger.info(`Retrieving Data Cloud model '${name}' in space '${space}'`);
+
+      const model = await queryService.getModel(name);
+
+      logger.info(
+        `Model '${model.name}' has ${model.fields.length} fields and ${model.relationships.length} relationships`
+      );
+      return {
+        model,
+        metadata: { dataSpace: space },
+      };
+    }
+  );
+
+  /**
+   * Returns a profile of every column of a Data Cloud DMO.
+   *
+   * Aggregate queries generated from the DMO's metadata report the row
+   * count and, per column, the null count and rate, the distinct count,
+   * min/max for numbers and dates and the most frequent values of text
+   * columns. A DMO that does not exist in the data space is reported as a 404.
+   *
+   * @param request - Fastify request object with:
+   *   - name: API name of the DMO (e.g. ssot__Individual__dlm)
+   *   - space: Data Cloud space (default: 'default')
+   *   - topN: Most frequent values reported per text column (default: 5)
+   * @param reply - Fastify reply object
+   * @returns {Promise<Object>} Object containing the column profiles
+   */
+  fastify.get(
+    '/datacloud/models/:name/profile',
+    {
+      schema: {
+        params: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              pattern: '^[A-Za-z][A-Za-z0-9_]*$',
+              maxLength: 255,
+            },
+          },
+        },
+        querystring: {
+          type: 'object',
+          properties: {
+            ...spaceQuerystring,
+            topN: {
+              type: 'integer',
+              minimum: 1,
+              maximum: MAX_PROFILE_TOP_N,
+              default: DEFAULT_PROFILE_TOP_N,
+            },
+          },
+        },
+      },
+    },
+    async function (request, _reply) {
+      const { logger } = request.sdk;
+      const { name } = request.params;
+      const { space, topN } = request.query;
+      const startedAt = Date.now();
+
+      const dcConnectionName = fastify.envConfig.dcConnectionName;
+      const queryService = DataCloudQueryService.fromRequest(
+        request,
+        dcConnectionName,
+        { dataSpace: space }
+      );
+      logger.info(`Profiling Data Cloud model '${name}' in space '${space}'`);
+
+      const profile = await profileModel(queryService, name, { topN });
+
+      logger.info(
+        `Profiled ${profile.columns.length} columns of '${profile.model}' with ${profile.queryCount} queries`
+      );
+      return {
+        model: profile.model,
+        rowCount: profile.rowCount,
+        columns: profile.columns,
+        metadata: {
+          dataSpace: space,
+          topN,
+          queryCount: profile.queryCount,
+          elapsedMs: Date.now() - startedAt,
+        },
+      };
+    }
+  );
+}
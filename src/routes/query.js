@@ -0,0 +1,79 @@
+import DataCloudQueryService from '../lib/data-cloud-query-service.js';
+import { DataCloudError } from '../lib/data-cloud-errors.js';
+import { guardSelect } from '../lib/sql/sql-guard.js';
+import { spaceQuerystring } from '../lib/route-schemas.js';
+
+export default async function (fastify, _opts) {
+  /**
+   * Runs an ad-hoc read-only SQL query against Data Cloud.
+   *
+   * Only a single SELECT statement is accepted, reading from the tables
+   * allowed by DATA_CLOUD_QUERY_ALLOWED_TABLES; anything else (DML, DDL,
+   * multiple statements) is rejected with a 400 before it reaches Data Cloud.
+   * The statement's LIMIT is added or lowered so at most
+   * DATA_CLOUD_QUERY_MAX_ROWS rows (or the smaller limit given) are returned.
+   *
+   * @param request - Fastify request object with:
+   *   - sql: SELECT statement (body)
+   *   - limit: Largest number of rows to return (body, optional)
+   *   - space: Data Cloud space (default: 'default')
+   * @param reply - Fastify reply object
+   * @returns {Promise<Object>} Object containing the result columns and rows
+   */
+  fastify.post(
+    '/datacloud/query',
+    {
+      schema: {
+        querystring: { type: 'object', properties: spaceQuerystring },
+        body: {
+          type: 'object',
+          properties: {
+            sql: { type: 'string', minLength: 1, maxLength: 20000 },
+            limit: { type: 'integer', minimum: 1 },
+          },
+          required: ['sql'],
+          additionalProperties: false,
+        },
+      },
+    },
+    async function (request, _reply) {
+      const { logger } = request.sdk;
+      const { space } = request.query;
+      const { sql, limit } = request.body;
+      const { queryMaxRows, queryAllowedTables } = fastify.envConfig;
+
+      const guarded = guardSelect(sql, {
+        maxRows: Math.min(limit ?? queryMaxRows, queryMaxRows),
+        allowedTables: queryAllowedTables,
+      });
+      logger.info(
+        `Running ad-hoc query on ${guarded.tables.join(', ') || 'no tables'} in space '${space}' (LIMIT ${guarded.limit}, ${guarded.limitApplied})`
+      );
+
+      const dcConnectionName = fastify.envConfig.dcConnectionName;
+      const queryService = DataCloudQueryService.fromRequest(
+        request,
+        dcConnectionName,
+        { dataSpace: space }
+      );
+      const result = await queryService.executeRawQuery(guarded.sql);
+
+      if (!result.success) {
+        throw DataCloudError.fromResult(result);
+      }
+
+      const { columns, totalRecords, ...metadata } = result.metadata;
+      return {
+        columns,
+        rows: result.records,
+        metadata: {
+          ...metadata,
+          totalRows: totalRecords,
+          limit: guarded.limit,
+          limitApplied: guarded.limitApplied,
+          tables: guarded.tables,
+        },
+      };
+    }
+  );
+}
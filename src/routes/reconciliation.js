@@ -0,0 +1,210 @@
+import DataCloudQueryService from '../lib/data-cloud-query-service.js';
+import { resolveExportFormat, sendStream } from '../lib/export-format.js';
+import {
+  RECONCILIATION_DETAIL_COLUMNS,
+  RECONCILIATION_DETAIL_TYPES,
+  RECONCILIATION_MATCH_KEYS,
+  ReconciliationJobs,
+  reconcileAccounts,
+  streamCrmAccounts,
+} from '../lib/account-reconciliation.js';
+import {
+  DEFAULT_PAGE_SIZE,
+  decodeCursor,
+  encodeCursor,
+  fingerprintQuery,
+  resolvePageSize,
+} from '../lib/pagination.js';
+import { pageQuerystring, spaceQuerystring } from '../lib/route-schemas.js';
+
+export default async function (fastify, _opts) {
+  /**
+   * Starts a reconciliation of the CRM Accounts with the unified B2B
+   * accounts of a data space.
+   *
+   * The Accounts of the org set by SALESFORCE_ORG_NAME (or of the invoking
+   * org), the unified accounts and, when matching by id, the unified links
+   * are paged through in the background. The job is returned at once with a
+   * 202; its summary is read from /datacloud/reconciliation/accounts/{jobId}
+   * and its details from /datacloud/reconciliation/accounts/{jobId}/details.
+   *
+   * @param request - Fastify request object with optional query parameters:
+   *   - space: Data Cloud space (default: 'default')
+   *   - matchBy: id (default) to match CRM Account Ids with the unified
+   *     links' source record ids, or accountNumber to match account numbers
+   *   - dataSourceId: Only reconcile the unified links of this data source
+   * @param reply - Fastify reply object
+   * @returns {Promise<Object>} Object containing the running job
+   * @throws {ReconciliationRunningError} 409 when a job is already running
+   *   for the org and space, or too many jobs are running
+   */
+  fastify.post(
+    '/datacloud/reconciliation/accounts',
+    {
+      schema: {
+        querystring: {
+          type: 'object',
+          properties: {
+            ...spaceQuerystring,
+            matchBy: {
+              type: 'string',
+              enum: RECONCILIATION_MATCH_KEYS,
+              default: 'id',
+            },
+            dataSourceId: { type: 'string', minLength: 1, maxLength: 255 },
+          },
+        },
+      },
+    },
+    async function (request, reply) {
+      const { logger } = request.sdk;
+      const { space, matchBy, dataSourceId } = request.query;
+      const orgName = fastify.envConfig.salesforceOrgName;
+
+      // The job outlives the request, so it runs under the jobs' signal,
+      // which is aborted when the app closes, rather than the request's
+      const dcConnectionName = fastify.envConfig.dcConnectionName;
+      const org = request.sdk.context?.org;
+      const withOrg = orgName
+        ? operation =>
+            fastify.connectionManager.withAuthorization(orgName, operation)
+        : async operation => operation(org);
+
+      const job = fastify.reconciliationJobs.start(
+        {
+          dataSpace: space,
+          matchBy,
+          dataSourceId: dataSourceId ?? null,
+          org: orgName || null,
+        },
+        signal =>
+          reconcileAccounts(
+            DataCloudQueryService.fromRequest(request, dcConnectionName, {
+              maxPageSize: fastify.envConfig.maxPageSize,
+              dataSpace: space,
+              signal,
+            }),
+            streamCrmAccounts(withOrg, { signal }),
+            { matchBy, dataSourceId }
+          ),
+        { key: `${orgName || org?.id}/${space}` }
+      );
+      logger.info(
+        `Started reconciliation job ${job.id} of ${orgName ? `org '${orgName}'` : 'the invoking org'} with space '${space}' by ${matchBy}`
+      );
+
+      return reply
+        .code(202)
+        .header('Location', `/datacloud/reconciliation/accounts/${job.id}`)
+        .send({ job });
+    }
+  );
+
+  /**
+   * Schema of the reconciliation job id parameter.
+   */
+  const reconciliationJobParams = {
+    type: 'object',
+    properties: {
+      jobId: { type: 'string', pattern: '^[0-9a-f-]{36}$' },
+    },
+  };
+
+  /**
+   * Returns a reconciliation job: its status and, once it succeeded, the
+   * summary counts of accounts matched, missing on each side and with field
+   * mismatches. A job that does not exist (or was forgotten) is reported as
+   * a 404.
+   *
+   * @param request - Fastify request object with:
+   *   - jobId: Id of the job returned when it was started
+   * @param reply - Fastify reply object
+   * @returns {Promise<Object>} Object containing the job
+   */
+  fastify.get(
+    '/datacloud/reconciliation/accounts/:jobId',
+    { schema: { params: reconciliationJobParams } },
+    async function (request, _reply) {
+      const job = fastify.reconciliationJobs.get(request.params.jobId);
+      return { job: ReconciliationJobs.describe(job) };
+    }
+  );
+
+  /**
+   * Returns the details of a succeeded reconciliation job: the accounts
+   * missing in Data Cloud, the linked records missing in the CRM, and one
+   * row per mismatched field of the matched accounts.
+   *
+   * JSON details are paged with limit and cursor; NDJSON and CSV exports
+   * (format parameter or Accept header) download every detail. Details of
+   * a job that is running or failed are reported as a 409.
+   *
+   * @param request - Fastify request object with:
+   *   - jobId: Id of the job returned when it was started
+   *   - type: Only details of this type
+   *   - limit: Page size (default: 100)
+   *   - cursor: Cursor of the page, from the previous page's nextCursor
+   *   - format: json (default), ndjson or csv
+   * @param reply - Fastify reply object
+   * @returns {Promise<Object>} Object containing a page of details, or the
+   *   details as NDJSON or CSV
+   */
+  fastify.get(
+    '/datacloud/reconciliation/accounts/:jobId/details',
+    {
+      schema: {
+        params: reconciliationJobParams,
+        querystring: {
+          type: 'object',
+          properties: {
+            ...pageQuerystring,
+            type: { type: 'string', enum: RECONCILIATION_DETAIL_TYPES },
+          },
+        },
+      },
+    },
+    async function (request, reply) {
+      const { jobId } = request.params;
+      const { type, cursor } = request.query;
+      const format = resolveExportFormat(
+        request.query.format,
+        request.headers.accept
+      );
+
+      const details = fastify.reconciliationJobs.getDetails(jobId, { type });
+
+      if (format !== 'json') {
+        return sendStream(reply, [details].values(), {
+          format,
+          columns: RECONCILIATION_DETAIL_COLUMNS,
+          name: `reconciliation-${jobId}`,
+        });
+      }
+
+      const limit = resolvePageSize(
+        request.query.limit,
+        DEFAULT_PAGE_SIZE,
+        fastify.envConfig.maxPageSize
+      );
+      const fingerprint = fingerprintQuery(`reconciliation:${jobId}`, {
+        type,
+      });
+      const offset = cursor ? decodeCursor(cursor, fingerprint) : 0;
+      const hasMore = offset + limit < details.length;
+
+      return {
+        details: details.slice(offset, offset + limit),
+        metadata: {
+          jobId,
+          type: type ?? null,
+          totalRecords: details.length,
+          limit,
+          hasMore,
+          nextCursor: hasMore
+            ? encodeCursor(offset + limit, fingerprint)
+            : null,
+        },
+      };
+    }
+  );
+}
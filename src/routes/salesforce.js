@@ -1,13 +1,12 @@
-import { userEngagementQuery, unifiedB2BQuery } from '../lib/sql/queries.js';
-import DataCloudQueryService from '../lib/data-cloud-query-service.js';
-
 export default async function (fastify, _opts) {
   /**
    * Queries for and then returns all Accounts in the invoking org.
    *
    * If the SALESFORCE_ORG_NAME config var is set to a connected org
    * reference, this API will obtain the org's connection from the
-   * Heroku AppLink add-on and query Accounts in the target org.
+   * Heroku AppLink add-on and query Accounts in the target org. Errors
+   * querying the target org are reported rather than falling back to the
+   * invoking org.
    *
    * @param request
    * @param reply
@@ -23,25 +22,22 @@ export default async function (fastify, _opts) {
     if (fastify.envConfig.salesforceOrgName) {
       // If an org reference is set, query Accounts in that org
       const orgName = fastify.envConfig.salesforceOrgName;
-      const appLinkAddon = request.sdk.addons.applink;
-
-      logger.info(
-        `Getting org '${orgName}' connection from Heroku AppLink add-on...`
+      const connectionManager = fastify.connectionManager;
+
+      // Authorizations are cached by the connection manager and refreshed
+      // when the org rejects them
+      const accounts = await connectionManager.withAuthorization(
+        orgName,
+        async anotherOrg => {
+          logger.info(
+            `Querying org '${orgName}' (${anotherOrg.id}) Accounts...`
+          );
+          const result = await anotherOrg.dataApi.query(query);
+          return result.records.map(rec => rec.fields);
+        }
       );
-      const anotherOrg = await appLinkAddon.getAuthorization(orgName);
-
-      logger.info(`Querying org '${orgName}' (${anotherOrg.id}) Accounts...`);
-
-      try {
-        const result = await anotherOrg.dataApi.query(query);
-        const accounts = result.records.map(rec => rec.fields);
-        logger.info(
-          `For org '${orgName}' (${anotherOrg.id}), found ${accounts.length} Accounts`
-        );
-        return accounts;
-      } catch (err) {
-        logger.error(err.message);
-      }
+      logger.info(`For org '${orgName}', found ${accounts.length} Accounts`);
+      return accounts;
     }
 
     // Query invoking org's Accounts
@@ -288,183 +284,19 @@ export default async function (fastify, _opts) {
       if (fastify.envConfig.dataCloudOrg && fastify.envConfig.dataCloudQuery) {
         const orgName = fastify.envConfig.dataCloudOrg;
         const query = fastify.envConfig.dataCloudQuery;
-        const appLinkAddon = request.sdk.addons.applink;
 
-        // Get DataCloud org connection from add-on
-        logger.info(
-          `Getting '${orgName}' org connection from Heroku AppLink add-on...`
+        // Query DataCloud org with the connection manager's cached authorization
+        const response = await fastify.connectionManager.withAuthorization(
+          orgName,
+          async org => {
+            logger.info(`Querying org '${orgName}' (${org.id}): ${query}`);
+            return await org.dataCloudApi.query(query);
+          }
         );
-        const org = await appLinkAddon.getAuthorization(orgName);
-
-        // Query DataCloud org
-        logger.info(`Querying org '${orgName}' (${org.id}): ${query}`);
-        const response = await org.dataCloudApi.query(query);
         logger.info(`Query response: ${JSON.stringify(response.data || {})}`);
       }
 
       reply.code(201).send();
     }
   );
-
-  /**
-   * Returns information on the Data Cloud's DMOs (Data Model Objects).
-   *
-   * This endpoint queries Data Cloud to retrieve available data models
-   * and their metadata, specifically filtering for DataModelObject entities.
-   *
-   * @param request - Contains query parameters including:
-   *   - space: Data Cloud space (default: 'default')
-   *   - entityCategory: Filter by entity category (Profile, Engagement, Related)
-   *   - entityName: Filter by specific entity name
-   * @param reply - Fastify reply object
-   * @returns {Promise<Object>} Object containing DataModelObject metadata and Data Cloud models
-   */
-  fastify.get('/datacloud/models', async function (request, reply) {
-    const { event, context, logger } = request.sdk;
-    const { space = 'default', entityCategory, entityName } = request.query;
-    const org = context.org;
-    // const dataApi = context.org.dataApi;
-
-    try {
-      const dcConnectionName = fastify.envConfig.dcConnectionName;
-      const dcOrgAuth =
-        await request.sdk.addons.applink.getAuthorization(dcConnectionName);
-      logger.info(
-        `Querying Data Cloud models for org (${org.id}) in space '${space}'. Event data: ${JSON.stringify(event.data || {})}`
-      );
-
-      // Build query parameters for the metadata endpoint - filter by DataModelObject
-      const queryString = DataCloudQueryService.buildQueryParams(
-        { entityCategory, entityName },
-        ['entityType=DataModelObject']
-      );
-
-      const metadataUrl = `/api/v1/metadata?${queryString}`;
-
-      // Use the metadata endpoint to get the DMOs with bearer token
-      const requestUrl = dcOrgAuth.domainUrl + metadataUrl;
-      const metadataResponse = await dcOrgAuth.request(requestUrl, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${dcOrgAuth.accessToken}`,
-        },
-      });
-
-      logger.info(
-        `Metadata API response: ${JSON.stringify(metadataResponse.metadata?.length || 0)} DMOs found`
-      );
-
-      return {
-        models: metadataResponse.metadata || [],
-      };
-    } catch (err) {
-      logger.error(`Error retrieving Data Cloud models: ${err.message}`);
-      reply.code(500).send({
-        error: 'Failed to retrieve Data Cloud models',
-        message: err.message,
-      });
-    }
-  });
-
-  /**
-   * Returns user engagement data from Data Cloud.
-   *
-   * This endpoint queries the UserEngagement__dlm table to retrieve
-   * engagement analytics data including client sessions, events, and features.
-   *
-   * @param request - Fastify request object
-   * @param reply - Fastify reply object
-   * @returns {Promise<Object>} Object containing user engagement records
-   */
-  fastify.get(
-    '/datacloud/analysis/engagement',
-    async function (request, reply) {
-      try {
-        const dcConnectionName = fastify.envConfig.dcConnectionName;
-        const queryService = DataCloudQueryService.fromRequest(
-          request,
-          dcConnectionName
-        );
-
-        const result = await queryService.executeQuery(userEngagementQuery);
-
-        if (result.success) {
-          return {
-            records: result.records,
-            metadata: result.metadata,
-          };
-        } else {
-          reply.code(500).send({
-            error: result.error,
-            message: result.message,
-            query: result.query,
-          });
-        }
-      } catch (err) {
-        const { logger } = request.sdk;
-        logger.error(`Unexpected error in engagement endpoint: ${err.message}`);
-        reply.code(500).send({
-          error: 'Unexpected error retrieving engagement data',
-          message: err.message,
-        });
-      }
-    }
-  );
-
-  /**
-   * Returns unified B2B account data from Data Cloud.
-   *
-   * This endpoint queries the UnifiedssotAccountB2b__dlm table to retrieve
-   * unified B2B account information including names, numbers, sources, types, and dates.
-   * Supports optional filtering by account name, account source, and segment (account type).
-   *
-   * @param request - Fastify request object with optional query parameters:
-   *   - accountName: Filter by account name (partial match)
-   *   - accountSource: Filter by account source (exact match)
-   *   - segment: Filter by account type/segment (exact match)
-   * @param reply - Fastify reply object
-   * @returns {Promise<Object>} Object containing unified B2B account records
-   */
-  fastify.get(
-    '/datacloud/analysis/unified-b2b',
-    async function (request, reply) {
-      const { accountName, accountSource, segment } = request.query;
-
-      try {
-        const dcConnectionName = fastify.envConfig.dcConnectionName;
-        const queryService = DataCloudQueryService.fromRequest(
-          request,
-          dcConnectionName
-        );
-
-        const result = await queryService.executeQueryWithFilters(
-          unifiedB2BQuery,
-          { accountName, accountSource, segment }
-        );
-
-        if (result.success) {
-          return {
-            records: result.records,
-            metadata: result.metadata,
-          };
-        } else {
-          reply.code(500).send({
-            error: result.error,
-            message: result.message,
-            query: result.query,
-          });
-        }
-      } catch (err) {
-        const { logger } = request.sdk;
-        logger.error(
-          `Unexpected error in unified B2B endpoint: ${err.message}`
-        );
-        reply.code(500).send({
-          error: 'Unexpected error retrieving unified B2B data',
-          message: err.message,
-        });
-      }
-    }
-  );
 }
@@ -0,0 +1,74 @@
+import DataCloudQueryService from '../lib/data-cloud-query-service.js';
+import { getUnifiedAccountSources } from '../lib/identity-resolution.js';
+import { spaceQuerystring } from '../lib/route-schemas.js';
+
+export default async function (fastify, _opts) {
+  /**
+   * Returns the source records merged into a unified B2B account.
+   *
+   * The unified-link DMO is followed from the unified record id back to the
+   * contributing source account records and the data source and data stream
+   * object each came from. Per field, the source records holding the
+   * surviving value are reported where the source DMO's metadata has the
+   * column. A unified account that does not exist is reported as a 404.
+   *
+   * @param request - Fastify request object with:
+   *   - id: Unified record id (ssot__Id__c)
+   *   - space: Data Cloud space (default: 'default')
+   * @param reply - Fastify reply object
+   * @returns {Promise<Object>} Object containing the unified account, its
+   *   sources, data streams and field provenance
+   */
+  fastify.get(
+    '/datacloud/unified/accounts/:id/sources',
+    {
+      schema: {
+        params: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              pattern: '^[A-Za-z0-9_.:-]+$',
+              maxLength: 255,
+            },
+          },
+        },
+        querystring: { type: 'object', properties: spaceQuerystring },
+      },
+    },
+    async function (request, _reply) {
+      const { logger } = request.sdk;
+      const { id } = request.params;
+      const { space } = request.query;
+      const startedAt = Date.now();
+
+      const dcConnectionName = fastify.envConfig.dcConnectionName;
+      const queryService = DataCloudQueryService.fromRequest(
+        request,
+        dcConnectionName,
+        { dataSpace: space }
+      );
+      logger.info(
+        `Tracing sources of unified account '${id}' in space '${space}'`
+      );
+
+      const { truncated, ...sources } = await getUnifiedAccountSources(
+        queryService,
+        id
+      );
+
+      logger.info(
+        `Unified account '${id}' has ${sources.sources.length} source records from ${sources.dataStreams.length} data streams`
+      );
+      return {
+        ...sources,
+        metadata: {
+          dataSpace: space,
+          sourceCount: sources.sources.length,
+          truncated,
+          elapsedMs: Date.now() - startedAt,
+        },
+      };
+    }
+  );
+}
@@ -0,0 +1,192 @@
+import { test } from 'tap';
+import DataCloudQueryService from '../../src/lib/data-cloud-query-service.js';
+import {
+  ACCOUNT_NUMBER_SCORE,
+  DuplicateDetector,
+  MAX_BLOCK_SIZE,
+  findDuplicateAccounts,
+  nameSimilarity,
+  normalizeAccountName,
+  normalizeAccountNumber,
+} from '../../src/lib/account-duplicates.js';
+
+const account = (id, name, number = null) => ({ id, name, number });
+
+test('normalizeAccountName - should strip accents, punctuation and legal suffixes', async t => {
+  t.equal(normalizeAccountName('Acme, Inc.'), 'acme');
+  t.equal(normalizeAccountName('ACME Co. Ltd'), 'acme');
+  t.equal(normalizeAccountName('Société Générale S.A.'), 'societe generale');
+  t.equal(normalizeAccountName('Smith & Sons GmbH'), 'smith and sons');
+  t.equal(normalizeAccountName("O'Brien Ltd."), 'obrien');
+  t.equal(
+    normalizeAccountName('Inc.'),
+    'inc',
+    'Keeps a name that is only a suffix'
+  );
+  t.equal(normalizeAccountName(null), '');
+});
+
+test('normalizeAccountNumber - should ignore case and punctuation', async t => {
+  t.equal(normalizeAccountNumber('ab-123 / 4'), 'AB1234');
+  t.equal(normalizeAccountNumber(undefined), '');
+});
+
+test('nameSimilarity - should score names by edit distance', async t => {
+  t.equal(nameSimilarity('acme', 'acme'), 1);
+  t.equal(nameSimilarity('acme corp', 'acme crop'), 0.778);
+  t.equal(nameSimilarity('globex', 'globe'), 0.833);
+  t.equal(nameSimilarity('', ''), 0);
+});
+
+test('DuplicateDetector - should group accounts matched by any rule, with scores and reasons', async t => {
+  const detector = new DuplicateDetector({ minScore: 0.85 });
+  for (const item of [
+    account('1', 'Acme, Inc.', 'A-1'),
+    account('2', 'ACME LLC'),
+    account('3', 'Acmee Holdings'),
+    account('4', 'Initech', 'a1'),
+    account('5', 'Globex Corporation'),
+    account('6', 'Globexx'),
+    account('7', 'Umbrella'),
+  ]) {
+    detector.add(item);
+  }
+
+  const report = detector.finish();
+
+  t.equal(report.accountCount, 7);
+  t.equal(report.groupCount, 2);
+  t.equal(report.duplicateAccountCount, 5);
+  t.same(report.skippedBlocks, []);
+
+  const [acme, globex] = report.groups;
+  t.same(
+    acme.accounts.map(({ id }) => id),
+    ['1', '2', '4']
+  );
+  t.same(acme.matches, [
+    {
+      accountIds: ['1', '2'],
+      score: 1,
+      reasons: [{ rule: 'normalizedName', score: 1, value: 'acme' }],
+    },
+    {
+      accountIds: ['1', '4'],
+      score: ACCOUNT_NUMBER_SCORE,
+      reasons: [
+        { rule: 'accountNumber', score: ACCOUNT_NUMBER_SCORE, value: 'A1' },
+      ],
+    },
+  ]);
+  t.match(globex, {
+    score: 0.857,
+    size: 2,
+    matches: [
+      {
+        accountIds: ['5', '6'],
+        reasons: [{ rule: 'similarName', value: ['globex', 'globexx'] }],
+      },
+    ],
+  });
+});
+
+test('DuplicateDetector - should combine the scores of several rules', async t => {
+  const detector = new DuplicateDetector({ minScore: 0.99 });
+  detector.add(account('1', 'Globex', 'G-1'));
+  detector.add(account('2', 'Globexx', 'G1'));
+  detector.add(account('3', 'Globe'));
+
+  const { groups } = detector.finish();
+
+  t.equal(groups.length, 1);
+  t.same(groups[0].matches[0].accountIds, ['1', '2']);
+  t.equal(groups[0].matches[0].score, 0.993);
+  t.same(
+    groups[0].matches[0].reasons.map(({ rule }) => rule),
+    ['similarName', 'accountNumber']
+  );
+});
+
+test('DuplicateDetector - should only apply the requested rules', async t => {
+  const detector = new DuplicateDetector({ rules: ['accountNumber'] });
+  detector.add(account('1', 'Acme', 'A1'));
+  detector.add(account('2', 'Acme'));
+  detector.add(account('3', 'Initech', 'A1'));
+
+  const { groups } = detector.finish();
+
+  t.equal(groups.length, 1);
+  t.same(
+    groups[0].accounts.map(({ id }) => id),
+    ['1', '3']
+  );
+});
+
+test('DuplicateDetector - should skip blocks too large to compare and limit groups', async t => {
+  const detector = new DuplicateDetector({ rules: ['normalizedName'] });
+  for (let i = 0; i <= MAX_BLOCK_SIZE; i++) {
+    detector.add(account(`u${i}`, 'Unknown'));
+  }
+  detector.add(account('a1', 'Acme'));
+  detector.add(account('a2', 'Acme Inc'));
+  detector.add(account('b1', 'Initech'));
+  detector.add(account('b2', 'Initech'));
+
+  const report = detector.finish({ limit: 1 });
+
+  t.same(report.skippedBlocks, [
+    { rule: 'normalizedName', key: 'unknown', size: MAX_BLOCK_SIZE + 1 },
+  ]);
+  t.equal(report.groupCount, 2);
+  t.equal(report.groups.length, 1);
+});
+
+test('findDuplicateAccounts - should page through unified accounts and group duplicates', async t => {
+  const queries = [];
+  const accounts = [
+    ['Acme, Inc.', 'A-1', null, null, null, null, null, 'u-1'],
+    ['ACME LLC', null, null, null, null, null, null, 'u-2'],
+    ['Initech', 'a1', null, null, null, null, null, 'u-3'],
+  ];
+  const mockAppLinkSdk = {
+    applink: {
+      getAuthorization: async () => ({
+        dataCloudApi: {
+          query: async sql => {
+            queries.push(sql);
+            const offset = Number(/OFFSET (\d+)/.exec(sql)?.[1] ?? 0);
+            return { data: accounts.slice(offset, offset + 3) };
+          },
+        },
+      }),
+    },
+  };
+  const service = new DataCloudQueryService(
+    mockAppLinkSdk,
+    'test-connection',
+    { info: () => {}, error: () => {} },
+    { cacheTtlSeconds: 0, maxPageSize: 2 }
+  );
+
+  const report = await findDuplicateAccounts(service, {
+    filter: { field: 'accountSource', op: 'eq', value: 'Web' },
+  });
+
+  t.equal(queries.length, 2);
+  t.match(queries[0], /WHERE ssot__AccountSource__c = 'Web'/);
+  t.equal(report.accountCount, 3);
+  t.equal(report.groupCount, 1);
+  t.same(
+    report.groups[0].accounts.map(({ id }) => id),
+    ['u-1', 'u-2', 'u-3']
+  );
+  t.equal(report.truncated, false);
+
+  await t.rejects(
+    findDuplicateAccounts(service, {
+      filter: { field: 'unknown', op: 'eq', value: 'x' },
+    }),
+    { statusCode: 400, type: 'invalid_filter' }
+  );
+  t.equal(queries.length, 2, 'Invalid filters are not queried');
+});
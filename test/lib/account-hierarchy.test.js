@@ -0,0 +1,224 @@
+import { test } from 'tap';
+import DataCloudQueryService from '../../src/lib/data-cloud-query-service.js';
+import {
+  ANCESTOR_STATUSES,
+  AccountHierarchy,
+  getUnifiedAccountHierarchy,
+} from '../../src/lib/account-hierarchy.js';
+
+const account = (id, parentAccountId = null) => ({
+  id,
+  name: `Account ${id}`,
+  parentAccountId,
+});
+
+const readAncestors = (hierarchy, accounts) => {
+  for (
+    let parentId = hierarchy.nextAncestorId();
+    parentId;
+    parentId = hierarchy.nextAncestorId()
+  ) {
+    hierarchy.addAncestor(accounts[parentId] ?? null);
+  }
+};
+
+test('AccountHierarchy - should read the ancestor chain up to the root', async t => {
+  const accounts = {
+    b: account('b', 'a'),
+    a: account('a'),
+  };
+  const hierarchy = new AccountHierarchy(account('c', 'b'));
+
+  readAncestors(hierarchy, accounts);
+  const { ancestors, ancestorStatus } = hierarchy.finish();
+
+  t.same(
+    ancestors.map(({ id }) => id),
+    ['b', 'a']
+  );
+  t.equal(ancestorStatus, ANCESTOR_STATUSES.ROOT);
+});
+
+test('AccountHierarchy - should stop the ancestor chain at the depth limit and missing parents', async t => {
+  const accounts = {
+    c: account('c', 'b'),
+    b: account('b', 'a'),
+  };
+
+  const limited = new AccountHierarchy(account('d', 'c'), { maxDepth: 1 });
+  readAncestors(limited, accounts);
+  t.equal(limited.finish().ancestors.length, 1);
+  t.equal(limited.ancestorStatus, ANCESTOR_STATUSES.DEPTH_LIMIT);
+
+  const broken = new AccountHierarchy(account('d', 'c'));
+  readAncestors(broken, accounts);
+  t.same(
+    broken.finish().ancestors.map(({ id }) => id),
+    ['c', 'b']
+  );
+  t.equal(broken.ancestorStatus, ANCESTOR_STATUSES.MISSING_PARENT);
+});
+
+test('AccountHierarchy - should report cycles instead of following them', async t => {
+  const accounts = {
+    b: account('b', 'a'),
+    a: account('a', 'c'),
+  };
+  const hierarchy = new AccountHierarchy(account('c', 'b'));
+
+  readAncestors(hierarchy, accounts);
+  hierarchy.nextLevel();
+  t.ok(
+    hierarchy.addChild(account('b', 'c')),
+    'An ancestor as child is a cycle'
+  );
+  const { ancestors, ancestorStatus, cycles, tree } = hierarchy.finish();
+
+  t.equal(ancestors.length, 2);
+  t.equal(ancestorStatus, ANCESTOR_STATUSES.CYCLE);
+  t.same(cycles, [
+    { accountId: 'a', parentAccountId: 'c' },
+    { accountId: 'b', parentAccountId: 'c' },
+  ]);
+  t.equal(tree.childCount, 0);
+});
+
+test('AccountHierarchy - should build the descendant tree with rollups', async t => {
+  const hierarchy = new AccountHierarchy(account('root'), { maxDepth: 2 });
+
+  t.same(hierarchy.nextLevel(), ['root']);
+  hierarchy.addChild(account('a', 'root'));
+  hierarchy.addChild(account('b', 'root'));
+  t.same(hierarchy.nextLevel(), ['a', 'b']);
+  hierarchy.addChild(account('a1', 'a'));
+  hierarchy.addChild(account('a2', 'a'));
+  t.same(hierarchy.nextLevel(), [], 'Stops at the depth limit');
+
+  const { tree, nodeCount, truncated } = hierarchy.finish();
+
+  t.equal(nodeCount, 5);
+  t.equal(truncated, false);
+  t.match(tree, {
+    account: { id: 'root' },
+    level: 0,
+    expanded: true,
+    childCount: 2,
+    descendantCount: 4,
+    descendantDepth: 2,
+  });
+  t.match(tree.children[0], {
+    account: { id: 'a' },
+    level: 1,
+    childCount: 2,
+    descendantCount: 2,
+    descendantDepth: 1,
+  });
+  t.match(tree.children[1], {
+    account: { id: 'b' },
+    expanded: true,
+    childCount: 0,
+  });
+  t.match(tree.children[0].children[0], {
+    account: { id: 'a1' },
+    level: 2,
+    expanded: false,
+    children: [],
+  });
+});
+
+test('AccountHierarchy - should stop adding descendants at the node limit', async t => {
+  const hierarchy = new AccountHierarchy(account('root'), { maxNodes: 2 });
+
+  hierarchy.nextLevel();
+  t.ok(hierarchy.addChild(account('a', 'root')));
+  t.notOk(hierarchy.addChild(account('b', 'root')));
+  t.same(hierarchy.nextLevel(), []);
+
+  const { nodeCount, truncated } = hierarchy.finish();
+  t.equal(nodeCount, 2);
+  t.equal(truncated, true);
+});
+
+test('getUnifiedAccountHierarchy - should read ancestors and descendants level by level', async t => {
+  const parents = {
+    top: null,
+    mid: 'top',
+    'u-1': 'mid',
+    child: 'u-1',
+    sibling: 'u-1',
+    grandchild: 'child',
+    loop: 'grandchild',
+  };
+  // loop's own child points back at the requested account
+  const row = (id, parentId = parents[id]) => [
+    `Account ${id}`,
+    null,
+    null,
+    null,
+    null,
+    null,
+    parentId,
+    id,
+  ];
+  const queries = [];
+  const mockAppLinkSdk = {
+    applink: {
+      getAuthorization: async () => ({
+        dataCloudApi: {
+          query: async sql => {
+            queries.push(sql);
+            const byId = /WHERE ssot__Id__c = '([^']+)'/.exec(sql);
+            if (byId) {
+              return { data: byId[1] in parents ? [row(byId[1])] : [] };
+            }
+            const ids = /ssot__ParentAccountId__c IN \(([^)]*)\)/
+              .exec(sql)[1]
+              .split(', ')
+              .map(id => id.slice(1, -1));
+            const children = Object.keys(parents)
+              .filter(id => ids.includes(parents[id]))
+              .map(id => row(id));
+            if (ids.includes('loop')) {
+              children.push(row('u-1', 'loop'));
+            }
+            return { data: children };
+          },
+        },
+      }),
+    },
+  };
+  const service = new DataCloudQueryService(
+    mockAppLinkSdk,
+    'test-connection',
+    { info: () => {}, error: () => {} },
+    { cacheTtlSeconds: 0 }
+  );
+
+  const hierarchy = await getUnifiedAccountHierarchy(service, 'u-1', {
+    depth: 4,
+  });
+
+  t.same(
+    hierarchy.ancestors.map(({ id }) => id),
+    ['mid', 'top']
+  );
+  t.equal(hierarchy.ancestorStatus, 'root');
+  t.match(
+    queries.find(sql => sql.includes(' IN (')),
+    /WHERE ssot__ParentAccountId__c IN \('u-1'\)/
+  );
+  t.match(hierarchy.tree, {
+    account: { id: 'u-1' },
+    childCount: 2,
+    descendantCount: 4,
+    descendantDepth: 3,
+  });
+  t.same(hierarchy.cycles, [{ accountId: 'u-1', parentAccountId: 'loop' }]);
+  t.equal(hierarchy.nodeCount, 5);
+  t.equal(hierarchy.truncated, false);
+
+  await t.rejects(getUnifiedAccountHierarchy(service, 'missing'), {
+    statusCode: 404,
+    type: 'unknown_object',
+  });
+});
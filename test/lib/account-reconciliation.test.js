@@ -0,0 +1,489 @@
+import { test } from 'tap';
+import DataCloudQueryService from '../../src/lib/data-cloud-query-service.js';
+import {
+  AccountReconciliation,
+  CRM_ACCOUNT_QUERY,
+  ReconciliationJobs,
+  reconcileAccounts,
+  streamCrmAccounts,
+  toCrmIdKey,
+} from '../../src/lib/account-reconciliation.js';
+
+const crm = (Id, Name, AccountNumber = null, AccountSource = null) => ({
+  Id,
+  Name,
+  AccountNumber,
+  AccountSource,
+});
+const unified = (id, name, number = null, accountSource = null) => ({
+  id,
+  name,
+  number,
+  accountSource,
+});
+const link = (sourceRecordId, unifiedRecordId, dataSourceId = 'crm') => ({
+  sourceRecordId,
+  unifiedRecordId,
+  dataSourceId,
+});
+
+test('toCrmIdKey - should read 15-character and 18-character ids alike', async t => {
+  t.equal(toCrmIdKey('001xx000003DGb2AAG'), '001xx000003DGb2');
+  t.equal(toCrmIdKey('001xx000003DGb2'), '001xx000003DGb2');
+});
+
+test('streamCrmAccounts - should follow nextRecordsUrl until done', async t => {
+  const calls = [];
+  const org = {
+    dataApi: {
+      query: async soql => {
+        calls.push(soql);
+        return {
+          done: false,
+          nextRecordsUrl: '/next',
+          records: [{ fields: { Id: 'a' } }],
+        };
+      },
+      queryMore: async result => {
+        calls.push(result.nextRecordsUrl);
+        return { done: true, records: [{ fields: { Id: 'b' } }] };
+      },
+    },
+  };
+
+  const pages = [];
+  for await (const page of streamCrmAccounts(operation => operation(org))) {
+    pages.push(page);
+  }
+
+  t.same(pages, [[{ Id: 'a' }], [{ Id: 'b' }]]);
+  t.same(calls, [CRM_ACCOUNT_QUERY, '/next']);
+  t.match(
+    CRM_ACCOUNT_QUERY,
+    /^SELECT Id, Name, AccountNumber, AccountSource FROM Account ORDER BY Id$/
+  );
+});
+
+test('streamCrmAccounts - should stop waiting for a page once aborted', async t => {
+  const controller = new AbortController();
+  const pages = streamCrmAccounts(() => new Promise(() => {}), {
+    signal: controller.signal,
+  });
+
+  const next = pages.next();
+  controller.abort(new Error('Shutting down'));
+
+  await t.rejects(next, { message: 'Shutting down' });
+});
+
+test('AccountReconciliation - should match by id through the unified links', async t => {
+  const reconciliation = new AccountReconciliation({ dataSourceId: 'crm' });
+  reconciliation.addCrmAccounts([
+    crm('001000000000001AAA', 'Acme, Inc.', 'A-1', 'Web'),
+    crm('001000000000002AAA', 'Globex', 'G-1'),
+    crm('001000000000003AAA', 'Initech'),
+    crm('001000000000004AAA', 'Umbrella'),
+  ]);
+  reconciliation.addUnifiedAccounts([
+    unified('u-1', 'Acme Inc', 'A-1', 'web'),
+    unified('u-2', 'Globex', 'G-1'),
+    unified('u-5', 'Hooli'),
+  ]);
+  reconciliation.addLinks([
+    link('001000000000001', 'u-1'),
+    link('001000000000002AAA', 'u-2'),
+    link('001000000000004AAA', 'u-gone'),
+    link('001000000000005AAA', 'u-5'),
+    link('001000000000006AAA', 'u-5', 'erp'),
+    link('ERP-7', 'u-5'),
+  ]);
+
+  const { summary, details } = reconciliation.finish();
+
+  t.same(summary, {
+    crmCount: 4,
+    dataCloudCount: 3,
+    matchedCount: 2,
+    mismatchedCount: 1,
+    missingInDataCloud: 2,
+    missingInCrm: 1,
+    fieldMismatches: { name: 1, number: 0, accountSource: 1 },
+  });
+  t.match(details, [
+    {
+      type: 'missing_in_data_cloud',
+      reason: 'not_linked',
+      crmId: '001000000000003AAA',
+      key: '001000000000003',
+      crmValue: 'Initech',
+    },
+    {
+      type: 'missing_in_data_cloud',
+      reason: 'no_unified_account',
+      crmId: '001000000000004AAA',
+      unifiedId: 'u-gone',
+    },
+    {
+      type: 'missing_in_crm',
+      reason: 'no_crm_account',
+      unifiedId: 'u-5',
+      sourceRecordId: '001000000000005AAA',
+      dataCloudValue: 'Hooli',
+    },
+    {
+      type: 'field_mismatch',
+      crmId: '001000000000001AAA',
+      unifiedId: 'u-1',
+      sourceRecordId: '001000000000001',
+      field: 'name',
+      crmValue: 'Acme, Inc.',
+      dataCloudValue: 'Acme Inc',
+      normalizedMatch: true,
+    },
+    {
+      type: 'field_mismatch',
+      field: 'accountSource',
+      crmValue: 'Web',
+      dataCloudValue: 'web',
+      normalizedMatch: true,
+    },
+  ]);
+  t.equal(details.length, 5);
+  t.same(
+    Object.keys(details[0]),
+    [
+      'type',
+      'reason',
+      'crmId',
+      'unifiedId',
+      'sourceRecordId',
+      'key',
+      'field',
+      'crmValue',
+      'dataCloudValue',
+      'normalizedMatch',
+    ],
+    'Every detail has every column'
+  );
+});
+
+test('AccountReconciliation - should match by normalized account number', async t => {
+  const reconciliation = new AccountReconciliation({
+    matchBy: 'accountNumber',
+  });
+  reconciliation.addCrmAccounts([
+    crm('001000000000001AAA', 'Acme', 'a-1'),
+    crm('001000000000002AAA', 'Globex'),
+    crm('001000000000003AAA', 'Initech', 'I-9'),
+  ]);
+  reconciliation.addUnifiedAccounts([
+    unified('u-1', 'Acme Corporation', 'A1'),
+    unified('u-2', 'Hooli', 'H-2'),
+    unified('u-3', 'Nameless'),
+  ]);
+
+  const { summary, details } = reconciliation.finish();
+
+  t.match(summary, {
+    matchedCount: 1,
+    missingInDataCloud: 2,
+    missingInCrm: 1,
+    fieldMismatches: { name: 1, number: 1 },
+  });
+  t.match(details, [
+    { reason: 'no_account_number', crmId: '001000000000002AAA', key: null },
+    { reason: 'no_unified_account', key: 'I9' },
+    { type: 'missing_in_crm', unifiedId: 'u-2', key: 'H2' },
+    {
+      field: 'name',
+      crmValue: 'Acme',
+      dataCloudValue: 'Acme Corporation',
+      normalizedMatch: true,
+    },
+    {
+      field: 'number',
+      crmValue: 'a-1',
+      dataCloudValue: 'A1',
+      normalizedMatch: true,
+    },
+  ]);
+});
+
+test('AccountReconciliation - should report values missing on one side as mismatches', async t => {
+  const reconciliation = new AccountReconciliation();
+  reconciliation.addCrmAccounts([crm('001000000000001AAA', 'Acme', '', 'Web')]);
+  reconciliation.addUnifiedAccounts([unified('u-1', 'Acme', null, null)]);
+  reconciliation.addLinks([link('001000000000001AAA', 'u-1')]);
+
+  const { summary, details } = reconciliation.finish();
+
+  t.same(summary.fieldMismatches, { name: 0, number: 0, accountSource: 1 });
+  t.match(details, [
+    {
+      field: 'accountSource',
+      crmValue: 'Web',
+      dataCloudValue: null,
+      normalizedMatch: false,
+    },
+  ]);
+});
+
+test('AccountReconciliation - should not report accounts missing from a truncated source', async t => {
+  const reconcile = options => {
+    const reconciliation = new AccountReconciliation();
+    reconciliation.addCrmAccounts([
+      crm('001000000000001AAA', 'Acme', null, 'Web'),
+      crm('001000000000002AAA', 'Globex'),
+    ]);
+    reconciliation.addUnifiedAccounts([
+      unified('u-1', 'Acme'),
+      unified('u-3', 'Initech'),
+    ]);
+    reconciliation.addLinks([
+      link('001000000000001AAA', 'u-1'),
+      link('001000000000003AAA', 'u-3'),
+    ]);
+    return reconciliation.finish(options);
+  };
+
+  const crmTruncated = reconcile({ crmTruncated: true });
+  t.match(crmTruncated.summary, {
+    matchedCount: 1,
+    missingInDataCloud: 1,
+    missingInCrm: null,
+  });
+  t.same(
+    crmTruncated.details.map(({ type }) => type),
+    ['missing_in_data_cloud', 'field_mismatch'],
+    'Unified accounts may match CRM Accounts that were not read'
+  );
+
+  const dataCloudTruncated = reconcile({ dataCloudTruncated: true });
+  t.match(dataCloudTruncated.summary, {
+    missingInDataCloud: null,
+    missingInCrm: 1,
+  });
+  t.same(
+    dataCloudTruncated.details.map(({ type }) => type),
+    ['missing_in_crm', 'field_mismatch'],
+    'CRM Accounts may match unified accounts that were not read'
+  );
+});
+
+test('reconcileAccounts - should page through CRM Accounts, unified accounts and links', async t => {
+  const queries = [];
+  const tables = {
+    UnifiedssotAccountB2b__dlm: [
+      ['Acme Inc', 'A-1', 'Web', null, null, null, null, 'u-1'],
+      ['Globex', null, null, null, null, null, null, 'u-2'],
+      ['Hooli', null, null, null, null, null, null, 'u-3'],
+    ],
+    UnifiedLinkssotAccountB2b__dlm: [
+      ['001000000000001AAA', 'u-1', 'crm', 'Account'],
+      ['001000000000002AAA', 'u-2', 'crm', 'Account'],
+      ['001000000000009AAA', 'u-3', 'crm', 'Account'],
+    ],
+  };
+  const mockAppLinkSdk = {
+    applink: {
+      getAuthorization: async () => ({
+        dataCloudApi: {
+          query: async sql => {
+            queries.push(sql);
+            const [, table] = / FROM (\w+)/.exec(sql);
+            const offset = Number(/OFFSET (\d+)/.exec(sql)?.[1] ?? 0);
+            return { data: tables[table].slice(offset, offset + 3) };
+          },
+        },
+      }),
+    },
+  };
+  const service = new DataCloudQueryService(
+    mockAppLinkSdk,
+    'test-connection',
+    { info: () => {}, error: () => {} },
+    { cacheTtlSeconds: 0, maxPageSize: 2 }
+  );
+  async function* crmPages() {
+    yield [
+      { Id: '001000000000001AAA', Name: 'Acme Inc', AccountNumber: 'A-1' },
+      { Id: '001000000000002AAA', Name: 'Globex' },
+    ];
+    yield [{ Id: '001000000000003AAA', Name: 'Initech' }];
+  }
+
+  const result = await reconcileAccounts(service, crmPages());
+
+  t.equal(queries.length, 4);
+  t.match(queries[2], /FROM UnifiedLinkssotAccountB2b__dlm/);
+  t.same(result.summary, {
+    crmCount: 3,
+    dataCloudCount: 3,
+    matchedCount: 2,
+    mismatchedCount: 1,
+    missingInDataCloud: 1,
+    missingInCrm: 1,
+    fieldMismatches: { name: 0, number: 0, accountSource: 1 },
+  });
+  t.equal(result.truncated, false);
+
+  queries.length = 0;
+  const byNumber = await reconcileAccounts(service, crmPages(), {
+    matchBy: 'accountNumber',
+  });
+  t.notOk(
+    queries.some(sql => sql.includes('UnifiedLinkssotAccountB2b__dlm')),
+    'Links are only read when matching by id'
+  );
+  t.equal(byNumber.summary.matchedCount, 1);
+
+  const truncated = await reconcileAccounts(service, crmPages(), {
+    maxAccounts: 2,
+  });
+  t.equal(truncated.truncated, true);
+  t.match(truncated.summary, {
+    crmCount: 2,
+    dataCloudCount: 2,
+    missingInDataCloud: null,
+    missingInCrm: null,
+  });
+  t.notOk(
+    truncated.details.some(({ type }) => type !== 'field_mismatch'),
+    'Accounts missing from a truncated source are not reported'
+  );
+});
+
+test('ReconciliationJobs - should run jobs in the background and keep their results', async t => {
+  const jobs = new ReconciliationJobs();
+  let finish;
+  const started = jobs.start(
+    { matchBy: 'id' },
+    () =>
+      new Promise(resolve => {
+        finish = resolve;
+      })
+  );
+
+  t.match(started, {
+    status: 'running',
+    options: { matchBy: 'id' },
+    finishedAt: null,
+    detailCount: 0,
+  });
+  t.notOk('details' in started);
+  t.throws(() => jobs.getDetails(started.id), {
+    statusCode: 409,
+    type: 'reconciliation_not_ready',
+  });
+
+  const job = jobs.get(started.id);
+  await new Promise(resolve => setImmediate(resolve));
+  finish({
+    summary: { crmCount: 2 },
+    details: [{ type: 'missing_in_crm' }, { type: 'field_mismatch' }],
+    truncated: true,
+  });
+  await job.done;
+
+  t.match(ReconciliationJobs.describe(job), {
+    status: 'succeeded',
+    summary: { crmCount: 2 },
+    truncated: true,
+    detailCount: 2,
+  });
+  t.ok(job.finishedAt);
+  t.same(jobs.getDetails(started.id, { type: 'field_mismatch' }), [
+    { type: 'field_mismatch' },
+  ]);
+  t.throws(() => jobs.get('missing'), {
+    statusCode: 404,
+    type: 'unknown_object',
+  });
+});
+
+test('ReconciliationJobs - should report failures and forget the oldest finished jobs', async t => {
+  const warnings = [];
+  const jobs = new ReconciliationJobs({
+    retention: 2,
+    logger: { warn: message => warnings.push(message) },
+  });
+
+  const failed = jobs.start({}, async () => {
+    const err = new Error('Session expired');
+    err.statusCode = 401;
+    throw err;
+  });
+  await jobs.get(failed.id).done;
+
+  t.match(jobs.get(failed.id), {
+    status: 'failed',
+    error: { status: 401, detail: 'Session expired' },
+  });
+  t.match(warnings, [/failed: Session expired/]);
+  t.throws(() => jobs.getDetails(failed.id), { statusCode: 409 });
+
+  const run = async () => ({ summary: {}, details: [] });
+  const second = jobs.start({}, run);
+  await jobs.get(second.id).done;
+  const third = jobs.start({}, run);
+  await jobs.get(third.id).done;
+
+  t.throws(() => jobs.get(failed.id), { statusCode: 404 });
+  t.ok(jobs.get(second.id));
+  t.ok(jobs.get(third.id));
+});
+
+test('ReconciliationJobs - should run one job at a time per key and cap running jobs', async t => {
+  const jobs = new ReconciliationJobs({ maxRunning: 2 });
+  const finishes = [];
+  const run = () =>
+    new Promise(resolve => {
+      finishes.push(() => resolve({ summary: {}, details: [] }));
+    });
+
+  const first = jobs.start({}, run, { key: 'org/default' });
+  t.throws(
+    () => jobs.start({}, run, { key: 'org/default' }),
+    {
+      name: 'ReconciliationRunningError',
+      statusCode: 409,
+      type: 'reconciliation_running',
+      details: { jobId: first.id },
+    },
+    'Should reject a second job for the same org and space'
+  );
+
+  jobs.start({}, run, { key: 'org/other' });
+  t.throws(() => jobs.start({}, run, { key: 'org/third' }), {
+    statusCode: 409,
+    type: 'reconciliation_running',
+    message: /2 reconciliation jobs are already running/,
+  });
+
+  await new Promise(resolve => setImmediate(resolve));
+  finishes.forEach(finish => finish());
+  await jobs.settle();
+
+  t.match(jobs.start({}, run, { key: 'org/default' }), { status: 'running' });
+});
+
+test('ReconciliationJobs - should pass its signal to the jobs', async t => {
+  const controller = new AbortController();
+  const jobs = new ReconciliationJobs({ signal: controller.signal });
+  const started = jobs.start(
+    {},
+    signal =>
+      new Promise((_resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+      })
+  );
+
+  await new Promise(resolve => setImmediate(resolve));
+  controller.abort(new Error('Shutting down'));
+  await jobs.settle();
+
+  t.match(jobs.get(started.id), {
+    status: 'failed',
+    error: { detail: 'Shutting down' },
+  });
+});
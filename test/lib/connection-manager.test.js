@@ -0,0 +1,123 @@
+import { test } from 'tap';
+import ConnectionManager, {
+  isUnauthorizedError,
+} from '../../src/lib/connection-manager.js';
+
+const logger = { info: () => {}, error: () => {} };
+
+// Mock AppLink add-on returning a new authorization on every call
+function createMockAppLink() {
+  const applink = {
+    calls: 0,
+    getAuthorization: async name => {
+      applink.calls += 1;
+      return { id: `${name}-${applink.calls}` };
+    },
+  };
+  return applink;
+}
+
+function unauthorizedError() {
+  const err = new Error('HTTP Error Response: 401: Unauthorized');
+  err.response = { status: 401 };
+  return err;
+}
+
+test('ConnectionManager.getAuthorization - should cache authorizations per connection', async t => {
+  const applink = createMockAppLink();
+  const manager = new ConnectionManager({ applink, logger });
+
+  const [first, second] = await Promise.all([
+    manager.getAuthorization('dc'),
+    manager.getAuthorization('dc'),
+  ]);
+  const third = await manager.getAuthorization('dc');
+  const other = await manager.getAuthorization('crm');
+
+  t.equal(first, second, 'Should share one fetch between concurrent callers');
+  t.equal(third, first, 'Should reuse the cached authorization');
+  t.equal(other.id, 'crm-2', 'Should cache each connection separately');
+  t.equal(applink.calls, 2, 'Should call AppLink once per connection');
+});
+
+test('ConnectionManager.getAuthorization - should refresh expired authorizations', async t => {
+  const applink = createMockAppLink();
+  const manager = new ConnectionManager({ applink, ttlSeconds: 0, logger });
+
+  const first = await manager.getAuthorization('dc');
+  const second = await manager.getAuthorization('dc');
+
+  t.not(first, second, 'Should fetch a new authorization after expiry');
+});
+
+test('ConnectionManager.getAuthorization - should not cache failed fetches', async t => {
+  let fail = true;
+  const manager = new ConnectionManager({
+    applink: {
+      getAuthorization: async () => {
+        if (fail) {
+          throw new Error('Unable to get connection');
+        }
+        return { id: 'ok' };
+      },
+    },
+    logger,
+  });
+
+  await t.rejects(manager.getAuthorization('dc'), /Unable to get connection/);
+  fail = false;
+  t.same(await manager.getAuthorization('dc'), { id: 'ok' }, 'Should retry');
+});
+
+test('ConnectionManager.withAuthorization - should refresh and retry once on 401', async t => {
+  const applink = createMockAppLink();
+  const manager = new ConnectionManager({ applink, logger });
+  const used = [];
+
+  const result = await manager.withAuthorization('dc', async org => {
+    used.push(org.id);
+    if (used.length === 1) {
+      throw unauthorizedError();
+    }
+    return 'ok';
+  });
+
+  t.equal(result, 'ok', 'Should succeed with the refreshed authorization');
+  t.same(used, ['dc-1', 'dc-2'], 'Should retry with a new authorization');
+
+  await t.rejects(
+    manager.withAuthorization('dc', async () => {
+      throw new Error('Bad SQL');
+    }),
+    /Bad SQL/,
+    'Should not retry other errors'
+  );
+  t.equal(applink.calls, 2, 'Should keep the refreshed authorization');
+});
+
+test('ConnectionManager.invalidate - should only drop the rejected authorization', async t => {
+  const applink = createMockAppLink();
+  const manager = new ConnectionManager({ applink, logger });
+
+  const stale = await manager.getAuthorization('dc');
+  manager.invalidate('dc', stale);
+  const fresh = await manager.getAuthorization('dc');
+  manager.invalidate('dc', stale);
+
+  t.equal(
+    await manager.getAuthorization('dc'),
+    fresh,
+    'Should keep a newer authorization when an older one is rejected'
+  );
+});
+
+test('isUnauthorizedError - should detect 401 responses', async t => {
+  t.ok(isUnauthorizedError(unauthorizedError()), 'Should detect 401');
+  t.notOk(
+    isUnauthorizedError(
+      Object.assign(new Error(), { response: { status: 500 } })
+    ),
+    'Should ignore other statuses'
+  );
+  t.notOk(isUnauthorizedError(undefined), 'Should handle missing errors');
+});
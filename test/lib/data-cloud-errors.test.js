@@ -0,0 +1,125 @@
+import { test } from 'tap';
+import {
+  DataCloudError,
+  ERROR_TYPES,
+  classifyError,
+  parseRetryAfter,
+} from '../../src/lib/data-cloud-errors.js';
+
+// Builds an error shaped like the AppLink SDK's HttpResponseError,
+// whose response is an unread fetch Response
+function httpError(status, body = '', headers = {}) {
+  const err = new Error(`HTTP Error Response: ${status}: Error`);
+  err.response = {
+    status,
+    bodyUsed: false,
+    headers: new Map(Object.entries(headers)),
+    text: async () => body,
+  };
+  return err;
+}
+
+test('classifyError - should map HTTP statuses to error types', async t => {
+  const cases = [
+    [401, 'unauthorized', 401, false],
+    [403, 'forbidden', 403, false],
+    [404, 'unknown_object', 404, false],
+    [400, 'invalid_sql', 400, false],
+    [429, 'rate_limited', 429, true],
+    [504, 'timeout', 504, true],
+    [500, 'upstream', 502, true],
+    [503, 'upstream', 502, true],
+  ];
+
+  for (const [status, type, statusCode, retryable] of cases) {
+    const error = await classifyError(httpError(status));
+    t.ok(error instanceof DataCloudError, `${status} should be classified`);
+    t.equal(error.type, type, `${status} should be ${type}`);
+    t.equal(
+      error.statusCode,
+      statusCode,
+      `${status} should map to ${statusCode}`
+    );
+    t.equal(error.retryable, retryable, `${status} retryable flag`);
+    t.equal(error.upstreamStatus, status, 'Should keep the upstream status');
+  }
+});
+
+test('classifyError - should use the response body to tell unknown objects from invalid SQL', async t => {
+  const unknown = await classifyError(
+    httpError(
+      400,
+      JSON.stringify([
+        {
+          errorCode: 'BAD_REQUEST',
+          message: "Table 'Missing__dlm' does not exist",
+        },
+      ])
+    )
+  );
+  t.equal(unknown.type, 'unknown_object', 'Should detect a missing table');
+  t.equal(unknown.statusCode, 404, 'Should report a missing table as 404');
+  t.equal(
+    unknown.message,
+    "Table 'Missing__dlm' does not exist",
+    'Should use the upstream message'
+  );
+
+  const invalid = await classifyError(
+    httpError(400, JSON.stringify({ message: "mismatched input 'FORM'" }))
+  );
+  t.equal(
+    invalid.type,
+    'invalid_sql',
+    'Should treat syntax errors as invalid SQL'
+  );
+  t.equal(invalid.message, "mismatched input 'FORM'");
+});
+
+test('classifyError - should read Retry-After headers', async t => {
+  const error = await classifyError(httpError(429, '', { 'retry-after': '3' }));
+
+  t.equal(error.retryAfterMs, 3000, 'Should parse the wait in milliseconds');
+  t.equal(error.retryAfterSeconds, 3, 'Should expose whole seconds');
+});
+
+test('classifyError - should classify network failures and timeouts', async t => {
+  const network = new TypeError('fetch failed');
+  network.cause = Object.assign(new Error('socket hang up'), {
+    code: 'ECONNRESET',
+  });
+  const timeout = Object.assign(new Error('The operation timed out'), {
+    name: 'TimeoutError',
+  });
+
+  t.equal((await classifyError(network)).type, 'upstream');
+  t.equal((await classifyError(timeout)).type, 'timeout');
+
+  const internal = await classifyError(new Error('Boom'));
+  t.equal(internal.type, 'internal', 'Should treat other errors as internal');
+  t.equal(internal.statusCode, 500);
+  t.equal(internal.retryable, false, 'Should never retry internal errors');
+});
+
+test('classifyError - should return classified errors unchanged', async t => {
+  const error = new DataCloudError(ERROR_TYPES.TIMEOUT, 'Timed out');
+  t.equal(await classifyError(error), error);
+});
+
+test('parseRetryAfter - should accept seconds and HTTP dates', async t => {
+  const now = Date.parse('2025-01-01T00:00:00Z');
+
+  t.equal(parseRetryAfter('120', now), 120000, 'Should parse seconds');
+  t.equal(
+    parseRetryAfter('Wed, 01 Jan 2025 00:00:05 GMT', now),
+    5000,
+    'Should parse HTTP dates'
+  );
+  t.equal(
+    parseRetryAfter('Tue, 31 Dec 2024 00:00:00 GMT', now),
+    0,
+    'Should not return negative waits'
+  );
+  t.equal(parseRetryAfter(undefined), null, 'Should handle missing headers');
+  t.equal(parseRetryAfter('soon'), null, 'Should ignore invalid values');
+});
@@ -1,6 +1,9 @@
 import { test } from 'tap';
 import DataCloudQueryService from '../../src/lib/data-cloud-query-service.js';
-import { unifiedB2BQuery } from '../../src/lib/sql/queries.js';
+import {
+  unifiedB2BQuery,
+  userEngagementQuery,
+} from '../../src/lib/sql/queries.js';
 
 // Tests for the DataCloudQueryService utility methods
 test('DataCloudQueryService.cleanFilters - should remove null, undefined, and empty values', async t => {
@@ -348,3 +351,770 @@ test('unifiedB2BQuery.buildQuery - should handle safe input normally', async t =
     'Should build proper multi-condition query'
   );
 });
+
+test('DataCloudQueryService.executeQuery - should accept field map definitions directly', async t => {
+  let executedSql;
+  const mockAppLinkSdk = {
+    applink: {
+      getAuthorization: async () => ({
+        dataCloudApi: {
+          query: async sql => {
+            executedSql = sql;
+            return { data: [['1', 'Test']] };
+          },
+        },
+      }),
+    },
+  };
+
+  const service = new DataCloudQueryService(mockAppLinkSdk, 'test-connection', {
+    info: () => {},
+    error: () => {},
+  });
+
+  const result = await service.executeQuery({
+    table: 'TestTable',
+    fields: [
+      { column: 'Id', property: 'id' },
+      { column: 'Name', property: 'name' },
+    ],
+    limit: 5,
+  });
+
+  t.equal(result.success, true, 'Should execute successfully');
+  t.equal(
+    executedSql,
+    'SELECT Id, Name FROM TestTable LIMIT 6',
+    'Should generate SQL from the field map, fetching one extra row for paging'
+  );
+  t.same(
+    result.records,
+    [{ id: '1', name: 'Test' }],
+    'Should generate the transform from the field map'
+  );
+});
+
+test('DataCloudQueryService.executeGroupedQuery - should count records per group with filters applied', async t => {
+  let executedSql;
+  const mockAppLinkSdk = {
+    applink: {
+      getAuthorization: async () => ({
+        dataCloudApi: {
+          query: async sql => {
+            executedSql = sql;
+            return {
+              data: [
+                ['login', 12],
+                ['logout', 4],
+              ],
+            };
+          },
+        },
+      }),
+    },
+  };
+  const service = new DataCloudQueryService(
+    mockAppLinkSdk,
+    'test-connection',
+    { info: () => {}, error: () => {} },
+    { maxPageSize: 50 }
+  );
+
+  const result = await service.executeGroupedQuery(
+    userEngagementQuery,
+    'eventName',
+    { entityType: 'Page' },
+    { limit: 500 }
+  );
+
+  t.equal(result.success, true);
+  t.equal(
+    executedSql,
+    'SELECT EventName__c AS group_value, COUNT(*) AS record_count FROM UserEngagement__dlm ' +
+      "WHERE EntityType__c = 'Page' GROUP BY EventName__c " +
+      'ORDER BY record_count DESC, EventName__c LIMIT 50',
+    'Should apply the named filters and cap the number of groups'
+  );
+  t.same(result.records, [
+    { eventName: 'login', count: 12 },
+    { eventName: 'logout', count: 4 },
+  ]);
+  t.equal(result.metadata.groupBy, 'eventName');
+  t.equal(result.metadata.hasMore, false);
+});
+
+test('DataCloudQueryService.executeQuery - should page through field map queries with cursors', async t => {
+  const rows = [['1'], ['2'], ['3'], ['4'], ['5']];
+  const executed = [];
+  const mockAppLinkSdk = {
+    applink: {
+      getAuthorization: async () => ({
+        dataCloudApi: {
+          query: async sql => {
+            executed.push(sql);
+            const [, limit, offset = 0] = sql.match(
+              /LIMIT (\d+)(?: OFFSET (\d+))?$/
+            );
+            return {
+              data: rows.slice(Number(offset), Number(offset) + Number(limit)),
+            };
+          },
+        },
+      }),
+    },
+  };
+
+  const service = new DataCloudQueryService(
+    mockAppLinkSdk,
+    'test-connection',
+    { info: () => {}, error: () => {} },
+    { maxPageSize: 2 }
+  );
+  const definition = {
+    table: 'TestTable',
+    fields: [{ column: 'Id', property: 'id' }],
+    orderBy: 'Id',
+  };
+
+  const first = await service.executeQuery(definition, {}, { limit: 10 });
+  t.equal(
+    executed[0],
+    'SELECT Id FROM TestTable ORDER BY Id LIMIT 3',
+    'Should cap the page size and fetch one extra row'
+  );
+  t.same(first.records, [{ id: '1' }, { id: '2' }], 'Should return one page');
+  t.equal(first.metadata.limit, 2, 'Should report the page size');
+  t.equal(first.metadata.hasMore, true, 'Should report more pages');
+  t.type(first.metadata.nextCursor, 'string', 'Should return a cursor');
+
+  const second = await service.executeQuery(
+    definition,
+    {},
+    { cursor: first.metadata.nextCursor }
+  );
+  t.match(executed[1], /LIMIT 3 OFFSET 2$/, 'Should offset by the cursor');
+  t.same(second.records, [{ id: '3' }, { id: '4' }], 'Should return page 2');
+
+  const third = await service.executeQuery(
+    definition,
+    {},
+    { cursor: second.metadata.nextCursor }
+  );
+  t.same(third.records, [{ id: '5' }], 'Should return the last page');
+  t.equal(third.metadata.hasMore, false, 'Should report no more pages');
+  t.equal(third.metadata.nextCursor, null, 'Should not return a cursor');
+
+  await t.rejects(
+    service.executeQuery(
+      definition,
+      { filter: { field: 'id', op: 'eq', value: '1' } },
+      { cursor: first.metadata.nextCursor }
+    ),
+    { statusCode: 400 },
+    'Should reject a cursor issued for different filters'
+  );
+});
+
+test('DataCloudQueryService.executeQuery - should query the requested data space', async t => {
+  const requests = [];
+  const mockAppLinkSdk = {
+    applink: {
+      getAuthorization: async () => ({
+        domainUrl: 'https://tenant.c360a.salesforce.com',
+        accessToken: 'token',
+        dataCloudApi: {
+          query: async () => t.fail('Should not use the default data space'),
+        },
+        request: async (url, opts) => {
+          requests.push({ url, opts });
+          return { data: [['1']] };
+        },
+      }),
+    },
+  };
+
+  const service = new DataCloudQueryService(
+    mockAppLinkSdk,
+    'test-connection',
+    { info: () => {}, error: () => {} },
+    { dataSpace: 'Sales_EU' }
+  );
+
+  const result = await service.executeQuery({
+    table: 'TestTable',
+    fields: [{ column: 'Id', property: 'id' }],
+  });
+
+  t.equal(result.success, true, 'Should execute successfully');
+  t.equal(
+    requests[0].url,
+    'https://tenant.c360a.salesforce.com/api/v2/query?dataspace=Sales_EU',
+    'Should pass the data space to the query API'
+  );
+  t.match(
+    JSON.parse(requests[0].opts.body).sql,
+    /^SELECT Id FROM TestTable LIMIT \d+$/,
+    'Should send the SQL in the request body'
+  );
+  t.equal(
+    result.metadata.dataSpace,
+    'Sales_EU',
+    'Should echo the data space in metadata'
+  );
+});
+
+test('DataCloudQueryService.getMetadata - should scope metadata calls to the data space', async t => {
+  const urls = [];
+  const mockAppLinkSdk = {
+    applink: {
+      getAuthorization: async () => ({
+        domainUrl: 'https://tenant.c360a.salesforce.com',
+        accessToken: 'token',
+        request: async url => {
+          urls.push(url);
+          return { metadata: [{ name: 'Account__dlm' }] };
+        },
+      }),
+    },
+  };
+  const logger = { info: () => {}, error: () => {} };
+
+  const defaultService = new DataCloudQueryService(
+    mockAppLinkSdk,
+    'test-connection',
+    logger
+  );
+  const models = await defaultService.getMetadata({
+    entityType: 'DataModelObject',
+    entityCategory: 'Profile',
+  });
+
+  const spaceService = new DataCloudQueryService(
+    mockAppLinkSdk,
+    'test-connection',
+    logger,
+    { dataSpace: 'Sales_EU' }
+  );
+  await spaceService.getMetadata({ entityType: 'DataModelObject' });
+
+  t.same(models, [{ name: 'Account__dlm' }], 'Should return metadata entries');
+  t.equal(
+    urls[0],
+    'https://tenant.c360a.salesforce.com/api/v1/metadata?entityType=DataModelObject&entityCategory=Profile',
+    'Should not send a data space for the default data space'
+  );
+  t.equal(
+    urls[1],
+    'https://tenant.c360a.salesforce.com/api/v1/metadata?entityType=DataModelObject&dataspace=Sales_EU',
+    'Should send the requested data space'
+  );
+});
+
+test('DataCloudQueryService.getModel - should return the normalized model or a 404', async t => {
+  const urls = [];
+  const mockAppLinkSdk = {
+    applink: {
+      getAuthorization: async () => ({
+        domainUrl: 'https://tenant.c360a.salesforce.com',
+        accessToken: 'token',
+        request: async url => {
+          urls.push(url);
+          return url.includes('entityName=ssot__Individual__dlm')
+            ? {
+                metadata: [
+                  {
+                    name: 'ssot__Individual__dlm',
+                    displayName: 'Individual',
+                    category: 'Profile',
+                    fields: [{ name: 'ssot__Id__c', type: 'STRING' }],
+                    primaryKeys: [{ name: 'ssot__Id__c', indexOrder: '1' }],
+                  },
+                ],
+              }
+            : { metadata: [] };
+        },
+      }),
+    },
+  };
+  const service = new DataCloudQueryService(
+    mockAppLinkSdk,
+    'test-connection',
+    { info: () => {}, error: () => {} },
+    { dataSpace: 'Sales_EU' }
+  );
+
+  const model = await service.getModel('ssot__Individual__dlm');
+  t.equal(
+    urls[0],
+    'https://tenant.c360a.salesforce.com/api/v1/metadata?entityType=DataModelObject&entityName=ssot__Individual__dlm&dataspace=Sales_EU',
+    'Should request only the named DMO'
+  );
+  t.equal(model.label, 'Individual');
+  t.same(model.primaryKey, ['ssot__Id__c']);
+  t.equal(model.fields[0].isPrimaryKey, true);
+
+  await t.rejects(
+    service.getModel('Missing__dlm'),
+    { statusCode: 404, type: 'unknown_object', message: /Sales_EU/ },
+    'Should report a missing DMO as unknown_object'
+  );
+});
+
+test('DataCloudQueryService.listEntities - should normalize entities of the requested type', async t => {
+  const urls = [];
+  const mockAppLinkSdk = {
+    applink: {
+      getAuthorization: async () => ({
+        domainUrl: 'https://tenant.c360a.salesforce.com',
+        accessToken: 'token',
+        request: async url => {
+          urls.push(url);
+          return {
+            metadata: [
+              {
+                name: 'Spend__cio',
+                dimensions: [{ name: 'Id__c' }],
+                measures: [{ name: 'Total__c', type: 'NUMBER' }],
+              },
+            ],
+          };
+        },
+      }),
+    },
+  };
+  const service = new DataCloudQueryService(mockAppLinkSdk, 'test-connection', {
+    info: () => {},
+    error: () => {},
+  });
+
+  const insights = await service.listEntities('CalculatedInsight', {
+    entityName: 'Spend__cio',
+  });
+  t.equal(
+    urls[0],
+    'https://tenant.c360a.salesforce.com/api/v1/metadata?entityType=CalculatedInsight&entityName=Spend__cio'
+  );
+  t.equal(insights.length, 1);
+  t.same(insights[0].primaryKey, ['Id__c']);
+  t.equal(insights[0].measures[0].type, 'NUMBER');
+
+  await t.rejects(
+    service.getEntity('DataLakeObject', 'Missing__dll'),
+    { statusCode: 404, message: /^Data lake object 'Missing__dll'/ },
+    'Should name the entity type of a missing entity'
+  );
+});
+
+test('DataCloudQueryService.executeQuery - should serve repeated queries from the result cache', async t => {
+  const { default: ResultCache } =
+    await import('../../src/lib/result-cache.js');
+  let queries = 0;
+  const mockAppLinkSdk = {
+    applink: {
+      getAuthorization: async () => ({
+        dataCloudApi: {
+          query: async () => {
+            queries += 1;
+            return { data: [{ Id: '1', Name: 'Test' }] };
+          },
+        },
+      }),
+    },
+  };
+  const logger = { info: () => {}, error: () => {} };
+  const cache = new ResultCache({ ttlSeconds: 60 });
+
+  const first = await new DataCloudQueryService(
+    mockAppLinkSdk,
+    'test-connection',
+    logger,
+    { cache }
+  ).executeQuery(mockQueryObject);
+  const second = await new DataCloudQueryService(
+    mockAppLinkSdk,
+    'test-connection',
+    logger,
+    { cache }
+  ).executeQuery(mockQueryObject);
+  const bypassed = await new DataCloudQueryService(
+    mockAppLinkSdk,
+    'test-connection',
+    logger,
+    { cache, bypassCache: true }
+  ).executeQuery(mockQueryObject);
+
+  t.equal(first.metadata.cache, 'miss', 'First query should be a miss');
+  t.equal(second.metadata.cache, 'hit', 'Second query should be a hit');
+  t.equal(bypassed.metadata.cache, 'bypass', 'Bypass should skip the cache');
+  t.equal(queries, 2, 'Should query Data Cloud only for miss and bypass');
+  t.same(second.records, first.records, 'Should return the same records');
+
+  const uncached = await new DataCloudQueryService(
+    mockAppLinkSdk,
+    'test-connection',
+    logger
+  ).executeQuery(mockQueryObject);
+  t.equal(
+    uncached.metadata.cache,
+    'bypass',
+    'Should report bypass when no cache is configured'
+  );
+});
+
+test('DataCloudQueryService.isCacheBypassed - should detect bypass headers', async t => {
+  t.ok(
+    DataCloudQueryService.isCacheBypassed({
+      headers: { 'cache-control': 'no-cache' },
+    }),
+    'Should honor Cache-Control: no-cache'
+  );
+  t.ok(
+    DataCloudQueryService.isCacheBypassed({
+      headers: { 'x-cache-bypass': 'true' },
+    }),
+    'Should honor X-Cache-Bypass: true'
+  );
+  t.notOk(
+    DataCloudQueryService.isCacheBypassed({ headers: {} }),
+    'Should use the cache by default'
+  );
+});
+
+test('DataCloudQueryService.executeQuery - should use the connection manager and retry on 401', async t => {
+  const { default: ConnectionManager } =
+    await import('../../src/lib/connection-manager.js');
+  let authorizations = 0;
+  const applink = {
+    getAuthorization: async () => {
+      authorizations += 1;
+      const token = authorizations;
+      return {
+        dataCloudApi: {
+          query: async () => {
+            if (token === 1) {
+              const err = new Error('HTTP Error Response: 401: Unauthorized');
+              err.response = { status: 401 };
+              throw err;
+            }
+            return { data: [{ Id: '1', Name: 'Test' }] };
+          },
+        },
+      };
+    },
+  };
+  const logger = { info: () => {}, error: () => {} };
+  const connectionManager = new ConnectionManager({ applink, logger });
+
+  const service = new DataCloudQueryService(null, 'test-connection', logger, {
+    connectionManager,
+  });
+  const result = await service.executeQuery(mockQueryObject);
+
+  t.equal(result.success, true, 'Should succeed after refreshing');
+  t.equal(authorizations, 2, 'Should refresh the rejected authorization');
+
+  await new DataCloudQueryService(null, 'test-connection', logger, {
+    connectionManager,
+  }).executeQuery(mockQueryObject);
+  t.equal(authorizations, 2, 'Should share the authorization across requests');
+});
+
+test('DataCloudQueryService.executeQuery - should retry transient errors and report error types', async t => {
+  const { default: RetryPolicy } =
+    await import('../../src/lib/retry-policy.js');
+  const retryPolicy = new RetryPolicy({ sleep: async () => {} });
+  const httpError = (status, headers = {}) =>
+    Object.assign(new Error(`HTTP Error Response: ${status}: Error`), {
+      response: { status, headers: new Map(Object.entries(headers)) },
+    });
+
+  let calls = 0;
+  const flakySdk = {
+    applink: {
+      getAuthorization: async () => ({
+        dataCloudApi: {
+          query: async () => {
+            calls += 1;
+            if (calls === 1) {
+              throw httpError(503);
+            }
+            return { data: [{ Id: '1', Name: 'Test' }] };
+          },
+        },
+      }),
+    },
+  };
+  const logger = { info: () => {}, error: () => {} };
+
+  const service = new DataCloudQueryService(flakySdk, 'test', logger, {
+    retryPolicy,
+  });
+  const result = await service.executeQuery(mockQueryObject);
+  t.equal(result.success, true, 'Should succeed after a retry');
+  t.equal(calls, 2, 'Should retry the 503 once');
+
+  const limitedSdk = {
+    applink: {
+      getAuthorization: async () => ({
+        dataCloudApi: {
+          query: async () => {
+            throw httpError(429, { 'retry-after': '120' });
+          },
+        },
+      }),
+    },
+  };
+  const limited = await new DataCloudQueryService(limitedSdk, 'test', logger, {
+    retryPolicy,
+  }).executeQuery(mockQueryObject);
+
+  t.equal(limited.success, false, 'Should fail');
+  t.equal(limited.errorType, 'rate_limited', 'Should report the error type');
+  t.equal(limited.statusCode, 429, 'Should report a 429');
+  t.equal(limited.retryAfter, 120, 'Should pass Retry-After on');
+});
+
+test('DataCloudQueryService.executeQuery - should time out slow queries', async t => {
+  const hangingSdk = {
+    applink: {
+      getAuthorization: async () => ({
+        dataCloudApi: { query: () => new Promise(() => {}) },
+      }),
+    },
+  };
+  const logger = { info: () => {}, error: () => {} };
+
+  const service = new DataCloudQueryService(hangingSdk, 'test', logger, {
+    queryTimeoutMs: 20,
+  });
+  const result = await service.executeQuery(mockQueryObject);
+
+  t.equal(result.success, false, 'Should fail');
+  t.equal(result.errorType, 'query_timeout', 'Should report a query timeout');
+  t.equal(result.statusCode, 504, 'Should map to 504');
+  t.ok(result.metadata.elapsedMs >= 20, 'Should report the elapsed time');
+  t.equal(result.metadata.timeoutMs, 20, 'Should report the timeout');
+
+  const perQuery = await service.executeQuery({
+    ...mockQueryObject,
+    timeoutMs: 5,
+  });
+  t.equal(perQuery.metadata.timeoutMs, 5, 'Should use the per-query timeout');
+
+  const raw = await service.executeRawQuery('SELECT 1', null, {
+    timeoutMs: 5,
+  });
+  t.equal(raw.errorType, 'query_timeout', 'Should time out raw queries');
+});
+
+test('DataCloudQueryService.executeQuery - should cancel queries when the caller aborts', async t => {
+  let requestSignal;
+  const sdk = {
+    applink: {
+      getAuthorization: async () => ({
+        domainUrl: 'https://dc.example.com',
+        request: async (url, opts) => {
+          requestSignal = opts.signal;
+          return await new Promise((resolve, reject) => {
+            opts.signal.addEventListener('abort', () =>
+              reject(opts.signal.reason)
+            );
+          });
+        },
+      }),
+    },
+  };
+  const logger = { info: () => {}, error: () => {} };
+  const controller = new AbortController();
+
+  const service = new DataCloudQueryService(sdk, 'test', logger, {
+    dataSpace: 'Sales_EU',
+    signal: controller.signal,
+  });
+  const pending = service.executeQuery(mockQueryObject);
+  setTimeout(() => controller.abort(new Error('Client went away')), 5);
+  const result = await pending;
+
+  t.ok(requestSignal.aborted, 'Should abort the HTTP request');
+  t.equal(result.success, false);
+  t.equal(result.errorType, 'cancelled', 'Should report a cancellation');
+  t.match(result.message, /Client went away/);
+});
+
+test('DataCloudQueryService.executeRawQuery - should report the result columns', async t => {
+  const sdk = {
+    applink: {
+      getAuthorization: async () => ({
+        dataCloudApi: {
+          query: async () => ({
+            data: [['1', 'Acme']],
+            metadata: {
+              ssot__Name__c: { placeInOrder: 1, type: 'VARCHAR' },
+              ssot__Id__c: { placeInOrder: 0, type: 'VARCHAR' },
+            },
+          }),
+        },
+      }),
+    },
+  };
+  const service = new DataCloudQueryService(sdk, 'test', {
+    info: () => {},
+    error: () => {},
+  });
+
+  const raw = await service.executeRawQuery('SELECT 1');
+  t.same(raw.records, [['1', 'Acme']], 'Should return the raw rows');
+  t.same(raw.metadata.columns, [
+    { name: 'ssot__Id__c', type: 'VARCHAR' },
+    { name: 'ssot__Name__c', type: 'VARCHAR' },
+  ]);
+
+  const transformed = await service.executeRawQuery(
+    'SELECT 1',
+    (records, columnMetadata) =>
+      records.map(record => ({
+        name: record[columnMetadata.ssot__Name__c.placeInOrder],
+      }))
+  );
+  t.same(
+    transformed.records,
+    [{ name: 'Acme' }],
+    'Should pass the column metadata to the transform'
+  );
+});
+
+test('DataCloudQueryService.streamQuery - should stream every page without caching it', async t => {
+  const { default: ResultCache } =
+    await import('../../src/lib/result-cache.js');
+  const rows = [['1'], ['2'], ['3'], ['4'], ['5']];
+  const executed = [];
+  const mockAppLinkSdk = {
+    applink: {
+      getAuthorization: async () => ({
+        dataCloudApi: {
+          query: async sql => {
+            executed.push(sql);
+            const [, limit, offset = 0] = sql.match(
+              /LIMIT (\d+)(?: OFFSET (\d+))?$/
+            );
+            if (Number(offset) >= 4) {
+              throw Object.assign(new Error('Syntax error at OFFSET'), {
+                response: { status: 400, headers: new Map() },
+              });
+            }
+            return {
+              data: rows.slice(Number(offset), Number(offset) + Number(limit)),
+            };
+          },
+        },
+      }),
+    },
+  };
+  const cache = new ResultCache({ ttlSeconds: 60 });
+  const service = new DataCloudQueryService(
+    mockAppLinkSdk,
+    'test-connection',
+    { info: () => {}, error: () => {} },
+    { maxPageSize: 2, cache }
+  );
+  const definition = {
+    table: 'TestTable',
+    fields: [{ column: 'Id', property: 'id' }],
+    orderBy: 'Id',
+  };
+
+  const pages = service.streamQuery(definition);
+  t.same((await pages.next()).value, [{ id: '1' }, { id: '2' }]);
+  t.equal(executed.length, 1, 'Should fetch pages only as they are consumed');
+  t.same((await pages.next()).value, [{ id: '3' }, { id: '4' }]);
+  t.match(executed[1], /LIMIT 3 OFFSET 2$/, 'Should follow the cursor');
+  await t.rejects(
+    pages.next(),
+    { statusCode: 400, type: 'invalid_sql' },
+    'Should throw the classified error of a failed page'
+  );
+  t.equal(cache.store.size, 0, 'Should not cache streamed pages');
+
+  const records = [];
+  for await (const page of service.streamQuery(definition, {}, { limit: 1 })) {
+    records.push(...page);
+    if (records.length === 3) break;
+  }
+  t.same(records, [{ id: '1' }, { id: '2' }, { id: '3' }]);
+});
+
+test('DataCloudQueryService.executeQuery - should check SQL against the schema registry', async t => {
+  const { default: SchemaRegistry } =
+    await import('../../src/lib/schema-registry.js');
+  let queries = 0;
+  let metadataAvailable = true;
+  const mockAppLinkSdk = {
+    applink: {
+      getAuthorization: async () => ({
+        domainUrl: 'https://tenant.c360a.salesforce.com',
+        accessToken: 'token',
+        request: async url => {
+          if (!metadataAvailable) {
+            throw new Error('Metadata unavailable');
+          }
+          return url.includes('entityType=DataModelObject')
+            ? {
+                metadata: [
+                  { name: 'TestTable__dlm', fields: [{ name: 'Id__c' }] },
+                ],
+              }
+            : { metadata: [] };
+        },
+        dataCloudApi: {
+          query: async () => {
+            queries += 1;
+            return { data: [['1']] };
+          },
+        },
+      }),
+    },
+  };
+  const service = new DataCloudQueryService(
+    mockAppLinkSdk,
+    'test-connection',
+    { info: () => {}, error: () => {} },
+    {
+      schemaRegistry: new SchemaRegistry(),
+      retryPolicy: { execute: operation => operation() },
+    }
+  );
+
+  const valid = await service.executeQuery({
+    table: 'TestTable__dlm',
+    fields: [{ column: 'Id__c', property: 'id' }],
+  });
+  t.equal(valid.success, true);
+
+  await t.rejects(
+    service.executeQuery({
+      table: 'TestTable__dlm',
+      fields: [{ column: 'Idd__c', property: 'id' }],
+    }),
+    {
+      statusCode: 400,
+      type: 'unknown_reference',
+      message:
+        "Unknown column 'Idd__c' in TestTable__dlm (did you mean Id__c?)",
+    },
+    'Should reject unknown columns before querying'
+  );
+  await t.rejects(service.executeRawQuery('SELECT Id__c FROM TestTabel__dlm'), {
+    type: 'unknown_reference',
+    message: /did you mean TestTable__dlm/,
+  });
+  t.equal(queries, 1, 'Should not send rejected SQL');
+
+  metadataAvailable = false;
+  const unchecked = await new DataCloudQueryService(
+    mockAppLinkSdk,
+    'other-connection',
+    { info: () => {}, error: () => {} },
+    { schemaRegistry: new SchemaRegistry() }
+  ).executeRawQuery('SELECT Idd__c FROM TestTable__dlm');
+  t.equal(unchecked.success, true, 'Should send SQL when metadata fails');
+});
@@ -0,0 +1,204 @@
+import { test } from 'tap';
+import DataCloudQueryService from '../../src/lib/data-cloud-query-service.js';
+import {
+  FunnelAnalysis,
+  analyzeEngagementFunnel,
+  buildFunnelFilter,
+  matchSession,
+} from '../../src/lib/engagement-funnel.js';
+import { buildWhereClause } from '../../src/lib/sql/filter-builder.js';
+import { engagementFunnelEventQuery } from '../../src/lib/sql/queries.js';
+
+const at = seconds => new Date(Date.UTC(2024, 0, 1, 0, 0, seconds)).toJSON();
+const event = (clientSession, eventName, seconds) => ({
+  clientSession,
+  eventName,
+  createdDate: at(seconds),
+});
+
+test('buildFunnelFilter - should select the step events of sessions in the window', async t => {
+  const filterNode = buildFunnelFilter({
+    steps: ['view', 'cart', 'view'],
+    createdFrom: '2024-01-01',
+  });
+
+  t.equal(
+    buildWhereClause(filterNode, engagementFunnelEventQuery.filterFields),
+    "EventName__c IN ('view', 'cart') AND ClientSession__c IS NOT NULL " +
+      "AND CreatedDate__c >= '2024-01-01T00:00:00.000Z'"
+  );
+});
+
+test('matchSession - should match steps in order', async t => {
+  const steps = ['view', 'cart', 'checkout'];
+
+  t.same(
+    matchSession(
+      [
+        event('s', 'cart', 0),
+        event('s', 'view', 10),
+        event('s', 'cart', 20),
+        event('s', 'checkout', 50),
+      ],
+      steps
+    ),
+    [10000, 20000, 50000].map(ms => Date.UTC(2024, 0, 1) + ms),
+    'Should ignore steps before the first step'
+  );
+  t.same(
+    matchSession([event('s', 'cart', 0), event('s', 'checkout', 5)], steps),
+    [],
+    'Should not count sessions without the first step'
+  );
+  t.equal(
+    matchSession([event('s', 'view', 0), event('s', 'checkout', 5)], steps)
+      .length,
+    1,
+    'Should stop at the first missing step'
+  );
+});
+
+test('matchSession - should only count steps within the maximum gap', async t => {
+  const steps = ['view', 'cart'];
+  const events = [
+    event('s', 'view', 0),
+    event('s', 'view', 100),
+    event('s', 'cart', 130),
+  ];
+
+  t.equal(
+    matchSession(events, steps, 60000).length,
+    2,
+    'Retries from a later first step'
+  );
+  t.equal(
+    matchSession([event('s', 'view', 0), event('s', 'cart', 130)], steps, 60000)
+      .length,
+    1
+  );
+});
+
+test('FunnelAnalysis - should report sessions, conversion and median times per step', async t => {
+  const analysis = new FunnelAnalysis(['view', 'cart', 'checkout']);
+  for (const item of [
+    event('a', 'view', 0),
+    event('a', 'cart', 10),
+    event('a', 'checkout', 20),
+    event('b', 'view', 0),
+    event('b', 'cart', 30),
+    event('c', 'view', 0),
+    event('d', 'view', 0),
+    event('d', 'cart', 20),
+  ]) {
+    analysis.add(item);
+  }
+
+  const funnel = analysis.finish();
+
+  t.equal(funnel.sessionCount, 4);
+  t.same(funnel.steps, [
+    {
+      step: 1,
+      eventName: 'view',
+      sessions: 4,
+      conversionRate: null,
+      overallConversionRate: 100,
+      dropOffRate: null,
+      medianSecondsFromPrevious: null,
+    },
+    {
+      step: 2,
+      eventName: 'cart',
+      sessions: 3,
+      conversionRate: 75,
+      overallConversionRate: 75,
+      dropOffRate: 25,
+      medianSecondsFromPrevious: 20,
+    },
+    {
+      step: 3,
+      eventName: 'checkout',
+      sessions: 1,
+      conversionRate: 33.33,
+      overallConversionRate: 25,
+      dropOffRate: 66.67,
+      medianSecondsFromPrevious: 10,
+    },
+  ]);
+});
+
+test('FunnelAnalysis - should leave out the last session of incomplete events', async t => {
+  const analysis = new FunnelAnalysis(['view', 'cart']);
+  analysis.add(event('a', 'view', 0));
+  analysis.add(event('b', 'view', 0));
+
+  const funnel = analysis.finish({ complete: false });
+
+  t.equal(funnel.sessionCount, 1);
+  t.equal(funnel.steps[0].sessions, 1);
+  t.equal(funnel.steps[1].conversionRate, 0);
+});
+
+test('analyzeEngagementFunnel - should stream session events through the funnel', async t => {
+  const queries = [];
+  const mockAppLinkSdk = {
+    applink: {
+      getAuthorization: async () => ({
+        dataCloudApi: {
+          query: async sql => {
+            queries.push(sql);
+            return sql.includes('OFFSET')
+              ? {
+                  data: [
+                    ['b', '2024-01-01T00:00:00Z', 'view'],
+                    ['b', '2024-01-01T00:01:00Z', 'cart'],
+                  ],
+                }
+              : {
+                  data: [
+                    ['a', '2024-01-01T00:00:00Z', 'view'],
+                    ['a', '2024-01-01T00:00:30Z', 'cart'],
+                    ['b', '2024-01-01T00:00:00Z', 'view'],
+                  ],
+                };
+          },
+        },
+      }),
+    },
+  };
+  const service = new DataCloudQueryService(
+    mockAppLinkSdk,
+    'test-connection',
+    { info: () => {}, error: () => {} },
+    { maxPageSize: 2 }
+  );
+
+  const funnel = await analyzeEngagementFunnel(service, {
+    steps: ['view', 'cart'],
+    createdFrom: '2024-01-01',
+  });
+
+  t.match(
+    queries[0],
+    /^SELECT ClientSession__c, CreatedDate__c, EventName__c FROM UserEngagement__dlm WHERE EventName__c IN \('view', 'cart'\) .* ORDER BY ClientSession__c, CreatedDate__c, EventIdentifier__c LIMIT 3$/
+  );
+  t.equal(queries.length, 2, 'Should read the events page by page');
+  t.equal(funnel.eventCount, 4);
+  t.equal(funnel.truncated, false);
+  t.equal(funnel.sessionCount, 2);
+  t.match(funnel.steps[1], {
+    sessions: 2,
+    conversionRate: 100,
+    medianSecondsFromPrevious: 45,
+  });
+
+  await t.rejects(
+    analyzeEngagementFunnel(service, {
+      steps: ['view', 'cart'],
+      createdTo: 'tomorrow',
+    }),
+    { statusCode: 400, type: 'invalid_filter' },
+    'Should reject invalid time windows before querying'
+  );
+  t.equal(queries.length, 2);
+});
@@ -0,0 +1,94 @@
+import { test } from 'tap';
+import {
+  AppError,
+  PROBLEM_TYPE_PREFIX,
+  toProblemDetails,
+} from '../../src/lib/errors.js';
+import { FilterValidationError } from '../../src/lib/sql/filter-builder.js';
+import { InvalidCursorError } from '../../src/lib/pagination.js';
+import {
+  DataCloudError,
+  ERROR_TYPES,
+} from '../../src/lib/data-cloud-errors.js';
+
+const requestDetails = {
+  instance: '/datacloud/analysis/engagement',
+  correlationId: 'req-123',
+};
+
+test('toProblemDetails - should describe application errors', async t => {
+  const problem = toProblemDetails(
+    new FilterValidationError("Field 'secret' cannot be filtered"),
+    requestDetails
+  );
+
+  t.same(problem, {
+    type: `${PROBLEM_TYPE_PREFIX}invalid_filter`,
+    title: 'Invalid filter',
+    status: 400,
+    detail: "Field 'secret' cannot be filtered",
+    instance: '/datacloud/analysis/engagement',
+    correlationId: 'req-123',
+    errorType: 'invalid_filter',
+  });
+});
+
+test('toProblemDetails - should only include SQL in debug mode', async t => {
+  const error = new DataCloudError(ERROR_TYPES.INVALID_SQL, 'Syntax error', {
+    sql: 'SELECT FORM Foo__dlm',
+  });
+
+  const problem = toProblemDetails(error, requestDetails);
+  t.equal(problem.status, 400);
+  t.equal(problem.errorType, 'invalid_sql');
+  t.notOk('sql' in problem, 'Should hide SQL by default');
+
+  const debugProblem = toProblemDetails(error, {
+    ...requestDetails,
+    debug: true,
+  });
+  t.equal(debugProblem.sql, 'SELECT FORM Foo__dlm', 'Should show SQL in debug');
+});
+
+test('toProblemDetails - should describe other errors by status code', async t => {
+  const validation = Object.assign(
+    new Error('querystring/limit must be >= 1'),
+    {
+      statusCode: 400,
+      validation: [],
+    }
+  );
+  t.equal(toProblemDetails(validation).errorType, 'invalid_request');
+  t.equal(toProblemDetails(validation).title, 'Bad Request');
+
+  const unexpected = toProblemDetails(new Error('Boom'));
+  t.equal(unexpected.status, 500, 'Should default to 500');
+  t.equal(unexpected.errorType, 'internal');
+  t.equal(unexpected.title, 'Internal Server Error');
+});
+
+test('AppError - should be the base of typed errors', async t => {
+  t.ok(new FilterValidationError('x') instanceof AppError);
+  t.ok(new InvalidCursorError('x') instanceof AppError);
+  t.ok(new DataCloudError(ERROR_TYPES.TIMEOUT, 'x') instanceof AppError);
+  t.equal(new InvalidCursorError('x').type, 'invalid_cursor');
+});
+
+test('DataCloudError.fromResult - should recreate failed query results', async t => {
+  const error = DataCloudError.fromResult({
+    success: false,
+    message: 'Slow down',
+    errorType: 'rate_limited',
+    retryAfter: 30,
+    query: 'SELECT 1',
+  });
+
+  t.equal(error.statusCode, 429);
+  t.equal(error.retryAfterSeconds, 30);
+  t.equal(error.sql, 'SELECT 1');
+  t.equal(
+    DataCloudError.fromResult({ message: 'Boom' }).type,
+    'internal',
+    'Should default to an internal error'
+  );
+});
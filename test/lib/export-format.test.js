@@ -0,0 +1,115 @@
+import { test } from 'tap';
+import {
+  createExportStream,
+  resolveExportFormat,
+  toCsvField,
+} from '../../src/lib/export-format.js';
+
+async function* pagesOf(...pages) {
+  yield* pages;
+}
+
+async function readAll(stream) {
+  let text = '';
+  for await (const chunk of stream) {
+    text += chunk;
+  }
+  return text;
+}
+
+test('resolveExportFormat - should prefer the format parameter over Accept', async t => {
+  t.equal(resolveExportFormat('csv', 'application/x-ndjson'), 'csv');
+  t.equal(resolveExportFormat('json', 'text/csv'), 'json');
+});
+
+test('resolveExportFormat - should negotiate the format from Accept', async t => {
+  t.equal(resolveExportFormat(undefined, 'application/x-ndjson'), 'ndjson');
+  t.equal(resolveExportFormat(undefined, 'text/csv; charset=utf-8'), 'csv');
+  t.equal(
+    resolveExportFormat(undefined, 'application/json, text/csv'),
+    'json',
+    'Should use the first supported media type'
+  );
+  t.equal(resolveExportFormat(undefined, 'text/html, */*'), 'json');
+  t.equal(resolveExportFormat(undefined, undefined), 'json');
+});
+
+test('toCsvField - should quote fields that need it', async t => {
+  t.equal(toCsvField('plain'), 'plain');
+  t.equal(toCsvField('Acme, Inc.'), '"Acme, Inc."');
+  t.equal(toCsvField('say "hi"'), '"say ""hi"""');
+  t.equal(toCsvField('two\nlines'), '"two\nlines"');
+  t.equal(toCsvField(42), '42');
+  t.equal(toCsvField(false), 'false');
+  t.equal(toCsvField(null), '');
+  t.equal(toCsvField(undefined), '');
+  t.equal(toCsvField({ a: 1 }), '"{""a"":1}"');
+});
+
+test('toCsvField - should neutralize text that spreadsheets would read as a formula', async t => {
+  t.equal(
+    toCsvField('=HYPERLINK("http://x","Acme")'),
+    '"\'=HYPERLINK(""http://x"",""Acme"")"'
+  );
+  t.equal(toCsvField('+1+1'), '"\'+1+1"');
+  t.equal(toCsvField('-2+3'), '"\'-2+3"');
+  t.equal(toCsvField('@SUM(A1)'), '"\'@SUM(A1)"');
+  t.equal(toCsvField('\tcmd'), '"\'\tcmd"');
+  t.equal(toCsvField('\rcmd'), '"\'\rcmd"');
+  t.equal(toCsvField(-5), '-5', 'Numbers are not text');
+  t.equal(toCsvField('Acme = ACME'), 'Acme = ACME');
+});
+
+test('createExportStream - should stream records as NDJSON', async t => {
+  const stream = await createExportStream(
+    pagesOf([{ id: '1' }, { id: '2' }], [{ id: '3' }]),
+    'ndjson',
+    ['id']
+  );
+
+  t.equal(
+    await readAll(stream),
+    '{"id":"1"}\n{"id":"2"}\n{"id":"3"}\n',
+    'Should write one JSON record per line'
+  );
+});
+
+test('createExportStream - should stream records as CSV with a header row', async t => {
+  const stream = await createExportStream(
+    pagesOf([{ id: '1', name: 'Acme, Inc.' }], [{ id: '2', name: null }]),
+    'csv',
+    ['id', 'name']
+  );
+
+  t.equal(await readAll(stream), 'id,name\r\n1,"Acme, Inc."\r\n2,\r\n');
+});
+
+test('createExportStream - should write only the header for an empty result', async t => {
+  const stream = await createExportStream(pagesOf(), 'csv', ['id']);
+  t.equal(await readAll(stream), 'id\r\n');
+});
+
+test('createExportStream - should reject when the first page fails', async t => {
+  async function* failing() {
+    throw new Error('Query failed');
+  }
+
+  await t.rejects(createExportStream(failing(), 'ndjson', ['id']), {
+    message: 'Query failed',
+  });
+});
+
+test('createExportStream - should send rows before later pages are fetched', async t => {
+  let fetched = 1;
+  async function* slowPages() {
+    yield [{ id: '1' }];
+    fetched += 1;
+    yield [{ id: '2' }];
+  }
+
+  const stream = await createExportStream(slowPages(), 'ndjson', ['id']);
+  const iterator = stream[Symbol.asyncIterator]();
+  t.equal(String((await iterator.next()).value), '{"id":"1"}\n');
+  t.ok(fetched <= 2, 'Should not buffer the whole result');
+  await iterator.return();
+});
@@ -0,0 +1,214 @@
+import { test } from 'tap';
+import DataCloudQueryService from '../../src/lib/data-cloud-query-service.js';
+import {
+  SOURCE_ACCOUNT_DMO,
+  defineSourceAccountQuery,
+  getTraceableFields,
+  getUnifiedAccountSources,
+  joinSources,
+  summarizeDataStreams,
+  traceFieldSources,
+} from '../../src/lib/identity-resolution.js';
+
+const sourceFields = [
+  { name: 'ssot__Id__c' },
+  { name: 'ssot__Name__c' },
+  { name: 'SSOT__ACCOUNTSOURCE__C' },
+  { name: 'ssot__CreatedDate__c' },
+];
+
+const links = [
+  {
+    sourceRecordId: 'src-1',
+    dataSourceId: 'Salesforce_CRM',
+    dataSourceObjectId: 'Account_Home',
+  },
+  {
+    sourceRecordId: 'src-2',
+    dataSourceId: 'Salesforce_CRM',
+    dataSourceObjectId: 'Account_Home',
+  },
+  {
+    sourceRecordId: 'src-3',
+    dataSourceId: 'ERP',
+    dataSourceObjectId: 'Customer_Master',
+  },
+];
+
+test('getTraceableFields - should keep the unified fields the source DMO has, ignoring case', async t => {
+  const fields = getTraceableFields(sourceFields);
+
+  t.same(
+    fields.map(field => field.property),
+    ['name', 'accountSource', 'createdDate']
+  );
+});
+
+test('defineSourceAccountQuery - should select ids, data streams and traceable fields', async t => {
+  const query = defineSourceAccountQuery(getTraceableFields(sourceFields));
+
+  t.equal(query.table, SOURCE_ACCOUNT_DMO);
+  t.equal(
+    query.buildQuery({ filter: { field: 'id', op: 'in', value: ['a', 'b'] } }),
+    'SELECT ssot__Id__c, ssot__DataSourceId__c, ssot__DataSourceObjectId__c, ' +
+      'ssot__Name__c, ssot__AccountSource__c, ssot__CreatedDate__c ' +
+      "FROM ssot__Account__dlm WHERE ssot__Id__c IN ('a', 'b') " +
+      'ORDER BY ssot__Id__c LIMIT 100'
+  );
+});
+
+test('summarizeDataStreams - should count the source records of each data stream', async t => {
+  t.same(summarizeDataStreams(links), [
+    {
+      dataSourceId: 'Salesforce_CRM',
+      dataSourceObjectId: 'Account_Home',
+      sourceRecordCount: 2,
+    },
+    {
+      dataSourceId: 'ERP',
+      dataSourceObjectId: 'Customer_Master',
+      sourceRecordCount: 1,
+    },
+  ]);
+  t.same(summarizeDataStreams([]), []);
+});
+
+test('traceFieldSources - should report the source records holding each surviving value', async t => {
+  const unified = {
+    name: 'Acme',
+    number: 'A-1',
+    accountSource: 'Web',
+    createdDate: '2024-01-01T00:00:00.000Z',
+    parentAccountId: null,
+  };
+  const sources = [
+    { id: 'src-1', name: 'Acme', accountSource: 'Web', createdDate: null },
+    { id: 'src-2', name: 'ACME Inc', accountSource: 'Web', createdDate: null },
+  ];
+
+  const fields = traceFieldSources(
+    unified,
+    sources,
+    getTraceableFields([...sourceFields, { name: 'ssot__ParentAccountId__c' }])
+  );
+  const byName = Object.fromEntries(fields.map(field => [field.name, field]));
+
+  t.notOk(byName.id, 'the unified id is not traced');
+  t.match(byName.name, {
+    column: 'ssot__Name__c',
+    value: 'Acme',
+    status: 'matched',
+    sourceRecordIds: ['src-1'],
+  });
+  t.match(byName.accountSource, {
+    status: 'ambiguous',
+    sourceRecordIds: ['src-1', 'src-2'],
+  });
+  t.match(byName.createdDate, { status: 'unmatched', sourceRecordIds: [] });
+  t.match(byName.parentAccountId, { status: 'empty', value: null });
+  t.match(byName.number, {
+    status: 'unavailable',
+    value: 'A-1',
+    sourceRecordIds: [],
+  });
+});
+
+test('joinSources - should attach source records to their links', async t => {
+  const sources = joinSources(links, [{ id: 'src-2', name: 'Acme' }]);
+
+  t.equal(sources.length, 3);
+  t.same(sources[1], {
+    sourceRecordId: 'src-2',
+    dataSourceId: 'Salesforce_CRM',
+    dataSourceObjectId: 'Account_Home',
+    record: { id: 'src-2', name: 'Acme' },
+  });
+  t.equal(sources[0].record, null);
+});
+
+test('getUnifiedAccountSources - should trace the sources of a unified account', async t => {
+  const queries = [];
+  const mockAppLinkSdk = {
+    applink: {
+      getAuthorization: async () => ({
+        domainUrl: 'https://tenant.c360a.salesforce.com',
+        accessToken: 'token',
+        request: async () => ({
+          metadata: [
+            {
+              name: 'ssot__Account__dlm',
+              fields: [
+                { name: 'ssot__Id__c' },
+                { name: 'ssot__Name__c' },
+                { name: 'ssot__DataSourceId__c' },
+                { name: 'ssot__DataSourceObjectId__c' },
+              ],
+            },
+          ],
+        }),
+        dataCloudApi: {
+          query: async sql => {
+            queries.push(sql);
+            if (sql.includes('FROM UnifiedssotAccountB2b__dlm')) {
+              return sql.includes("'missing'")
+                ? { data: [] }
+                : {
+                    data: [
+                      ['Acme', 'A-1', 'Web', null, null, null, null, 'u-1'],
+                    ],
+                  };
+            }
+            if (sql.includes('FROM UnifiedLinkssotAccountB2b__dlm')) {
+              return {
+                data: [
+                  ['src-1', 'u-1', 'Salesforce_CRM', 'Account_Home'],
+                  ['src-2', 'u-1', 'ERP', 'Customer_Master'],
+                ],
+              };
+            }
+            return {
+              data: [
+                ['src-1', 'Salesforce_CRM', 'Account_Home', 'Acme'],
+                ['src-2', 'ERP', 'Customer_Master', 'ACME Inc'],
+              ],
+            };
+          },
+        },
+      }),
+    },
+  };
+  const service = new DataCloudQueryService(
+    mockAppLinkSdk,
+    'test-connection',
+    { info: () => {}, error: () => {} },
+    { cacheTtlSeconds: 0 }
+  );
+
+  const result = await getUnifiedAccountSources(service, 'u-1');
+
+  t.match(queries[0], /WHERE ssot__Id__c = 'u-1'/);
+  t.match(queries[1], /WHERE UnifiedRecordId__c = 'u-1'/);
+  t.match(
+    queries[2],
+    /^SELECT ssot__Id__c, ssot__DataSourceId__c, ssot__DataSourceObjectId__c, ssot__Name__c FROM ssot__Account__dlm WHERE ssot__Id__c IN \('src-1', 'src-2'\)/
+  );
+  t.equal(result.unifiedAccount.id, 'u-1');
+  t.equal(result.sources.length, 2);
+  t.equal(result.sources[1].record.name, 'ACME Inc');
+  t.equal(result.dataStreams.length, 2);
+  t.equal(result.truncated, false);
+  t.match(
+    result.fields.find(field => field.name === 'name'),
+    { status: 'matched', sourceRecordIds: ['src-1'] }
+  );
+  t.equal(
+    result.fields.find(field => field.name === 'number').status,
+    'unavailable'
+  );
+
+  await t.rejects(getUnifiedAccountSources(service, 'missing'), {
+    statusCode: 404,
+    type: 'unknown_object',
+    message: /missing/,
+  });
+});
@@ -0,0 +1,119 @@
+import { test } from 'tap';
+import {
+  FileSnapshotStore,
+  MetadataSnapshots,
+  diffEntities,
+} from '../../src/lib/metadata-snapshots.js';
+
+const field = (name, type, extra = {}) => ({
+  name,
+  label: name,
+  type,
+  businessType: null,
+  isPrimaryKey: false,
+  ...extra,
+});
+
+const individual = {
+  name: 'ssot__Individual__dlm',
+  label: 'Individual',
+  category: 'Profile',
+  primaryKey: ['ssot__Id__c'],
+  fields: [
+    field('ssot__Id__c', 'STRING', { isPrimaryKey: true }),
+    field('ssot__BirthDate__c', 'DATE'),
+    field('ssot__Nickname__c', 'STRING'),
+  ],
+};
+
+test('diffEntities - should report added, removed and changed DMOs and fields', async t => {
+  const changedIndividual = {
+    ...individual,
+    category: 'Other',
+    fields: [
+      individual.fields[0],
+      field('ssot__BirthDate__c', 'DATE_TIME'),
+      field('ssot__Gender__c', 'STRING'),
+    ],
+  };
+  const account = { name: 'ssot__Account__dlm', label: 'Account', fields: [] };
+  const order = { name: 'ssot__SalesOrder__dlm', label: 'Order', fields: [] };
+
+  const diff = diffEntities([individual, account], [changedIndividual, order]);
+
+  t.same(diff.summary, { added: 1, removed: 1, changed: 1 });
+  t.same(diff.added, [{ name: 'ssot__SalesOrder__dlm', label: 'Order' }]);
+  t.same(diff.removed, [{ name: 'ssot__Account__dlm', label: 'Account' }]);
+  t.same(diff.changed, [
+    {
+      name: 'ssot__Individual__dlm',
+      changes: { category: { from: 'Profile', to: 'Other' } },
+      addedFields: [field('ssot__Gender__c', 'STRING')],
+      removedFields: [field('ssot__Nickname__c', 'STRING')],
+      changedFields: [
+        {
+          name: 'ssot__BirthDate__c',
+          changes: { type: { from: 'DATE', to: 'DATE_TIME' } },
+        },
+      ],
+    },
+  ]);
+
+  t.same(
+    diffEntities([individual], [JSON.parse(JSON.stringify(individual))])
+      .summary,
+    { added: 0, removed: 0, changed: 0 },
+    'Should report no drift for identical metadata'
+  );
+});
+
+test('MetadataSnapshots - should save, list and prune snapshots per data space', async t => {
+  const directory = t.testdir();
+  const snapshots = new MetadataSnapshots({
+    store: new FileSnapshotStore({ directory }),
+    retention: 2,
+  });
+  const serviceFor = dataSpace => ({
+    dataSpace,
+    listEntities: async entityType => {
+      t.equal(entityType, 'DataModelObject');
+      return [individual];
+    },
+  });
+
+  const first = await snapshots.capture(serviceFor('default'));
+  t.match(first, {
+    id: /^default-\d{8}T\d{9}Z-[0-9a-f]{8}$/,
+    dataSpace: 'default',
+    entityType: 'DataModelObject',
+    entityCount: 1,
+  });
+  t.same((await snapshots.get(first.id)).entities, [individual]);
+
+  // Keep createdAt distinct so the snapshots sort deterministically
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const second = await snapshots.capture(serviceFor('default'));
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const third = await snapshots.capture(serviceFor('default'));
+  await snapshots.capture(serviceFor('Sales_EU'));
+
+  t.same(
+    (await snapshots.list({ dataSpace: 'default' })).map(({ id }) => id),
+    [third.id, second.id],
+    'Should keep the newest snapshots within the retention'
+  );
+  t.equal((await snapshots.list()).length, 3);
+  t.notOk('entities' in (await snapshots.list())[0], 'Should list summaries');
+});
+
+test('MetadataSnapshots.get - should report unknown snapshots as unknown_object', async t => {
+  const snapshots = new MetadataSnapshots({
+    store: new FileSnapshotStore({ directory: t.testdir() }),
+  });
+
+  for (const id of ['default-missing', '../etc/passwd']) {
+    const err = await snapshots.get(id).catch(e => e);
+    t.match(err, { statusCode: 404, type: 'unknown_object' });
+  }
+  t.same(await snapshots.list(), [], 'Should list nothing before a save');
+});
@@ -0,0 +1,260 @@
+import { test } from 'tap';
+import DataCloudQueryService from '../../src/lib/data-cloud-query-service.js';
+import {
+  buildModelGraph,
+  getModelGraph,
+  toDot,
+  toMermaid,
+} from '../../src/lib/model-graph.js';
+
+const relationship = (fromModel, fromField, toModel, toField, cardinality) => ({
+  fromModel,
+  fromField,
+  toModel,
+  toField,
+  cardinality,
+});
+
+const models = [
+  {
+    name: 'ssot__Individual__dlm',
+    label: 'Individual',
+    category: 'Profile',
+    primaryKey: ['ssot__Id__c'],
+    relationships: [],
+  },
+  {
+    name: 'ssot__ContactPointEmail__dlm',
+    label: 'Contact Point Email',
+    category: 'Profile',
+    primaryKey: ['ssot__Id__c'],
+    relationships: [
+      relationship(
+        'ssot__ContactPointEmail__dlm',
+        'ssot__PartyId__c',
+        'ssot__Individual__dlm',
+        'ssot__Id__c',
+        'ManyToOne'
+      ),
+    ],
+  },
+  {
+    name: 'ssot__SalesOrder__dlm',
+    label: 'Sales Order',
+    category: 'Engagement',
+    primaryKey: ['ssot__Id__c'],
+    relationships: [
+      relationship(
+        'ssot__SalesOrder__dlm',
+        'ssot__SoldToCustomerId__c',
+        'ssot__Individual__dlm',
+        'ssot__Id__c',
+        'ManyToOne'
+      ),
+    ],
+  },
+  {
+    name: 'ssot__SalesOrderProduct__dlm',
+    label: 'Sales Order Product',
+    category: 'Engagement',
+    primaryKey: ['ssot__Id__c'],
+    relationships: [
+      relationship(
+        'ssot__SalesOrderProduct__dlm',
+        'ssot__SalesOrderId__c',
+        'ssot__SalesOrder__dlm',
+        'ssot__Id__c',
+        'ManyToOne'
+      ),
+      // Relationship to a DMO missing from the metadata
+      relationship(
+        'ssot__SalesOrderProduct__dlm',
+        'ssot__ProductId__c',
+        'ssot__Product__dlm',
+        'ssot__Id__c',
+        'ManyToOne'
+      ),
+    ],
+  },
+];
+
+// The Individual DMO also reports the relationship held by the email DMO
+models[0].relationships.push(models[1].relationships[0]);
+
+test('buildModelGraph - should build nodes and de-duplicated edges', async t => {
+  const graph = buildModelGraph(models);
+
+  t.same(
+    graph.nodes.map(node => node.name),
+    models.map(model => model.name)
+  );
+  t.same(graph.nodes[0], {
+    name: 'ssot__Individual__dlm',
+    label: 'Individual',
+    category: 'Profile',
+    primaryKey: ['ssot__Id__c'],
+  });
+  t.same(graph.edges, [
+    {
+      from: 'ssot__ContactPointEmail__dlm',
+      fromField: 'ssot__PartyId__c',
+      to: 'ssot__Individual__dlm',
+      toField: 'ssot__Id__c',
+      cardinality: 'ManyToOne',
+    },
+    {
+      from: 'ssot__SalesOrder__dlm',
+      fromField: 'ssot__SoldToCustomerId__c',
+      to: 'ssot__Individual__dlm',
+      toField: 'ssot__Id__c',
+      cardinality: 'ManyToOne',
+    },
+    {
+      from: 'ssot__SalesOrderProduct__dlm',
+      fromField: 'ssot__SalesOrderId__c',
+      to: 'ssot__SalesOrder__dlm',
+      toField: 'ssot__Id__c',
+      cardinality: 'ManyToOne',
+    },
+  ]);
+});
+
+test('buildModelGraph - should filter by category and by root and depth', async t => {
+  const names = graph => graph.nodes.map(node => node.name);
+
+  t.same(names(buildModelGraph(models, { category: 'engagement' })), [
+    'ssot__SalesOrder__dlm',
+    'ssot__SalesOrderProduct__dlm',
+  ]);
+  t.same(
+    names(buildModelGraph(models, { root: 'ssot__individual__dlm' })),
+    [
+      'ssot__Individual__dlm',
+      'ssot__ContactPointEmail__dlm',
+      'ssot__SalesOrder__dlm',
+    ],
+    'Should follow relationships in both directions'
+  );
+  t.equal(
+    buildModelGraph(models, { root: 'ssot__Individual__dlm', depth: 2 }).nodes
+      .length,
+    4
+  );
+
+  const rooted = buildModelGraph(models, {
+    root: 'ssot__SalesOrder__dlm',
+    category: 'Profile',
+  });
+  t.same(
+    names(rooted),
+    ['ssot__Individual__dlm', 'ssot__SalesOrder__dlm'],
+    'Should keep the root outside the category'
+  );
+  t.equal(rooted.edges.length, 1);
+
+  t.throws(
+    () => buildModelGraph(models, { root: 'Missing__dlm' }),
+    /Root DMO 'Missing__dlm' is not one of the models/
+  );
+});
+
+test('toMermaid - should render an erDiagram with keys and relationships', async t => {
+  const graph = buildModelGraph(models, {
+    root: 'ssot__ContactPointEmail__dlm',
+  });
+
+  t.equal(
+    toMermaid(graph),
+    [
+      'erDiagram',
+      '  ssot__Individual__dlm {',
+      '    string ssot__Id__c PK',
+      '  }',
+      '  ssot__ContactPointEmail__dlm {',
+      '    string ssot__Id__c PK',
+      '    string ssot__PartyId__c FK',
+      '  }',
+      '  ssot__ContactPointEmail__dlm }o--|| ssot__Individual__dlm : "ssot__PartyId__c = ssot__Id__c"',
+      '',
+    ].join('\n')
+  );
+});
+
+test('toDot - should render a digraph with escaped labels', async t => {
+  const graph = {
+    nodes: [
+      { name: 'A__dlm', label: 'The "A"', category: null, primaryKey: [] },
+      { name: 'B__dlm', label: 'B__dlm', category: null, primaryKey: [] },
+    ],
+    edges: [
+      {
+        from: 'A__dlm',
+        fromField: 'BId__c',
+        to: 'B__dlm',
+        toField: 'Id__c',
+        cardinality: null,
+      },
+    ],
+  };
+
+  t.equal(
+    toDot(graph),
+    [
+      'digraph DataModelObjects {',
+      '  rankdir=LR;',
+      '  node [shape=box];',
+      '  "A__dlm" [label="The \\"A\\"\\nA__dlm"];',
+      '  "B__dlm" [label="B__dlm"];',
+      '  "A__dlm" -> "B__dlm" [label="BId__c = Id__c"];',
+      '}',
+      '',
+    ].join('\n')
+  );
+});
+
+test('getModelGraph - should build the graph or report a missing root', async t => {
+  const mockAppLinkSdk = {
+    applink: {
+      getAuthorization: async () => ({
+        domainUrl: 'https://tenant.c360a.salesforce.com',
+        accessToken: 'token',
+        request: async () => ({
+          metadata: [
+            { name: 'ssot__Individual__dlm', category: 'Profile' },
+            {
+              name: 'ssot__ContactPointEmail__dlm',
+              category: 'Profile',
+              relationships: [
+                {
+                  fromEntity: 'ssot__ContactPointEmail__dlm',
+                  fromEntityAttribute: 'ssot__PartyId__c',
+                  toEntity: 'ssot__Individual__dlm',
+                  toEntityAttribute: 'ssot__Id__c',
+                  cardinality: 'ManyToOne',
+                },
+              ],
+            },
+          ],
+        }),
+      }),
+    },
+  };
+  const service = new DataCloudQueryService(
+    mockAppLinkSdk,
+    'test-connection',
+    { info: () => {}, error: () => {} },
+    { dataSpace: 'Sales_EU' }
+  );
+
+  const graph = await getModelGraph(service, { root: 'ssot__Individual__dlm' });
+  t.equal(graph.nodes.length, 2);
+  t.match(graph.edges, [
+    { from: 'ssot__ContactPointEmail__dlm', to: 'ssot__Individual__dlm' },
+  ]);
+
+  await t.rejects(
+    getModelGraph(service, { root: 'Missing__dlm' }),
+    { statusCode: 404, type: 'unknown_object', message: /Missing__dlm/ },
+    'Should report a missing root as unknown_object'
+  );
+});
@@ -0,0 +1,226 @@
+import { test } from 'tap';
+import {
+  getPrimaryKey,
+  normalizeCalculatedInsight,
+  normalizeDataStream,
+  normalizeEntity,
+  normalizeField,
+  normalizeModel,
+  normalizeRelationship,
+} from '../../src/lib/model-metadata.js';
+
+const individual = {
+  name: 'ssot__Individual__dlm',
+  displayName: 'Individual',
+  category: 'Profile',
+  fields: [
+    {
+      name: 'ssot__PartyId__c',
+      displayName: 'Party',
+      type: 'STRING',
+      businessType: 'TEXT',
+    },
+    {
+      name: 'ssot__Id__c',
+      displayName: 'Individual Id',
+      type: 'STRING',
+      businessType: 'TEXT',
+    },
+    { name: 'ssot__BirthDate__c', type: 'DATE_ONLY' },
+  ],
+  primaryKeys: [
+    { name: 'ssot__PartyId__c', indexOrder: '2' },
+    { name: 'ssot__Id__c', indexOrder: '1' },
+  ],
+  relationships: [
+    {
+      fromEntity: 'ssot__Individual__dlm',
+      fromEntityAttribute: 'ssot__Id__c',
+      toEntity: 'ssot__ContactPointEmail__dlm',
+      toEntityAttribute: 'ssot__PartyId__c',
+      cardinality: 'ONETOMANY',
+    },
+  ],
+};
+
+test('normalizeModel - should normalize a DMO into a stable shape', async t => {
+  t.same(normalizeModel(individual), {
+    entityType: 'DataModelObject',
+    name: 'ssot__Individual__dlm',
+    label: 'Individual',
+    category: 'Profile',
+    primaryKey: ['ssot__Id__c', 'ssot__PartyId__c'],
+    fields: [
+      {
+        name: 'ssot__PartyId__c',
+        label: 'Party',
+        type: 'STRING',
+        businessType: 'TEXT',
+        isPrimaryKey: true,
+      },
+      {
+        name: 'ssot__Id__c',
+        label: 'Individual Id',
+        type: 'STRING',
+        businessType: 'TEXT',
+        isPrimaryKey: true,
+      },
+      {
+        name: 'ssot__BirthDate__c',
+        label: 'ssot__BirthDate__c',
+        type: 'DATE_ONLY',
+        businessType: null,
+        isPrimaryKey: false,
+      },
+    ],
+    relationships: [
+      {
+        fromModel: 'ssot__Individual__dlm',
+        fromField: 'ssot__Id__c',
+        toModel: 'ssot__ContactPointEmail__dlm',
+        toField: 'ssot__PartyId__c',
+        cardinality: 'ONETOMANY',
+      },
+    ],
+  });
+});
+
+test('normalizeModel - should fill in missing attributes', async t => {
+  t.same(normalizeModel({ name: 'Bare__dlm' }), {
+    entityType: 'DataModelObject',
+    name: 'Bare__dlm',
+    label: 'Bare__dlm',
+    category: null,
+    primaryKey: [],
+    fields: [],
+    relationships: [],
+  });
+});
+
+test('getPrimaryKey - should order key fields by index order', async t => {
+  t.same(getPrimaryKey(individual), ['ssot__Id__c', 'ssot__PartyId__c']);
+  t.same(
+    individual.primaryKeys.map(key => key.name),
+    ['ssot__PartyId__c', 'ssot__Id__c'],
+    'Should not reorder the metadata entry'
+  );
+});
+
+test('normalizeField - should default the label and key flag', async t => {
+  t.same(normalizeField({ name: 'Id__c', label: 'Id' }), {
+    name: 'Id__c',
+    label: 'Id',
+    type: null,
+    businessType: null,
+    isPrimaryKey: false,
+  });
+});
+
+test('normalizeRelationship - should default missing attributes to null', async t => {
+  t.same(normalizeRelationship({ toEntity: 'Other__dlm' }), {
+    fromModel: null,
+    fromField: null,
+    toModel: 'Other__dlm',
+    toField: null,
+    cardinality: null,
+  });
+});
+
+test('normalizeCalculatedInsight - should report dimensions as the primary key', async t => {
+  const insight = normalizeCalculatedInsight({
+    name: 'Lifetime_Value__cio',
+    displayName: 'Lifetime Value',
+    dimensions: [
+      { name: 'CustomerId__c', displayName: 'Customer', type: 'STRING' },
+    ],
+    measures: [{ name: 'TotalSpend__c', displayName: 'Spend', type: 'NUMBER' }],
+  });
+
+  t.same(insight, {
+    entityType: 'CalculatedInsight',
+    name: 'Lifetime_Value__cio',
+    label: 'Lifetime Value',
+    category: null,
+    primaryKey: ['CustomerId__c'],
+    dimensions: [
+      {
+        name: 'CustomerId__c',
+        label: 'Customer',
+        type: 'STRING',
+        businessType: null,
+        isPrimaryKey: true,
+      },
+    ],
+    measures: [
+      {
+        name: 'TotalSpend__c',
+        label: 'Spend',
+        type: 'NUMBER',
+        businessType: null,
+        isPrimaryKey: false,
+      },
+    ],
+  });
+});
+
+test('normalizeDataStream - should normalize a Connect API data stream', async t => {
+  t.same(
+    normalizeDataStream({
+      name: 'Orders_Stream',
+      label: 'Orders',
+      dataStreamStatus: 'ACTIVE',
+      connectorInfo: { connectorType: 'SalesforceDotCom' },
+      dataLakeObjectInfo: {
+        name: 'Orders__dll',
+        label: 'Orders DLO',
+        category: 'Engagement',
+      },
+      refreshConfig: { refreshMode: 'INCREMENTAL' },
+      lastRefreshDate: '2024-05-01T10:00:00.000Z',
+      lastNumberOfRowsAddedCount: 42,
+    }),
+    {
+      entityType: 'DataStream',
+      name: 'Orders_Stream',
+      label: 'Orders',
+      status: 'ACTIVE',
+      connectorType: 'SalesforceDotCom',
+      dataSource: null,
+      dataLakeObject: {
+        name: 'Orders__dll',
+        label: 'Orders DLO',
+        category: 'Engagement',
+      },
+      refreshMode: 'INCREMENTAL',
+      lastRefreshDate: '2024-05-01T10:00:00.000Z',
+      lastProcessedRecords: 42,
+    }
+  );
+  t.match(normalizeDataStream({ name: 'Bare' }), {
+    label: 'Bare',
+    status: null,
+    connectorType: null,
+    dataLakeObject: null,
+    refreshMode: null,
+  });
+});
+
+test('normalizeEntity - should normalize by entity type', async t => {
+  const lakeObject = normalizeEntity(
+    {
+      name: 'Orders__dll',
+      category: 'Engagement',
+      fields: [{ name: 'OrderId__c', type: 'STRING' }],
+      primaryKeys: [{ name: 'OrderId__c' }],
+    },
+    'DataLakeObject'
+  );
+  t.equal(lakeObject.entityType, 'DataLakeObject');
+  t.same(lakeObject.primaryKey, ['OrderId__c']);
+  t.same(lakeObject.relationships, []);
+
+  t.throws(
+    () => normalizeEntity({ name: 'Stream' }, 'DataStream'),
+    /Unsupported metadata entity type/
+  );
+});
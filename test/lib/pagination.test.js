@@ -0,0 +1,50 @@
+import { test } from 'tap';
+import {
+  decodeCursor,
+  encodeCursor,
+  fingerprintQuery,
+  InvalidCursorError,
+  resolvePageSize,
+} from '../../src/lib/pagination.js';
+
+test('encodeCursor/decodeCursor - should round-trip the offset', async t => {
+  const fingerprint = fingerprintQuery('SELECT Id FROM T', { name: 'Acme' });
+  const cursor = encodeCursor(200, fingerprint);
+
+  t.match(cursor, /^[A-Za-z0-9_-]+$/, 'Cursor should be URL-safe');
+  t.equal(decodeCursor(cursor, fingerprint), 200, 'Should decode the offset');
+});
+
+test('decodeCursor - should reject malformed cursors', async t => {
+  const fingerprint = fingerprintQuery('SELECT Id FROM T');
+
+  for (const cursor of ['not-a-cursor', encodeCursor(-5, fingerprint)]) {
+    try {
+      decodeCursor(cursor, fingerprint);
+      t.fail(`Should reject ${cursor}`);
+    } catch (err) {
+      t.type(err, InvalidCursorError, 'Should throw InvalidCursorError');
+      t.equal(err.statusCode, 400, 'Should carry a 400 status code');
+    }
+  }
+});
+
+test('decodeCursor - should reject cursors issued for other filters', async t => {
+  const cursor = encodeCursor(
+    100,
+    fingerprintQuery('SELECT Id FROM T', { name: 'Acme' })
+  );
+
+  t.throws(
+    () => decodeCursor(cursor, fingerprintQuery('SELECT Id FROM T', {})),
+    /different query or filters/,
+    'Should reject a cursor replayed with different filters'
+  );
+});
+
+test('resolvePageSize - should default and cap the page size', async t => {
+  t.equal(resolvePageSize(undefined, 100, 500), 100, 'Should use the default');
+  t.equal(resolvePageSize('25', 100, 500), 25, 'Should parse requested size');
+  t.equal(resolvePageSize(5000, 100, 500), 500, 'Should cap at the maximum');
+  t.equal(resolvePageSize(0, 100, 500), 100, 'Should ignore invalid sizes');
+});
@@ -0,0 +1,78 @@
+import { test } from 'tap';
+import {
+  ClientDisconnectedError,
+  createQuerySignal,
+  raceAbort,
+  toAbortError,
+} from '../../src/lib/query-timeout.js';
+
+test('createQuerySignal - should abort after the timeout', async t => {
+  const query = createQuerySignal(10);
+
+  await new Promise(resolve =>
+    query.signal.addEventListener('abort', resolve, { once: true })
+  );
+  t.ok(query.signal.aborted, 'Should abort');
+  t.equal(query.signal.reason.name, 'QueryTimeoutReason');
+  t.equal(query.signal.reason.timeoutMs, 10);
+  query.clear();
+});
+
+test('createQuerySignal - should abort with the parent signal', async t => {
+  const parent = new AbortController();
+  const query = createQuerySignal(60000, parent.signal);
+  parent.abort(new ClientDisconnectedError());
+
+  t.ok(query.signal.aborted, 'Should follow the parent');
+  t.ok(query.signal.reason instanceof ClientDisconnectedError);
+  query.clear();
+
+  const aborted = createQuerySignal(0, parent.signal);
+  t.ok(aborted.signal.aborted, 'Should start aborted with an aborted parent');
+  aborted.clear();
+});
+
+test('createQuerySignal - should not time out when disabled or cleared', async t => {
+  const disabled = createQuerySignal(0);
+  const cleared = createQuerySignal(5);
+  cleared.clear();
+
+  await new Promise(resolve => setTimeout(resolve, 20));
+  t.notOk(disabled.signal.aborted, 'Should not abort without a timeout');
+  t.notOk(cleared.signal.aborted, 'Should not abort once cleared');
+});
+
+test('raceAbort - should stop waiting when the signal aborts', async t => {
+  const controller = new AbortController();
+  const pending = raceAbort(new Promise(() => {}), controller.signal);
+  controller.abort(new Error('Gone'));
+
+  await t.rejects(pending, /Gone/, 'Should reject with the abort reason');
+  t.equal(
+    await raceAbort(Promise.resolve('ok'), new AbortController().signal),
+    'ok',
+    'Should resolve when not aborted'
+  );
+});
+
+test('toAbortError - should tell timeouts from cancellations', async t => {
+  const timedOut = createQuerySignal(1);
+  await new Promise(resolve => setTimeout(resolve, 10));
+  const timeout = toAbortError(timedOut.signal, {
+    elapsedMs: 1005,
+    timeoutMs: 1000,
+  });
+
+  t.equal(timeout.type, 'query_timeout');
+  t.equal(timeout.statusCode, 504);
+  t.same(timeout.details, { elapsedMs: 1005, timeoutMs: 1000 });
+
+  const controller = new AbortController();
+  controller.abort(new ClientDisconnectedError());
+  const cancelled = toAbortError(controller.signal, {
+    elapsedMs: 20,
+    timeoutMs: 1000,
+  });
+  t.equal(cancelled.type, 'cancelled');
+  t.match(cancelled.message, /Client disconnected/);
+});
@@ -0,0 +1,158 @@
+import { test } from 'tap';
+import ResultCache, {
+  buildCacheKey,
+  MemoryCacheStore,
+} from '../../src/lib/result-cache.js';
+
+test('MemoryCacheStore - should evict the least recently used entry', async t => {
+  const store = new MemoryCacheStore({ maxEntries: 2 });
+
+  await store.set('a', 1, 60000);
+  await store.set('b', 2, 60000);
+  await store.get('a');
+  await store.set('c', 3, 60000);
+
+  t.equal(await store.get('a'), 1, 'Should keep the recently read entry');
+  t.equal(await store.get('b'), undefined, 'Should evict the oldest entry');
+  t.equal(await store.get('c'), 3, 'Should keep the newest entry');
+  t.equal(store.size, 2, 'Should not exceed maxEntries');
+});
+
+test('buildCacheKey - should key on connection, data space and SQL', async t => {
+  const key = buildCacheKey({
+    connectionName: 'dc',
+    dataSpace: 'default',
+    sql: 'SELECT 1',
+  });
+
+  t.equal(
+    key,
+    buildCacheKey({
+      connectionName: 'dc',
+      dataSpace: 'default',
+      sql: 'SELECT 1',
+    }),
+    'Should be deterministic'
+  );
+  t.not(
+    key,
+    buildCacheKey({
+      connectionName: 'dc',
+      dataSpace: 'other',
+      sql: 'SELECT 1',
+    }),
+    'Should differ between data spaces'
+  );
+});
+
+test('ResultCache.getOrLoad - should report miss then hit', async t => {
+  const cache = new ResultCache({ ttlSeconds: 60 });
+  let loads = 0;
+  const loader = async () => ++loads;
+
+  t.same(await cache.getOrLoad('k', loader), { value: 1, status: 'miss' });
+  t.same(await cache.getOrLoad('k', loader), { value: 1, status: 'hit' });
+  t.equal(loads, 1, 'Should load once');
+});
+
+test('ResultCache.getOrLoad - should coalesce concurrent loads', async t => {
+  const cache = new ResultCache({ ttlSeconds: 60 });
+  let loads = 0;
+  const loader = async () => {
+    loads += 1;
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return 'result';
+  };
+
+  const results = await Promise.all([
+    cache.getOrLoad('k', loader),
+    cache.getOrLoad('k', loader),
+    cache.getOrLoad('k', loader),
+  ]);
+
+  t.equal(loads, 1, 'Should run one in-flight load');
+  t.same(
+    results.map(result => result.value),
+    ['result', 'result', 'result'],
+    'Should share the result'
+  );
+});
+
+test('ResultCache.getOrLoad - should serve stale entries while refreshing', async t => {
+  const store = new MemoryCacheStore();
+  const cache = new ResultCache({ store, ttlSeconds: 60, staleSeconds: 30 });
+  const now = Date.now();
+  await store.set(
+    'k',
+    {
+      value: 'old',
+      storedAt: now - 70000,
+      expiresAt: now - 10000,
+      staleUntil: now + 20000,
+    },
+    20000
+  );
+
+  const result = await cache.getOrLoad('k', async () => 'new');
+  t.same(result, { value: 'old', status: 'stale' }, 'Should serve stale');
+
+  await cache.inFlight.get('k');
+  t.same(
+    await cache.getOrLoad('k', async () => 'newer'),
+    { value: 'new', status: 'hit' },
+    'Should have refreshed the entry in the background'
+  );
+});
+
+test('ResultCache.getOrLoad - should bypass and not cache failures', async t => {
+  const cache = new ResultCache({ ttlSeconds: 60 });
+  await cache.getOrLoad('k', async () => 'cached');
+
+  t.same(
+    await cache.getOrLoad('k', async () => 'fresh', { bypass: true }),
+    { value: 'fresh', status: 'bypass' },
+    'Should skip the cached value when bypassed'
+  );
+  t.same(
+    await cache.getOrLoad('k', async () => 'unused'),
+    { value: 'fresh', status: 'hit' },
+    'Should store the bypassed result'
+  );
+
+  await t.rejects(
+    cache.getOrLoad('failing', async () => {
+      throw new Error('boom');
+    }),
+    /boom/,
+    'Should propagate load failures'
+  );
+  t.same(
+    await cache.getOrLoad('failing', async () => 'ok'),
+    { value: 'ok', status: 'miss' },
+    'Should not cache failed loads'
+  );
+});
+
+test('ResultCache.getOrLoad - should treat store failures as misses', async t => {
+  const failingStore = {
+    get: async () => {
+      throw new Error('store down');
+    },
+    set: async () => {
+      throw new Error('store down');
+    },
+    delete: async () => {},
+  };
+  const warnings = [];
+  const cache = new ResultCache({
+    store: failingStore,
+    logger: { warn: message => warnings.push(message) },
+  });
+
+  t.same(
+    await cache.getOrLoad('k', async () => 'value'),
+    { value: 'value', status: 'miss' },
+    'Should still return the loaded value'
+  );
+  t.equal(warnings.length, 2, 'Should log the read and write failures');
+});
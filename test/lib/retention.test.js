@@ -0,0 +1,217 @@
+import { test } from 'tap';
+import DataCloudQueryService from '../../src/lib/data-cloud-query-service.js';
+import {
+  CohortRetention,
+  MAX_RETENTION_COHORTS,
+  addPeriods,
+  analyzeEngagementRetention,
+  periodsBetween,
+  resolveCohortWindow,
+  truncatePeriod,
+} from '../../src/lib/retention.js';
+
+const day = date => Date.parse(`${date}T00:00:00Z`);
+const record = (entity, periodStart, eventCount = 1, activationCount) => ({
+  entity,
+  periodStart,
+  eventCount,
+  activationCount: activationCount ?? eventCount,
+});
+
+test('truncatePeriod - should truncate to the start of the period', async t => {
+  const time = Date.parse('2024-01-03T10:42:17Z');
+
+  t.equal(truncatePeriod(time, 'day'), day('2024-01-03'));
+  t.equal(truncatePeriod(time, 'week'), day('2024-01-01'), 'Monday');
+  t.equal(truncatePeriod(day('2024-01-07'), 'week'), day('2024-01-01'));
+  t.equal(truncatePeriod(time, 'month'), day('2024-01-01'));
+});
+
+test('addPeriods and periodsBetween - should count whole periods', async t => {
+  t.equal(addPeriods(day('2024-01-31'), 'day', 1), day('2024-02-01'));
+  t.equal(addPeriods(day('2024-01-01'), 'week', 2), day('2024-01-15'));
+  t.equal(addPeriods(day('2024-11-01'), 'month', 3), day('2025-02-01'));
+  t.equal(addPeriods(day('2024-01-01'), 'month', -1), day('2023-12-01'));
+
+  t.equal(periodsBetween(day('2024-01-01'), day('2024-03-01'), 'day'), 60);
+  t.equal(periodsBetween(day('2024-01-01'), day('2024-01-29'), 'week'), 4);
+  t.equal(periodsBetween(day('2023-11-01'), day('2024-02-01'), 'month'), 3);
+});
+
+test('resolveCohortWindow - should start the window at the start of a period', async t => {
+  const window = resolveCohortWindow({
+    period: 'month',
+    createdFrom: '2024-01-15',
+    createdTo: '2024-03-10',
+  });
+
+  t.equal(window.from, '2024-01-01T00:00:00.000Z');
+  t.equal(window.to, '2024-03-10T00:00:00.000Z');
+  t.same(window.cohorts, [
+    day('2024-01-01'),
+    day('2024-02-01'),
+    day('2024-03-01'),
+  ]);
+});
+
+test('resolveCohortWindow - should default to the period default number of cohorts ending now', async t => {
+  const window = resolveCohortWindow({
+    period: 'week',
+    now: Date.parse('2024-03-06T12:00:00Z'),
+  });
+
+  t.equal(window.cohorts.length, 12);
+  t.equal(window.from, '2023-12-18T00:00:00.000Z');
+  t.equal(window.cohorts.at(-1), day('2024-03-04'));
+});
+
+test('resolveCohortWindow - should reject invalid windows', async t => {
+  t.throws(() => resolveCohortWindow({ period: 'day', createdTo: 'now' }), {
+    statusCode: 400,
+    type: 'invalid_retention',
+    message: /createdTo must be/,
+  });
+  t.throws(
+    () =>
+      resolveCohortWindow({
+        period: 'day',
+        createdFrom: '2024-02-01',
+        createdTo: '2024-01-01',
+      }),
+    { type: 'invalid_retention', message: /must be before/ }
+  );
+  t.throws(
+    () =>
+      resolveCohortWindow({
+        period: 'day',
+        createdFrom: '2023-01-01',
+        createdTo: '2024-06-01',
+      }),
+    {
+      type: 'invalid_retention',
+      message: new RegExp(`more than ${MAX_RETENTION_COHORTS} day cohorts`),
+    }
+  );
+});
+
+test('CohortRetention - should count the active entities of each cohort per period', async t => {
+  const retention = new CohortRetention(
+    [day('2024-01-01'), day('2024-01-08'), day('2024-01-15')],
+    'week'
+  );
+  for (const item of [
+    record('a', '2024-01-01 00:00:00'),
+    record('a', '2024-01-08 00:00:00'),
+    record('a', '2024-01-15 00:00:00'),
+    record('b', '2024-01-01 00:00:00'),
+    record('b', '2024-01-15 00:00:00'),
+    record('c', '2024-01-08 00:00:00'),
+    record('d', '2023-12-25 00:00:00'),
+  ]) {
+    retention.add(item);
+  }
+
+  t.same(retention.finish(), {
+    entityCount: 3,
+    cohorts: [
+      {
+        cohort: '2024-01-01',
+        size: 2,
+        active: [2, 1, 2],
+        retention: [100, 50, 100],
+      },
+      { cohort: '2024-01-08', size: 1, active: [1, 0], retention: [100, 0] },
+      { cohort: '2024-01-15', size: 0, active: [0], retention: [null] },
+    ],
+    averageRetention: [100, 33.33, 100],
+  });
+});
+
+test('CohortRetention - should put entities in the cohort of their first activation', async t => {
+  const retention = new CohortRetention(
+    [day('2024-01-01'), day('2024-02-01'), day('2024-03-01')],
+    'month'
+  );
+  retention.add(record('a', '2024-01-01', 4, 0));
+  retention.add(record('a', '2024-02-01', 2, 1));
+  retention.add(record('a', '2024-03-01', 1, 0));
+  retention.add(record('b', '2024-01-01', 3, 0));
+
+  const { entityCount, cohorts } = retention.finish();
+
+  t.equal(entityCount, 2, 'Entities without activation are counted as seen');
+  t.same(
+    cohorts.map(({ size, active }) => ({ size, active })),
+    [
+      { size: 0, active: [0, 0, 0] },
+      { size: 1, active: [1, 1] },
+      { size: 0, active: [0] },
+    ]
+  );
+});
+
+test('CohortRetention - should leave out the last entity of incomplete records', async t => {
+  const retention = new CohortRetention([day('2024-01-01')], 'day');
+  retention.add(record('a', '2024-01-01'));
+  retention.add(record('b', '2024-01-01'));
+
+  const { entityCount, cohorts } = retention.finish({ complete: false });
+
+  t.equal(entityCount, 1);
+  t.equal(cohorts[0].size, 1);
+});
+
+test('analyzeEngagementRetention - should build cohorts from the active periods of each entity', async t => {
+  let executedSql;
+  const mockAppLinkSdk = {
+    applink: {
+      getAuthorization: async () => ({
+        dataCloudApi: {
+          query: async sql => {
+            executedSql = sql;
+            return {
+              data: [
+                ['s1', '2024-01-01 00:00:00', 3, 1],
+                ['s1', '2024-02-01 00:00:00', 1, 0],
+                ['s2', '2024-02-01 00:00:00', 2, 1],
+              ],
+            };
+          },
+        },
+      }),
+    },
+  };
+  const service = new DataCloudQueryService(mockAppLinkSdk, 'test-connection', {
+    info: () => {},
+    error: () => {},
+  });
+
+  const retention = await analyzeEngagementRetention(service, {
+    period: 'month',
+    activationEvent: 'signup',
+    createdFrom: '2024-01-10',
+    createdTo: '2024-03-01',
+  });
+
+  t.match(
+    executedSql,
+    /^SELECT ClientSession__c AS entity_key, DATE_TRUNC\('month', CreatedDate__c\) AS period_start, COUNT\(\*\) AS event_count, SUM\(CASE WHEN EventName__c = 'signup' THEN 1 ELSE 0 END\) AS activation_count FROM UserEngagement__dlm WHERE ClientSession__c IS NOT NULL AND CreatedDate__c >= '2024-01-01T00:00:00.000Z' AND CreatedDate__c < '2024-03-01T00:00:00.000Z' .* LIMIT 100001$/
+  );
+  t.equal(retention.entityCount, 2);
+  t.same(retention.cohorts, [
+    { cohort: '2024-01-01', size: 1, active: [1, 1], retention: [100, 100] },
+    { cohort: '2024-02-01', size: 1, active: [1], retention: [100] },
+  ]);
+  t.same(retention.averageRetention, [100, 100]);
+  t.equal(retention.from, '2024-01-01T00:00:00.000Z');
+  t.equal(retention.truncated, false);
+
+  await t.rejects(
+    analyzeEngagementRetention(service, {
+      period: 'day',
+      createdFrom: '2024-02-01',
+      createdTo: '2024-01-01',
+    }),
+    { statusCode: 400, type: 'invalid_retention' }
+  );
+});
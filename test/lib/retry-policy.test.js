@@ -0,0 +1,118 @@
+import { test } from 'tap';
+import RetryPolicy from '../../src/lib/retry-policy.js';
+import {
+  DataCloudError,
+  ERROR_TYPES,
+} from '../../src/lib/data-cloud-errors.js';
+
+// Creates a policy that records its delays instead of waiting
+function createPolicy(options = {}) {
+  const delays = [];
+  const policy = new RetryPolicy({
+    sleep: async ms => {
+      delays.push(ms);
+    },
+    random: () => 0.5,
+    ...options,
+  });
+  return { policy, delays };
+}
+
+// Creates an operation failing with the given errors before succeeding
+function failingOperation(errors) {
+  const operation = async () => {
+    operation.calls += 1;
+    if (errors.length > 0) {
+      throw errors.shift();
+    }
+    return 'ok';
+  };
+  operation.calls = 0;
+  return operation;
+}
+
+test('RetryPolicy.execute - should retry transient errors with jittered backoff', async t => {
+  const { policy, delays } = createPolicy({ baseDelayMs: 100 });
+  const operation = failingOperation([
+    new DataCloudError(ERROR_TYPES.UPSTREAM, 'Bad gateway'),
+    new DataCloudError(ERROR_TYPES.TIMEOUT, 'Timed out'),
+  ]);
+
+  t.equal(await policy.execute(operation), 'ok', 'Should eventually succeed');
+  t.equal(operation.calls, 3, 'Should make three attempts');
+  t.same(delays, [50, 100], 'Should double the jittered delay');
+});
+
+test('RetryPolicy.execute - should stop after maxAttempts', async t => {
+  const { policy } = createPolicy({ maxAttempts: 2 });
+  const operation = failingOperation([
+    new DataCloudError(ERROR_TYPES.UPSTREAM, 'First'),
+    new DataCloudError(ERROR_TYPES.UPSTREAM, 'Second'),
+    new DataCloudError(ERROR_TYPES.UPSTREAM, 'Third'),
+  ]);
+
+  await t.rejects(policy.execute(operation), { message: 'Second' });
+  t.equal(operation.calls, 2, 'Should not exceed maxAttempts');
+});
+
+test('RetryPolicy.execute - should not retry permanent errors', async t => {
+  const { policy, delays } = createPolicy();
+  const badSql = new Error('HTTP Error Response: 400: Bad Request');
+  badSql.response = { status: 400 };
+  const operation = failingOperation([badSql]);
+
+  await t.rejects(policy.execute(operation), {
+    name: 'DataCloudError',
+    type: 'invalid_sql',
+    statusCode: 400,
+  });
+  t.equal(operation.calls, 1, 'Should fail on the first attempt');
+  t.same(delays, [], 'Should not wait');
+});
+
+test('RetryPolicy.execute - should honor Retry-After', async t => {
+  const { policy, delays } = createPolicy({ maxDelayMs: 5000 });
+  const operation = failingOperation([
+    new DataCloudError(ERROR_TYPES.RATE_LIMITED, 'Slow down', {
+      retryAfterMs: 2000,
+    }),
+  ]);
+
+  t.equal(await policy.execute(operation), 'ok');
+  t.same(delays, [2000], 'Should wait as long as Data Cloud asked');
+
+  const tooLong = failingOperation([
+    new DataCloudError(ERROR_TYPES.RATE_LIMITED, 'Slow down', {
+      retryAfterMs: 60000,
+    }),
+  ]);
+  await t.rejects(policy.execute(tooLong), { type: 'rate_limited' });
+  t.equal(tooLong.calls, 1, 'Should fail fast when the wait is too long');
+});
+
+test('RetryPolicy.getDelay - should cap the backoff at maxDelayMs', async t => {
+  const policy = new RetryPolicy({
+    baseDelayMs: 1000,
+    maxDelayMs: 3000,
+    random: () => 0.999,
+  });
+  const error = new DataCloudError(ERROR_TYPES.UPSTREAM, 'Bad gateway');
+
+  t.equal(policy.getDelay(1, error), 999);
+  t.equal(policy.getDelay(5, error), 2997, 'Should not exceed maxDelayMs');
+});
+
+test('RetryPolicy.execute - should not retry once the signal aborts', async t => {
+  const { policy, delays } = createPolicy();
+  const controller = new AbortController();
+  const operation = failingOperation([
+    new DataCloudError(ERROR_TYPES.UPSTREAM, 'Bad gateway'),
+  ]);
+  controller.abort();
+
+  await t.rejects(policy.execute(operation, 'Test call', controller.signal), {
+    type: 'upstream',
+  });
+  t.equal(operation.calls, 1, 'Should not retry');
+  t.same(delays, [], 'Should not wait');
+});
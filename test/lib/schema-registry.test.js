@@ -0,0 +1,215 @@
+import { test } from 'tap';
+import SchemaRegistry, {
+  SqlReferenceError,
+  buildSchema,
+  editDistance,
+  findUnknownReferences,
+  suggestNames,
+} from '../../src/lib/schema-registry.js';
+
+const schema = buildSchema({
+  DataModelObject: [
+    {
+      name: 'UnifiedssotAccountB2b__dlm',
+      fields: [
+        { name: 'ssot__Id__c' },
+        { name: 'ssot__Name__c' },
+        { name: 'ssot__AccountSource__c' },
+      ],
+    },
+    {
+      name: 'ssot__Contact__dlm',
+      fields: [{ name: 'ssot__Id__c' }, { name: 'ssot__AccountId__c' }],
+    },
+  ],
+  CalculatedInsight: [
+    {
+      name: 'Spend__cio',
+      dimensions: [{ name: 'Customer__c' }],
+      measures: [{ name: 'Total__c' }],
+    },
+  ],
+});
+
+function createQueryService(metadataByType, calls = []) {
+  return {
+    dcConnectionName: 'test-connection',
+    dataSpace: 'default',
+    listEntities: async entityType => {
+      calls.push(entityType);
+      if (!metadataByType[entityType]) {
+        throw new Error(`No access to ${entityType}`);
+      }
+      return metadataByType[entityType];
+    },
+  };
+}
+
+test('editDistance - should count single character edits', async t => {
+  t.equal(editDistance('kitten', 'sitting'), 3);
+  t.equal(editDistance('same', 'same'), 0);
+  t.equal(editDistance('', 'abc'), 3);
+});
+
+test('suggestNames - should return close names, closest first', async t => {
+  t.same(
+    suggestNames('ssot__Nmae__c', ['ssot__Id__c', 'ssot__Name__c', 'Other']),
+    ['ssot__Name__c']
+  );
+  t.same(suggestNames('Completely_Different', ['ssot__Id__c']), []);
+});
+
+test('findUnknownReferences - should accept known tables and columns in any case', async t => {
+  t.same(
+    findUnknownReferences(
+      'SELECT a.SSOT__NAME__C, c.ssot__AccountId__c FROM unifiedssotaccountb2b__dlm a ' +
+        'JOIN ssot__Contact__dlm c ON c.ssot__AccountId__c = a.ssot__Id__c',
+      schema
+    ),
+    []
+  );
+});
+
+test('findUnknownReferences - should report unknown tables and columns with suggestions', async t => {
+  t.same(
+    findUnknownReferences(
+      'SELECT ssot__Id__c FROM UnifiedssotAcount__dlm',
+      schema
+    ),
+    [
+      {
+        kind: 'table',
+        name: 'UnifiedssotAcount__dlm',
+        table: null,
+        suggestions: ['UnifiedssotAccountB2b__dlm'],
+      },
+    ],
+    'Should not check columns of an unknown table'
+  );
+
+  const unknown = findUnknownReferences(
+    'SELECT ssot__Nmae__c, ssot__Nmae__c FROM UnifiedssotAccountB2b__dlm',
+    schema
+  );
+  t.same(
+    unknown,
+    [
+      {
+        kind: 'column',
+        name: 'ssot__Nmae__c',
+        table: 'UnifiedssotAccountB2b__dlm',
+        suggestions: ['ssot__Name__c'],
+      },
+    ],
+    'Should report a repeated unknown column once'
+  );
+});
+
+test('findUnknownReferences - should skip what it cannot resolve', async t => {
+  t.same(
+    findUnknownReferences(
+      'SELECT x.Anything__c FROM (SELECT ssot__Id__c FROM ssot__Contact__dlm) x',
+      schema
+    ),
+    [],
+    'Should skip columns of subqueries'
+  );
+  t.same(
+    findUnknownReferences('SELECT Missing__c FROM Orders__dll', schema),
+    [],
+    'Should skip entity types whose metadata was not loaded'
+  );
+  t.same(
+    findUnknownReferences(
+      'SELECT COUNT(*) AS count__c FROM Spend__cio ORDER BY count__c',
+      schema
+    ),
+    [],
+    'Should accept aliases'
+  );
+});
+
+test('SchemaRegistry.getSchema - should cache schemas and share concurrent loads', async t => {
+  const calls = [];
+  const registry = new SchemaRegistry({ ttlSeconds: 60 });
+  const queryService = createQueryService(
+    {
+      DataModelObject: [{ name: 'A__dlm', fields: [{ name: 'Id__c' }] }],
+      DataLakeObject: [],
+      CalculatedInsight: [],
+    },
+    calls
+  );
+
+  const [first, second] = await Promise.all([
+    registry.getSchema(queryService),
+    registry.getSchema(queryService),
+  ]);
+  const third = await registry.getSchema(queryService);
+
+  t.equal(first, second, 'Concurrent callers should share the load');
+  t.equal(third, first, 'Should serve the cached schema');
+  t.equal(calls.length, 3, 'Should list each entity type once');
+
+  registry.clear();
+  await registry.getSchema(queryService);
+  t.equal(calls.length, 6, 'Should reload after clear');
+});
+
+test('SchemaRegistry.getSchema - should leave out entity types that fail to load', async t => {
+  const warnings = [];
+  const registry = new SchemaRegistry({
+    logger: { info: () => {}, warn: message => warnings.push(message) },
+  });
+
+  const schema = await registry.getSchema(
+    createQueryService({
+      DataModelObject: [{ name: 'A__dlm', fields: [] }],
+    })
+  );
+  t.same([...schema.entityTypes], ['DataModelObject']);
+  t.equal(warnings.length, 2, 'Should warn about each missing type');
+
+  await t.rejects(
+    new SchemaRegistry().getSchema(createQueryService({})),
+    /No access to DataModelObject/,
+    'Should fail when no metadata could be loaded'
+  );
+});
+
+test('SchemaRegistry.validateSql - should throw a 400 listing unknown references', async t => {
+  const registry = new SchemaRegistry();
+  const queryService = createQueryService({
+    DataModelObject: [{ name: 'A__dlm', fields: [{ name: 'Name__c' }] }],
+  });
+
+  await registry.validateSql(queryService, 'SELECT Name__c FROM A__dlm');
+
+  const sql = 'SELECT Nam__c FROM A__dlm';
+  const err = await registry.validateSql(queryService, sql).catch(e => e);
+  t.ok(err instanceof SqlReferenceError);
+  t.equal(err.statusCode, 400);
+  t.equal(err.type, 'unknown_reference');
+  t.equal(err.sql, sql);
+  t.equal(
+    err.message,
+    "Unknown column 'Nam__c' in A__dlm (did you mean Name__c?)"
+  );
+  t.equal(err.details.unknownReferences.length, 1);
+});
+
+test('SchemaRegistry.validateQueries - should collect invalid queries', async t => {
+  const registry = new SchemaRegistry();
+  const queryService = createQueryService({
+    DataModelObject: [{ name: 'A__dlm', fields: [{ name: 'Name__c' }] }],
+  });
+
+  const problems = await registry.validateQueries(queryService, {
+    valid: { sql: 'SELECT Name__c FROM A__dlm' },
+    invalid: 'SELECT Missing__c FROM A__dlm',
+  });
+
+  t.equal(problems.length, 1);
+  t.equal(problems[0].name, 'invalid');
+  t.match(problems[0].error.message, /Unknown column 'Missing__c'/);
+});
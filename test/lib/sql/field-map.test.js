@@ -0,0 +1,223 @@
+import { test } from 'tap';
+import {
+  buildSelectClause,
+  defineGroupedQuery,
+  defineQuery,
+  getColumns,
+  isQueryDefinition,
+  transformRecords,
+} from '../../../src/lib/sql/field-map.js';
+import {
+  userEngagementQuery,
+  unifiedB2BQuery,
+} from '../../../src/lib/sql/queries.js';
+
+const definition = {
+  table: 'Test__dlm',
+  fields: [
+    { column: 'Name__c', property: 'name' },
+    { column: 'Amount__c', property: 'amount', type: 'number' },
+    { column: 'Active__c', property: 'active', type: 'boolean' },
+    { column: 'CreatedDate__c', property: 'createdDate', type: 'datetime' },
+  ],
+};
+
+test('isQueryDefinition - should detect table and field map', async t => {
+  t.ok(isQueryDefinition(definition), 'Should accept table with fields');
+  t.notOk(
+    isQueryDefinition({ sql: 'SELECT 1' }),
+    'Should reject sql-only query objects'
+  );
+  t.notOk(isQueryDefinition(null), 'Should reject null');
+});
+
+test('buildSelectClause - should select columns in field map order', async t => {
+  t.equal(
+    buildSelectClause(definition),
+    'SELECT Name__c, Amount__c, Active__c, CreatedDate__c FROM Test__dlm',
+    'Should generate SELECT clause from the field map'
+  );
+});
+
+test('transformRecords - should map values by position and coerce types', async t => {
+  const records = transformRecords(definition.fields, [
+    ['Acme', '42.5', 'true', '2024-05-01T10:00:00Z'],
+    ['Globex', null, false, undefined],
+  ]);
+
+  t.same(
+    records,
+    [
+      {
+        name: 'Acme',
+        amount: 42.5,
+        active: true,
+        createdDate: '2024-05-01T10:00:00.000Z',
+      },
+      { name: 'Globex', amount: null, active: false, createdDate: null },
+    ],
+    'Should transform records using field map properties and types'
+  );
+});
+
+test('transformRecords - should use column metadata when present', async t => {
+  const records = transformRecords(
+    definition.fields,
+    [[true, 'Acme', 7, null]],
+    {
+      Active__c: { placeInOrder: 0 },
+      Name__c: { placeInOrder: 1 },
+      Amount__c: { placeInOrder: 2 },
+      CreatedDate__c: { placeInOrder: 3 },
+    }
+  );
+
+  t.same(
+    records,
+    [{ name: 'Acme', amount: 7, active: true, createdDate: null }],
+    'Should match values to properties by column name, not position'
+  );
+});
+
+test('getColumns - should list response columns in result order', async t => {
+  t.same(
+    getColumns({
+      Name__c: { placeInOrder: 1, type: 'VARCHAR' },
+      Id__c: { placeInOrder: 0, type: 'VARCHAR' },
+      Total__c: { placeInOrder: 2 },
+    }),
+    [
+      { name: 'Id__c', type: 'VARCHAR' },
+      { name: 'Name__c', type: 'VARCHAR' },
+      { name: 'Total__c', type: null },
+    ]
+  );
+  t.same(getColumns(undefined), [], 'Should handle missing metadata');
+});
+
+test('defineQuery - should generate sql and transform', async t => {
+  const query = defineQuery({ ...definition, limit: 10 });
+
+  t.equal(
+    query.sql,
+    'SELECT Name__c, Amount__c, Active__c, CreatedDate__c FROM Test__dlm LIMIT 10',
+    'Should append the limit to the generated sql'
+  );
+  t.same(
+    query.transform([['Acme', 1, true, null]]),
+    [{ name: 'Acme', amount: 1, active: true, createdDate: null }],
+    'Should generate a transform from the field map'
+  );
+});
+
+test('defineQuery - should reject invalid field maps', async t => {
+  t.throws(
+    () => defineQuery({ table: 'Test__dlm', fields: [] }),
+    /non-empty fields array/,
+    'Should reject empty field maps'
+  );
+  t.throws(
+    () =>
+      defineQuery({
+        table: 'Test__dlm',
+        fields: [{ column: 'A__c', property: 'a', type: 'money' }],
+      }),
+    /Unknown type 'money'/,
+    'Should reject unknown field types'
+  );
+  t.throws(
+    () =>
+      defineQuery({
+        table: 'Test__dlm',
+        fields: [
+          { column: 'A__c', property: 'a' },
+          { column: 'B__c', property: 'a' },
+        ],
+      }),
+    /Duplicate property 'a'/,
+    'Should reject duplicate output properties'
+  );
+});
+
+test('defineGroupedQuery - should count rows per value of a groupable field', async t => {
+  const queryObject = defineQuery({
+    table: 'Test__dlm',
+    fields: [
+      {
+        column: 'Name__c',
+        property: 'name',
+        filterable: true,
+        groupable: true,
+      },
+      { column: 'Amount__c', property: 'amount', type: 'number' },
+    ],
+  });
+
+  t.same(queryObject.groupFields, {
+    name: { column: 'Name__c', type: 'string' },
+  });
+
+  const grouped = defineGroupedQuery(
+    queryObject,
+    'name',
+    { field: 'name', op: 'neq', value: "O'Brien" },
+    10
+  );
+  t.equal(
+    grouped.sql,
+    'SELECT Name__c AS group_value, COUNT(*) AS record_count FROM Test__dlm ' +
+      "WHERE Name__c <> 'O''Brien' GROUP BY Name__c " +
+      'ORDER BY record_count DESC, Name__c LIMIT 10'
+  );
+  t.same(
+    grouped.transform([
+      ['a', '3'],
+      [null, 1],
+    ]),
+    [
+      { name: 'a', count: 3 },
+      { name: null, count: 1 },
+    ]
+  );
+
+  t.throws(
+    () => defineGroupedQuery(queryObject, 'amount', null, 10),
+    /cannot be grouped by/,
+    'Should only group by groupable fields'
+  );
+});
+
+test('queries - should generate SELECT clauses from field maps', async t => {
+  t.equal(
+    userEngagementQuery.sql,
+    'SELECT ClientSession__c, CreatedDate__c, EntityType__c, EventIdentifier__c, EventName__c FROM UserEngagement__dlm ORDER BY EventIdentifier__c LIMIT 100',
+    'Should generate the user engagement query'
+  );
+  t.match(
+    unifiedB2BQuery.buildQuery(),
+    /^SELECT ssot__Name__c, .*, ssot__Id__c FROM UnifiedssotAccountB2b__dlm ORDER BY ssot__Id__c LIMIT 100$/,
+    'Should generate the unified B2B query'
+  );
+});
+
+test('queries - should filter engagement by date range, event, entity and session', async t => {
+  t.equal(
+    userEngagementQuery.buildQuery({
+      createdFrom: '2024-01-01',
+      createdTo: '2024-02-01',
+      eventName: 'login',
+      entityType: 'Page',
+      clientSession: "s'1",
+    }),
+    'SELECT ClientSession__c, CreatedDate__c, EntityType__c, EventIdentifier__c, EventName__c FROM UserEngagement__dlm ' +
+      "WHERE CreatedDate__c >= '2024-01-01T00:00:00.000Z' AND CreatedDate__c < '2024-02-01T00:00:00.000Z' " +
+      "AND EventName__c = 'login' AND EntityType__c = 'Page' AND ClientSession__c = 's''1' " +
+      'ORDER BY EventIdentifier__c LIMIT 100'
+  );
+  t.equal(userEngagementQuery.buildQuery(), userEngagementQuery.sql);
+  t.same(Object.keys(userEngagementQuery.groupFields), [
+    'clientSession',
+    'entityType',
+    'eventName',
+  ]);
+});
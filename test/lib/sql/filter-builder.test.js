@@ -0,0 +1,200 @@
+import { test } from 'tap';
+import {
+  buildWhereClause,
+  filter,
+  FilterValidationError,
+  MAX_FILTER_DEPTH,
+  parseFilter,
+  parseRequestFilters,
+} from '../../../src/lib/sql/filter-builder.js';
+
+const filterFields = {
+  name: { column: 'Name__c', type: 'string' },
+  amount: { column: 'Amount__c', type: 'number' },
+  closeDate: { column: 'CloseDate__c', type: 'date' },
+  createdDate: { column: 'CreatedDate__c', type: 'datetime' },
+  active: { column: 'Active__c', type: 'boolean' },
+};
+
+test('buildWhereClause - should compile each operator', async t => {
+  const cases = [
+    [filter.eq('name', 'Acme'), "Name__c = 'Acme'"],
+    [filter.neq('amount', '5'), 'Amount__c <> 5'],
+    [filter.in('name', ['A', "B'"]), "Name__c IN ('A', 'B''')"],
+    [filter.like('name', 'Ac_e%'), "Name__c LIKE 'Ac_e%'"],
+    [filter.contains('name', 'cme'), "Name__c LIKE '%cme%' ESCAPE '\\'"],
+    [filter.startsWith('name', 'Ac'), "Name__c LIKE 'Ac%' ESCAPE '\\'"],
+    [filter.gte('amount', 10), 'Amount__c >= 10'],
+    [
+      filter.between('closeDate', '2024-01-01', '2024-12-31'),
+      "CloseDate__c BETWEEN '2024-01-01' AND '2024-12-31'",
+    ],
+    [
+      filter.lt('createdDate', '2024-05-01T10:00:00+02:00'),
+      "CreatedDate__c < '2024-05-01T08:00:00.000Z'",
+    ],
+    [filter.eq('active', 'true'), 'Active__c = TRUE'],
+    [filter.isNull('name'), 'Name__c IS NULL'],
+    [filter.isNotNull('amount'), 'Amount__c IS NOT NULL'],
+  ];
+
+  for (const [node, expected] of cases) {
+    t.equal(buildWhereClause(node, filterFields), expected, expected);
+  }
+});
+
+test('buildWhereClause - should compile nested and/or groups', async t => {
+  const where = buildWhereClause(
+    filter.and(
+      filter.eq('active', true),
+      filter.or(filter.gt('amount', 100), filter.isNull('amount')),
+      undefined
+    ),
+    filterFields
+  );
+
+  t.equal(
+    where,
+    'Active__c = TRUE AND (Amount__c > 100 OR Amount__c IS NULL)',
+    'Should parenthesize nested groups and skip empty members'
+  );
+  t.equal(
+    buildWhereClause(filter.and(), filterFields),
+    '',
+    'Should return an empty clause for an empty group'
+  );
+});
+
+test('buildWhereClause - should escape injection attempts in values', async t => {
+  t.equal(
+    buildWhereClause(filter.eq('name', "x' OR '1'='1"), filterFields),
+    "Name__c = 'x'' OR ''1''=''1'",
+    'Should escape single quotes'
+  );
+  t.equal(
+    buildWhereClause(
+      filter.contains('name', "%'; DROP TABLE x; --"),
+      filterFields
+    ),
+    "Name__c LIKE '%\\%''; DROP TABLE x; --%' ESCAPE '\\'",
+    'Should escape single quotes in LIKE patterns'
+  );
+});
+
+test('buildWhereClause - should match LIKE wildcards in contains and startsWith values literally', async t => {
+  t.equal(
+    buildWhereClause(filter.startsWith('name', 'a_b'), filterFields),
+    "Name__c LIKE 'a\\_b%' ESCAPE '\\'"
+  );
+  t.equal(
+    buildWhereClause(filter.contains('name', '100%'), filterFields),
+    "Name__c LIKE '%100\\%%' ESCAPE '\\'"
+  );
+  t.equal(
+    buildWhereClause(filter.contains('name', 'C:\\temp'), filterFields),
+    "Name__c LIKE '%C:\\\\temp%' ESCAPE '\\'",
+    'Backslashes match themselves'
+  );
+  t.equal(
+    buildWhereClause(filter.like('name', 'Ac_e%'), filterFields),
+    "Name__c LIKE 'Ac_e%'",
+    'like patterns keep their wildcards'
+  );
+});
+
+test('buildWhereClause - should reject fields, operators and values that are not allowed', async t => {
+  const invalid = [
+    [filter.eq('Secret__c', 'x'), /Field 'Secret__c' cannot be filtered/],
+    [filter.gt('name', 'a'), /Operator 'gt' is not supported for string/],
+    [filter.contains('amount', '1'), /Operator 'contains' is not supported/],
+    [filter.eq('amount', '1; DROP'), /must be a number/],
+    [filter.eq('closeDate', "2024-01-01' OR 1=1"), /must be a date/],
+    [filter.gte('createdDate', 'yesterday'), /ISO 8601/],
+    [filter.eq('active', 'yes'), /must be a boolean/],
+    [filter.in('name', []), /list of 1 to 100 values/],
+    [filter.eq('name', { nested: true }), /must be a string/],
+    [{ field: 'name' }, /must have a field and an op/],
+    [{ and: 'name' }, /must be a list of filters/],
+  ];
+
+  for (const [node, pattern] of invalid) {
+    t.throws(
+      () => buildWhereClause(node, filterFields),
+      pattern,
+      `Should reject ${JSON.stringify(node)}`
+    );
+  }
+
+  let nested = filter.eq('name', 'x');
+  for (let i = 0; i <= MAX_FILTER_DEPTH; i++) {
+    nested = filter.and(nested);
+  }
+  t.throws(
+    () => buildWhereClause(nested, filterFields),
+    /nested more than/,
+    'Should reject deeply nested groups'
+  );
+});
+
+test('parseFilter - should parse and validate JSON filters', async t => {
+  t.equal(parseFilter('', filterFields), null, 'Should ignore empty input');
+  t.same(
+    parseFilter(
+      '{"or":[{"field":"name","op":"eq","value":"A"}]}',
+      filterFields
+    ),
+    { or: [{ field: 'name', op: 'eq', value: 'A' }] },
+    'Should return the parsed filter tree'
+  );
+
+  try {
+    parseFilter('{not json', filterFields);
+    t.fail('Should throw for invalid JSON');
+  } catch (err) {
+    t.type(err, FilterValidationError, 'Should throw FilterValidationError');
+    t.equal(err.statusCode, 400, 'Should carry a 400 status code');
+  }
+});
+
+test('parseRequestFilters - should drop empty filters and validate the filter tree once', async t => {
+  const queryObject = {
+    filterFields,
+    buildFilter: filters =>
+      filter.and(
+        filters.name && filter.eq('name', filters.name),
+        filters.closedAfter && filter.gt('closeDate', filters.closedAfter),
+        filters.filter
+      ),
+  };
+
+  t.same(
+    parseRequestFilters(queryObject, {
+      name: 'Acme',
+      closedAfter: '',
+      segment: null,
+      filter: '{"field":"amount","op":"gt","value":5}',
+    }),
+    { name: 'Acme', filter: { field: 'amount', op: 'gt', value: 5 } },
+    'Should parse the filter parameter'
+  );
+  t.same(parseRequestFilters({ filterFields }, {}), {});
+
+  t.throws(
+    () => parseRequestFilters(queryObject, { closedAfter: 'yesterday' }),
+    FilterValidationError,
+    'Should validate the named filters through buildFilter'
+  );
+  t.throws(
+    () =>
+      parseRequestFilters(
+        { filterFields },
+        { filter: '{"field":"secret","op":"eq","value":1}' }
+      ),
+    { statusCode: 400 },
+    'Should validate the filter parameter of query objects without buildFilter'
+  );
+  t.throws(
+    () => parseRequestFilters({ filterFields }, { filter: '{not json' }),
+    FilterValidationError
+  );
+});
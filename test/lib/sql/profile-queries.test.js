@@ -0,0 +1,173 @@
+import { test } from 'tap';
+import DataCloudQueryService from '../../../src/lib/data-cloud-query-service.js';
+import {
+  buildColumnProfile,
+  buildSummaryQuery,
+  buildTopValuesQuery,
+  getProfileFields,
+  getProfileKind,
+  profileModel,
+  readSummary,
+  readTopValues,
+} from '../../../src/lib/sql/profile-queries.js';
+
+const fields = getProfileFields([
+  { name: 'ssot__Name__c', label: 'Name', type: 'STRING' },
+  { name: 'ssot__Revenue__c', label: 'Revenue', type: 'NUMBER' },
+  { name: 'ssot__CreatedDate__c', label: 'Created', type: 'DATE_TIME' },
+  { name: 'ssot__IsActive__c', label: 'Active', type: 'BOOLEAN' },
+  { name: 'Bad Name; DROP', label: 'Bad', type: 'STRING' },
+]);
+
+test('getProfileKind - should map metadata types to profile kinds', async t => {
+  t.equal(getProfileKind('STRING'), 'text');
+  t.equal(getProfileKind('number'), 'number');
+  t.equal(getProfileKind('DATE_TIME'), 'date');
+  t.equal(getProfileKind('BOOLEAN'), 'other');
+  t.equal(getProfileKind(null), 'other');
+});
+
+test('getProfileFields - should skip fields that are not plain identifiers', async t => {
+  t.same(
+    fields.map(field => [field.name, field.kind]),
+    [
+      ['ssot__Name__c', 'text'],
+      ['ssot__Revenue__c', 'number'],
+      ['ssot__CreatedDate__c', 'date'],
+      ['ssot__IsActive__c', 'other'],
+    ]
+  );
+});
+
+test('buildSummaryQuery - should count, and take min/max of numbers and dates', async t => {
+  t.equal(
+    buildSummaryQuery('ssot__Account__dlm', fields.slice(0, 2)),
+    'SELECT COUNT(*) AS row_count, ' +
+      'COUNT(ssot__Name__c) AS c0_non_null, COUNT(DISTINCT ssot__Name__c) AS c0_distinct, ' +
+      'COUNT(ssot__Revenue__c) AS c1_non_null, COUNT(DISTINCT ssot__Revenue__c) AS c1_distinct, ' +
+      'MIN(ssot__Revenue__c) AS c1_min, MAX(ssot__Revenue__c) AS c1_max ' +
+      'FROM ssot__Account__dlm'
+  );
+  t.equal(
+    buildTopValuesQuery('ssot__Account__dlm', fields[0], 3),
+    'SELECT ssot__Name__c AS value, COUNT(*) AS frequency FROM ssot__Account__dlm ' +
+      'WHERE ssot__Name__c IS NOT NULL GROUP BY ssot__Name__c ' +
+      'ORDER BY frequency DESC, value LIMIT 3'
+  );
+});
+
+test('readSummary - should read statistics by column name or position', async t => {
+  const batch = fields.slice(0, 2);
+  const expected = {
+    rowCount: 10,
+    stats: [
+      { nonNull: 8, distinct: 5, min: null, max: null },
+      { nonNull: 10, distinct: 9, min: 1.5, max: 900 },
+    ],
+  };
+
+  t.same(
+    readSummary(batch, [['10', '8', '5', '10', '9', 1.5, 900]]),
+    expected,
+    'Should read values in select list order without metadata'
+  );
+  t.same(
+    readSummary(batch, [[1.5, 900, '10', '8', '5', '10', '9']], {
+      c1_min: { placeInOrder: 0 },
+      c1_max: { placeInOrder: 1 },
+      row_count: { placeInOrder: 2 },
+      c0_non_null: { placeInOrder: 3 },
+      c0_distinct: { placeInOrder: 4 },
+      c1_non_null: { placeInOrder: 5 },
+      c1_distinct: { placeInOrder: 6 },
+    }),
+    expected,
+    'Should use column metadata when present'
+  );
+  t.same(readTopValues([['Acme', '3']]), [{ value: 'Acme', count: 3 }]);
+});
+
+test('buildColumnProfile - should combine statistics into a profile', async t => {
+  const stats = { nonNull: 8, distinct: 5, min: 'a', max: 'z' };
+
+  t.same(buildColumnProfile(fields[0], 10, stats, [{ value: 'A', count: 2 }]), {
+    name: 'ssot__Name__c',
+    label: 'Name',
+    type: 'STRING',
+    kind: 'text',
+    nullCount: 2,
+    nullRate: 0.2,
+    distinctCount: 5,
+    min: null,
+    max: null,
+    topValues: [{ value: 'A', count: 2 }],
+  });
+  t.match(buildColumnProfile(fields[1], 0, { nonNull: 0, distinct: 0 }), {
+    nullCount: 0,
+    nullRate: null,
+    topValues: null,
+  });
+});
+
+test('profileModel - should profile fields in batches', async t => {
+  const queries = [];
+  const fields = Array.from({ length: 12 }, (_, index) => ({
+    name: `Field${index}__c`,
+    type: index === 0 ? 'NUMBER' : 'STRING',
+  }));
+  const mockAppLinkSdk = {
+    applink: {
+      getAuthorization: async () => ({
+        domainUrl: 'https://tenant.c360a.salesforce.com',
+        accessToken: 'token',
+        request: async () => ({
+          metadata: [{ name: 'Test__dlm', fields }],
+        }),
+        dataCloudApi: {
+          query: async sql => {
+            queries.push(sql);
+            if (sql.includes(' AS frequency ')) {
+              return { data: [['A', 4]] };
+            }
+            // Every summary column of the batch reports the same count
+            const columns = (sql.match(/ AS /g) || []).length;
+            return { data: [Array.from({ length: columns }, () => 4)] };
+          },
+        },
+      }),
+    },
+  };
+  const service = new DataCloudQueryService(
+    mockAppLinkSdk,
+    'test-connection',
+    { info: () => {}, error: () => {} },
+    { cacheTtlSeconds: 0 }
+  );
+
+  const profile = await profileModel(service, 'test__dlm', { topN: 2 });
+
+  t.equal(profile.model, 'Test__dlm');
+  t.equal(profile.rowCount, 4);
+  t.equal(profile.columns.length, 12);
+  t.equal(
+    profile.queryCount,
+    2 + 11,
+    'Should run 2 summaries and 11 top values'
+  );
+  t.equal(queries.length, 13);
+  t.match(queries[0], /^SELECT COUNT\(\*\) AS row_count, .* FROM Test__dlm$/);
+  t.match(queries[2], /LIMIT 2$/);
+  t.match(profile.columns[0], {
+    name: 'Field0__c',
+    kind: 'number',
+    nullCount: 0,
+    min: 4,
+    topValues: null,
+  });
+  t.same(profile.columns[11].topValues, [{ value: 'A', count: 4 }]);
+
+  await t.rejects(profileModel(service, 'Missing__dlm'), {
+    statusCode: 404,
+    type: 'unknown_object',
+  });
+});
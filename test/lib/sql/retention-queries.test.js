@@ -0,0 +1,92 @@
+import { test } from 'tap';
+import { defineRetentionQuery } from '../../../src/lib/sql/retention-queries.js';
+import { filter } from '../../../src/lib/sql/filter-builder.js';
+import { userEngagementQuery } from '../../../src/lib/sql/queries.js';
+
+test('defineRetentionQuery - should list the active periods of each entity', async t => {
+  const query = defineRetentionQuery(userEngagementQuery, {
+    entityProperty: 'clientSession',
+    dateProperty: 'createdDate',
+    period: 'week',
+    filterNode: filter.isNotNull('clientSession'),
+    limit: 100,
+  });
+
+  t.equal(
+    query.sql,
+    "SELECT ClientSession__c AS entity_key, DATE_TRUNC('week', CreatedDate__c) AS period_start, " +
+      'COUNT(*) AS event_count FROM UserEngagement__dlm ' +
+      'WHERE ClientSession__c IS NOT NULL ' +
+      "GROUP BY ClientSession__c, DATE_TRUNC('week', CreatedDate__c) " +
+      "ORDER BY ClientSession__c, DATE_TRUNC('week', CreatedDate__c) LIMIT 100"
+  );
+  t.same(
+    query.transform([['s1', '2024-01-01 00:00:00', '3']]),
+    [
+      {
+        activationCount: 3,
+        entity: 's1',
+        periodStart: '2024-01-01 00:00:00',
+        eventCount: 3,
+      },
+    ],
+    'Every event activates without an activation filter'
+  );
+});
+
+test('defineRetentionQuery - should count activation events', async t => {
+  const query = defineRetentionQuery(userEngagementQuery, {
+    entityProperty: 'clientSession',
+    dateProperty: 'createdDate',
+    period: 'month',
+    activationFilter: filter.eq('eventName', "sign'up"),
+    limit: 10,
+  });
+
+  t.match(
+    query.sql,
+    "COUNT(*) AS event_count, SUM(CASE WHEN EventName__c = 'sign''up' THEN 1 ELSE 0 END) AS activation_count FROM UserEngagement__dlm GROUP BY"
+  );
+  t.same(query.transform([['s1', '2024-01-01', 3, 0]]), [
+    {
+      activationCount: 0,
+      entity: 's1',
+      periodStart: '2024-01-01',
+      eventCount: 3,
+    },
+  ]);
+});
+
+test('defineRetentionQuery - should reject fields and periods that are not allowed', async t => {
+  const options = {
+    entityProperty: 'clientSession',
+    dateProperty: 'createdDate',
+    period: 'day',
+    limit: 10,
+  };
+
+  t.throws(
+    () =>
+      defineRetentionQuery(userEngagementQuery, {
+        ...options,
+        entityProperty: 'eventIdentifier',
+      }),
+    /cannot be grouped by/
+  );
+  t.throws(
+    () =>
+      defineRetentionQuery(userEngagementQuery, {
+        ...options,
+        dateProperty: 'eventName',
+      }),
+    /cannot be bucketed by/
+  );
+  t.throws(
+    () =>
+      defineRetentionQuery(userEngagementQuery, {
+        ...options,
+        period: 'hour',
+      }),
+    /Unknown retention period/
+  );
+});
@@ -0,0 +1,150 @@
+import { test } from 'tap';
+import {
+  SqlGuardError,
+  guardSelect,
+  isTableAllowed,
+  parseAllowedTables,
+} from '../../../src/lib/sql/sql-guard.js';
+
+const allowedTables = ['*__dlm', '*__cio'];
+
+const rejection = (sql, options = { allowedTables }) => {
+  try {
+    guardSelect(sql, options);
+  } catch (err) {
+    return err;
+  }
+  return null;
+};
+
+test('guardSelect - should inject a LIMIT when there is none', async t => {
+  const guarded = guardSelect('SELECT ssot__Name__c FROM ssot__Account__dlm;', {
+    maxRows: 50,
+    allowedTables,
+  });
+
+  t.same(guarded, {
+    sql: 'SELECT ssot__Name__c FROM ssot__Account__dlm LIMIT 50',
+    tables: ['ssot__Account__dlm'],
+    limit: 50,
+    limitApplied: 'injected',
+  });
+});
+
+test('guardSelect - should keep or cap the outer LIMIT', async t => {
+  const kept = guardSelect('SELECT * FROM A__dlm LIMIT 10', {
+    maxRows: 50,
+    allowedTables,
+  });
+  t.equal(kept.sql, 'SELECT * FROM A__dlm LIMIT 10');
+  t.equal(kept.limitApplied, 'kept');
+  t.equal(kept.limit, 10);
+
+  const capped = guardSelect(
+    'SELECT * FROM A__dlm WHERE Id__c IN (SELECT Id__c FROM B__dlm LIMIT 5000) LIMIT 9000 OFFSET 10',
+    { maxRows: 50, allowedTables }
+  );
+  t.equal(
+    capped.sql,
+    'SELECT * FROM A__dlm WHERE Id__c IN (SELECT Id__c FROM B__dlm LIMIT 5000) LIMIT 50 OFFSET 10',
+    'Should only change the outer LIMIT'
+  );
+  t.equal(capped.limitApplied, 'capped');
+  t.same(capped.tables, ['A__dlm', 'B__dlm']);
+
+  t.match(rejection('SELECT * FROM A__dlm LIMIT ALL'), {
+    statusCode: 400,
+    message: /LIMIT must be a whole number/,
+  });
+  t.match(rejection('SELECT * FROM A__dlm FETCH FIRST 5 ROWS ONLY'), {
+    message: /Use LIMIT rather than FETCH/,
+  });
+});
+
+test('guardSelect - should reject anything but a single SELECT', async t => {
+  const cases = {
+    'DELETE FROM A__dlm': /Only SELECT statements are allowed/,
+    'UPDATE A__dlm SET Name__c = 1': /Only SELECT statements are allowed/,
+    'DROP TABLE A__dlm': /Only SELECT statements are allowed/,
+    'SELECT * INTO Copy__dlm FROM A__dlm': /found INTO/,
+    'WITH x AS (DELETE FROM A__dlm) SELECT * FROM x': /found DELETE/,
+    'SELECT 1 FROM A__dlm; DELETE FROM A__dlm': /single SQL statement/,
+    'SELECT 1 FROM A__dlm;;': /single SQL statement/,
+    "SELECT * FROM A__dlm WHERE Name__c = 'x": /unterminated quote/,
+    '  -- nothing\n': /SQL is empty/,
+    'SELECT * FROM A__dlm /* LIMIT 5': /unterminated comment/,
+  };
+
+  for (const [sql, message] of Object.entries(cases)) {
+    const err = rejection(sql);
+    t.ok(err instanceof SqlGuardError, `Should reject: ${sql}`);
+    t.match(err, { statusCode: 400, type: 'rejected_sql', message });
+  }
+});
+
+test('guardSelect - should ignore keywords in strings, comments and quoted names', async t => {
+  const guarded = guardSelect(
+    `SELECT "Delete__c" FROM A__dlm WHERE Note__c = 'drop; delete' -- update\n`,
+    { maxRows: 10, allowedTables }
+  );
+
+  t.equal(
+    guarded.sql,
+    `SELECT "Delete__c" FROM A__dlm WHERE Note__c = 'drop; delete' -- update\nLIMIT 10`,
+    'Should drop the trailing comment so it cannot hide the LIMIT'
+  );
+});
+
+test('guardSelect - should enforce the table allow-list', async t => {
+  t.match(rejection('SELECT * FROM Orders__dll JOIN A__dlm ON 1 = 1'), {
+    statusCode: 400,
+    message: /Querying Orders__dll is not allowed/,
+  });
+  t.match(rejection('SELECT * FROM A__dlm, Account'), {
+    message: /Querying Account is not allowed/,
+  });
+
+  const guarded = guardSelect(
+    'WITH recent AS (SELECT * FROM A__dlm) SELECT * FROM recent',
+    { maxRows: 10, allowedTables }
+  );
+  t.same(guarded.tables, ['A__dlm'], 'Should allow reading CTEs');
+});
+
+test('guardSelect - should check dotted table names as a whole', async t => {
+  const options = { allowedTables: ['UserEngagement__dlm'] };
+  t.match(rejection('SELECT * FROM UserEngagement__dlm.Secret__dlm', options), {
+    message: /Querying UserEngagement__dlm\.Secret__dlm is not allowed/,
+  });
+  t.match(
+    rejection('SELECT * FROM "UserEngagement__dlm"."Secret__dlm" s', options),
+    { message: /Querying UserEngagement__dlm\.Secret__dlm is not allowed/ }
+  );
+  t.match(rejection('SELECT * FROM A__dlm JOIN B__dlm.C__dlm ON 1 = 1'), {
+    message: /Querying B__dlm\.C__dlm is not allowed/,
+  });
+
+  const guarded = guardSelect('SELECT * FROM "Other"."A__dlm" a', {
+    maxRows: 10,
+    allowedTables: ['Other.*__dlm'],
+  });
+  t.same(guarded.tables, ['Other.A__dlm']);
+});
+
+test('isTableAllowed - should match names and * patterns ignoring case', async t => {
+  t.ok(isTableAllowed('ssot__Account__dlm', ['*__dlm']));
+  t.ok(isTableAllowed('ORDERS__DLL', ['Orders__dll']));
+  t.notOk(isTableAllowed('Orders__dll', ['*__dlm', 'Order__dll']));
+  t.notOk(isTableAllowed('A__dlmx', ['*__dlm']));
+  t.notOk(isTableAllowed('A__dlm.B__dlm', ['*__dlm']));
+  t.ok(isTableAllowed('A__dlm.B__dlm', ['A__dlm.*']));
+});
+
+test('parseAllowedTables - should split comma separated patterns', async t => {
+  t.same(parseAllowedTables(' *__dlm, Orders__dll ,'), [
+    '*__dlm',
+    'Orders__dll',
+  ]);
+  t.equal(parseAllowedTables(''), null);
+  t.equal(parseAllowedTables(undefined), null);
+});
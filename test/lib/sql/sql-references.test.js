@@ -0,0 +1,79 @@
+import { test } from 'tap';
+import {
+  extractReferences,
+  getObjectEntityType,
+  tokenize,
+} from '../../../src/lib/sql/sql-references.js';
+
+test('tokenize - should drop whitespace, comments and string literals', async t => {
+  const tokens = tokenize(
+    `SELECT "Quoted__c", x -- Fake__c\n/* Other__c */ FROM T__dlm WHERE y = 'it''s Name__c'`
+  );
+
+  t.same(
+    tokens.map(token => token.value),
+    ['SELECT', 'Quoted__c', ',', 'x', 'FROM', 'T__dlm', 'WHERE', 'y', '=']
+  );
+});
+
+test('extractReferences - should find tables, aliases and qualified columns', async t => {
+  const references = extractReferences(
+    'SELECT a.ssot__Name__c, c.ssot__Email__c, COUNT(*) AS total__c ' +
+      'FROM ssot__Account__dlm a ' +
+      'LEFT JOIN ssot__Contact__dlm AS c ON c.ssot__AccountId__c = a.ssot__Id__c ' +
+      "WHERE ssot__Name__c LIKE 'A%' ORDER BY total__c"
+  );
+
+  t.same(references.tables, [
+    { name: 'ssot__Account__dlm', alias: 'a' },
+    { name: 'ssot__Contact__dlm', alias: 'c' },
+  ]);
+  t.same(references.columns, [
+    { name: 'ssot__Name__c', qualifier: 'a' },
+    { name: 'ssot__Email__c', qualifier: 'c' },
+    { name: 'ssot__AccountId__c', qualifier: 'c' },
+    { name: 'ssot__Id__c', qualifier: 'a' },
+    { name: 'ssot__Name__c', qualifier: null },
+    { name: 'total__c', qualifier: null },
+  ]);
+  t.same(references.aliases, ['total__c']);
+});
+
+test('extractReferences - should read comma separated tables without aliases', async t => {
+  const { tables } = extractReferences(
+    'SELECT Id__c FROM One__dlm, Two__dll WHERE Id__c IS NOT NULL'
+  );
+
+  t.same(tables, [
+    { name: 'One__dlm', alias: null },
+    { name: 'Two__dll', alias: null },
+  ]);
+});
+
+test('extractReferences - should report tables that are not Data Cloud objects', async t => {
+  const { tables } = extractReferences(
+    'WITH recent AS (SELECT Id__c FROM Orders__dlm) SELECT Id__c FROM recent'
+  );
+
+  t.same(
+    tables.map(table => table.name),
+    ['Orders__dlm', 'recent']
+  );
+});
+
+test('getObjectEntityType - should map object suffixes to entity types', async t => {
+  t.equal(getObjectEntityType('ssot__Individual__dlm'), 'DataModelObject');
+  t.equal(getObjectEntityType('Orders__DLL'), 'DataLakeObject');
+  t.equal(getObjectEntityType('Spend__cio'), 'CalculatedInsight');
+  t.equal(getObjectEntityType('recent'), null);
+});
+
+test('extractReferences - should not read FROM inside EXTRACT as a table', async t => {
+  const references = extractReferences(
+    'SELECT EXTRACT(YEAR FROM o.ssot__OrderDate__c) AS orderYear ' +
+      'FROM ssot__SalesOrder__dlm o'
+  );
+
+  t.same(references.tables, [{ name: 'ssot__SalesOrder__dlm', alias: 'o' }]);
+  t.same(references.columns, [{ name: 'ssot__OrderDate__c', qualifier: 'o' }]);
+});
@@ -0,0 +1,85 @@
+import { test } from 'tap';
+import { defineTimeSeriesQuery } from '../../../src/lib/sql/timeseries-queries.js';
+import { userEngagementQuery } from '../../../src/lib/sql/queries.js';
+
+test('defineTimeSeriesQuery - should count rows per bucket in the time zone', async t => {
+  const query = defineTimeSeriesQuery(userEngagementQuery, {
+    dateProperty: 'createdDate',
+    interval: 'hour',
+    timeZone: 'Europe/Paris',
+    filterNode: { field: 'createdDate', op: 'gte', value: '2024-01-01' },
+    limit: 100,
+  });
+
+  t.equal(
+    query.sql,
+    "SELECT DATE_TRUNC('hour', CreatedDate__c AT TIME ZONE 'Europe/Paris') AS bucket, " +
+      'COUNT(*) AS record_count FROM UserEngagement__dlm ' +
+      "WHERE CreatedDate__c >= '2024-01-01T00:00:00.000Z' " +
+      "GROUP BY DATE_TRUNC('hour', CreatedDate__c AT TIME ZONE 'Europe/Paris') " +
+      "ORDER BY DATE_TRUNC('hour', CreatedDate__c AT TIME ZONE 'Europe/Paris') LIMIT 100"
+  );
+  t.same(query.transform([['2024-01-01 10:00:00', '4']]), [
+    { series: null, bucket: '2024-01-01 10:00:00', count: 4 },
+  ]);
+});
+
+test('defineTimeSeriesQuery - should split counts by a groupable field', async t => {
+  const query = defineTimeSeriesQuery(userEngagementQuery, {
+    dateProperty: 'createdDate',
+    interval: 'week',
+    timeZone: 'UTC',
+    splitBy: 'eventName',
+    limit: 10,
+  });
+
+  t.match(
+    query.sql,
+    /^SELECT DATE_TRUNC\('week', CreatedDate__c AT TIME ZONE 'UTC'\) AS bucket, EventName__c AS series, COUNT\(\*\) AS record_count FROM UserEngagement__dlm GROUP BY .*, EventName__c ORDER BY .*, EventName__c LIMIT 10$/
+  );
+  t.same(query.transform([['2024-01-01', 'login', 2]]), [
+    { series: 'login', bucket: '2024-01-01', count: 2 },
+  ]);
+});
+
+test('defineTimeSeriesQuery - should reject fields, intervals and time zones that are not allowed', async t => {
+  const options = {
+    dateProperty: 'createdDate',
+    interval: 'day',
+    timeZone: 'UTC',
+    limit: 10,
+  };
+
+  t.throws(
+    () =>
+      defineTimeSeriesQuery(userEngagementQuery, {
+        ...options,
+        dateProperty: 'eventName',
+      }),
+    /cannot be bucketed by/
+  );
+  t.throws(
+    () =>
+      defineTimeSeriesQuery(userEngagementQuery, {
+        ...options,
+        interval: 'month',
+      }),
+    /Unknown time series interval/
+  );
+  t.throws(
+    () =>
+      defineTimeSeriesQuery(userEngagementQuery, {
+        ...options,
+        timeZone: "UTC') --",
+      }),
+    /Invalid time zone/
+  );
+  t.throws(
+    () =>
+      defineTimeSeriesQuery(userEngagementQuery, {
+        ...options,
+        splitBy: 'eventIdentifier',
+      }),
+    /cannot be grouped by/
+  );
+});
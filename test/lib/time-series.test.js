@@ -0,0 +1,228 @@
+import { test } from 'tap';
+import DataCloudQueryService from '../../src/lib/data-cloud-query-service.js';
+import {
+  MAX_TIME_SERIES_BUCKETS,
+  OTHER_SERIES,
+  buildTimeSeries,
+  formatBucket,
+  getEngagementTimeSeries,
+  parseBucket,
+  resolveWindow,
+  toWallTime,
+  truncateWallTime,
+} from '../../src/lib/time-series.js';
+
+const wall = value => Date.parse(`${value}Z`);
+
+test('truncateWallTime - should truncate to the start of the bucket', async t => {
+  const time = wall('2024-01-03T10:42:17');
+
+  t.equal(truncateWallTime(time, 'minute'), wall('2024-01-03T10:42:00'));
+  t.equal(truncateWallTime(time, 'hour'), wall('2024-01-03T10:00:00'));
+  t.equal(truncateWallTime(time, 'day'), wall('2024-01-03T00:00:00'));
+  t.equal(
+    truncateWallTime(time, 'week'),
+    wall('2024-01-01T00:00:00'),
+    'Weeks start on Monday'
+  );
+  t.equal(
+    truncateWallTime(wall('2024-01-07T23:00:00'), 'week'),
+    wall('2024-01-01T00:00:00'),
+    'Sunday belongs to the week of the previous Monday'
+  );
+});
+
+test('toWallTime and formatBucket - should follow the time zone offset', async t => {
+  t.equal(
+    toWallTime(Date.parse('2024-07-01T12:00:00Z'), 'Europe/Paris'),
+    wall('2024-07-01T14:00:00')
+  );
+  t.equal(
+    formatBucket(wall('2024-03-31T00:00:00'), 'Europe/Paris'),
+    '2024-03-31T00:00:00+01:00'
+  );
+  t.equal(
+    formatBucket(wall('2024-04-01T00:00:00'), 'Europe/Paris'),
+    '2024-04-01T00:00:00+02:00'
+  );
+  t.equal(
+    formatBucket(wall('2024-01-01T00:00:00'), 'Asia/Kolkata'),
+    '2024-01-01T00:00:00+05:30'
+  );
+  t.equal(
+    formatBucket(wall('2024-01-01T00:00:00'), 'UTC'),
+    '2024-01-01T00:00:00+00:00'
+  );
+});
+
+test('parseBucket - should read date and timestamp buckets', async t => {
+  t.equal(parseBucket('2024-01-01 10:00:00'), wall('2024-01-01T10:00:00'));
+  t.equal(parseBucket('2024-01-01T10:00:00.000Z'), wall('2024-01-01T10:00:00'));
+  t.equal(parseBucket('2024-01-01'), wall('2024-01-01T00:00:00'));
+  t.ok(Number.isNaN(parseBucket(null)));
+});
+
+test('resolveWindow - should list the buckets of the window', async t => {
+  const window = resolveWindow({
+    interval: 'day',
+    timeZone: 'America/New_York',
+    createdFrom: '2024-01-01T05:00:00Z',
+    createdTo: '2024-01-04T05:00:00Z',
+  });
+
+  t.equal(window.from, '2024-01-01T05:00:00.000Z');
+  t.equal(window.to, '2024-01-04T05:00:00.000Z');
+  t.same(window.buckets, [
+    wall('2024-01-01T00:00:00'),
+    wall('2024-01-02T00:00:00'),
+    wall('2024-01-03T00:00:00'),
+  ]);
+});
+
+test('resolveWindow - should default to the interval default number of buckets ending now', async t => {
+  const window = resolveWindow({
+    interval: 'hour',
+    timeZone: 'UTC',
+    now: Date.parse('2024-01-03T10:30:00Z'),
+  });
+
+  t.equal(window.buckets.length, 48);
+  t.equal(window.from, '2024-01-01T11:00:00.000Z');
+  t.equal(window.buckets.at(-1), wall('2024-01-03T10:00:00'));
+});
+
+test('resolveWindow - should reject invalid time zones and windows', async t => {
+  const reject = (options, message) => {
+    const err = (() => {
+      try {
+        resolveWindow({ interval: 'day', timeZone: 'UTC', ...options });
+      } catch (caught) {
+        return caught;
+      }
+    })();
+    t.match(err, { statusCode: 400, type: 'invalid_time_series', message });
+  };
+
+  reject({ timeZone: 'Mars/Olympus' }, /Unknown time zone/);
+  reject({ createdFrom: 'yesterday' }, /createdFrom must be/);
+  reject(
+    { createdFrom: '2024-02-01', createdTo: '2024-01-01' },
+    /must be before/
+  );
+  reject(
+    { interval: 'minute', createdFrom: '2024-01-01', createdTo: '2024-02-01' },
+    new RegExp(`more than ${MAX_TIME_SERIES_BUCKETS} minute buckets`)
+  );
+});
+
+test('buildTimeSeries - should fill missing buckets with zero', async t => {
+  const buckets = [
+    wall('2024-01-01T00:00:00'),
+    wall('2024-01-02T00:00:00'),
+    wall('2024-01-03T00:00:00'),
+  ];
+
+  t.same(
+    buildTimeSeries(
+      [
+        { bucket: '2024-01-01 00:00:00', series: null, count: 4 },
+        { bucket: '2024-01-03 00:00:00', series: null, count: 1 },
+        { bucket: '2023-12-31 00:00:00', series: null, count: 9 },
+      ],
+      { buckets, timeZone: 'UTC' }
+    ),
+    {
+      buckets: [
+        '2024-01-01T00:00:00+00:00',
+        '2024-01-02T00:00:00+00:00',
+        '2024-01-03T00:00:00+00:00',
+      ],
+      series: [{ name: 'total', total: 5, values: [4, 0, 1] }],
+      total: 5,
+    },
+    'Should ignore buckets outside the window'
+  );
+  t.same(buildTimeSeries([], { buckets, timeZone: 'UTC' }).series, [
+    { name: 'total', total: 0, values: [0, 0, 0] },
+  ]);
+});
+
+test('buildTimeSeries - should split series, largest first, and combine the smallest', async t => {
+  const buckets = [wall('2024-01-01T00:00:00'), wall('2024-01-02T00:00:00')];
+  const records = [
+    { bucket: '2024-01-01', series: 'view', count: 5 },
+    { bucket: '2024-01-02', series: 'view', count: 5 },
+    { bucket: '2024-01-01', series: 'login', count: 3 },
+    { bucket: '2024-01-02', series: 'cart', count: 2 },
+    { bucket: '2024-01-02', series: null, count: 1 },
+  ];
+
+  const timeSeries = buildTimeSeries(records, {
+    buckets,
+    timeZone: 'UTC',
+    split: true,
+    maxSeries: 2,
+  });
+
+  t.same(timeSeries.series, [
+    { name: 'view', total: 10, values: [5, 5] },
+    { name: 'login', total: 3, values: [3, 0] },
+    { name: OTHER_SERIES, total: 3, values: [0, 3] },
+  ]);
+  t.equal(timeSeries.total, 16);
+});
+
+test('getEngagementTimeSeries - should count events per bucket with gaps filled', async t => {
+  let executedSql;
+  const mockAppLinkSdk = {
+    applink: {
+      getAuthorization: async () => ({
+        dataCloudApi: {
+          query: async sql => {
+            executedSql = sql;
+            return {
+              data: [
+                ['2024-01-01 00:00:00', 'login', 2],
+                ['2024-01-03 00:00:00', 'login', 1],
+                ['2024-01-03 00:00:00', 'view', 5],
+              ],
+            };
+          },
+        },
+      }),
+    },
+  };
+  const service = new DataCloudQueryService(mockAppLinkSdk, 'test-connection', {
+    info: () => {},
+    error: () => {},
+  });
+
+  const timeSeries = await getEngagementTimeSeries(service, {
+    interval: 'day',
+    timeZone: 'Europe/Paris',
+    splitBy: 'eventName',
+    createdFrom: '2024-01-01T00:00:00+01:00',
+    createdTo: '2024-01-04T00:00:00+01:00',
+  });
+
+  t.match(
+    executedSql,
+    /^SELECT DATE_TRUNC\('day', CreatedDate__c AT TIME ZONE 'Europe\/Paris'\) AS bucket, EventName__c AS series, .* WHERE CreatedDate__c >= '2023-12-31T23:00:00.000Z' AND CreatedDate__c < '2024-01-03T23:00:00.000Z' .* LIMIT 50001$/
+  );
+  t.same(timeSeries.buckets, [
+    '2024-01-01T00:00:00+01:00',
+    '2024-01-02T00:00:00+01:00',
+    '2024-01-03T00:00:00+01:00',
+  ]);
+  t.same(timeSeries.series, [
+    { name: 'view', total: 5, values: [0, 0, 5] },
+    { name: 'login', total: 3, values: [2, 0, 1] },
+  ]);
+  t.equal(timeSeries.total, 8);
+  t.equal(timeSeries.truncated, false);
+
+  await t.rejects(
+    getEngagementTimeSeries(service, { interval: 'day', timeZone: 'Nowhere' }),
+    { statusCode: 400, type: 'invalid_time_series' }
+  );
+});
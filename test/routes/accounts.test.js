@@ -61,20 +61,16 @@ test('GET /accounts - should handle request with valid client context', async t
 
   const errorResponse = JSON.parse(response.payload);
   t.type(
-    errorResponse.error,
+    errorResponse.title,
     'string',
-    'Error response should contain error message'
+    'Error response should contain a title'
   );
   t.type(
-    errorResponse.statusCode,
+    errorResponse.status,
     'number',
-    'Error response should contain status code'
-  );
-  t.equal(
-    errorResponse.statusCode,
-    500,
-    'Error response status code should be 500'
+    'Error response should contain a status'
   );
+  t.equal(errorResponse.status, 500, 'Error response status should be 500');
 });
 
 test('GET /accounts - should require x-client-context header', async t => {
@@ -93,7 +89,7 @@ test('GET /accounts - should require x-client-context header', async t => {
 
   const errorResponse = JSON.parse(response.payload);
   t.match(
-    errorResponse.message,
+    errorResponse.detail,
     /Required x-client-context header not found/,
     'Error message should indicate missing header'
   );
@@ -115,7 +111,7 @@ test('GET /accounts - should handle malformed x-client-context header', async t
 
   const errorResponse = JSON.parse(response.payload);
   t.match(
-    errorResponse.message,
+    errorResponse.detail,
     /is not valid JSON/,
     'Error message should indicate JSON parsing error'
   );
@@ -153,9 +149,9 @@ test('GET /accounts - should handle different valid client contexts', async t =>
 
   const errorResponse = JSON.parse(response.payload);
   t.type(
-    errorResponse.error,
+    errorResponse.title,
     'string',
-    'Error response should contain error message'
+    'Error response should contain a title'
   );
 });
 
@@ -216,22 +212,22 @@ test('GET /accounts - should return JSON response format', async t => {
   const parsedResponse = JSON.parse(response.payload);
   t.type(parsedResponse, 'object', 'Response should be an object');
 
-  // Error response should have standard structure
+  // Error response should be RFC 7807 problem details
   if (response.statusCode !== 200) {
     t.type(
-      parsedResponse.statusCode,
+      parsedResponse.status,
       'number',
-      'Error response should have statusCode'
+      'Error response should have status'
     );
     t.type(
-      parsedResponse.error,
+      parsedResponse.title,
       'string',
-      'Error response should have error field'
+      'Error response should have title field'
     );
     t.type(
-      parsedResponse.message,
+      parsedResponse.detail,
       'string',
-      'Error response should have message field'
+      'Error response should have detail field'
     );
   }
 });
@@ -261,9 +257,9 @@ test('GET /accounts - should handle x-request-id header', async t => {
 
   const errorResponse = JSON.parse(response.payload);
   t.type(
-    errorResponse.error,
+    errorResponse.title,
     'string',
-    'Error response should contain error message'
+    'Error response should contain a title'
   );
 });
 
@@ -297,8 +293,8 @@ test('GET /accounts - should validate client context structure', async t => {
 
   const errorResponse = JSON.parse(response.payload);
   t.type(
-    errorResponse.error,
+    errorResponse.title,
     'string',
-    'Error response should contain error message'
+    'Error response should contain a title'
   );
 });
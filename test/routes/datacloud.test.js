@@ -106,6 +106,241 @@ test('GET /datacloud/models - should handle empty query parameters', async t =>
 });
 
 // Tests for /datacloud/analysis/engagement endpoint
+test('GET /datacloud/models/:name - should reject invalid model names', async t => {
+  const app = await build(t);
+
+  const response = await app.inject({
+    method: 'GET',
+    url: `/datacloud/models/${encodeURIComponent('Account__dlm; DROP')}`,
+    headers: { 'x-client-context': createClientContext() },
+  });
+
+  t.equal(response.statusCode, 400, 'Should return 400 for invalid names');
+  t.equal(JSON.parse(response.payload).errorType, 'invalid_request');
+});
+
+test('GET /datacloud/models/graph - should validate graph parameters', async t => {
+  const app = await build(t);
+
+  for (const query of ['format=svg', 'depth=0', 'depth=6', 'root=Bad%20Name']) {
+    const response = await app.inject({
+      method: 'GET',
+      url: `/datacloud/models/graph?${query}`,
+      headers: { 'x-client-context': createClientContext() },
+    });
+
+    t.equal(response.statusCode, 400, `Should reject ${query}`);
+    t.equal(JSON.parse(response.payload).errorType, 'invalid_request');
+  }
+});
+
+test('GET /datacloud/models/:name/profile - should validate profile parameters', async t => {
+  const app = await build(t);
+
+  for (const url of [
+    `/datacloud/models/${encodeURIComponent('Account__dlm; DROP')}/profile`,
+    '/datacloud/models/ssot__Individual__dlm/profile?topN=0',
+    '/datacloud/models/ssot__Individual__dlm/profile?topN=51',
+  ]) {
+    const response = await app.inject({
+      method: 'GET',
+      url,
+      headers: { 'x-client-context': createClientContext() },
+    });
+
+    t.equal(response.statusCode, 400, `Should reject ${url}`);
+    t.equal(JSON.parse(response.payload).errorType, 'invalid_request');
+  }
+});
+
+test('GET /datacloud/unified/accounts/:id/sources - should validate the unified record id', async t => {
+  const app = await build(t);
+
+  const response = await app.inject({
+    method: 'GET',
+    url: `/datacloud/unified/accounts/${encodeURIComponent("u-1' OR '1'='1")}/sources`,
+    headers: { 'x-client-context': createClientContext() },
+  });
+
+  t.equal(response.statusCode, 400);
+  t.equal(JSON.parse(response.payload).errorType, 'invalid_request');
+});
+
+test('GET /datacloud/analysis/unified-b2b/duplicates - should validate match settings', async t => {
+  const app = await build(t);
+
+  for (const query of [
+    'rules=soundex',
+    'minScore=0',
+    'minNameSimilarity=1.5',
+    'limit=501',
+    'filter=%7B%22field%22%3A%22unknown%22%2C%22op%22%3A%22eq%22%2C%22value%22%3A1%7D',
+  ]) {
+    const response = await app.inject({
+      method: 'GET',
+      url: `/datacloud/analysis/unified-b2b/duplicates?${query}`,
+      headers: { 'x-client-context': createClientContext() },
+    });
+
+    t.equal(response.statusCode, 400, `Should return 400 for ${query}`);
+  }
+});
+
+test('GET /datacloud/analysis/unified-b2b/:id/hierarchy - should validate the id and depth', async t => {
+  const app = await build(t);
+
+  for (const url of [
+    `/datacloud/analysis/unified-b2b/${encodeURIComponent("u-1' OR '1'='1")}/hierarchy`,
+    '/datacloud/analysis/unified-b2b/u-1/hierarchy?depth=0',
+    '/datacloud/analysis/unified-b2b/u-1/hierarchy?depth=11',
+  ]) {
+    const response = await app.inject({
+      method: 'GET',
+      url,
+      headers: { 'x-client-context': createClientContext() },
+    });
+
+    t.equal(response.statusCode, 400, `Should reject ${url}`);
+    t.equal(JSON.parse(response.payload).errorType, 'invalid_request');
+  }
+});
+
+test('POST /datacloud/reconciliation/accounts - should validate the match key', async t => {
+  const app = await build(t);
+
+  for (const query of ['matchBy=name', 'space=1space', 'dataSourceId=']) {
+    const response = await app.inject({
+      method: 'POST',
+      url: `/datacloud/reconciliation/accounts?${query}`,
+      headers: { 'x-client-context': createClientContext() },
+    });
+
+    t.equal(response.statusCode, 400, `Should return 400 for ${query}`);
+    t.equal(JSON.parse(response.payload).errorType, 'invalid_request');
+  }
+});
+
+test('GET /datacloud/reconciliation/accounts/:jobId - should report started and unknown jobs', async t => {
+  const app = await build(t);
+  const request = (method, url) =>
+    app.inject({
+      method,
+      url,
+      headers: { 'x-client-context': createClientContext() },
+    });
+
+  const started = await request(
+    'POST',
+    '/datacloud/reconciliation/accounts?matchBy=accountNumber'
+  );
+  t.equal(started.statusCode, 202);
+  const { job } = JSON.parse(started.payload);
+  t.match(job, {
+    status: 'running',
+    options: { dataSpace: 'default', matchBy: 'accountNumber' },
+  });
+  t.equal(
+    started.headers.location,
+    `/datacloud/reconciliation/accounts/${job.id}`
+  );
+
+  const status = await request('GET', started.headers.location);
+  t.equal(status.statusCode, 200);
+  t.equal(JSON.parse(status.payload).job.id, job.id);
+
+  // Without a live connection the job cannot succeed, so its details are
+  // never ready
+  const details = await request(
+    'GET',
+    `${started.headers.location}/details?format=csv`
+  );
+  t.equal(details.statusCode, 409);
+  t.equal(JSON.parse(details.payload).errorType, 'reconciliation_not_ready');
+
+  const unknown = await request(
+    'GET',
+    '/datacloud/reconciliation/accounts/00000000-0000-0000-0000-000000000000'
+  );
+  t.equal(unknown.statusCode, 404, 'Should report unknown jobs');
+  const invalid = await request(
+    'GET',
+    '/datacloud/reconciliation/accounts/not-a-job/details?type=other'
+  );
+  t.equal(invalid.statusCode, 400);
+});
+
+test('POST /datacloud/reconciliation/accounts - should reject a second job for the same org and space', async t => {
+  const app = await build(t);
+  const start = space =>
+    app.inject({
+      method: 'POST',
+      url: `/datacloud/reconciliation/accounts?space=${space}`,
+      headers: { 'x-client-context': createClientContext() },
+    });
+
+  const [first, second] = await Promise.all([
+    start('concurrent'),
+    start('concurrent'),
+  ]);
+
+  t.equal(first.statusCode, 202);
+  t.equal(second.statusCode, 409, 'Should reject the concurrent job');
+  const problem = JSON.parse(second.payload);
+  t.equal(problem.errorType, 'reconciliation_running');
+  t.equal(problem.jobId, JSON.parse(first.payload).job.id);
+});
+
+test('GET /datacloud/models/diff - should validate snapshot ids', async t => {
+  const app = await build(t);
+
+  const missingFrom = await app.inject({
+    method: 'GET',
+    url: '/datacloud/models/diff',
+    headers: { 'x-client-context': createClientContext() },
+  });
+  t.equal(missingFrom.statusCode, 400, 'Should require from');
+
+  const invalid = await app.inject({
+    method: 'GET',
+    url: `/datacloud/models/diff?from=${encodeURIComponent('../secret')}`,
+    headers: { 'x-client-context': createClientContext() },
+  });
+  t.equal(invalid.statusCode, 400, 'Should reject ids that are not names');
+
+  const unknown = await app.inject({
+    method: 'GET',
+    url: '/datacloud/models/diff?from=default-missing&to=default-other',
+    headers: { 'x-client-context': createClientContext() },
+  });
+  t.equal(unknown.statusCode, 404, 'Should report unknown snapshots');
+  t.equal(JSON.parse(unknown.payload).errorType, 'unknown_object');
+});
+
+test('Data Cloud metadata endpoints - should reject unsupported entity types', async t => {
+  const app = await build(t);
+
+  const response = await app.inject({
+    method: 'GET',
+    url: '/datacloud/models?entityType=DataStream',
+    headers: { 'x-client-context': createClientContext() },
+  });
+
+  t.equal(response.statusCode, 400, 'Should return 400 for unknown types');
+  t.equal(JSON.parse(response.payload).errorType, 'invalid_request');
+
+  for (const url of [
+    '/datacloud/dlos?space=bad-space',
+    '/datacloud/calculated-insights?space=bad-space',
+  ]) {
+    const invalid = await app.inject({
+      method: 'GET',
+      url,
+      headers: { 'x-client-context': createClientContext() },
+    });
+    t.equal(invalid.statusCode, 400, `Should validate the space of ${url}`);
+  }
+});
+
 test('GET /datacloud/analysis/engagement - should handle request with valid client context', async t => {
   const app = await build(t);
 
@@ -248,6 +483,8 @@ test('GET /datacloud/analysis/unified-b2b - should handle partial filter paramet
 test('Data Cloud endpoints - should require x-client-context header', async t => {
   const app = await build(t);
   const endpoints = [
+    '/datacloud/spaces',
+    '/datacloud/data-streams',
     '/datacloud/models',
     '/datacloud/analysis/engagement',
     '/datacloud/analysis/unified-b2b',
@@ -271,7 +508,7 @@ test('Data Cloud endpoints - should require x-client-context header', async t =>
 
     const errorResponse = JSON.parse(response.payload);
     t.match(
-      errorResponse.message,
+      errorResponse.detail,
       /Required x-client-context header not found/,
       `${endpoint} error message should indicate missing header`
     );
@@ -331,17 +568,17 @@ test('Data Cloud endpoints - should return JSON response format', async t => {
         );
       }
     }
-    // Error response should have standard structure
+    // Error response should be RFC 7807 problem details
     else {
       t.type(
-        parsedResponse.error,
+        parsedResponse.title,
         'string',
-        `${endpoint} error response should have error field`
+        `${endpoint} error response should have title field`
       );
       t.type(
-        parsedResponse.message,
+        parsedResponse.detail,
         'string',
-        `${endpoint} error response should have message field`
+        `${endpoint} error response should have detail field`
       );
     }
   }
@@ -375,3 +612,259 @@ test('GET /datacloud/analysis/unified-b2b - should use new executeQueryWithFilte
     );
   }
 });
+
+test('GET /datacloud/analysis/unified-b2b - should reject invalid filter parameter', async t => {
+  const app = await build(t);
+
+  const filter = encodeURIComponent(
+    JSON.stringify({ field: 'ssot__Secret__c', op: 'eq', value: 'x' })
+  );
+  const response = await app.inject({
+    method: 'GET',
+    url: `/datacloud/analysis/unified-b2b?filter=${filter}`,
+    headers: {
+      'Content-Type': 'application/json',
+      'x-client-context': createClientContext(),
+    },
+  });
+
+  t.equal(response.statusCode, 400, 'Should return 400 for invalid filter');
+
+  const errorResponse = JSON.parse(response.payload);
+  t.match(
+    errorResponse.detail,
+    /cannot be filtered/,
+    'Error message should explain the rejected field'
+  );
+});
+
+test('GET /datacloud/analysis/engagement - should reject invalid pagination parameters', async t => {
+  const app = await build(t);
+
+  for (const query of ['limit=0', 'limit=abc', 'cursor=not-a-cursor']) {
+    const response = await app.inject({
+      method: 'GET',
+      url: `/datacloud/analysis/engagement?${query}`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-client-context': createClientContext(),
+      },
+    });
+
+    t.equal(response.statusCode, 400, `Should return 400 for ${query}`);
+  }
+});
+
+test('GET /datacloud/analysis/engagement - should validate filters and groupBy', async t => {
+  const app = await build(t);
+
+  for (const query of [
+    'createdFrom=yesterday',
+    'createdTo=2024-13',
+    'groupBy=eventIdentifier',
+    `filter=${encodeURIComponent('{"field":"ssot__Id__c","op":"eq","value":"x"}')}`,
+  ]) {
+    const response = await app.inject({
+      method: 'GET',
+      url: `/datacloud/analysis/engagement?${query}`,
+      headers: { 'x-client-context': createClientContext() },
+    });
+
+    t.equal(response.statusCode, 400, `Should return 400 for ${query}`);
+  }
+});
+
+test('GET /datacloud/analysis/engagement/funnel - should validate funnel parameters', async t => {
+  const app = await build(t);
+
+  for (const query of [
+    '',
+    'steps=view',
+    `${Array.from({ length: 11 }, (_, index) => `steps=e${index}`).join('&')}`,
+    'steps=view&steps=cart&maxStepGapSeconds=0',
+    'steps=view&steps=cart&createdFrom=yesterday',
+  ]) {
+    const response = await app.inject({
+      method: 'GET',
+      url: `/datacloud/analysis/engagement/funnel?${query}`,
+      headers: { 'x-client-context': createClientContext() },
+    });
+
+    t.equal(response.statusCode, 400, `Should return 400 for ${query}`);
+  }
+});
+
+test('GET /datacloud/analysis/engagement/timeseries - should validate time series parameters', async t => {
+  const app = await build(t);
+
+  for (const query of [
+    'interval=month',
+    'splitBy=clientSession',
+    'maxSeries=0',
+    'timezone=Mars%2FOlympus',
+    'interval=minute&createdFrom=2024-01-01&createdTo=2024-02-01',
+  ]) {
+    const response = await app.inject({
+      method: 'GET',
+      url: `/datacloud/analysis/engagement/timeseries?${query}`,
+      headers: { 'x-client-context': createClientContext() },
+    });
+
+    t.equal(response.statusCode, 400, `Should return 400 for ${query}`);
+  }
+});
+
+test('GET /datacloud/analysis/engagement/retention - should validate retention parameters', async t => {
+  const app = await build(t);
+
+  for (const query of [
+    'period=hour',
+    'entityKey=eventIdentifier',
+    'activationEvent=',
+    'period=day&createdFrom=2020-01-01&createdTo=2024-01-01',
+  ]) {
+    const response = await app.inject({
+      method: 'GET',
+      url: `/datacloud/analysis/engagement/retention?${query}`,
+      headers: { 'x-client-context': createClientContext() },
+    });
+
+    t.equal(response.statusCode, 400, `Should return 400 for ${query}`);
+  }
+});
+
+test('GET /datacloud/analysis/engagement - should validate export formats', async t => {
+  const app = await build(t);
+
+  const unsupported = await app.inject({
+    method: 'GET',
+    url: '/datacloud/analysis/engagement?format=xml',
+    headers: { 'x-client-context': createClientContext() },
+  });
+  t.equal(unsupported.statusCode, 400, 'Should reject unknown formats');
+
+  const badCursor = await app.inject({
+    method: 'GET',
+    url: '/datacloud/analysis/engagement?cursor=not-a-cursor',
+    headers: {
+      accept: 'text/csv',
+      'x-client-context': createClientContext(),
+    },
+  });
+  t.equal(
+    badCursor.statusCode,
+    400,
+    'Should report errors before streaming starts'
+  );
+  t.match(badCursor.headers['content-type'], /application\/problem\+json/);
+  t.equal(JSON.parse(badCursor.payload).errorType, 'invalid_cursor');
+});
+
+test('Data Cloud endpoints - should reject invalid data space names', async t => {
+  const app = await build(t);
+  const endpoints = [
+    '/datacloud/models',
+    '/datacloud/analysis/engagement',
+    '/datacloud/analysis/unified-b2b',
+  ];
+
+  for (const endpoint of endpoints) {
+    const response = await app.inject({
+      method: 'GET',
+      url: `${endpoint}?space=${encodeURIComponent('default&x=1')}`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-client-context': createClientContext(),
+      },
+    });
+
+    t.equal(
+      response.statusCode,
+      400,
+      `${endpoint} should return 400 for an invalid space`
+    );
+  }
+});
+
+test('Data Cloud endpoints - should report errors as problem details', async t => {
+  const app = await build(t);
+
+  const filter = encodeURIComponent(
+    JSON.stringify({ field: 'ssot__Secret__c', op: 'eq', value: 'x' })
+  );
+  const response = await app.inject({
+    method: 'GET',
+    url: `/datacloud/analysis/unified-b2b?filter=${filter}`,
+    headers: {
+      'Content-Type': 'application/json',
+      'x-client-context': createClientContext(),
+      'x-request-id': 'test-correlation-id',
+    },
+  });
+
+  t.equal(response.statusCode, 400, 'Should return 400');
+  t.match(
+    response.headers['content-type'],
+    /^application\/problem\+json/,
+    'Should use the problem+json content type'
+  );
+
+  const problem = JSON.parse(response.payload);
+  t.equal(problem.status, 400, 'Should include the status');
+  t.equal(problem.errorType, 'invalid_filter', 'Should include the type');
+  t.match(problem.type, /invalid_filter$/, 'Should include a type URI');
+  t.equal(
+    problem.correlationId,
+    'test-correlation-id',
+    'Should use x-request-id as the correlation id'
+  );
+  t.notOk('sql' in problem, 'Should not expose SQL');
+  t.notOk('query' in problem, 'Should not expose the query');
+});
+
+test('POST /datacloud/query - should reject SQL that is not a single allowed SELECT', async t => {
+  const app = await build(t);
+  const cases = [
+    'DELETE FROM ssot__Account__dlm',
+    'SELECT * FROM ssot__Account__dlm; DROP TABLE ssot__Account__dlm',
+    'SELECT * FROM Account',
+  ];
+
+  for (const sql of cases) {
+    const response = await app.inject({
+      method: 'POST',
+      url: '/datacloud/query',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-client-context': createClientContext(),
+      },
+      payload: { sql },
+    });
+
+    t.equal(response.statusCode, 400, `Should reject: ${sql}`);
+    t.equal(JSON.parse(response.payload).errorType, 'rejected_sql');
+  }
+});
+
+test('POST /datacloud/query - should validate the request body', async t => {
+  const app = await build(t);
+
+  for (const payload of [{}, { sql: '' }, { sql: 'SELECT 1', limit: 0 }]) {
+    const response = await app.inject({
+      method: 'POST',
+      url: '/datacloud/query',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-client-context': createClientContext(),
+      },
+      payload,
+    });
+
+    t.equal(
+      response.statusCode,
+      400,
+      `Should reject ${JSON.stringify(payload)}`
+    );
+    t.equal(JSON.parse(response.payload).errorType, 'invalid_request');
+  }
+});